@@ -0,0 +1,69 @@
+-- CreateTable
+CREATE TABLE "AuditLog" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "employeeId" INTEGER,
+    "action" TEXT NOT NULL,
+    "entityType" TEXT,
+    "entityId" INTEGER,
+    "details" TEXT,
+    "ipAddress" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "AuditLog_employeeId_fkey" FOREIGN KEY ("employeeId") REFERENCES "Employee" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_Account" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "customerId" INTEGER NOT NULL,
+    "balance" REAL NOT NULL DEFAULT 0,
+    "createdByEmployeeId" INTEGER,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "Account_customerId_fkey" FOREIGN KEY ("customerId") REFERENCES "Customer" ("id") ON DELETE RESTRICT ON UPDATE CASCADE,
+    CONSTRAINT "Account_createdByEmployeeId_fkey" FOREIGN KEY ("createdByEmployeeId") REFERENCES "Employee" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+INSERT INTO "new_Account" ("balance", "createdAt", "customerId", "id", "updatedAt") SELECT "balance", "createdAt", "customerId", "id", "updatedAt" FROM "Account";
+DROP TABLE "Account";
+ALTER TABLE "new_Account" RENAME TO "Account";
+CREATE INDEX "Account_customerId_idx" ON "Account"("customerId");
+CREATE INDEX "Account_createdByEmployeeId_idx" ON "Account"("createdByEmployeeId");
+CREATE TABLE "new_Transfer" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "fromAccountId" INTEGER NOT NULL,
+    "toAccountId" INTEGER NOT NULL,
+    "amount" REAL NOT NULL,
+    "executedByEmployeeId" INTEGER,
+    "timestamp" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "Transfer_fromAccountId_fkey" FOREIGN KEY ("fromAccountId") REFERENCES "Account" ("id") ON DELETE RESTRICT ON UPDATE CASCADE,
+    CONSTRAINT "Transfer_toAccountId_fkey" FOREIGN KEY ("toAccountId") REFERENCES "Account" ("id") ON DELETE RESTRICT ON UPDATE CASCADE,
+    CONSTRAINT "Transfer_executedByEmployeeId_fkey" FOREIGN KEY ("executedByEmployeeId") REFERENCES "Employee" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+INSERT INTO "new_Transfer" ("amount", "fromAccountId", "id", "timestamp", "toAccountId") SELECT "amount", "fromAccountId", "id", "timestamp", "toAccountId" FROM "Transfer";
+DROP TABLE "Transfer";
+ALTER TABLE "new_Transfer" RENAME TO "Transfer";
+CREATE INDEX "Transfer_fromAccountId_idx" ON "Transfer"("fromAccountId");
+CREATE INDEX "Transfer_toAccountId_idx" ON "Transfer"("toAccountId");
+CREATE INDEX "Transfer_executedByEmployeeId_idx" ON "Transfer"("executedByEmployeeId");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
+
+-- CreateIndex
+CREATE INDEX "AuditLog_employeeId_idx" ON "AuditLog"("employeeId");
+
+-- CreateIndex
+CREATE INDEX "AuditLog_action_idx" ON "AuditLog"("action");
+
+-- CreateIndex
+CREATE INDEX "AuditLog_entityType_entityId_idx" ON "AuditLog"("entityType", "entityId");
+
+-- CreateIndex
+CREATE INDEX "AuditLog_createdAt_idx" ON "AuditLog"("createdAt");
+
+-- Enforce append-only audit trail at the database level
+CREATE TRIGGER "AuditLog_no_update"
+BEFORE UPDATE ON "AuditLog"
+BEGIN
+    SELECT RAISE(ABORT, 'AuditLog is append-only');
+END;
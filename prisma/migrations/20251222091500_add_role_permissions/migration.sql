@@ -0,0 +1,24 @@
+-- CreateTable
+CREATE TABLE "RolePermission" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "role" TEXT NOT NULL,
+    "permission" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE INDEX "RolePermission_role_idx" ON "RolePermission"("role");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "RolePermission_role_permission_key" ON "RolePermission"("role", "permission");
+
+-- Default mappings (kept in sync with src/config/permissions.js)
+INSERT INTO "RolePermission" ("role", "permission") VALUES
+    ('teller', 'accounts:create'),
+    ('teller', 'accounts:read'),
+    ('teller', 'transfers:create'),
+    ('manager', 'accounts:create'),
+    ('manager', 'accounts:read'),
+    ('manager', 'transfers:create'),
+    ('manager', 'audit:read'),
+    ('manager', 'roles:manage');
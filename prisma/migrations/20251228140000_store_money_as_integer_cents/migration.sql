@@ -0,0 +1,42 @@
+/*
+  Monetary columns move from REAL (floating point) to INTEGER cents.
+  Existing values are converted with ROUND(x * 100), which recovers the intended
+  two-decimal amount from its nearest binary float representation.
+*/
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_Account" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "customerId" INTEGER NOT NULL,
+    "balanceCents" BIGINT NOT NULL DEFAULT 0,
+    "createdByEmployeeId" INTEGER,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "Account_customerId_fkey" FOREIGN KEY ("customerId") REFERENCES "Customer" ("id") ON DELETE RESTRICT ON UPDATE CASCADE,
+    CONSTRAINT "Account_createdByEmployeeId_fkey" FOREIGN KEY ("createdByEmployeeId") REFERENCES "Employee" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+INSERT INTO "new_Account" ("balanceCents", "createdAt", "createdByEmployeeId", "customerId", "id", "updatedAt") SELECT CAST(ROUND("balance" * 100) AS INTEGER), "createdAt", "createdByEmployeeId", "customerId", "id", "updatedAt" FROM "Account";
+DROP TABLE "Account";
+ALTER TABLE "new_Account" RENAME TO "Account";
+CREATE INDEX "Account_customerId_idx" ON "Account"("customerId");
+CREATE INDEX "Account_createdByEmployeeId_idx" ON "Account"("createdByEmployeeId");
+CREATE TABLE "new_Transfer" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "fromAccountId" INTEGER NOT NULL,
+    "toAccountId" INTEGER NOT NULL,
+    "amountCents" BIGINT NOT NULL,
+    "executedByEmployeeId" INTEGER,
+    "timestamp" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "Transfer_fromAccountId_fkey" FOREIGN KEY ("fromAccountId") REFERENCES "Account" ("id") ON DELETE RESTRICT ON UPDATE CASCADE,
+    CONSTRAINT "Transfer_toAccountId_fkey" FOREIGN KEY ("toAccountId") REFERENCES "Account" ("id") ON DELETE RESTRICT ON UPDATE CASCADE,
+    CONSTRAINT "Transfer_executedByEmployeeId_fkey" FOREIGN KEY ("executedByEmployeeId") REFERENCES "Employee" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+INSERT INTO "new_Transfer" ("amountCents", "executedByEmployeeId", "fromAccountId", "id", "timestamp", "toAccountId") SELECT CAST(ROUND("amount" * 100) AS INTEGER), "executedByEmployeeId", "fromAccountId", "id", "timestamp", "toAccountId" FROM "Transfer";
+DROP TABLE "Transfer";
+ALTER TABLE "new_Transfer" RENAME TO "Transfer";
+CREATE INDEX "Transfer_fromAccountId_idx" ON "Transfer"("fromAccountId");
+CREATE INDEX "Transfer_toAccountId_idx" ON "Transfer"("toAccountId");
+CREATE INDEX "Transfer_executedByEmployeeId_idx" ON "Transfer"("executedByEmployeeId");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
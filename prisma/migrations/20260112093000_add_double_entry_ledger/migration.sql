@@ -0,0 +1,105 @@
+-- CreateTable
+CREATE TABLE "JournalEntry" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "type" TEXT NOT NULL,
+    "description" TEXT,
+    "transferId" INTEGER,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "JournalEntry_transferId_fkey" FOREIGN KEY ("transferId") REFERENCES "Transfer" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+
+-- CreateTable
+CREATE TABLE "Posting" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "journalEntryId" INTEGER NOT NULL,
+    "accountId" INTEGER NOT NULL,
+    "direction" TEXT NOT NULL,
+    "amountCents" BIGINT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "Posting_journalEntryId_fkey" FOREIGN KEY ("journalEntryId") REFERENCES "JournalEntry" ("id") ON DELETE RESTRICT ON UPDATE CASCADE,
+    CONSTRAINT "Posting_accountId_fkey" FOREIGN KEY ("accountId") REFERENCES "Account" ("id") ON DELETE RESTRICT ON UPDATE CASCADE
+);
+
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_Account" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "customerId" INTEGER,
+    "kind" TEXT NOT NULL DEFAULT 'CUSTOMER',
+    "systemCode" TEXT,
+    "balanceCents" BIGINT NOT NULL DEFAULT 0,
+    "createdByEmployeeId" INTEGER,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "Account_customerId_fkey" FOREIGN KEY ("customerId") REFERENCES "Customer" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "Account_createdByEmployeeId_fkey" FOREIGN KEY ("createdByEmployeeId") REFERENCES "Employee" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+INSERT INTO "new_Account" ("balanceCents", "createdAt", "createdByEmployeeId", "customerId", "id", "updatedAt") SELECT "balanceCents", "createdAt", "createdByEmployeeId", "customerId", "id", "updatedAt" FROM "Account";
+DROP TABLE "Account";
+ALTER TABLE "new_Account" RENAME TO "Account";
+CREATE UNIQUE INDEX "Account_systemCode_key" ON "Account"("systemCode");
+CREATE INDEX "Account_customerId_idx" ON "Account"("customerId");
+CREATE INDEX "Account_createdByEmployeeId_idx" ON "Account"("createdByEmployeeId");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "JournalEntry_transferId_key" ON "JournalEntry"("transferId");
+
+-- CreateIndex
+CREATE INDEX "JournalEntry_createdAt_idx" ON "JournalEntry"("createdAt");
+
+-- CreateIndex
+CREATE INDEX "Posting_journalEntryId_idx" ON "Posting"("journalEntryId");
+
+-- CreateIndex
+CREATE INDEX "Posting_accountId_createdAt_idx" ON "Posting"("accountId", "createdAt");
+
+-- Backfill: bank funding account that opening deposits are posted against
+INSERT INTO "Account" ("customerId", "kind", "systemCode", "balanceCents", "createdAt", "updatedAt")
+VALUES (NULL, 'FUNDING', 'BANK_FUNDING', 0, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP);
+
+-- Backfill: one journal entry per existing transfer
+INSERT INTO "JournalEntry" ("type", "description", "transferId", "createdAt")
+SELECT 'TRANSFER', 'Transfer #' || "id", "id", "timestamp" FROM "Transfer";
+
+INSERT INTO "Posting" ("journalEntryId", "accountId", "direction", "amountCents", "createdAt")
+SELECT j."id", t."fromAccountId", 'DEBIT', t."amountCents", t."timestamp"
+FROM "Transfer" t JOIN "JournalEntry" j ON j."transferId" = t."id";
+
+INSERT INTO "Posting" ("journalEntryId", "accountId", "direction", "amountCents", "createdAt")
+SELECT j."id", t."toAccountId", 'CREDIT', t."amountCents", t."timestamp"
+FROM "Transfer" t JOIN "JournalEntry" j ON j."transferId" = t."id";
+
+-- Backfill: opening deposit for whatever part of each balance transfers don't explain
+CREATE TEMP TABLE "_OpeningBalance" AS
+SELECT a."id" AS "accountId", a."createdAt" AS "createdAt",
+       a."balanceCents" - COALESCE((
+           SELECT SUM(CASE p."direction" WHEN 'CREDIT' THEN p."amountCents" ELSE -p."amountCents" END)
+           FROM "Posting" p WHERE p."accountId" = a."id"
+       ), 0) AS "amountCents"
+FROM "Account" a
+WHERE a."kind" = 'CUSTOMER';
+
+INSERT INTO "JournalEntry" ("type", "description", "createdAt")
+SELECT 'OPENING_DEPOSIT', 'Opening deposit for account #' || "accountId", "createdAt"
+FROM "_OpeningBalance" WHERE "amountCents" > 0;
+
+INSERT INTO "Posting" ("journalEntryId", "accountId", "direction", "amountCents", "createdAt")
+SELECT j."id", o."accountId", 'CREDIT', o."amountCents", o."createdAt"
+FROM "_OpeningBalance" o
+JOIN "JournalEntry" j ON j."type" = 'OPENING_DEPOSIT' AND j."description" = 'Opening deposit for account #' || o."accountId"
+WHERE o."amountCents" > 0;
+
+INSERT INTO "Posting" ("journalEntryId", "accountId", "direction", "amountCents", "createdAt")
+SELECT j."id", (SELECT "id" FROM "Account" WHERE "systemCode" = 'BANK_FUNDING'), 'DEBIT', o."amountCents", o."createdAt"
+FROM "_OpeningBalance" o
+JOIN "JournalEntry" j ON j."type" = 'OPENING_DEPOSIT' AND j."description" = 'Opening deposit for account #' || o."accountId"
+WHERE o."amountCents" > 0;
+
+DROP TABLE "_OpeningBalance";
+
+UPDATE "Account"
+SET "balanceCents" = -COALESCE((SELECT SUM("amountCents") FROM "Posting" p WHERE p."accountId" = "Account"."id" AND p."direction" = 'DEBIT'), 0)
+WHERE "systemCode" = 'BANK_FUNDING';
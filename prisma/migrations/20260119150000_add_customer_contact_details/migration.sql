@@ -0,0 +1,18 @@
+-- AlterTable
+ALTER TABLE "Customer" ADD COLUMN "email" TEXT;
+ALTER TABLE "Customer" ADD COLUMN "phone" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Customer_email_key" ON "Customer"("email");
+
+-- CreateIndex
+CREATE INDEX "Customer_name_idx" ON "Customer"("name");
+
+-- Grant the new customer permissions to the default roles
+INSERT OR IGNORE INTO "RolePermission" ("role", "permission") VALUES
+    ('teller', 'customers:create'),
+    ('teller', 'customers:read'),
+    ('teller', 'customers:update'),
+    ('manager', 'customers:create'),
+    ('manager', 'customers:read'),
+    ('manager', 'customers:update');
@@ -0,0 +1,47 @@
+-- CreateTable
+CREATE TABLE "CashTransaction" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "accountId" INTEGER NOT NULL,
+    "type" TEXT NOT NULL,
+    "amountCents" BIGINT NOT NULL,
+    "description" TEXT,
+    "executedByEmployeeId" INTEGER,
+    "timestamp" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "CashTransaction_accountId_fkey" FOREIGN KEY ("accountId") REFERENCES "Account" ("id") ON DELETE RESTRICT ON UPDATE CASCADE,
+    CONSTRAINT "CashTransaction_executedByEmployeeId_fkey" FOREIGN KEY ("executedByEmployeeId") REFERENCES "Employee" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_JournalEntry" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "type" TEXT NOT NULL,
+    "description" TEXT,
+    "transferId" INTEGER,
+    "cashTransactionId" INTEGER,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "JournalEntry_transferId_fkey" FOREIGN KEY ("transferId") REFERENCES "Transfer" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "JournalEntry_cashTransactionId_fkey" FOREIGN KEY ("cashTransactionId") REFERENCES "CashTransaction" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+INSERT INTO "new_JournalEntry" ("createdAt", "description", "id", "transferId", "type") SELECT "createdAt", "description", "id", "transferId", "type" FROM "JournalEntry";
+DROP TABLE "JournalEntry";
+ALTER TABLE "new_JournalEntry" RENAME TO "JournalEntry";
+CREATE UNIQUE INDEX "JournalEntry_transferId_key" ON "JournalEntry"("transferId");
+CREATE UNIQUE INDEX "JournalEntry_cashTransactionId_key" ON "JournalEntry"("cashTransactionId");
+CREATE INDEX "JournalEntry_createdAt_idx" ON "JournalEntry"("createdAt");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
+
+-- CreateIndex
+CREATE INDEX "CashTransaction_accountId_timestamp_idx" ON "CashTransaction"("accountId", "timestamp");
+
+-- CreateIndex
+CREATE INDEX "CashTransaction_executedByEmployeeId_idx" ON "CashTransaction"("executedByEmployeeId");
+
+-- Grant the new cash permissions to the default roles
+INSERT OR IGNORE INTO "RolePermission" ("role", "permission") VALUES
+    ('teller', 'cash:deposit'),
+    ('teller', 'cash:withdraw'),
+    ('manager', 'cash:deposit'),
+    ('manager', 'cash:withdraw');
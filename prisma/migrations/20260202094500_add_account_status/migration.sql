@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "Account" ADD COLUMN "status" TEXT NOT NULL DEFAULT 'ACTIVE';
+ALTER TABLE "Account" ADD COLUMN "statusReason" TEXT;
+ALTER TABLE "Account" ADD COLUMN "statusChangedAt" DATETIME;
+
+-- Grant the new account lifecycle permissions to managers
+INSERT OR IGNORE INTO "RolePermission" ("role", "permission") VALUES
+    ('manager', 'accounts:freeze'),
+    ('manager', 'accounts:close');
@@ -0,0 +1,62 @@
+-- CreateTable
+CREATE TABLE "ScheduledTransfer" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "fromAccountId" INTEGER NOT NULL,
+    "toAccountId" INTEGER NOT NULL,
+    "amountCents" BIGINT NOT NULL,
+    "description" TEXT,
+    "frequency" TEXT NOT NULL,
+    "startAt" DATETIME NOT NULL,
+    "endAt" DATETIME,
+    "maxRuns" INTEGER,
+    "status" TEXT NOT NULL DEFAULT 'ACTIVE',
+    "occurrenceIndex" INTEGER NOT NULL DEFAULT 0,
+    "successfulRuns" INTEGER NOT NULL DEFAULT 0,
+    "failedAttempts" INTEGER NOT NULL DEFAULT 0,
+    "nextRunAt" DATETIME,
+    "lastError" TEXT,
+    "createdByEmployeeId" INTEGER,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "ScheduledTransfer_fromAccountId_fkey" FOREIGN KEY ("fromAccountId") REFERENCES "Account" ("id") ON DELETE RESTRICT ON UPDATE CASCADE,
+    CONSTRAINT "ScheduledTransfer_toAccountId_fkey" FOREIGN KEY ("toAccountId") REFERENCES "Account" ("id") ON DELETE RESTRICT ON UPDATE CASCADE,
+    CONSTRAINT "ScheduledTransfer_createdByEmployeeId_fkey" FOREIGN KEY ("createdByEmployeeId") REFERENCES "Employee" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+
+-- CreateTable
+CREATE TABLE "ScheduledTransferRun" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "scheduledTransferId" INTEGER NOT NULL,
+    "occurrenceAt" DATETIME NOT NULL,
+    "attempt" INTEGER NOT NULL,
+    "status" TEXT NOT NULL,
+    "transferId" INTEGER,
+    "errorMessage" TEXT,
+    "executedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "ScheduledTransferRun_scheduledTransferId_fkey" FOREIGN KEY ("scheduledTransferId") REFERENCES "ScheduledTransfer" ("id") ON DELETE RESTRICT ON UPDATE CASCADE,
+    CONSTRAINT "ScheduledTransferRun_transferId_fkey" FOREIGN KEY ("transferId") REFERENCES "Transfer" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "ScheduledTransfer_status_nextRunAt_idx" ON "ScheduledTransfer"("status", "nextRunAt");
+
+-- CreateIndex
+CREATE INDEX "ScheduledTransfer_fromAccountId_idx" ON "ScheduledTransfer"("fromAccountId");
+
+-- CreateIndex
+CREATE INDEX "ScheduledTransfer_toAccountId_idx" ON "ScheduledTransfer"("toAccountId");
+
+-- CreateIndex
+CREATE INDEX "ScheduledTransferRun_scheduledTransferId_executedAt_idx" ON "ScheduledTransferRun"("scheduledTransferId", "executedAt");
+
+-- CreateIndex
+CREATE INDEX "ScheduledTransferRun_transferId_idx" ON "ScheduledTransferRun"("transferId");
+
+-- Grant the new scheduled transfer permissions to the default roles
+INSERT OR IGNORE INTO "RolePermission" ("role", "permission") VALUES
+    ('teller', 'schedules:create'),
+    ('teller', 'schedules:read'),
+    ('teller', 'schedules:manage'),
+    ('manager', 'schedules:create'),
+    ('manager', 'schedules:read'),
+    ('manager', 'schedules:manage');
@@ -0,0 +1,30 @@
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_Transfer" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "fromAccountId" INTEGER NOT NULL,
+    "toAccountId" INTEGER NOT NULL,
+    "amountCents" BIGINT NOT NULL,
+    "executedByEmployeeId" INTEGER,
+    "reversalOfId" INTEGER,
+    "reversalReason" TEXT,
+    "timestamp" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "Transfer_fromAccountId_fkey" FOREIGN KEY ("fromAccountId") REFERENCES "Account" ("id") ON DELETE RESTRICT ON UPDATE CASCADE,
+    CONSTRAINT "Transfer_toAccountId_fkey" FOREIGN KEY ("toAccountId") REFERENCES "Account" ("id") ON DELETE RESTRICT ON UPDATE CASCADE,
+    CONSTRAINT "Transfer_executedByEmployeeId_fkey" FOREIGN KEY ("executedByEmployeeId") REFERENCES "Employee" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "Transfer_reversalOfId_fkey" FOREIGN KEY ("reversalOfId") REFERENCES "Transfer" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+INSERT INTO "new_Transfer" ("amountCents", "executedByEmployeeId", "fromAccountId", "id", "timestamp", "toAccountId") SELECT "amountCents", "executedByEmployeeId", "fromAccountId", "id", "timestamp", "toAccountId" FROM "Transfer";
+DROP TABLE "Transfer";
+ALTER TABLE "new_Transfer" RENAME TO "Transfer";
+CREATE UNIQUE INDEX "Transfer_reversalOfId_key" ON "Transfer"("reversalOfId");
+CREATE INDEX "Transfer_fromAccountId_idx" ON "Transfer"("fromAccountId");
+CREATE INDEX "Transfer_toAccountId_idx" ON "Transfer"("toAccountId");
+CREATE INDEX "Transfer_executedByEmployeeId_idx" ON "Transfer"("executedByEmployeeId");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
+
+-- Reversals are manager-only by default
+INSERT OR IGNORE INTO "RolePermission" ("role", "permission") VALUES
+    ('manager', 'transfers:reverse');
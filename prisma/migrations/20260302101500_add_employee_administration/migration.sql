@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "Employee" ADD COLUMN "isActive" BOOLEAN NOT NULL DEFAULT true;
+ALTER TABLE "Employee" ADD COLUMN "deactivatedAt" DATETIME;
+ALTER TABLE "Employee" ADD COLUMN "passwordChangedAt" DATETIME;
+
+-- Employee administration is manager-only by default
+INSERT OR IGNORE INTO "RolePermission" ("role", "permission") VALUES
+    ('manager', 'employees:manage');
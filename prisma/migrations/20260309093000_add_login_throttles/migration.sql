@@ -0,0 +1,15 @@
+-- CreateTable
+CREATE TABLE "LoginThrottle" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "scope" TEXT NOT NULL,
+    "key" TEXT NOT NULL,
+    "failedAttempts" INTEGER NOT NULL DEFAULT 0,
+    "lastFailedAt" DATETIME,
+    "nextAttemptAt" DATETIME,
+    "lockedUntil" DATETIME,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "LoginThrottle_scope_key_key" ON "LoginThrottle"("scope", "key");
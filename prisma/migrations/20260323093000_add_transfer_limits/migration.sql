@@ -0,0 +1,24 @@
+-- CreateTable
+CREATE TABLE "AccountTransferLimit" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "accountId" INTEGER NOT NULL,
+    "perTransactionCents" BIGINT,
+    "dailyCents" BIGINT,
+    "monthlyCents" BIGINT,
+    "reason" TEXT,
+    "updatedByEmployeeId" INTEGER,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "AccountTransferLimit_accountId_fkey" FOREIGN KEY ("accountId") REFERENCES "Account" ("id") ON DELETE RESTRICT ON UPDATE CASCADE,
+    CONSTRAINT "AccountTransferLimit_updatedByEmployeeId_fkey" FOREIGN KEY ("updatedByEmployeeId") REFERENCES "Employee" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "AccountTransferLimit_accountId_key" ON "AccountTransferLimit"("accountId");
+
+-- CreateIndex
+CREATE INDEX "AccountTransferLimit_updatedByEmployeeId_idx" ON "AccountTransferLimit"("updatedByEmployeeId");
+
+-- Managers set account-specific transfer limits
+INSERT OR IGNORE INTO "RolePermission" ("role", "permission") VALUES
+    ('manager', 'accounts:limits');
@@ -0,0 +1,43 @@
+-- CreateTable
+CREATE TABLE "TransferApproval" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "fromAccountId" INTEGER NOT NULL,
+    "toAccountId" INTEGER NOT NULL,
+    "amountCents" BIGINT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'PENDING',
+    "requestedByEmployeeId" INTEGER NOT NULL,
+    "reviewedByEmployeeId" INTEGER,
+    "reviewedAt" DATETIME,
+    "decisionReason" TEXT,
+    "transferId" INTEGER,
+    "expiresAt" DATETIME NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "TransferApproval_fromAccountId_fkey" FOREIGN KEY ("fromAccountId") REFERENCES "Account" ("id") ON DELETE RESTRICT ON UPDATE CASCADE,
+    CONSTRAINT "TransferApproval_toAccountId_fkey" FOREIGN KEY ("toAccountId") REFERENCES "Account" ("id") ON DELETE RESTRICT ON UPDATE CASCADE,
+    CONSTRAINT "TransferApproval_requestedByEmployeeId_fkey" FOREIGN KEY ("requestedByEmployeeId") REFERENCES "Employee" ("id") ON DELETE RESTRICT ON UPDATE CASCADE,
+    CONSTRAINT "TransferApproval_reviewedByEmployeeId_fkey" FOREIGN KEY ("reviewedByEmployeeId") REFERENCES "Employee" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "TransferApproval_transferId_fkey" FOREIGN KEY ("transferId") REFERENCES "Transfer" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "TransferApproval_transferId_key" ON "TransferApproval"("transferId");
+
+-- CreateIndex
+CREATE INDEX "TransferApproval_status_expiresAt_idx" ON "TransferApproval"("status", "expiresAt");
+
+-- CreateIndex
+CREATE INDEX "TransferApproval_fromAccountId_idx" ON "TransferApproval"("fromAccountId");
+
+-- CreateIndex
+CREATE INDEX "TransferApproval_toAccountId_idx" ON "TransferApproval"("toAccountId");
+
+-- CreateIndex
+CREATE INDEX "TransferApproval_requestedByEmployeeId_idx" ON "TransferApproval"("requestedByEmployeeId");
+
+-- CreateIndex
+CREATE INDEX "TransferApproval_reviewedByEmployeeId_idx" ON "TransferApproval"("reviewedByEmployeeId");
+
+-- Managers approve or reject transfers above the approval threshold
+INSERT OR IGNORE INTO "RolePermission" ("role", "permission") VALUES
+    ('manager', 'transfers:approve');
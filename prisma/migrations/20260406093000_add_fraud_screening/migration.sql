@@ -0,0 +1,49 @@
+-- CreateTable
+CREATE TABLE "FraudRule" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "code" TEXT NOT NULL,
+    "action" TEXT NOT NULL,
+    "params" TEXT NOT NULL,
+    "reason" TEXT,
+    "updatedByEmployeeId" INTEGER,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "FraudRule_updatedByEmployeeId_fkey" FOREIGN KEY ("updatedByEmployeeId") REFERENCES "Employee" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+
+-- CreateTable
+CREATE TABLE "FraudFlag" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "transferId" INTEGER NOT NULL,
+    "ruleCode" TEXT NOT NULL,
+    "reason" TEXT NOT NULL,
+    "details" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'OPEN',
+    "reviewedByEmployeeId" INTEGER,
+    "reviewedAt" DATETIME,
+    "reviewNote" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "FraudFlag_transferId_fkey" FOREIGN KEY ("transferId") REFERENCES "Transfer" ("id") ON DELETE RESTRICT ON UPDATE CASCADE,
+    CONSTRAINT "FraudFlag_reviewedByEmployeeId_fkey" FOREIGN KEY ("reviewedByEmployeeId") REFERENCES "Employee" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "FraudRule_code_key" ON "FraudRule"("code");
+
+-- CreateIndex
+CREATE INDEX "FraudRule_updatedByEmployeeId_idx" ON "FraudRule"("updatedByEmployeeId");
+
+-- CreateIndex
+CREATE INDEX "FraudFlag_status_createdAt_idx" ON "FraudFlag"("status", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "FraudFlag_transferId_idx" ON "FraudFlag"("transferId");
+
+-- CreateIndex
+CREATE INDEX "FraudFlag_reviewedByEmployeeId_idx" ON "FraudFlag"("reviewedByEmployeeId");
+
+-- Managers work the review queue and tune the screening rules
+INSERT OR IGNORE INTO "RolePermission" ("role", "permission") VALUES
+    ('manager', 'fraud:review'),
+    ('manager', 'fraud:rules');
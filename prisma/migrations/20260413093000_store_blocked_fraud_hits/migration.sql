@@ -0,0 +1,36 @@
+/*
+  Fraud flags also record transfers that a BLOCK rule stopped. Those have no
+  transfer row, so transferId becomes optional and the attempt is kept on the flag.
+  Existing flags were all written for FLAG hits on completed transfers.
+*/
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_FraudFlag" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "transferId" INTEGER,
+    "ruleCode" TEXT NOT NULL,
+    "action" TEXT NOT NULL DEFAULT 'FLAG',
+    "reason" TEXT NOT NULL,
+    "details" TEXT,
+    "fromAccountId" INTEGER,
+    "toAccountId" INTEGER,
+    "amountCents" BIGINT,
+    "attemptedByEmployeeId" INTEGER,
+    "status" TEXT NOT NULL DEFAULT 'OPEN',
+    "reviewedByEmployeeId" INTEGER,
+    "reviewedAt" DATETIME,
+    "reviewNote" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "FraudFlag_transferId_fkey" FOREIGN KEY ("transferId") REFERENCES "Transfer" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "FraudFlag_reviewedByEmployeeId_fkey" FOREIGN KEY ("reviewedByEmployeeId") REFERENCES "Employee" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+INSERT INTO "new_FraudFlag" ("createdAt", "details", "id", "reason", "reviewNote", "reviewedAt", "reviewedByEmployeeId", "ruleCode", "status", "transferId", "updatedAt") SELECT "createdAt", "details", "id", "reason", "reviewNote", "reviewedAt", "reviewedByEmployeeId", "ruleCode", "status", "transferId", "updatedAt" FROM "FraudFlag";
+DROP TABLE "FraudFlag";
+ALTER TABLE "new_FraudFlag" RENAME TO "FraudFlag";
+CREATE INDEX "FraudFlag_status_createdAt_idx" ON "FraudFlag"("status", "createdAt");
+CREATE INDEX "FraudFlag_transferId_idx" ON "FraudFlag"("transferId");
+CREATE INDEX "FraudFlag_reviewedByEmployeeId_idx" ON "FraudFlag"("reviewedByEmployeeId");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
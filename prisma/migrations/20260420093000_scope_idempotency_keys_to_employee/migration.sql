@@ -0,0 +1,26 @@
+/*
+  Idempotency keys become unique per employee instead of globally, so two employees
+  can use the same key. Every idempotent route is authenticated, so employeeId is now
+  required; stored keys without one are short-lived response records and are dropped.
+*/
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_IdempotencyKey" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "key" TEXT NOT NULL,
+    "fingerprint" TEXT NOT NULL,
+    "employeeId" INTEGER NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'IN_PROGRESS',
+    "responseStatus" INTEGER,
+    "responseBody" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "expiresAt" DATETIME NOT NULL
+);
+INSERT INTO "new_IdempotencyKey" ("createdAt", "employeeId", "expiresAt", "fingerprint", "id", "key", "responseBody", "responseStatus", "status") SELECT "createdAt", "employeeId", "expiresAt", "fingerprint", "id", "key", "responseBody", "responseStatus", "status" FROM "IdempotencyKey" WHERE "employeeId" IS NOT NULL;
+DROP TABLE "IdempotencyKey";
+ALTER TABLE "new_IdempotencyKey" RENAME TO "IdempotencyKey";
+CREATE INDEX "IdempotencyKey_expiresAt_idx" ON "IdempotencyKey"("expiresAt");
+CREATE UNIQUE INDEX "IdempotencyKey_employeeId_key_key" ON "IdempotencyKey"("employeeId", "key");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
@@ -1,5 +1,6 @@
 const { PrismaClient } = require('@prisma/client');
 const bcrypt = require('bcrypt');
+const { DEFAULT_ROLE_PERMISSIONS } = require('../src/config/permissions');
 
 const prisma = new PrismaClient();
 async function main() {
@@ -59,6 +60,20 @@ async function main() {
     });
     
     console.log("Employees data seeded successfully")
+
+    // Seeding default role permissions (idempotent - only adds missing mappings,
+    // so changes made by managers through /api/roles are kept)
+    console.log("Starting role permissions seeding process ....")
+    for (const [role, permissions] of Object.entries(DEFAULT_ROLE_PERMISSIONS)) {
+        for (const permission of permissions) {
+            await prisma.rolePermission.upsert({
+                where: { role_permission: { role, permission } },
+                update: {},
+                create: { role, permission }
+            });
+        }
+    }
+    console.log("Role permissions seeded successfully")
 }
 
 main().catch((error) => {
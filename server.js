@@ -2,10 +2,11 @@ require('dotenv').config();
 
 // Validate environment variables before starting the server
 const { validateEnvVars } = require('./src/config/envValidation');
+const logger = require('./src/utils/logger');
 try {
   validateEnvVars();
 } catch (error) {
-  console.error(error.message);
+  logger.error('Environment validation failed', { details: error.message });
   process.exit(1);
 }
 
@@ -13,31 +14,186 @@ const express = require('express')
 const authRoutes = require('./src/routes/auth')
 const accountRoutes = require('./src/routes/account')
 const transferRoutes = require('./src/routes/transfer')
+const transferApprovalRoutes = require('./src/routes/transferApproval')
+const fraudRoutes = require('./src/routes/fraud')
+const scheduledTransferRoutes = require('./src/routes/scheduledTransfer')
+const customerRoutes = require('./src/routes/customer')
+const auditRoutes = require('./src/routes/audit')
+const roleRoutes = require('./src/routes/role')
+const employeeRoutes = require('./src/routes/employee')
+const webhookRoutes = require('./src/routes/webhook')
 const docsRoutes = require('./src/routes/docs')
+const healthRoutes = require('./src/routes/health')
+const metricsRoutes = require('./src/routes/metrics')
+const prisma = require('./src/db/client')
+const healthService = require('./src/services/healthService')
+const { gracefulShutdown, shutdownTimeoutMs } = require('./src/utils/shutdown')
+const { requestLogger } = require('./src/middleware/requestLogger')
+const { httpMetrics } = require('./src/middleware/httpMetrics')
+const { notFoundHandler, errorHandler } = require('./src/middleware/errorHandler')
+const { startScheduler, stopScheduler } = require('./src/jobs/transferScheduler')
+const { startWebhookDispatcher, stopWebhookDispatcher } = require('./src/jobs/webhookDispatcher')
 
 const app = express()
 const PORT = process.env.PORT || 3000
 
+// Request ID (X-Request-Id) and one JSON access log line per request; registered
+// first so every later log line, including body parse errors, carries the ID
+app.use(requestLogger())
+// Request count and latency per route and status, exposed on GET /metrics
+app.use(httpMetrics())
 app.use(express.json());
 
 // API Documentation
 app.use('/api-docs', docsRoutes)
 
-// Authentication routes (public - no auth required)
+// Probes for the orchestrator (public)
+// GET /health - Liveness
+// GET /ready - Readiness: database, migrations, not shutting down
+app.use(healthRoutes)
+
+// Prometheus scrape endpoint (public; keep it on the internal network)
+// GET /metrics
+app.use(metricsRoutes)
+
+// Authentication routes (public - no auth required, except logout)
+// POST /api/auth/login - Sign in, returns access and refresh tokens
+// POST /api/auth/refresh - Rotate refresh token for a new token pair
+// POST /api/auth/logout - Revoke the current session
 app.use('/api/auth', authRoutes)
 
+// Every protected route below also declares the permissions it needs
+// (src/config/permissions.js); role grants are stored in RolePermission.
+
 // Account routes (protected - require authentication)
 // POST /api/accounts - Create account
 // GET /api/accounts/:id - Get account balance
-// GET /api/accounts/:id/transfers - Get transfer history
+// GET /api/accounts/:id/transfers - Get paginated, filterable transfer history
+// GET /api/accounts/:id/ledger - Get ledger postings with running balance
+// GET /api/accounts/:id/transactions - Combined transfers and cash transactions feed
+// GET /api/accounts/:id/statement - Statement with running balance (JSON, CSV or PDF)
+// POST /api/accounts/:id/deposits - Record cash deposit
+// POST /api/accounts/:id/withdrawals - Record cash withdrawal
+// POST /api/accounts/:id/freeze - Freeze account (managers only)
+// POST /api/accounts/:id/unfreeze - Unfreeze account (managers only)
+// POST /api/accounts/:id/close - Close zero-balance account (managers only)
 app.use('/api/accounts', accountRoutes)
 
 // Transfer routes (protected - require authentication)
-// POST /api/transfers - Transfer funds between accounts
+// POST /api/transfers - Transfer funds between accounts (queued for approval above the threshold)
+// POST /api/transfers/batch - Execute several transfers in one request
+// POST /api/transfers/:id/reversal - Reverse a transfer (managers only)
 app.use('/api/transfers', transferRoutes)
 
-app.listen(PORT, () => {
-    console.log(`Server is running on http://localhost:${PORT}`)
-    console.log(`📚 API Documentation available at http://localhost:${PORT}/api-docs`)
-    console.log(`   Interactive "Try It Out" feature enabled! 🚀`)
+// Transfer approval routes (protected - approving and rejecting is for managers)
+// GET /api/transfer-approvals - List the approval queue
+// GET /api/transfer-approvals/:id - Get one approval request
+// POST /api/transfer-approvals/:id/approve - Approve and execute the transfer
+// POST /api/transfer-approvals/:id/reject - Reject the transfer
+app.use('/api/transfer-approvals', transferApprovalRoutes)
+
+// Fraud screening routes (protected - managers only)
+// GET /api/fraud/rules - List screening rules
+// PUT /api/fraud/rules/:code - Change a rule's action and parameters
+// GET /api/fraud/flags - Review queue of flagged transfers
+// POST /api/fraud/flags/:id/review - Clear or confirm a flag
+app.use('/api/fraud', fraudRoutes)
+
+// Scheduled transfer routes (protected - require authentication)
+// POST /api/scheduled-transfers - Schedule one-off or recurring transfer
+// GET /api/scheduled-transfers - List schedules
+// GET /api/scheduled-transfers/:id - Get schedule with recent runs
+// POST /api/scheduled-transfers/:id/pause - Pause schedule
+// POST /api/scheduled-transfers/:id/resume - Resume schedule
+// POST /api/scheduled-transfers/:id/cancel - Cancel schedule
+app.use('/api/scheduled-transfers', scheduledTransferRoutes)
+
+// Customer routes (protected - require authentication)
+// POST /api/customers - Create customer
+// GET /api/customers - List/search customers
+// GET /api/customers/:id - Get customer
+// PATCH /api/customers/:id - Update customer
+// GET /api/customers/:id/accounts - List customer's accounts
+app.use('/api/customers', customerRoutes)
+
+// Audit routes (protected - managers only)
+// GET /api/audit - Query the audit trail
+app.use('/api/audit', auditRoutes)
+
+// Role routes (protected - require roles:manage permission)
+// GET /api/roles - List role-to-permission mappings
+// PUT /api/roles/:role/permissions - Change a role's permissions
+app.use('/api/roles', roleRoutes)
+
+// Employee routes (protected - managers only, except password change)
+// PUT /api/employees/me/password - Change your own password
+// POST /api/employees - Create employee
+// GET /api/employees - List employees
+// POST /api/employees/:id/deactivate - Deactivate employee
+// PUT /api/employees/:id/role - Change employee's role
+// POST /api/employees/:id/unlock - Clear a login lockout
+// DELETE /api/employees/:id/sessions - Sign an employee out of every session
+app.use('/api/employees', employeeRoutes)
+
+// Webhook routes (protected - managers only)
+// POST /api/webhooks - Subscribe a URL to events
+// GET /api/webhooks - List subscriptions
+// GET /api/webhooks/:id - Get subscription
+// POST /api/webhooks/:id/disable - Disable subscription
+// GET /api/webhooks/:id/deliveries - List delivery attempts
+// POST /api/webhooks/deliveries/:id/redeliver - Send a delivery again
+app.use('/api/webhooks', webhookRoutes)
+
+// Errors thrown by any route end up here and are sent as { errorMessage, code }
+// (src/utils/errors.js lists the error types and their HTTP statuses)
+app.use(notFoundHandler)
+app.use(errorHandler)
+
+const server = app.listen(PORT, () => {
+    logger.info('Server started', {
+        url: `http://localhost:${PORT}`,
+        docs: `http://localhost:${PORT}/api-docs`
+    })
+
+    // Runs due scheduled transfers; safe to run on several instances
+    if (process.env.SCHEDULER_ENABLED !== 'false') {
+        startScheduler()
+    }
+    // Sends outbox events to webhook subscribers; safe to run on several instances
+    if (process.env.WEBHOOK_DISPATCHER_ENABLED !== 'false') {
+        startWebhookDispatcher()
+    }
 })
+
+// SIGTERM (deploys) and SIGINT (Ctrl+C): fail readiness, finish in-flight requests,
+// scheduled transfers and webhook sends, then disconnect from the database. SHUTDOWN_TIMEOUT_SECONDS caps
+// the wait; past it open connections are cut and the process exits with status 1.
+let shuttingDown = false
+async function shutdown(signal) {
+    if (shuttingDown) { return }
+    shuttingDown = true
+
+    const timeoutMs = shutdownTimeoutMs()
+    logger.info('Shutdown started', { signal, timeoutMs })
+    healthService.markShuttingDown()
+
+    try {
+        const { timedOut } = await gracefulShutdown(server, {
+            timeoutMs,
+            drain: [stopScheduler, stopWebhookDispatcher],
+            cleanup: [() => prisma.$disconnect()]
+        })
+        if (timedOut) {
+            logger.error('Shutdown timed out, open connections were closed', { timeoutMs })
+        } else {
+            logger.info('Shutdown complete')
+        }
+        process.exit(timedOut ? 1 : 0)
+    } catch (error) {
+        logger.error('Shutdown failed', { error })
+        process.exit(1)
+    }
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'))
+process.on('SIGINT', () => shutdown('SIGINT'))
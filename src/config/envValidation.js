@@ -3,6 +3,8 @@
  * Validates required environment variables on application startup
  */
 
+const logger = require('../utils/logger');
+
 function validateEnvVars() {
   const requiredVars = {
     DATABASE_URL: {
@@ -18,13 +20,109 @@ function validateEnvVars() {
 
   const optionalVars = {
     JWT_EXPIRE_IN: {
-      default: '24h',
-      description: 'JWT token expiration time (default: "24h")',
+      default: '15m',
+      description: 'Access token expiration time (default: "15m")',
+    },
+    REFRESH_TOKEN_TTL_DAYS: {
+      default: 7,
+      description: 'Refresh token lifetime in days (default: 7)',
+    },
+    LOGIN_MAX_ATTEMPTS: {
+      default: 5,
+      description: 'Failed logins for one username before it is locked (default: 5)',
+    },
+    LOGIN_IP_MAX_ATTEMPTS: {
+      default: 20,
+      description: 'Failed logins from one IP before it is locked (default: 20)',
+    },
+    LOGIN_LOCKOUT_MINUTES: {
+      default: 15,
+      description: 'How long a login lockout lasts (default: 15)',
+    },
+    LOGIN_DELAY_BASE_SECONDS: {
+      default: 1,
+      description: 'First wait between failed logins, doubled after each failure; 0 disables (default: 1)',
+    },
+    LOG_LEVEL: {
+      default: 'info',
+      description: 'Lowest log level written: debug, info, warn, error or silent (default: "info")',
     },
     PORT: {
       default: 3000,
       description: 'Server port (default: 3000)',
     },
+    SHUTDOWN_TIMEOUT_SECONDS: {
+      default: 15,
+      description: 'How long SIGTERM waits for in-flight requests before cutting connections (default: 15)',
+    },
+    IDEMPOTENCY_KEY_TTL_HOURS: {
+      default: 24,
+      description: 'How long stored Idempotency-Key responses are replayed (default: 24)',
+    },
+    SCHEDULER_ENABLED: {
+      default: 'true',
+      description: 'Run due scheduled transfers in this process (default: "true")',
+    },
+    SCHEDULER_INTERVAL_SECONDS: {
+      default: 60,
+      description: 'How often the scheduler looks for due transfers (default: 60)',
+    },
+    SCHEDULED_TRANSFER_MAX_ATTEMPTS: {
+      default: 3,
+      description: 'Attempts per occurrence before a scheduled transfer run is marked failed (default: 3)',
+    },
+    SCHEDULED_TRANSFER_RETRY_MINUTES: {
+      default: 30,
+      description: 'Delay before retrying a failed scheduled transfer run (default: 30)',
+    },
+    TRANSFER_LIMIT_PER_TRANSACTION: {
+      default: 25000,
+      description: 'Largest single transfer or cash withdrawal out of an account without an override (default: 25000)',
+    },
+    TRANSFER_LIMIT_DAILY: {
+      default: 50000,
+      description: 'Outgoing total (transfers and cash withdrawals) per account per UTC day without an override (default: 50000)',
+    },
+    TRANSFER_LIMIT_MONTHLY: {
+      default: 250000,
+      description: 'Outgoing total (transfers and cash withdrawals) per account per UTC month without an override (default: 250000)',
+    },
+    TELLER_TRANSFER_LIMIT_PER_TRANSACTION: {
+      default: 10000,
+      description: 'Largest single transfer a teller may execute (default: 10000)',
+    },
+    TELLER_TRANSFER_LIMIT_DAILY: {
+      default: 50000,
+      description: 'Total a teller may transfer per UTC day across all accounts (default: 50000)',
+    },
+    TRANSFER_APPROVAL_THRESHOLD: {
+      default: 5000,
+      description: 'Transfers above this amount wait for a second employee to approve them (default: 5000)',
+    },
+    TRANSFER_APPROVAL_TTL_HOURS: {
+      default: 24,
+      description: 'How long a transfer waits for approval before it expires (default: 24)',
+    },
+    WEBHOOK_DISPATCHER_ENABLED: {
+      default: 'true',
+      description: 'Send outbox events to webhook subscribers from this process (default: "true")',
+    },
+    WEBHOOK_DISPATCH_INTERVAL_SECONDS: {
+      default: 5,
+      description: 'How often the dispatcher checks the outbox and due retries (default: 5)',
+    },
+    WEBHOOK_MAX_ATTEMPTS: {
+      default: 8,
+      description: 'Attempts per delivery before it is dead-lettered (default: 8)',
+    },
+    WEBHOOK_RETRY_BASE_SECONDS: {
+      default: 30,
+      description: 'First retry delay, doubled after each failed attempt (default: 30)',
+    },
+    WEBHOOK_TIMEOUT_SECONDS: {
+      default: 10,
+      description: 'How long to wait for a webhook receiver to answer (default: 10)',
+    },
   };
 
   const missing = [];
@@ -67,25 +165,21 @@ function validateEnvVars() {
   // Validate JWT_SECRET strength (should be at least 32 characters for security)
   if (process.env.JWT_SECRET && process.env.JWT_SECRET.length < 32) {
     errors.push(
-      '⚠️  Warning: JWT_SECRET should be at least 32 characters long for better security.'
+      'JWT_SECRET should be at least 32 characters long for better security.'
     );
   }
 
   // Validate DATABASE_URL format for SQLite
   if (process.env.DATABASE_URL && !process.env.DATABASE_URL.startsWith('file:')) {
     errors.push(
-      '⚠️  Warning: DATABASE_URL should start with "file:" for SQLite (e.g., "file:./dev.db")'
+      'DATABASE_URL should start with "file:" for SQLite (e.g., "file:./dev.db")'
     );
   }
 
   // Log warnings if any
-  if (errors.length > 0) {
-    console.warn('\n⚠️  Environment Variable Warnings:\n');
-    errors.forEach(error => console.warn(`  ${error}\n`));
-  }
+  errors.forEach(warning => logger.warn('Environment variable warning', { warning }));
 
-  // Success message
-  console.log('✅ Environment variables validated successfully');
+  logger.info('Environment variables validated');
 }
 
 module.exports = { validateEnvVars };
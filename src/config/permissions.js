@@ -0,0 +1,53 @@
+/**
+ * Permission Catalogue
+ * Every protected route declares the permissions it needs (see middleware/authorize.js).
+ * Role-to-permission mappings live in the RolePermission table so managers can change
+ * them at runtime; the defaults below are what migrations, the seed script and tests install.
+ */
+
+const PERMISSIONS = {
+  ACCOUNTS_CREATE: 'accounts:create',
+  ACCOUNTS_READ: 'accounts:read',
+  ACCOUNTS_FREEZE: 'accounts:freeze',
+  ACCOUNTS_CLOSE: 'accounts:close',
+  ACCOUNTS_LIMITS_MANAGE: 'accounts:limits',
+  TRANSFERS_CREATE: 'transfers:create',
+  TRANSFERS_REVERSE: 'transfers:reverse',
+  TRANSFERS_APPROVE: 'transfers:approve',
+  CASH_DEPOSIT: 'cash:deposit',
+  CASH_WITHDRAW: 'cash:withdraw',
+  SCHEDULES_CREATE: 'schedules:create',
+  SCHEDULES_READ: 'schedules:read',
+  SCHEDULES_MANAGE: 'schedules:manage',
+  CUSTOMERS_CREATE: 'customers:create',
+  CUSTOMERS_READ: 'customers:read',
+  CUSTOMERS_UPDATE: 'customers:update',
+  EMPLOYEES_MANAGE: 'employees:manage',
+  SESSIONS_REVOKE: 'sessions:revoke',
+  AUDIT_READ: 'audit:read',
+  ROLES_MANAGE: 'roles:manage',
+  WEBHOOKS_MANAGE: 'webhooks:manage',
+  FRAUD_REVIEW: 'fraud:review',
+  FRAUD_RULES_MANAGE: 'fraud:rules',
+};
+
+const ROLES = ['teller', 'manager'];
+
+const DEFAULT_ROLE_PERMISSIONS = {
+  teller: [
+    PERMISSIONS.ACCOUNTS_CREATE,
+    PERMISSIONS.ACCOUNTS_READ,
+    PERMISSIONS.TRANSFERS_CREATE,
+    PERMISSIONS.CASH_DEPOSIT,
+    PERMISSIONS.CASH_WITHDRAW,
+    PERMISSIONS.SCHEDULES_CREATE,
+    PERMISSIONS.SCHEDULES_READ,
+    PERMISSIONS.SCHEDULES_MANAGE,
+    PERMISSIONS.CUSTOMERS_CREATE,
+    PERMISSIONS.CUSTOMERS_READ,
+    PERMISSIONS.CUSTOMERS_UPDATE,
+  ],
+  manager: Object.values(PERMISSIONS),
+};
+
+module.exports = { PERMISSIONS, ROLES, DEFAULT_ROLE_PERMISSIONS };
@@ -4,7 +4,7 @@ const swaggerSpec = {
     info: {
       title: 'Banking API',
       version: '1.2.0',
-      description: 'Internal API for a fake financial institution. This API allows bank employees to manage customer accounts, process transfers, and retrieve account information.\n\n## 🔐 Authentication\n\nMost endpoints require authentication via JWT token. Use the `/api/auth/login` endpoint to obtain a token, then use the **"Try It Out"** feature below to test endpoints interactively.',
+      description: 'Internal API for a fake financial institution. This API allows bank employees to manage customer accounts, process transfers, and retrieve account information.\n\n## 🔐 Authentication\n\nMost endpoints require authentication via JWT token. Use the `/api/auth/login` endpoint to obtain a token, then use the **"Try It Out"** feature below to test endpoints interactively.\n\n## ⚠️ Errors\n\nEvery error response has the same shape: `errorMessage` for people and `code` for programs (for example `ACCOUNT_NOT_FOUND`, `INSUFFICIENT_FUNDS`, `ACCOUNT_FROZEN`, `VALIDATION_ERROR`). Codes are stable; messages may change, so branch on `code`. Some errors add fields such as `errors` (per-field problems) or `retryAfterSeconds`.\n\n## 🔎 Request IDs\n\nSend an `X-Request-Id` header to trace a request through the server logs; one is generated when it is missing. Every response echoes it in `X-Request-Id`, so quote it when reporting a problem.',
       contact: {
         name: 'Tamer Howeidy',
       },
@@ -24,22 +24,157 @@ const swaggerSpec = {
           description: 'JWT token obtained from the login endpoint. Enter your token in the format: `Bearer <token>` or just `<token>`',
         },
       },
+      parameters: {
+        IdempotencyKey: {
+          name: 'Idempotency-Key',
+          in: 'header',
+          required: false,
+          schema: {
+            type: 'string',
+            maxLength: 255,
+          },
+          example: '4f1c2b1e-9a7d-4c55-8a55-3f0a6a1f0d2e',
+          description: 'Optional client-generated key. Retrying with the same key and body returns the original response (with an `Idempotent-Replayed: true` header) instead of executing again. Keys are scoped to the authenticated employee. Keys expire after `IDEMPOTENCY_KEY_TTL_HOURS` (default 24).',
+        },
+      },
+      responses: {
+        IdempotencyConflict: {
+          description: 'A request with this Idempotency-Key is still being processed',
+          content: {
+            'application/json': {
+              example: {
+                errorMessage: 'A request with this Idempotency-Key is still being processed',
+                code: 'IDEMPOTENCY_REQUEST_IN_PROGRESS',
+              },
+            },
+          },
+        },
+        IdempotencyKeyReused: {
+          description: 'The Idempotency-Key was already used with a different request body',
+          content: {
+            'application/json': {
+              example: {
+                errorMessage: 'Idempotency-Key has already been used for a different request',
+                code: 'IDEMPOTENCY_KEY_REUSED',
+              },
+            },
+          },
+        },
+        Forbidden: {
+          description: 'The employee\'s role lacks a permission this endpoint requires',
+          content: {
+            'application/json': {
+              schema: {
+                $ref: '#/components/schemas/PermissionDenied',
+              },
+            },
+          },
+        },
+      },
       schemas: {
+        Money: {
+          type: 'string',
+          pattern: '^-?\\d+\\.\\d{2}$',
+          example: '1000.00',
+          description: 'Exact decimal amount. Stored internally as integer cents.',
+        },
+        MoneyInput: {
+          oneOf: [
+            { type: 'number', multipleOf: 0.01 },
+            { type: 'string', pattern: '^\\d+(\\.\\d{1,2})?$' },
+          ],
+          example: '1000.00',
+          description: 'Amount as a number or decimal string with at most two decimal places',
+          'x-invalid-message': 'must be a number or decimal string with at most two decimal places',
+        },
         Error: {
+          type: 'object',
+          required: ['errorMessage', 'code'],
+          properties: {
+            errorMessage: {
+              type: 'string',
+              description: 'Error message describing what went wrong. Meant for people; branch on `code` instead',
+            },
+            code: {
+              type: 'string',
+              description: 'Stable machine-readable error code, e.g. `VALIDATION_ERROR`, `ACCOUNT_NOT_FOUND`, `INSUFFICIENT_FUNDS`, `ACCOUNT_FROZEN`, `INVALID_STATUS_TRANSITION`',
+              example: 'ACCOUNT_NOT_FOUND',
+            },
+            errors: {
+              type: 'array',
+              description: 'Present when the request does not match this specification: one entry per invalid field',
+              items: {
+                $ref: '#/components/schemas/FieldError',
+              },
+            },
+          },
+        },
+        FieldError: {
+          type: 'object',
+          properties: {
+            location: {
+              type: 'string',
+              enum: ['path', 'query', 'header', 'body'],
+              example: 'body',
+            },
+            field: {
+              type: 'string',
+              example: 'amount',
+            },
+            message: {
+              type: 'string',
+              example: 'amount must be a number or decimal string with at most two decimal places',
+            },
+          },
+        },
+        PermissionDenied: {
           type: 'object',
           properties: {
             errorMessage: {
               type: 'string',
-              description: 'Error message describing what went wrong',
+              example: 'Forbidden - requires permission: audit:read',
+            },
+            code: {
+              type: 'string',
+              example: 'PERMISSION_DENIED',
+            },
+            requiredPermissions: {
+              type: 'array',
+              items: {
+                type: 'string',
+              },
+              example: ['audit:read'],
+            },
+          },
+        },
+        RolePermissions: {
+          type: 'object',
+          properties: {
+            role: {
+              type: 'string',
+              example: 'teller',
+            },
+            permissions: {
+              type: 'array',
+              items: {
+                type: 'string',
+              },
+              example: ['accounts:create', 'accounts:read', 'transfers:create'],
             },
           },
         },
         AuthError: {
           type: 'object',
+          required: ['errorMessage', 'code'],
           properties: {
-            error: {
+            errorMessage: {
+              type: 'string',
+              example: 'Unauthorized - Invalid token',
+            },
+            code: {
               type: 'string',
-              description: 'Error message',
+              enum: ['TOKEN_MISSING', 'TOKEN_INVALID', 'SESSION_REVOKED', 'EMPLOYEE_DEACTIVATED', 'INVALID_CREDENTIALS', 'INVALID_REFRESH_TOKEN'],
+              example: 'TOKEN_INVALID',
             },
           },
         },
@@ -66,7 +201,17 @@ const swaggerSpec = {
             token: {
               type: 'string',
               example: 'eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...',
-              description: 'JWT authentication token',
+              description: 'Access token (short-lived, see JWT_EXPIRE_IN)',
+            },
+            refreshToken: {
+              type: 'string',
+              example: 'q3Vt0b3H1mB8a1Qx7c2yR9sK4nL6pE0wZ5fJ8uT2vYg',
+              description: 'Single-use refresh token; exchange it at /api/auth/refresh',
+            },
+            refreshTokenExpiresAt: {
+              type: 'string',
+              format: 'date-time',
+              example: '2026-03-02T09:15:00.000Z',
             },
             employee: {
               type: 'object',
@@ -97,11 +242,8 @@ const swaggerSpec = {
               description: 'ID of the customer who will own this account',
             },
             initialDeposit: {
-              type: 'number',
-              format: 'float',
-              minimum: 0.01,
-              example: 1000.00,
-              description: 'Initial deposit amount (must be greater than 0)',
+              $ref: '#/components/schemas/MoneyInput',
+              description: 'Initial deposit amount (must be greater than 0, at most two decimal places)',
             },
           },
         },
@@ -114,12 +256,44 @@ const swaggerSpec = {
             },
             customerId: {
               type: 'integer',
+              nullable: true,
               example: 1,
+              description: 'Owning customer (null for internal bank accounts)',
+            },
+            kind: {
+              type: 'string',
+              enum: ['CUSTOMER', 'FUNDING'],
+              example: 'CUSTOMER',
+            },
+            systemCode: {
+              type: 'string',
+              nullable: true,
+              example: null,
+              description: 'Identifier of internal bank accounts, e.g. BANK_FUNDING',
             },
             balance: {
-              type: 'number',
-              format: 'float',
-              example: 1000.00,
+              $ref: '#/components/schemas/Money',
+            },
+            status: {
+              $ref: '#/components/schemas/AccountStatus',
+            },
+            statusReason: {
+              type: 'string',
+              nullable: true,
+              example: null,
+              description: 'Reason given for the last status change',
+            },
+            statusChangedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              example: null,
+            },
+            createdByEmployeeId: {
+              type: 'integer',
+              nullable: true,
+              example: 1,
+              description: 'Employee who opened the account',
             },
             createdAt: {
               type: 'string',
@@ -151,10 +325,11 @@ const swaggerSpec = {
               type: 'integer',
               example: 1,
             },
+            status: {
+              $ref: '#/components/schemas/AccountStatus',
+            },
             balance: {
-              type: 'number',
-              format: 'float',
-              example: 1000.00,
+              $ref: '#/components/schemas/Money',
             },
           },
         },
@@ -173,11 +348,8 @@ const swaggerSpec = {
               description: 'ID of the destination account',
             },
             amount: {
-              type: 'number',
-              format: 'float',
-              minimum: 0.01,
-              example: 250.00,
-              description: 'Amount to transfer (must be greater than 0)',
+              $ref: '#/components/schemas/MoneyInput',
+              description: 'Amount to transfer (must be greater than 0, at most two decimal places)',
             },
           },
         },
@@ -197,9 +369,24 @@ const swaggerSpec = {
               example: 2,
             },
             amount: {
-              type: 'number',
-              format: 'float',
-              example: 250.00,
+              $ref: '#/components/schemas/Money',
+            },
+            executedByEmployeeId: {
+              type: 'integer',
+              nullable: true,
+              example: 1,
+              description: 'Employee who executed the transfer',
+            },
+            reversalOfId: {
+              type: 'integer',
+              nullable: true,
+              example: null,
+              description: 'Set on a reversal: the transfer it reverses',
+            },
+            reversalReason: {
+              type: 'string',
+              nullable: true,
+              example: null,
             },
             timestamp: {
               type: 'string',
@@ -238,9 +425,7 @@ const swaggerSpec = {
               example: 2,
             },
             amount: {
-              type: 'number',
-              format: 'float',
-              example: 250.00,
+              $ref: '#/components/schemas/Money',
             },
             timestamp: {
               type: 'string',
@@ -281,198 +466,6383 @@ const swaggerSpec = {
                 },
               },
             },
-          },
-        },
-      },
-    },
-    tags: [
-      {
-        name: 'Authentication',
-        description: 'Employee authentication endpoints',
-      },
-      {
-        name: 'Accounts',
-        description: 'Account management endpoints',
-      },
-      {
-        name: 'Transfers',
-        description: 'Money transfer endpoints',
-      },
-    ],
-    paths: {
-      '/api/auth/login': {
-        post: {
-          tags: ['Authentication'],
-          summary: 'Employee Login',
-          description: 'Authenticate an employee and receive a JWT token',
-          requestBody: {
-            required: true,
-            content: {
-              'application/json': {
-                schema: {
-                  $ref: '#/components/schemas/LoginRequest',
-                },
-              },
+            executedByEmployeeId: {
+              type: 'integer',
+              nullable: true,
+              example: 1,
             },
-          },
-          responses: {
-            '200': {
-              description: 'Login successful',
-              content: {
-                'application/json': {
-                  schema: {
-                    $ref: '#/components/schemas/LoginResponse',
-                  },
-                },
-              },
+            executedByEmployee: {
+              $ref: '#/components/schemas/EmployeeSummary',
             },
-            '400': {
-              description: 'Missing username or password',
-              content: {
-                'application/json': {
-                  schema: {
-                    $ref: '#/components/schemas/AuthError',
-                  },
-                },
-              },
+            reversalOfId: {
+              type: 'integer',
+              nullable: true,
+              example: null,
+              description: 'Set on a reversal: the transfer it reverses',
             },
-            '401': {
-              description: 'Invalid credentials',
-              content: {
-                'application/json': {
-                  schema: {
-                    $ref: '#/components/schemas/AuthError',
-                  },
+            reversalReason: {
+              type: 'string',
+              nullable: true,
+              example: null,
+            },
+            reversalStatus: {
+              type: 'string',
+              enum: ['NONE', 'REVERSED', 'REVERSAL'],
+              example: 'NONE',
+              description: 'REVERSED if a later transfer reversed this one, REVERSAL if this transfer is itself a reversal',
+            },
+            reversedBy: {
+              type: 'object',
+              nullable: true,
+              description: 'The reversing transfer, when reversalStatus is REVERSED',
+              properties: {
+                id: {
+                  type: 'integer',
+                },
+                reversalReason: {
+                  type: 'string',
+                },
+                timestamp: {
+                  type: 'string',
+                  format: 'date-time',
                 },
               },
             },
           },
         },
-      },
-      '/api/accounts': {
-        post: {
-          tags: ['Accounts'],
-          summary: 'Create Bank Account',
-          description: 'Create a new bank account for a customer with an initial deposit. **Requires authentication.**',
-          security: [{ bearerAuth: [] }],
-          requestBody: {
-            required: true,
-            content: {
-              'application/json': {
-                schema: {
-                  $ref: '#/components/schemas/CreateAccountRequest',
-                },
-                example: {
-                  customerId: 1,
-                  initialDeposit: 1000.00,
-                },
-              },
+        LedgerPosting: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'integer',
+              example: 12,
+            },
+            journalEntryId: {
+              type: 'integer',
+              example: 6,
+            },
+            type: {
+              type: 'string',
+              example: 'TRANSFER',
+            },
+            description: {
+              type: 'string',
+              nullable: true,
+              example: 'Transfer #3',
+            },
+            transferId: {
+              type: 'integer',
+              nullable: true,
+              example: 3,
+            },
+            direction: {
+              type: 'string',
+              enum: ['DEBIT', 'CREDIT'],
+              example: 'DEBIT',
+            },
+            amount: {
+              $ref: '#/components/schemas/Money',
+            },
+            balanceAfter: {
+              $ref: '#/components/schemas/Money',
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time',
+              example: '2024-01-15T10:35:00.000Z',
             },
           },
-          responses: {
-            '201': {
-              description: 'Account created successfully',
-              content: {
-                'application/json': {
-                  schema: {
-                    $ref: '#/components/schemas/Account',
-                  },
-                },
-              },
+        },
+        AccountLedger: {
+          type: 'object',
+          properties: {
+            accountId: {
+              type: 'integer',
+              example: 1,
             },
-            '400': {
-              description: 'Bad request - validation error',
-              content: {
-                'application/json': {
-                  schema: {
-                    $ref: '#/components/schemas/Error',
-                  },
-                  examples: {
-                    missingFields: {
-                      value: {
-                        errorMessage: 'CustomerID and Initial Deposit are required',
-                      },
-                    },
-                    invalidDeposit: {
-                      value: {
-                        errorMessage: 'Initial Deposit must be greater Zero',
-                      },
-                    },
-                  },
-                },
-              },
+            balance: {
+              $ref: '#/components/schemas/Money',
             },
-            '404': {
-              description: 'Customer not found',
-              content: {
-                'application/json': {
-                  schema: {
-                    $ref: '#/components/schemas/Error',
-                  },
-                  example: {
-                    errorMessage: 'Customer not found',
-                  },
-                },
+            derivedBalance: {
+              $ref: '#/components/schemas/Money',
+            },
+            inSync: {
+              type: 'boolean',
+              example: true,
+              description: 'Whether the stored balance equals the sum of the postings',
+            },
+            postings: {
+              type: 'array',
+              items: {
+                $ref: '#/components/schemas/LedgerPosting',
               },
             },
           },
         },
-      },
-      '/api/accounts/{id}': {
-        get: {
-          tags: ['Accounts'],
-          summary: 'Get Account Balance',
-          description: 'Retrieve the current balance for a given account. **Requires authentication.**',
-          security: [{ bearerAuth: [] }],
-          parameters: [
+        EmployeeSummary: {
+          type: 'object',
+          nullable: true,
+          properties: {
+            id: {
+              type: 'integer',
+              example: 1,
+            },
+            username: {
+              type: 'string',
+              example: 'employee1',
+            },
+            name: {
+              type: 'string',
+              example: 'Jacques Cousteau',
+            },
+            role: {
+              type: 'string',
+              example: 'teller',
+            },
+          },
+        },
+        AuditLogEntry: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'integer',
+              example: 1,
+            },
+            employeeId: {
+              type: 'integer',
+              nullable: true,
+              example: 1,
+            },
+            action: {
+              type: 'string',
+              enum: ['LOGIN_SUCCEEDED', 'LOGIN_FAILED', 'ACCOUNT_CREATED', 'ACCOUNT_CREATE_FAILED', 'TRANSFER_COMPLETED', 'TRANSFER_FAILED'],
+              example: 'TRANSFER_COMPLETED',
+            },
+            entityType: {
+              type: 'string',
+              nullable: true,
+              example: 'Transfer',
+            },
+            entityId: {
+              type: 'integer',
+              nullable: true,
+              example: 1,
+            },
+            details: {
+              type: 'object',
+              nullable: true,
+              example: { fromAccountId: 1, toAccountId: 2, amount: '250.00' },
+            },
+            ipAddress: {
+              type: 'string',
+              nullable: true,
+              example: '127.0.0.1',
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time',
+              example: '2024-01-15T10:35:00.000Z',
+            },
+            employee: {
+              $ref: '#/components/schemas/EmployeeSummary',
+            },
+          },
+        },
+        AuditLogPage: {
+          type: 'object',
+          properties: {
+            total: {
+              type: 'integer',
+              example: 1,
+            },
+            limit: {
+              type: 'integer',
+              example: 50,
+            },
+            offset: {
+              type: 'integer',
+              example: 0,
+            },
+            items: {
+              type: 'array',
+              items: {
+                $ref: '#/components/schemas/AuditLogEntry',
+              },
+            },
+          },
+        },
+        Customer: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'integer',
+              example: 1,
+            },
+            name: {
+              type: 'string',
+              example: 'Arisha Barron',
+            },
+            email: {
+              type: 'string',
+              format: 'email',
+              nullable: true,
+              example: 'arisha@example.com',
+            },
+            phone: {
+              type: 'string',
+              nullable: true,
+              example: '+1 555 010 0000',
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time',
+              example: '2024-01-15T10:30:00.000Z',
+            },
+            updatedAt: {
+              type: 'string',
+              format: 'date-time',
+              example: '2024-01-15T10:30:00.000Z',
+            },
+          },
+        },
+        CreateCustomerRequest: {
+          type: 'object',
+          required: ['name'],
+          properties: {
+            name: {
+              type: 'string',
+              maxLength: 100,
+              example: 'Arisha Barron',
+            },
+            email: {
+              type: 'string',
+              format: 'email',
+              nullable: true,
+              example: 'arisha@example.com',
+              description: 'Unique across customers; stored lowercase',
+            },
+            phone: {
+              type: 'string',
+              nullable: true,
+              example: '+1 555 010 0000',
+              description: '7-20 digits, spaces, parentheses or dashes, optional leading +',
+            },
+          },
+        },
+        CustomerInput: {
+          type: 'object',
+          properties: {
+            name: {
+              type: 'string',
+              maxLength: 100,
+              example: 'Arisha Barron',
+            },
+            email: {
+              type: 'string',
+              format: 'email',
+              nullable: true,
+              example: 'arisha@example.com',
+              description: 'Unique across customers; stored lowercase',
+            },
+            phone: {
+              type: 'string',
+              nullable: true,
+              example: '+1 555 010 0000',
+              description: '7-20 digits, spaces, parentheses or dashes, optional leading +',
+            },
+          },
+        },
+        CustomerPage: {
+          type: 'object',
+          properties: {
+            total: {
+              type: 'integer',
+              example: 4,
+            },
+            limit: {
+              type: 'integer',
+              example: 20,
+            },
+            offset: {
+              type: 'integer',
+              example: 0,
+            },
+            items: {
+              type: 'array',
+              items: {
+                $ref: '#/components/schemas/Customer',
+              },
+            },
+          },
+        },
+        CashTransactionRequest: {
+          type: 'object',
+          required: ['amount'],
+          properties: {
+            amount: {
+              $ref: '#/components/schemas/MoneyInput',
+            },
+            description: {
+              type: 'string',
+              description: 'Optional note shown in the transaction history',
+              example: 'Counter deposit',
+            },
+          },
+        },
+        CashTransaction: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'integer',
+              example: 1,
+            },
+            accountId: {
+              type: 'integer',
+              example: 1,
+            },
+            type: {
+              type: 'string',
+              enum: ['DEPOSIT', 'WITHDRAWAL'],
+              example: 'DEPOSIT',
+            },
+            amount: {
+              $ref: '#/components/schemas/Money',
+            },
+            description: {
+              type: 'string',
+              nullable: true,
+              example: 'Counter deposit',
+            },
+            executedByEmployeeId: {
+              type: 'integer',
+              nullable: true,
+              example: 1,
+            },
+            timestamp: {
+              type: 'string',
+              format: 'date-time',
+            },
+          },
+        },
+        CashTransactionResponse: {
+          type: 'object',
+          properties: {
+            transaction: {
+              $ref: '#/components/schemas/CashTransaction',
+            },
+            account: {
+              $ref: '#/components/schemas/Account',
+            },
+          },
+        },
+        AccountTransaction: {
+          type: 'object',
+          description: 'One line of the combined transfers and cash feed',
+          properties: {
+            type: {
+              type: 'string',
+              enum: ['TRANSFER', 'DEPOSIT', 'WITHDRAWAL'],
+              example: 'TRANSFER',
+            },
+            id: {
+              type: 'integer',
+              description: 'ID of the transfer or cash transaction',
+              example: 1,
+            },
+            direction: {
+              type: 'string',
+              enum: ['IN', 'OUT'],
+              example: 'OUT',
+            },
+            amount: {
+              $ref: '#/components/schemas/Money',
+            },
+            counterparty: {
+              type: 'object',
+              nullable: true,
+              description: 'Other account for transfers, null for cash',
+              properties: {
+                accountId: {
+                  type: 'integer',
+                  example: 2,
+                },
+                customerName: {
+                  type: 'string',
+                  example: 'Arisha Barron',
+                },
+              },
+            },
+            description: {
+              type: 'string',
+              nullable: true,
+            },
+            executedByEmployeeId: {
+              type: 'integer',
+              nullable: true,
+              example: 1,
+            },
+            timestamp: {
+              type: 'string',
+              format: 'date-time',
+            },
+          },
+        },
+        AccountStatus: {
+          type: 'string',
+          enum: ['ACTIVE', 'FROZEN', 'CLOSED'],
+          example: 'ACTIVE',
+          description: 'ACTIVE → FROZEN or CLOSED; FROZEN → ACTIVE; CLOSED is final. Frozen accounts cannot be debited; closed accounts cannot be debited or credited.',
+        },
+        AccountStatusRequest: {
+          type: 'object',
+          properties: {
+            reason: {
+              type: 'string',
+              description: 'Optional reason, stored on the account and in the audit trail',
+              example: 'Suspicious activity reported',
+            },
+          },
+        },
+        AccountTransactionPage: {
+          type: 'object',
+          properties: {
+            total: {
+              type: 'integer',
+              description: 'Transfers and cash transactions on the account across all pages',
+              example: 2,
+            },
+            limit: {
+              type: 'integer',
+              example: 20,
+            },
+            nextCursor: {
+              type: 'string',
+              nullable: true,
+              description: 'Cursor for the next (older) page, null on the last page',
+            },
+            prevCursor: {
+              type: 'string',
+              nullable: true,
+              description: 'Cursor for the previous (newer) page, null on the first page',
+            },
+            items: {
+              type: 'array',
+              items: {
+                $ref: '#/components/schemas/AccountTransaction',
+              },
+            },
+          },
+        },
+        TransferHistoryPage: {
+          type: 'object',
+          properties: {
+            total: {
+              type: 'integer',
+              description: 'Transfers matching the filters across all pages',
+              example: 2,
+            },
+            limit: {
+              type: 'integer',
+              example: 20,
+            },
+            nextCursor: {
+              type: 'string',
+              nullable: true,
+              description: 'Cursor for the next (older) page, null on the last page',
+            },
+            prevCursor: {
+              type: 'string',
+              nullable: true,
+              description: 'Cursor for the previous (newer) page, null on the first page',
+            },
+            items: {
+              type: 'array',
+              items: {
+                $ref: '#/components/schemas/TransferHistoryItem',
+              },
+            },
+          },
+        },
+        StatementLine: {
+          type: 'object',
+          properties: {
+            date: {
+              type: 'string',
+              format: 'date-time',
+            },
+            type: {
+              type: 'string',
+              enum: ['OPENING_DEPOSIT', 'TRANSFER', 'CASH_DEPOSIT', 'CASH_WITHDRAWAL'],
+              example: 'TRANSFER',
+            },
+            description: {
+              type: 'string',
+              nullable: true,
+              example: 'Transfer #12',
+            },
+            transferId: {
+              type: 'integer',
+              nullable: true,
+              example: 12,
+            },
+            cashTransactionId: {
+              type: 'integer',
+              nullable: true,
+              example: null,
+            },
+            counterparty: {
+              type: 'object',
+              nullable: true,
+              description: 'Other account and its customer for transfers, null otherwise',
+              properties: {
+                accountId: {
+                  type: 'integer',
+                  example: 2,
+                },
+                customerName: {
+                  type: 'string',
+                  nullable: true,
+                  example: 'Branden Gibson',
+                },
+              },
+            },
+            direction: {
+              type: 'string',
+              enum: ['IN', 'OUT'],
+              example: 'OUT',
+            },
+            amount: {
+              $ref: '#/components/schemas/Money',
+            },
+            balance: {
+              $ref: '#/components/schemas/Money',
+            },
+          },
+        },
+        Statement: {
+          type: 'object',
+          properties: {
+            accountId: {
+              type: 'integer',
+              example: 1,
+            },
+            customer: {
+              type: 'object',
+              nullable: true,
+              properties: {
+                id: {
+                  type: 'integer',
+                  example: 1,
+                },
+                name: {
+                  type: 'string',
+                  example: 'Arisha Barron',
+                },
+              },
+            },
+            from: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'Start of the period, null for the whole account history',
+            },
+            to: {
+              type: 'string',
+              format: 'date-time',
+              description: 'End of the period (defaults to now)',
+            },
+            openingBalance: {
+              $ref: '#/components/schemas/Money',
+            },
+            totalIn: {
+              $ref: '#/components/schemas/Money',
+            },
+            totalOut: {
+              $ref: '#/components/schemas/Money',
+            },
+            closingBalance: {
+              $ref: '#/components/schemas/Money',
+            },
+            lines: {
+              type: 'array',
+              items: {
+                $ref: '#/components/schemas/StatementLine',
+              },
+            },
+          },
+        },
+        ScheduledTransferRequest: {
+          type: 'object',
+          required: ['fromAccountId', 'toAccountId', 'amount', 'startAt'],
+          properties: {
+            fromAccountId: {
+              type: 'integer',
+              example: 1,
+            },
+            toAccountId: {
+              type: 'integer',
+              example: 2,
+            },
+            amount: {
+              $ref: '#/components/schemas/MoneyInput',
+            },
+            frequency: {
+              type: 'string',
+              enum: ['ONCE', 'DAILY', 'WEEKLY', 'MONTHLY'],
+              default: 'ONCE',
+              example: 'MONTHLY',
+            },
+            startAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'First run; must be in the future',
+              example: '2026-03-01T09:00:00.000Z',
+            },
+            endAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Recurring only: no runs after this time',
+            },
+            maxRuns: {
+              type: 'integer',
+              minimum: 1,
+              description: 'Recurring only: stop after this many successful transfers',
+              example: 12,
+            },
+            description: {
+              type: 'string',
+              example: 'Rent',
+            },
+          },
+        },
+        ScheduledTransferRun: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'integer',
+              example: 1,
+            },
+            scheduledTransferId: {
+              type: 'integer',
+              example: 1,
+            },
+            occurrenceAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Occurrence this attempt belongs to',
+            },
+            attempt: {
+              type: 'integer',
+              example: 1,
+            },
+            status: {
+              type: 'string',
+              enum: ['SUCCEEDED', 'FAILED'],
+              example: 'SUCCEEDED',
+            },
+            transferId: {
+              type: 'integer',
+              nullable: true,
+              example: 42,
+            },
+            errorMessage: {
+              type: 'string',
+              nullable: true,
+              example: null,
+            },
+            executedAt: {
+              type: 'string',
+              format: 'date-time',
+            },
+          },
+        },
+        ScheduledTransfer: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'integer',
+              example: 1,
+            },
+            fromAccountId: {
+              type: 'integer',
+              example: 1,
+            },
+            toAccountId: {
+              type: 'integer',
+              example: 2,
+            },
+            amount: {
+              $ref: '#/components/schemas/Money',
+            },
+            description: {
+              type: 'string',
+              nullable: true,
+              example: 'Rent',
+            },
+            frequency: {
+              type: 'string',
+              enum: ['ONCE', 'DAILY', 'WEEKLY', 'MONTHLY'],
+              example: 'MONTHLY',
+            },
+            startAt: {
+              type: 'string',
+              format: 'date-time',
+            },
+            endAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+            },
+            maxRuns: {
+              type: 'integer',
+              nullable: true,
+              example: 12,
+            },
+            status: {
+              type: 'string',
+              enum: ['ACTIVE', 'PAUSED', 'COMPLETED', 'CANCELLED', 'FAILED'],
+              example: 'ACTIVE',
+            },
+            occurrenceIndex: {
+              type: 'integer',
+              description: 'Number of occurrences already settled or skipped',
+              example: 0,
+            },
+            successfulRuns: {
+              type: 'integer',
+              example: 0,
+            },
+            failedAttempts: {
+              type: 'integer',
+              description: 'Failed attempts at the current occurrence',
+              example: 0,
+            },
+            nextRunAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'Next attempt (a retry time while retrying), null once finished',
+            },
+            lastError: {
+              type: 'string',
+              nullable: true,
+              example: null,
+            },
+            createdByEmployeeId: {
+              type: 'integer',
+              nullable: true,
+              example: 1,
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time',
+            },
+            updatedAt: {
+              type: 'string',
+              format: 'date-time',
+            },
+            runs: {
+              type: 'array',
+              description: 'Most recent 50 runs, newest first (single schedule only)',
+              items: {
+                $ref: '#/components/schemas/ScheduledTransferRun',
+              },
+            },
+          },
+        },
+        ScheduledTransferPage: {
+          type: 'object',
+          properties: {
+            total: {
+              type: 'integer',
+              example: 1,
+            },
+            limit: {
+              type: 'integer',
+              example: 20,
+            },
+            offset: {
+              type: 'integer',
+              example: 0,
+            },
+            items: {
+              type: 'array',
+              items: {
+                $ref: '#/components/schemas/ScheduledTransfer',
+              },
+            },
+          },
+        },
+        ReversalRequest: {
+          type: 'object',
+          required: ['reason'],
+          properties: {
+            reason: {
+              type: 'string',
+              example: 'Sent to the wrong account',
+            },
+          },
+        },
+        ReversalResponse: {
+          type: 'object',
+          properties: {
+            transfer: {
+              $ref: '#/components/schemas/Transfer',
+            },
+            originalTransfer: {
+              $ref: '#/components/schemas/Transfer',
+            },
+            fromAccount: {
+              $ref: '#/components/schemas/Account',
+            },
+            toAccount: {
+              $ref: '#/components/schemas/Account',
+            },
+          },
+        },
+        RefreshRequest: {
+          type: 'object',
+          required: ['refreshToken'],
+          properties: {
+            refreshToken: {
+              type: 'string',
+              example: 'q3Vt0b3H1mB8a1Qx7c2yR9sK4nL6pE0wZ5fJ8uT2vYg',
+            },
+          },
+        },
+        RevokedSessions: {
+          type: 'object',
+          properties: {
+            employeeId: {
+              type: 'integer',
+              example: 1,
+            },
+            revokedSessions: {
+              type: 'integer',
+              example: 2,
+              description: 'Number of open sessions that were revoked',
+            },
+          },
+        },
+        Employee: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'integer',
+              example: 3,
+            },
+            username: {
+              type: 'string',
+              example: 'jdoe',
+            },
+            name: {
+              type: 'string',
+              example: 'Jane Doe',
+            },
+            role: {
+              type: 'string',
+              enum: ['teller', 'manager'],
+              example: 'teller',
+            },
+            isActive: {
+              type: 'boolean',
+              example: true,
+            },
+            deactivatedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+            },
+            passwordChangedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time',
+            },
+            updatedAt: {
+              type: 'string',
+              format: 'date-time',
+            },
+          },
+        },
+        CreateEmployeeRequest: {
+          type: 'object',
+          required: ['username', 'password', 'name'],
+          properties: {
+            username: {
+              type: 'string',
+              example: 'jdoe',
+              description: '3-50 characters of letters, numbers, dots, dashes or underscores; stored lowercase',
+            },
+            password: {
+              type: 'string',
+              format: 'password',
+              example: 's3cure-pass',
+              description: 'At least 8 characters',
+            },
+            name: {
+              type: 'string',
+              example: 'Jane Doe',
+            },
+            role: {
+              type: 'string',
+              enum: ['teller', 'manager'],
+              example: 'teller',
+              description: 'Defaults to teller',
+            },
+          },
+        },
+        EmployeeList: {
+          type: 'object',
+          properties: {
+            total: {
+              type: 'integer',
+              example: 1,
+            },
+            limit: {
+              type: 'integer',
+              example: 20,
+            },
+            offset: {
+              type: 'integer',
+              example: 0,
+            },
+            items: {
+              type: 'array',
+              items: {
+                $ref: '#/components/schemas/Employee',
+              },
+            },
+          },
+        },
+        ChangeRoleRequest: {
+          type: 'object',
+          required: ['role'],
+          properties: {
+            role: {
+              type: 'string',
+              enum: ['teller', 'manager'],
+              example: 'manager',
+            },
+          },
+        },
+        ChangePasswordRequest: {
+          type: 'object',
+          required: ['currentPassword', 'newPassword'],
+          properties: {
+            currentPassword: {
+              type: 'string',
+              format: 'password',
+              example: 'password123',
+            },
+            newPassword: {
+              type: 'string',
+              format: 'password',
+              example: 'a-better-password',
+              description: 'At least 8 characters and different from the current one',
+            },
+          },
+        },
+        LoginThrottled: {
+          type: 'object',
+          properties: {
+            errorMessage: {
+              type: 'string',
+              example: 'Too many login attempts - slow down',
+            },
+            code: {
+              type: 'string',
+              enum: ['LOGIN_THROTTLED', 'LOGIN_LOCKED'],
+              example: 'LOGIN_THROTTLED',
+            },
+            retryAfterSeconds: {
+              type: 'integer',
+              example: 4,
+            },
+          },
+        },
+        UnlockResult: {
+          type: 'object',
+          properties: {
+            employeeId: {
+              type: 'integer',
+              example: 1,
+            },
+            username: {
+              type: 'string',
+              example: 'employee1',
+            },
+            wasLocked: {
+              type: 'boolean',
+              example: true,
+              description: 'Whether there were failed attempts to clear',
+            },
+          },
+        },
+        Health: {
+          type: 'object',
+          required: ['status', 'uptimeSeconds'],
+          properties: {
+            status: {
+              type: 'string',
+              enum: ['ok'],
+              example: 'ok',
+            },
+            uptimeSeconds: {
+              type: 'integer',
+              example: 3600,
+            },
+          },
+        },
+        ReadinessCheck: {
+          type: 'object',
+          required: ['status'],
+          properties: {
+            status: {
+              type: 'string',
+              enum: ['ok', 'error'],
+              example: 'ok',
+            },
+            error: {
+              type: 'string',
+              description: 'Why the check failed',
+              example: 'Database query failed',
+            },
+            pending: {
+              type: 'array',
+              items: {
+                type: 'string',
+              },
+              description: 'Migrations shipped with this build but not applied to the database (migrations check only)',
+              example: [],
+            },
+          },
+        },
+        Readiness: {
+          type: 'object',
+          required: ['status', 'checks'],
+          properties: {
+            status: {
+              type: 'string',
+              enum: ['ready', 'not_ready'],
+              example: 'ready',
+            },
+            checks: {
+              type: 'object',
+              required: ['database', 'migrations'],
+              properties: {
+                database: {
+                  $ref: '#/components/schemas/ReadinessCheck',
+                },
+                migrations: {
+                  $ref: '#/components/schemas/ReadinessCheck',
+                },
+                shutdown: {
+                  $ref: '#/components/schemas/ReadinessCheck',
+                },
+              },
+            },
+          },
+        },
+        WebhookSubscription: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'integer',
+              example: 1,
+            },
+            url: {
+              type: 'string',
+              example: 'https://ledger-sync.internal.example.com/hooks/banking',
+            },
+            events: {
+              type: 'array',
+              items: {
+                type: 'string',
+                enum: ['transfer.completed', 'transfer.reversed', 'account.created', 'account.frozen', 'account.unfrozen', 'account.closed'],
+              },
+              example: ['transfer.completed', 'account.frozen'],
+            },
+            description: {
+              type: 'string',
+              nullable: true,
+              example: 'Ledger sync service',
+            },
+            isActive: {
+              type: 'boolean',
+              example: true,
+            },
+            createdByEmployeeId: {
+              type: 'integer',
+              nullable: true,
+              example: 2,
+            },
+            secret: {
+              type: 'string',
+              description: 'Signing secret. Only returned when the subscription is created; store it then.',
+              example: 'whsec_3f9c2a…',
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time',
+            },
+            updatedAt: {
+              type: 'string',
+              format: 'date-time',
+            },
+          },
+        },
+        WebhookSubscriptionPage: {
+          type: 'object',
+          properties: {
+            total: {
+              type: 'integer',
+              example: 1,
+            },
+            limit: {
+              type: 'integer',
+              example: 20,
+            },
+            offset: {
+              type: 'integer',
+              example: 0,
+            },
+            items: {
+              type: 'array',
+              items: {
+                $ref: '#/components/schemas/WebhookSubscription',
+              },
+            },
+          },
+        },
+        CreateWebhookSubscriptionRequest: {
+          type: 'object',
+          required: ['url', 'events'],
+          properties: {
+            url: {
+              type: 'string',
+              maxLength: 2048,
+              description: 'Absolute http or https URL that receives POSTed events. Loopback and private network hosts are rejected',
+              example: 'https://ledger-sync.internal.example.com/hooks/banking',
+            },
+            events: {
+              type: 'array',
+              items: {
+                type: 'string',
+                enum: ['transfer.completed', 'transfer.reversed', 'account.created', 'account.frozen', 'account.unfrozen', 'account.closed'],
+              },
+              description: 'Event types to receive',
+              example: ['transfer.completed', 'account.frozen'],
+            },
+            description: {
+              type: 'string',
+              maxLength: 200,
+              example: 'Ledger sync service',
+            },
+          },
+        },
+        WebhookDelivery: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'integer',
+              example: 12,
+            },
+            eventId: {
+              type: 'integer',
+              description: 'Outbox event id; sent as `X-Webhook-Id` and repeated on every retry',
+              example: 40,
+            },
+            eventType: {
+              type: 'string',
+              enum: ['transfer.completed', 'transfer.reversed', 'account.created', 'account.frozen', 'account.unfrozen', 'account.closed'],
+              example: 'transfer.completed',
+            },
+            subscriptionId: {
+              type: 'integer',
+              example: 1,
+            },
+            status: {
+              type: 'string',
+              enum: ['PENDING', 'DELIVERED', 'DEAD'],
+              example: 'DEAD',
+            },
+            attempts: {
+              type: 'integer',
+              example: 8,
+            },
+            nextAttemptAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+            },
+            lastAttemptAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+            },
+            lastStatusCode: {
+              type: 'integer',
+              nullable: true,
+              example: 503,
+            },
+            lastError: {
+              type: 'string',
+              nullable: true,
+              example: 'Receiver answered HTTP 503',
+            },
+            deliveredAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time',
+            },
+            updatedAt: {
+              type: 'string',
+              format: 'date-time',
+            },
+          },
+        },
+        WebhookDeliveryPage: {
+          type: 'object',
+          properties: {
+            total: {
+              type: 'integer',
+              example: 1,
+            },
+            limit: {
+              type: 'integer',
+              example: 20,
+            },
+            offset: {
+              type: 'integer',
+              example: 0,
+            },
+            items: {
+              type: 'array',
+              items: {
+                $ref: '#/components/schemas/WebhookDelivery',
+              },
+            },
+          },
+        },
+        BatchTransferRequest: {
+          type: 'object',
+          required: ['mode', 'transfers'],
+          properties: {
+            mode: {
+              type: 'string',
+              enum: ['ALL_OR_NOTHING', 'BEST_EFFORT'],
+              example: 'ALL_OR_NOTHING',
+              description: 'ALL_OR_NOTHING commits every transfer or none of them; BEST_EFFORT commits each transfer on its own and continues past failures',
+            },
+            transfers: {
+              type: 'array',
+              description: 'Between 1 and 100 transfers, executed in order',
+              items: {
+                $ref: '#/components/schemas/TransferRequest',
+              },
+            },
+          },
+        },
+        BatchTransferItemResult: {
+          type: 'object',
+          required: ['index', 'status'],
+          properties: {
+            index: {
+              type: 'integer',
+              example: 0,
+              description: 'Position of the transfer in the request',
+            },
+            status: {
+              type: 'string',
+              enum: ['SUCCEEDED', 'FAILED', 'ROLLED_BACK', 'NOT_ATTEMPTED'],
+              example: 'SUCCEEDED',
+              description: 'ROLLED_BACK and NOT_ATTEMPTED only appear when an ALL_OR_NOTHING batch is rolled back',
+            },
+            transfer: {
+              $ref: '#/components/schemas/Transfer',
+              description: 'Present when status is SUCCEEDED',
+            },
+            code: {
+              type: 'string',
+              example: 'INSUFFICIENT_FUNDS',
+              description: 'Present when status is FAILED: the same code a single transfer would have returned',
+            },
+            errorMessage: {
+              type: 'string',
+              example: 'Insufficient funds',
+              description: 'Present when status is FAILED',
+            },
+          },
+        },
+        BatchTransferResponse: {
+          type: 'object',
+          properties: {
+            mode: {
+              type: 'string',
+              enum: ['ALL_OR_NOTHING', 'BEST_EFFORT'],
+              example: 'BEST_EFFORT',
+            },
+            status: {
+              type: 'string',
+              enum: ['COMPLETED', 'PARTIAL', 'FAILED'],
+              example: 'PARTIAL',
+              description: 'COMPLETED when every transfer succeeded, FAILED when none did, PARTIAL otherwise (BEST_EFFORT only)',
+            },
+            total: {
+              type: 'integer',
+              example: 2,
+            },
+            succeeded: {
+              type: 'integer',
+              example: 1,
+            },
+            failed: {
+              type: 'integer',
+              example: 1,
+            },
+            results: {
+              type: 'array',
+              items: {
+                $ref: '#/components/schemas/BatchTransferItemResult',
+              },
+            },
+          },
+        },
+        BatchRolledBackError: {
+          type: 'object',
+          required: ['errorMessage', 'code'],
+          properties: {
+            errorMessage: {
+              type: 'string',
+              example: 'Batch rolled back: transfer 1 failed: Insufficient funds',
+            },
+            code: {
+              type: 'string',
+              example: 'BATCH_ROLLED_BACK',
+            },
+            failedIndex: {
+              type: 'integer',
+              example: 1,
+              description: 'Position of the transfer that failed (BATCH_ROLLED_BACK only)',
+            },
+            results: {
+              type: 'array',
+              description: 'One entry per transfer (BATCH_ROLLED_BACK only)',
+              items: {
+                $ref: '#/components/schemas/BatchTransferItemResult',
+              },
+            },
+          },
+        },
+        TransferLimit: {
+          type: 'object',
+          description: 'A limit on one transfer',
+          properties: {
+            amount: {
+              $ref: '#/components/schemas/Money',
+            },
+            source: {
+              type: 'string',
+              enum: ['DEFAULT', 'OVERRIDE'],
+              example: 'DEFAULT',
+              description: 'OVERRIDE when a manager set this limit for the account',
+            },
+          },
+        },
+        TransferPeriodLimit: {
+          type: 'object',
+          description: 'A limit on the outgoing total for a period (UTC day or month)',
+          properties: {
+            amount: {
+              $ref: '#/components/schemas/Money',
+            },
+            source: {
+              type: 'string',
+              enum: ['DEFAULT', 'OVERRIDE'],
+              example: 'DEFAULT',
+              description: 'OVERRIDE when a manager set this limit for the account',
+            },
+            used: {
+              $ref: '#/components/schemas/Money',
+              description: 'Outgoing transfers and cash withdrawals so far in the current period',
+            },
+            remaining: {
+              $ref: '#/components/schemas/Money',
+              description: 'What can still be sent in the current period',
+            },
+          },
+        },
+        AccountLimits: {
+          type: 'object',
+          properties: {
+            accountId: {
+              type: 'integer',
+              example: 1,
+            },
+            perTransaction: {
+              $ref: '#/components/schemas/TransferLimit',
+            },
+            daily: {
+              $ref: '#/components/schemas/TransferPeriodLimit',
+            },
+            monthly: {
+              $ref: '#/components/schemas/TransferPeriodLimit',
+            },
+            reason: {
+              type: 'string',
+              nullable: true,
+              example: 'Business account with payroll runs',
+            },
+            updatedByEmployeeId: {
+              type: 'integer',
+              nullable: true,
+              example: 2,
+            },
+            updatedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              example: '2024-01-15T10:35:00.000Z',
+            },
+          },
+        },
+        SetAccountLimitsRequest: {
+          type: 'object',
+          description: 'Replaces every override on the account; a missing or null limit goes back to the default',
+          properties: {
+            perTransaction: {
+              nullable: true,
+              oneOf: [
+                {
+                  type: 'number',
+                  multipleOf: 0.01,
+                },
+                {
+                  type: 'string',
+                  pattern: '^\\d+(\\.\\d{1,2})?$',
+                },
+              ],
+              'x-invalid-message': 'must be a number or decimal string with at most two decimal places',
+              description: 'Largest single transfer out of the account',
+              example: '50000.00',
+            },
+            daily: {
+              nullable: true,
+              oneOf: [
+                {
+                  type: 'number',
+                  multipleOf: 0.01,
+                },
+                {
+                  type: 'string',
+                  pattern: '^\\d+(\\.\\d{1,2})?$',
+                },
+              ],
+              'x-invalid-message': 'must be a number or decimal string with at most two decimal places',
+              description: 'Outgoing total per UTC day',
+              example: '100000.00',
+            },
+            monthly: {
+              nullable: true,
+              oneOf: [
+                {
+                  type: 'number',
+                  multipleOf: 0.01,
+                },
+                {
+                  type: 'string',
+                  pattern: '^\\d+(\\.\\d{1,2})?$',
+                },
+              ],
+              'x-invalid-message': 'must be a number or decimal string with at most two decimal places',
+              description: 'Outgoing total per UTC month',
+              example: null,
+            },
+            reason: {
+              type: 'string',
+              nullable: true,
+              example: 'Business account with payroll runs',
+            },
+          },
+        },
+        TransferApproval: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'integer',
+              example: 7,
+            },
+            fromAccountId: {
+              type: 'integer',
+              example: 1,
+            },
+            toAccountId: {
+              type: 'integer',
+              example: 2,
+            },
+            amount: {
+              $ref: '#/components/schemas/Money',
+            },
+            status: {
+              type: 'string',
+              enum: ['PENDING', 'APPROVED', 'REJECTED', 'EXPIRED'],
+              example: 'PENDING',
+            },
+            requestedByEmployeeId: {
+              type: 'integer',
+              example: 1,
+              description: 'Employee who asked for the transfer; the transfer is executed in their name',
+            },
+            reviewedByEmployeeId: {
+              type: 'integer',
+              nullable: true,
+              example: null,
+              description: 'Employee who approved or rejected it',
+            },
+            reviewedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              example: null,
+            },
+            decisionReason: {
+              type: 'string',
+              nullable: true,
+              example: null,
+            },
+            transferId: {
+              type: 'integer',
+              nullable: true,
+              example: null,
+              description: 'The executed transfer, once approved',
+            },
+            expiresAt: {
+              type: 'string',
+              format: 'date-time',
+              example: '2026-03-31T10:00:00.000Z',
+              description: 'A request still pending at this time becomes EXPIRED',
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time',
+              example: '2026-03-30T10:00:00.000Z',
+            },
+            updatedAt: {
+              type: 'string',
+              format: 'date-time',
+              example: '2026-03-30T10:00:00.000Z',
+            },
+          },
+        },
+        TransferApprovalPage: {
+          type: 'object',
+          properties: {
+            total: {
+              type: 'integer',
+              example: 1,
+            },
+            limit: {
+              type: 'integer',
+              example: 20,
+            },
+            offset: {
+              type: 'integer',
+              example: 0,
+            },
+            items: {
+              type: 'array',
+              items: {
+                $ref: '#/components/schemas/TransferApproval',
+              },
+            },
+          },
+        },
+        PendingTransferResponse: {
+          type: 'object',
+          properties: {
+            approval: {
+              $ref: '#/components/schemas/TransferApproval',
+            },
+          },
+        },
+        ApprovedTransferResponse: {
+          type: 'object',
+          properties: {
+            approval: {
+              $ref: '#/components/schemas/TransferApproval',
+            },
+            transfer: {
+              $ref: '#/components/schemas/Transfer',
+            },
+            fromAccount: {
+              $ref: '#/components/schemas/Account',
+            },
+            toAccount: {
+              $ref: '#/components/schemas/Account',
+            },
+          },
+        },
+        ApproveTransferRequest: {
+          type: 'object',
+          properties: {
+            reason: {
+              type: 'string',
+              example: 'Confirmed with the customer by phone',
+            },
+          },
+        },
+        RejectTransferRequest: {
+          type: 'object',
+          required: ['reason'],
+          properties: {
+            reason: {
+              type: 'string',
+              example: 'Customer did not confirm the payment',
+            },
+          },
+        },
+        FraudRule: {
+          type: 'object',
+          properties: {
+            code: {
+              type: 'string',
+              enum: ['VELOCITY', 'NEW_COUNTERPARTY', 'STRUCTURING', 'BALANCE_DRAIN'],
+              example: 'VELOCITY',
+            },
+            description: {
+              type: 'string',
+              example: 'Many transfers out of one account within a few minutes',
+            },
+            action: {
+              type: 'string',
+              enum: ['ALLOW', 'FLAG', 'BLOCK'],
+              example: 'FLAG',
+              description: 'ALLOW switches the rule off; FLAG lets the transfer through and queues it for review; BLOCK fails it with TRANSFER_BLOCKED',
+            },
+            params: {
+              type: 'object',
+              additionalProperties: {
+                type: 'number',
+              },
+              example: {
+                maxTransfers: 5,
+                windowMinutes: 10,
+              },
+              description: 'The rule\'s parameters, with defaults filled in. Amounts (minAmount, roundTo) are decimal amounts with at most two decimal places.',
+            },
+            source: {
+              type: 'string',
+              enum: ['DEFAULT', 'OVERRIDE'],
+              example: 'DEFAULT',
+              description: 'DEFAULT until a manager changes the rule',
+            },
+            reason: {
+              type: 'string',
+              nullable: true,
+              example: null,
+            },
+            updatedByEmployeeId: {
+              type: 'integer',
+              nullable: true,
+              example: null,
+            },
+            updatedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              example: null,
+            },
+          },
+        },
+        UpdateFraudRuleRequest: {
+          type: 'object',
+          required: ['action'],
+          properties: {
+            action: {
+              type: 'string',
+              enum: ['ALLOW', 'FLAG', 'BLOCK'],
+              example: 'BLOCK',
+            },
+            params: {
+              type: 'object',
+              additionalProperties: {
+                type: 'number',
+              },
+              example: {
+                maxTransfers: 3,
+              },
+              description: 'Parameters to change; any left out go back to their defaults. Amount parameters (minAmount, roundTo) take at most two decimal places.',
+            },
+            reason: {
+              type: 'string',
+              example: 'Card testing seen on several accounts',
+            },
+          },
+        },
+        FraudFlag: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'integer',
+              example: 12,
+            },
+            transferId: {
+              type: 'integer',
+              nullable: true,
+              example: 41,
+              description: 'Null when a BLOCK rule stopped the transfer',
+            },
+            ruleCode: {
+              type: 'string',
+              enum: ['VELOCITY', 'NEW_COUNTERPARTY', 'STRUCTURING', 'BALANCE_DRAIN'],
+              example: 'BALANCE_DRAIN',
+            },
+            action: {
+              type: 'string',
+              enum: ['FLAG', 'BLOCK'],
+              example: 'FLAG',
+              description: 'The rule\'s action when it fired',
+            },
+            fromAccountId: {
+              type: 'integer',
+              nullable: true,
+              example: null,
+              description: 'Source of a blocked attempt',
+            },
+            toAccountId: {
+              type: 'integer',
+              nullable: true,
+              example: null,
+              description: 'Destination of a blocked attempt',
+            },
+            amount: {
+              type: 'string',
+              nullable: true,
+              example: null,
+              description: 'Amount of a blocked attempt',
+            },
+            attemptedByEmployeeId: {
+              type: 'integer',
+              nullable: true,
+              example: null,
+              description: 'Employee who made a blocked attempt',
+            },
+            reason: {
+              type: 'string',
+              example: 'Transfer takes more than 90% of the account\'s balance',
+            },
+            details: {
+              type: 'object',
+              nullable: true,
+              example: {
+                params: {
+                  percent: 90,
+                },
+                balance: '1000.00',
+              },
+              description: 'The parameters the rule ran with and what it measured',
+            },
+            status: {
+              type: 'string',
+              enum: ['OPEN', 'CLEARED', 'CONFIRMED'],
+              example: 'OPEN',
+            },
+            reviewedByEmployeeId: {
+              type: 'integer',
+              nullable: true,
+              example: null,
+            },
+            reviewedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              example: null,
+            },
+            reviewNote: {
+              type: 'string',
+              nullable: true,
+              example: null,
+            },
+            transfer: {
+              $ref: '#/components/schemas/Transfer',
+              description: 'The flagged transfer; absent for blocked attempts',
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time',
+              example: '2026-04-06T09:30:00.000Z',
+            },
+            updatedAt: {
+              type: 'string',
+              format: 'date-time',
+              example: '2026-04-06T09:30:00.000Z',
+            },
+          },
+        },
+        FraudFlagPage: {
+          type: 'object',
+          properties: {
+            total: {
+              type: 'integer',
+              example: 1,
+            },
+            limit: {
+              type: 'integer',
+              example: 20,
+            },
+            offset: {
+              type: 'integer',
+              example: 0,
+            },
+            items: {
+              type: 'array',
+              items: {
+                $ref: '#/components/schemas/FraudFlag',
+              },
+            },
+          },
+        },
+        ReviewFraudFlagRequest: {
+          type: 'object',
+          required: ['resolution'],
+          properties: {
+            resolution: {
+              type: 'string',
+              enum: ['CLEARED', 'CONFIRMED'],
+              example: 'CLEARED',
+              description: 'CLEARED if the transfer is legitimate, CONFIRMED if it is fraud',
+            },
+            note: {
+              type: 'string',
+              example: 'Customer confirmed the payment by phone',
+            },
+          },
+        },
+      },
+    },
+    tags: [
+      {
+        name: 'Authentication',
+        description: 'Employee authentication endpoints',
+      },
+      {
+        name: 'Accounts',
+        description: 'Account management endpoints',
+      },
+      {
+        name: 'Transfers',
+        description: 'Money transfer endpoints',
+      },
+      {
+        name: 'Audit',
+        description: 'Audit trail endpoints (managers only)',
+      },
+      {
+        name: 'Roles',
+        description: 'Role-to-permission mappings (requires roles:manage)',
+      },
+      {
+        name: 'Customers',
+        description: 'Customer management endpoints',
+      },
+      {
+        name: 'Scheduled Transfers',
+        description: 'One-off future and recurring transfers run by the in-process scheduler',
+      },
+      {
+        name: 'Employees',
+        description: 'Employee administration (managers only) and self-service password change',
+      },
+      {
+        name: 'Health',
+        description: 'Liveness and readiness probes for the orchestrator (no authentication)',
+      },
+      {
+        name: 'Metrics',
+        description: 'Prometheus scrape endpoint (no authentication)',
+      },
+      {
+        name: 'Webhooks',
+        description: 'Signed event notifications for downstream systems (requires webhooks:manage)',
+      },
+      {
+        name: 'Transfer Approvals',
+        description: 'Maker-checker queue for transfers above TRANSFER_APPROVAL_THRESHOLD: another employee approves (running the transfer) or rejects them',
+      },
+      {
+        name: 'Fraud Screening',
+        description: 'Rules that screen every transfer before money moves, and the review queue of flagged transfers',
+      },
+    ],
+    paths: {
+      '/api/auth/login': {
+        post: {
+          tags: ['Authentication'],
+          summary: 'Employee Login',
+          description: 'Authenticate an employee and receive a JWT token',
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/LoginRequest',
+                },
+              },
+            },
+          },
+          responses: {
+            '200': {
+              description: 'Login successful',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/LoginResponse',
+                  },
+                },
+              },
+            },
+            '400': {
+              description: 'Missing username or password',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                },
+              },
+            },
+            '401': {
+              description: 'Invalid credentials',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/AuthError',
+                  },
+                },
+              },
+            },
+            '429': {
+              description: 'Too many failed attempts for this username or IP. `LOGIN_THROTTLED` means wait `retryAfterSeconds` before the next attempt; `LOGIN_LOCKED` means the lockout has to expire or a manager has to unlock the employee. Returned for unknown usernames too.',
+              headers: {
+                'Retry-After': {
+                  schema: { type: 'integer' },
+                  description: 'Seconds until the next attempt is accepted',
+                },
+              },
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/LoginThrottled',
+                  },
+                  example: { errorMessage: 'Too many failed login attempts - try again later', code: 'LOGIN_LOCKED', retryAfterSeconds: 900 },
+                },
+              },
+            },
+          },
+        },
+      },
+      '/api/auth/refresh': {
+        post: {
+          tags: ['Authentication'],
+          summary: 'Refresh Tokens',
+          description: 'Exchange a refresh token for a new access token and a new refresh token. Each refresh token can be used once; presenting a used one again revokes the whole session.',
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/RefreshRequest',
+                },
+              },
+            },
+          },
+          responses: {
+            '200': {
+              description: 'Tokens rotated',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/LoginResponse',
+                  },
+                },
+              },
+            },
+            '400': {
+              description: 'Missing refresh token',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'refreshToken is required',
+                    code: 'VALIDATION_ERROR',
+                  },
+                },
+              },
+            },
+            '401': {
+              description: 'Unknown, expired, reused or revoked refresh token',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/AuthError',
+                  },
+                  example: {
+                    errorMessage: 'Invalid refresh token',
+                    code: 'INVALID_REFRESH_TOKEN',
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+      '/api/auth/logout': {
+        post: {
+          tags: ['Authentication'],
+          summary: 'Logout',
+          description: 'Revoke the session behind the access token. Its access and refresh tokens stop working immediately. **Requires authentication.**',
+          security: [{ bearerAuth: [] }],
+          responses: {
+            '204': {
+              description: 'Session revoked',
+            },
+            '401': {
+              description: 'Missing, invalid or revoked token',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/AuthError',
+                  },
+                  example: {
+                    errorMessage: 'Unauthorized - Session has been revoked',
+                    code: 'SESSION_REVOKED',
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+      '/api/accounts': {
+        post: {
+          tags: ['Accounts'],
+          summary: 'Create Bank Account',
+          description: 'Create a new bank account for a customer with an initial deposit. **Requires authentication.**',
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            {
+              $ref: '#/components/parameters/IdempotencyKey',
+            },
+          ],
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/CreateAccountRequest',
+                },
+                example: {
+                  customerId: 1,
+                  initialDeposit: 1000.00,
+                },
+              },
+            },
+          },
+          responses: {
+            '201': {
+              description: 'Account created successfully',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Account',
+                  },
+                },
+              },
+            },
+            '400': {
+              description: 'Bad request - validation error',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  examples: {
+                    missingFields: {
+                      value: {
+                        errorMessage: 'customerId is required; initialDeposit is required',
+                        code: 'VALIDATION_ERROR',
+                      },
+                    },
+                    invalidDeposit: {
+                      value: {
+                        errorMessage: 'Initial Deposit must be greater Zero',
+                        code: 'INVALID_AMOUNT',
+                      },
+                    },
+                    tooManyDecimals: {
+                      value: {
+                        errorMessage: 'Amount cannot have more than two decimal places',
+                        code: 'INVALID_AMOUNT',
+                      },
+                    },
+                  },
+                },
+              },
+            },
+            '404': {
+              description: 'Customer not found',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'Customer not found',
+                    code: 'CUSTOMER_NOT_FOUND',
+                  },
+                },
+              },
+            },
+            '403': {
+              $ref: '#/components/responses/Forbidden',
+            },
+            '409': {
+              $ref: '#/components/responses/IdempotencyConflict',
+            },
+            '422': {
+              $ref: '#/components/responses/IdempotencyKeyReused',
+            },
+          },
+        },
+      },
+      '/api/accounts/{id}': {
+        get: {
+          tags: ['Accounts'],
+          summary: 'Get Account Balance',
+          description: 'Retrieve the current balance for a given account. **Requires authentication.**',
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            {
+              name: 'id',
+              in: 'path',
+              required: true,
+              schema: {
+                type: 'integer',
+              },
+              description: 'ID of the account',
+              example: 1,
+            },
+          ],
+          responses: {
+            '200': {
+              description: 'Balance retrieved successfully',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/BalanceResponse',
+                  },
+                  example: {
+                    accountId: 1,
+                    balance: '1000.00',
+                  },
+                },
+              },
+            },
+            '400': {
+              description: 'Bad request - validation error',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'id must be an integer',
+                    code: 'VALIDATION_ERROR',
+                  },
+                },
+              },
+            },
+            '404': {
+              description: 'Account not found',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'Account not found',
+                    code: 'ACCOUNT_NOT_FOUND',
+                  },
+                },
+              },
+            },
+            '403': {
+              $ref: '#/components/responses/Forbidden',
+            },
+          },
+        },
+      },
+      '/api/accounts/{id}/transfers': {
+        get: {
+          tags: ['Accounts'],
+          summary: 'Get Transfer History',
+          description: 'Retrieve one page of transfers (both sent and received) for a given account, sorted by timestamp (newest first). Pages use opaque cursors; follow `nextCursor` for older transfers and `prevCursor` for newer ones, keeping the same filters. `total` counts every transfer matching the filters. **Requires authentication.**',
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            {
+              name: 'id',
+              in: 'path',
+              required: true,
+              schema: {
+                type: 'integer',
+              },
+              description: 'ID of the account',
+              example: 1,
+            },
+            { name: 'cursor', in: 'query', schema: { type: 'string' }, description: 'nextCursor or prevCursor from a previous page' },
+            { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, default: 20, maximum: 100 }, description: 'Page size' },
+            { name: 'from', in: 'query', schema: { type: 'string', format: 'date-time' }, description: 'Only transfers at or after this time' },
+            { name: 'to', in: 'query', schema: { type: 'string', format: 'date-time' }, description: 'Only transfers at or before this time' },
+            { name: 'minAmount', in: 'query', schema: { type: 'string' }, description: 'Smallest amount to include, e.g. 100.00' },
+            { name: 'maxAmount', in: 'query', schema: { type: 'string' }, description: 'Largest amount to include' },
+            { name: 'direction', in: 'query', schema: { type: 'string', enum: ['incoming', 'outgoing'] }, description: 'Only money received or only money sent' },
+            { name: 'counterpartyAccountId', in: 'query', schema: { type: 'integer', minimum: 1 }, description: 'Only transfers with this other account' },
+          ],
+          responses: {
+            '200': {
+              description: 'Transfer history retrieved successfully',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/TransferHistoryPage',
+                  },
+                  example: {
+                    total: 2,
+                    limit: 20,
+                    nextCursor: null,
+                    prevCursor: null,
+                    items: [
+                      {
+                        id: 2,
+                        fromAccountId: 3,
+                        toAccountId: 1,
+                        amount: '500.00',
+                        timestamp: '2024-01-15T11:00:00.000Z',
+                        fromAccount: {
+                          id: 3,
+                          customer: {
+                            name: 'Rhonda Church',
+                          },
+                        },
+                        toAccount: {
+                          id: 1,
+                          customer: {
+                            name: 'Arisha Barron',
+                          },
+                        },
+                      },
+                      {
+                        id: 1,
+                        fromAccountId: 1,
+                        toAccountId: 2,
+                        amount: '250.00',
+                        timestamp: '2024-01-15T10:35:00.000Z',
+                        fromAccount: {
+                          id: 1,
+                          customer: {
+                            name: 'Arisha Barron',
+                          },
+                        },
+                        toAccount: {
+                          id: 2,
+                          customer: {
+                            name: 'Branden Gibson',
+                          },
+                        },
+                      },
+                    ],
+                  },
+                },
+              },
+            },
+            '400': {
+              description: 'Bad request - invalid accountId, cursor or filter',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'id must be an integer',
+                    code: 'VALIDATION_ERROR',
+                  },
+                },
+              },
+            },
+            '404': {
+              description: 'Account not found',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'Account not found',
+                    code: 'ACCOUNT_NOT_FOUND',
+                  },
+                },
+              },
+            },
+            '403': {
+              $ref: '#/components/responses/Forbidden',
+            },
+          },
+        },
+      },
+      '/api/accounts/{id}/ledger': {
+        get: {
+          tags: ['Accounts'],
+          summary: 'Get Account Ledger',
+          description: 'Retrieve every double-entry posting for an account, oldest first, with the running balance after each line. Opening deposits are posted against the bank funding account. **Requires authentication.**',
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            {
+              name: 'id',
+              in: 'path',
+              required: true,
+              schema: {
+                type: 'integer',
+              },
+              description: 'ID of the account',
+              example: 1,
+            },
+          ],
+          responses: {
+            '200': {
+              description: 'Ledger retrieved successfully',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/AccountLedger',
+                  },
+                },
+              },
+            },
+            '400': {
+              description: 'Bad request - invalid accountId format',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'id must be an integer',
+                    code: 'VALIDATION_ERROR',
+                  },
+                },
+              },
+            },
+            '403': {
+              $ref: '#/components/responses/Forbidden',
+            },
+            '404': {
+              description: 'Account not found',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'Account not found',
+                    code: 'ACCOUNT_NOT_FOUND',
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+      '/api/transfers': {
+        post: {
+          tags: ['Transfers'],
+          summary: 'Transfer Funds',
+          description: 'Transfer funds between two accounts. The transfer is executed atomically using a database transaction. Amounts above TRANSFER_APPROVAL_THRESHOLD are not executed: they are queued for approval (202) and run when another employee approves them through /api/transfer-approvals. Balance and limits are checked before queuing as well as on approval, and the requester\'s role caps apply. It must fit the source account\'s per-transaction, daily and monthly limits and, for tellers, their role\'s per-transfer and daily caps; otherwise it fails with TRANSFER_LIMIT_EXCEEDED naming the limit and the amount still available. The fraud screening rules (see /api/fraud/rules) then run: a rule set to BLOCK fails the transfer with TRANSFER_BLOCKED, a rule set to FLAG lets it through and adds it to the review queue. **Requires authentication.**',
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            {
+              $ref: '#/components/parameters/IdempotencyKey',
+            },
+          ],
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/TransferRequest',
+                },
+                example: {
+                  fromAccountId: 1,
+                  toAccountId: 2,
+                  amount: 250.00,
+                },
+              },
+            },
+          },
+          responses: {
+            '201': {
+              description: 'Transfer completed successfully',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/TransferResponse',
+                  },
+                },
+              },
+            },
+            '202': {
+              description: 'Amount is above TRANSFER_APPROVAL_THRESHOLD: the transfer was queued for approval by another employee and has not moved any money yet',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/PendingTransferResponse',
+                  },
+                },
+              },
+            },
+            '400': {
+              description: 'Bad request - validation error or business logic error',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  examples: {
+                    missingFields: {
+                      value: {
+                        errorMessage: 'fromAccountId is required; toAccountId is required; amount is required',
+                        code: 'VALIDATION_ERROR',
+                      },
+                    },
+                    insufficientFunds: {
+                      value: {
+                        errorMessage: 'Insufficient funds',
+                        code: 'INSUFFICIENT_FUNDS',
+                      },
+                    },
+                    sameAccount: {
+                      value: {
+                        errorMessage: 'Cannot transfer to the same account',
+                        code: 'SAME_ACCOUNT_TRANSFER',
+                      },
+                    },
+                    invalidAmount: {
+                      value: {
+                        errorMessage: 'Transfer amount must be positive and more than Zero',
+                        code: 'INVALID_AMOUNT',
+                      },
+                    },
+                    internalAccount: {
+                      value: {
+                        errorMessage: 'Internal bank accounts cannot be used for transfers',
+                        code: 'INTERNAL_ACCOUNT',
+                      },
+                    },
+                    tooManyDecimals: {
+                      value: {
+                        errorMessage: 'Amount cannot have more than two decimal places',
+                        code: 'INVALID_AMOUNT',
+                      },
+                    },
+                    limitExceeded: {
+                      value: {
+                        errorMessage: 'Transfer exceeds the account\'s daily outgoing limit of 50000.00; 1200.00 remaining',
+                        code: 'TRANSFER_LIMIT_EXCEEDED',
+                        limit: 'ACCOUNT_DAILY',
+                        limitAmount: '50000.00',
+                        remaining: '1200.00',
+                      },
+                    },
+                    blocked: {
+                      value: {
+                        errorMessage: 'Transfer blocked by rule VELOCITY: More than 5 transfers from the account within 10 minutes',
+                        code: 'TRANSFER_BLOCKED',
+                        rule: 'VELOCITY',
+                      },
+                    },
+                  },
+                },
+              },
+            },
+            '404': {
+              description: 'Source or destination account not found',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  examples: {
+                    sourceNotFound: {
+                      value: {
+                        errorMessage: 'Source account does not exist',
+                        code: 'ACCOUNT_NOT_FOUND',
+                      },
+                    },
+                    destinationNotFound: {
+                      value: {
+                        errorMessage: 'Destination account does not exist',
+                        code: 'ACCOUNT_NOT_FOUND',
+                      },
+                    },
+                  },
+                },
+              },
+            },
+            '403': {
+              $ref: '#/components/responses/Forbidden',
+            },
+            '409': {
+              $ref: '#/components/responses/IdempotencyConflict',
+            },
+            '422': {
+              $ref: '#/components/responses/IdempotencyKeyReused',
+            },
+          },
+        },
+      },
+      '/api/audit': {
+        get: {
+          tags: ['Audit'],
+          summary: 'Query Audit Log',
+          description: 'List audit trail entries (logins, account creation, transfers and failed attempts), newest first. **Requires authentication with the manager role.**',
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            { name: 'employeeId', in: 'query', schema: { type: 'integer', minimum: 1 }, description: 'Only entries for this employee' },
+            { name: 'action', in: 'query', schema: { type: 'string' }, description: 'Only entries with this action, e.g. TRANSFER_FAILED' },
+            { name: 'entityType', in: 'query', schema: { type: 'string' }, description: 'Only entries for this entity type, e.g. Account' },
+            { name: 'entityId', in: 'query', schema: { type: 'integer', minimum: 1 }, description: 'Only entries for this entity id' },
+            { name: 'from', in: 'query', schema: { type: 'string', format: 'date-time' }, description: 'Entries on or after this time' },
+            { name: 'to', in: 'query', schema: { type: 'string', format: 'date-time' }, description: 'Entries on or before this time' },
+            { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, default: 50, maximum: 500 } },
+            { name: 'offset', in: 'query', schema: { type: 'integer', minimum: 0, default: 0 } },
+          ],
+          responses: {
+            '200': {
+              description: 'Audit entries retrieved successfully',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/AuditLogPage',
+                  },
+                },
+              },
+            },
+            '400': {
+              description: 'Bad request - invalid filter',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'from must be a valid date',
+                    code: 'VALIDATION_ERROR',
+                  },
+                },
+              },
+            },
+            '403': {
+              $ref: '#/components/responses/Forbidden',
+            },
+          },
+        },
+      },
+      '/api/roles': {
+        get: {
+          tags: ['Roles'],
+          summary: 'List Role Permissions',
+          description: 'List the permissions granted to each role, plus every permission the API knows about. **Requires the roles:manage permission.**',
+          security: [{ bearerAuth: [] }],
+          responses: {
+            '200': {
+              description: 'Mappings retrieved successfully',
+              content: {
+                'application/json': {
+                  example: {
+                    roles: {
+                      teller: ['accounts:create', 'accounts:read', 'transfers:create'],
+                      manager: ['accounts:create', 'accounts:read', 'audit:read', 'roles:manage', 'transfers:create'],
+                    },
+                    availablePermissions: ['accounts:create', 'accounts:read', 'transfers:create', 'audit:read', 'roles:manage'],
+                  },
+                },
+              },
+            },
+            '403': {
+              $ref: '#/components/responses/Forbidden',
+            },
+          },
+        },
+      },
+      '/api/roles/{role}/permissions': {
+        put: {
+          tags: ['Roles'],
+          summary: 'Set Role Permissions',
+          description: 'Replace the full set of permissions granted to a role. Takes effect on the next request. The manager role always keeps roles:manage. **Requires the roles:manage permission.**',
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            {
+              name: 'role',
+              in: 'path',
+              required: true,
+              schema: {
+                type: 'string',
+              },
+              description: 'teller or manager',
+            },
+          ],
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  required: ['permissions'],
+                  properties: {
+                    permissions: {
+                      type: 'array',
+                      items: {
+                        type: 'string',
+                      },
+                    },
+                  },
+                },
+                example: {
+                  permissions: ['accounts:read', 'transfers:create'],
+                },
+              },
+            },
+          },
+          responses: {
+            '200': {
+              description: 'Permissions updated',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/RolePermissions',
+                  },
+                },
+              },
+            },
+            '400': {
+              description: 'Unknown permission or invalid body',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'Unknown permissions: vault:open',
+                    code: 'UNKNOWN_PERMISSION',
+                  },
+                },
+              },
+            },
+            '404': {
+              description: 'Role not found',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                },
+              },
+            },
+            '403': {
+              $ref: '#/components/responses/Forbidden',
+            },
+          },
+        },
+      },
+      '/api/customers': {
+        post: {
+          tags: ['Customers'],
+          summary: 'Create Customer',
+          description: 'Create a new customer. **Requires authentication.**',
+          security: [{ bearerAuth: [] }],
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/CreateCustomerRequest',
+                },
+                example: {
+                  name: 'Ada Lovelace',
+                  email: 'ada@example.com',
+                  phone: '+44 20 7946 0000',
+                },
+              },
+            },
+          },
+          responses: {
+            '201': {
+              description: 'Customer created successfully',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Customer',
+                  },
+                },
+              },
+            },
+            '400': {
+              description: 'Bad request - validation error',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'Invalid email address',
+                    code: 'VALIDATION_ERROR',
+                  },
+                },
+              },
+            },
+            '403': {
+              $ref: '#/components/responses/Forbidden',
+            },
+            '409': {
+              description: 'Email already belongs to another customer',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'A customer with this email already exists',
+                    code: 'CUSTOMER_EMAIL_TAKEN',
+                  },
+                },
+              },
+            },
+          },
+        },
+        get: {
+          tags: ['Customers'],
+          summary: 'List Customers',
+          description: 'List customers ordered by name, optionally filtered by a name fragment. **Requires authentication.**',
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            {
+              name: 'search',
+              in: 'query',
+              schema: {
+                type: 'string',
+              },
+              description: 'Only customers whose name contains this text',
+            },
+            {
+              name: 'limit',
+              in: 'query',
+              schema: {
+                type: 'integer',
+                minimum: 1,
+                default: 20,
+                maximum: 100,
+              },
+            },
+            {
+              name: 'offset',
+              in: 'query',
+              schema: {
+                type: 'integer',
+                minimum: 0,
+                default: 0,
+              },
+            },
+          ],
+          responses: {
+            '200': {
+              description: 'Customers retrieved successfully',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/CustomerPage',
+                  },
+                },
+              },
+            },
+            '400': {
+              description: 'Bad request - invalid pagination',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'limit must be at least 1',
+                    code: 'VALIDATION_ERROR',
+                  },
+                },
+              },
+            },
+            '403': {
+              $ref: '#/components/responses/Forbidden',
+            },
+          },
+        },
+      },
+      '/api/customers/{id}': {
+        get: {
+          tags: ['Customers'],
+          summary: 'Get Customer',
+          description: 'Retrieve a single customer. **Requires authentication.**',
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            {
+              name: 'id',
+              in: 'path',
+              required: true,
+              schema: {
+                type: 'integer',
+              },
+              description: 'ID of the customer',
+              example: 1,
+            },
+          ],
+          responses: {
+            '200': {
+              description: 'Customer retrieved successfully',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Customer',
+                  },
+                },
+              },
+            },
+            '400': {
+              description: 'Bad request - invalid customerId format',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'id must be an integer',
+                    code: 'VALIDATION_ERROR',
+                  },
+                },
+              },
+            },
+            '403': {
+              $ref: '#/components/responses/Forbidden',
+            },
+            '404': {
+              description: 'Customer not found',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'Customer not found',
+                    code: 'CUSTOMER_NOT_FOUND',
+                  },
+                },
+              },
+            },
+          },
+        },
+        patch: {
+          tags: ['Customers'],
+          summary: 'Update Customer',
+          description: 'Update any of name, email or phone. Send `null` to clear email or phone. **Requires authentication.**',
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            {
+              name: 'id',
+              in: 'path',
+              required: true,
+              schema: {
+                type: 'integer',
+              },
+              description: 'ID of the customer',
+              example: 1,
+            },
+          ],
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/CustomerInput',
+                },
+                example: {
+                  phone: '+1 555 010 9999',
+                },
+              },
+            },
+          },
+          responses: {
+            '200': {
+              description: 'Customer updated successfully',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Customer',
+                  },
+                },
+              },
+            },
+            '400': {
+              description: 'Bad request - validation error',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'Invalid phone number',
+                    code: 'VALIDATION_ERROR',
+                  },
+                },
+              },
+            },
+            '403': {
+              $ref: '#/components/responses/Forbidden',
+            },
+            '404': {
+              description: 'Customer not found',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'Customer not found',
+                    code: 'CUSTOMER_NOT_FOUND',
+                  },
+                },
+              },
+            },
+            '409': {
+              description: 'Email already belongs to another customer',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'A customer with this email already exists',
+                    code: 'CUSTOMER_EMAIL_TAKEN',
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+      '/api/customers/{id}/accounts': {
+        get: {
+          tags: ['Customers'],
+          summary: 'List Customer Accounts',
+          description: 'List every account owned by a customer. **Requires authentication.**',
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            {
+              name: 'id',
+              in: 'path',
+              required: true,
+              schema: {
+                type: 'integer',
+              },
+              description: 'ID of the customer',
+              example: 1,
+            },
+          ],
+          responses: {
+            '200': {
+              description: 'Accounts retrieved successfully',
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'array',
+                    items: {
+                      $ref: '#/components/schemas/Account',
+                    },
+                  },
+                },
+              },
+            },
+            '400': {
+              description: 'Bad request - invalid customerId format',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'id must be an integer',
+                    code: 'VALIDATION_ERROR',
+                  },
+                },
+              },
+            },
+            '403': {
+              $ref: '#/components/responses/Forbidden',
+            },
+            '404': {
+              description: 'Customer not found',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'Customer not found',
+                    code: 'CUSTOMER_NOT_FOUND',
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+      '/api/accounts/{id}/deposits': {
+        post: {
+          tags: ['Accounts'],
+          summary: 'Cash Deposit',
+          description: 'Record cash paid in at the counter. The account is credited against the bank funding account in the ledger. **Requires the `cash:deposit` permission.**',
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            {
+              name: 'id',
+              in: 'path',
+              required: true,
+              schema: {
+                type: 'integer',
+              },
+              description: 'ID of the account',
+              example: 1,
+            },
+            {
+              $ref: '#/components/parameters/IdempotencyKey',
+            },
+          ],
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/CashTransactionRequest',
+                },
+                example: {
+                  amount: '100.00',
+                  description: 'Counter deposit',
+                },
+              },
+            },
+          },
+          responses: {
+            '201': {
+              description: 'Deposit recorded successfully',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/CashTransactionResponse',
+                  },
+                },
+              },
+            },
+            '400': {
+              description: 'Bad request - invalid amount',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'amount is required',
+                    code: 'VALIDATION_ERROR',
+                  },
+                },
+              },
+            },
+            '401': {
+              description: 'Unauthorized - missing or invalid token',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/AuthError',
+                  },
+                },
+              },
+            },
+            '403': {
+              $ref: '#/components/responses/Forbidden',
+            },
+            '404': {
+              description: 'Account not found',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'Account not found',
+                    code: 'ACCOUNT_NOT_FOUND',
+                  },
+                },
+              },
+            },
+            '409': {
+              $ref: '#/components/responses/IdempotencyConflict',
+            },
+            '422': {
+              $ref: '#/components/responses/IdempotencyKeyReused',
+            },
+          },
+        },
+      },
+      '/api/accounts/{id}/withdrawals': {
+        post: {
+          tags: ['Accounts'],
+          summary: 'Cash Withdrawal',
+          description: 'Record cash paid out at the counter. Uses the same balance check as transfers, and counts against the account\'s per-transaction, daily and monthly outgoing limits together with transfers (see TRANSFER_LIMIT_EXCEEDED); role caps do not apply. **Requires the `cash:withdraw` permission.**',
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            {
+              name: 'id',
+              in: 'path',
+              required: true,
+              schema: {
+                type: 'integer',
+              },
+              description: 'ID of the account',
+              example: 1,
+            },
+            {
+              $ref: '#/components/parameters/IdempotencyKey',
+            },
+          ],
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/CashTransactionRequest',
+                },
+                example: {
+                  amount: '100.00',
+                  description: 'Counter withdrawal',
+                },
+              },
+            },
+          },
+          responses: {
+            '201': {
+              description: 'Withdrawal recorded successfully',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/CashTransactionResponse',
+                  },
+                },
+              },
+            },
+            '400': {
+              description: 'Bad request - invalid amount, insufficient funds or an outgoing limit exceeded',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  examples: {
+                    insufficientFunds: {
+                      value: {
+                        errorMessage: 'Insufficient funds',
+                        code: 'INSUFFICIENT_FUNDS',
+                      },
+                    },
+                    limitExceeded: {
+                      value: {
+                        errorMessage: 'Withdrawal exceeds the account\'s daily outgoing limit of 50000.00; 1250.00 remaining',
+                        code: 'TRANSFER_LIMIT_EXCEEDED',
+                        details: {
+                          limit: 'ACCOUNT_DAILY',
+                          limitAmount: '50000.00',
+                          remaining: '1250.00',
+                        },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+            '401': {
+              description: 'Unauthorized - missing or invalid token',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/AuthError',
+                  },
+                },
+              },
+            },
+            '403': {
+              $ref: '#/components/responses/Forbidden',
+            },
+            '404': {
+              description: 'Account not found',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'Account not found',
+                    code: 'ACCOUNT_NOT_FOUND',
+                  },
+                },
+              },
+            },
+            '409': {
+              $ref: '#/components/responses/IdempotencyConflict',
+            },
+            '422': {
+              $ref: '#/components/responses/IdempotencyKeyReused',
+            },
+          },
+        },
+      },
+      '/api/accounts/{id}/transactions': {
+        get: {
+          tags: ['Accounts'],
+          summary: 'Get Account Transactions',
+          description: 'One page of the combined feed of transfers and cash transactions for an account, newest first. Pages use opaque cursors; follow `nextCursor` for older items and `prevCursor` for newer ones. `total` counts every item on the account. **Requires the `accounts:read` permission.**',
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            {
+              name: 'id',
+              in: 'path',
+              required: true,
+              schema: {
+                type: 'integer',
+              },
+              description: 'ID of the account',
+              example: 1,
+            },
+            { name: 'cursor', in: 'query', schema: { type: 'string' }, description: 'nextCursor or prevCursor from a previous page' },
+            { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, default: 20, maximum: 100 }, description: 'Page size' },
+          ],
+          responses: {
+            '200': {
+              description: 'Transactions retrieved successfully',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/AccountTransactionPage',
+                  },
+                },
+              },
+            },
+            '400': {
+              description: 'Bad request - invalid accountId format or cursor',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'id must be an integer',
+                    code: 'VALIDATION_ERROR',
+                  },
+                },
+              },
+            },
+            '401': {
+              description: 'Unauthorized - missing or invalid token',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/AuthError',
+                  },
+                },
+              },
+            },
+            '403': {
+              $ref: '#/components/responses/Forbidden',
+            },
+            '404': {
+              description: 'Account not found',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'Account not found',
+                    code: 'ACCOUNT_NOT_FOUND',
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+      '/api/accounts/{id}/freeze': {
+        post: {
+          tags: ['Accounts'],
+          summary: 'Freeze Account',
+          description: 'Stop all outgoing money from an account. Incoming transfers and deposits are still accepted. **Requires the `accounts:freeze` permission (managers by default).**',
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            {
+              name: 'id',
+              in: 'path',
+              required: true,
+              schema: {
+                type: 'integer',
+              },
+              description: 'ID of the account',
+              example: 1,
+            },
+          ],
+          requestBody: {
+            required: false,
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/AccountStatusRequest',
+                },
+              },
+            },
+          },
+          responses: {
+            '200': {
+              description: 'Status changed successfully',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Account',
+                  },
+                },
+              },
+            },
+            '400': {
+              description: 'Bad request - invalid accountId or reason',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'id must be an integer',
+                    code: 'VALIDATION_ERROR',
+                  },
+                },
+              },
+            },
+            '401': {
+              description: 'Unauthorized - missing or invalid token',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/AuthError',
+                  },
+                },
+              },
+            },
+            '403': {
+              $ref: '#/components/responses/Forbidden',
+            },
+            '404': {
+              description: 'Account not found',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'Account not found',
+                    code: 'ACCOUNT_NOT_FOUND',
+                  },
+                },
+              },
+            },
+            '409': {
+              description: 'Conflict - transition not allowed from the current status',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'Cannot change account status from CLOSED to FROZEN',
+                    code: 'INVALID_STATUS_TRANSITION',
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+      '/api/accounts/{id}/unfreeze': {
+        post: {
+          tags: ['Accounts'],
+          summary: 'Unfreeze Account',
+          description: 'Return a frozen account to ACTIVE. **Requires the `accounts:freeze` permission (managers by default).**',
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            {
+              name: 'id',
+              in: 'path',
+              required: true,
+              schema: {
+                type: 'integer',
+              },
+              description: 'ID of the account',
+              example: 1,
+            },
+          ],
+          requestBody: {
+            required: false,
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/AccountStatusRequest',
+                },
+              },
+            },
+          },
+          responses: {
+            '200': {
+              description: 'Status changed successfully',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Account',
+                  },
+                },
+              },
+            },
+            '400': {
+              description: 'Bad request - invalid accountId or reason',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'id must be an integer',
+                    code: 'VALIDATION_ERROR',
+                  },
+                },
+              },
+            },
+            '401': {
+              description: 'Unauthorized - missing or invalid token',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/AuthError',
+                  },
+                },
+              },
+            },
+            '403': {
+              $ref: '#/components/responses/Forbidden',
+            },
+            '404': {
+              description: 'Account not found',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'Account not found',
+                    code: 'ACCOUNT_NOT_FOUND',
+                  },
+                },
+              },
+            },
+            '409': {
+              description: 'Conflict - account is not frozen',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'Cannot change account status from ACTIVE to ACTIVE',
+                    code: 'INVALID_STATUS_TRANSITION',
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+      '/api/accounts/{id}/close': {
+        post: {
+          tags: ['Accounts'],
+          summary: 'Close Account',
+          description: 'Close an account permanently. The balance must be zero and a frozen account has to be unfrozen first. **Requires the `accounts:close` permission (managers by default).**',
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            {
+              name: 'id',
+              in: 'path',
+              required: true,
+              schema: {
+                type: 'integer',
+              },
+              description: 'ID of the account',
+              example: 1,
+            },
+          ],
+          requestBody: {
+            required: false,
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/AccountStatusRequest',
+                },
+              },
+            },
+          },
+          responses: {
+            '200': {
+              description: 'Status changed successfully',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Account',
+                  },
+                },
+              },
+            },
+            '400': {
+              description: 'Bad request - invalid accountId or reason',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'id must be an integer',
+                    code: 'VALIDATION_ERROR',
+                  },
+                },
+              },
+            },
+            '401': {
+              description: 'Unauthorized - missing or invalid token',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/AuthError',
+                  },
+                },
+              },
+            },
+            '403': {
+              $ref: '#/components/responses/Forbidden',
+            },
+            '404': {
+              description: 'Account not found',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'Account not found',
+                    code: 'ACCOUNT_NOT_FOUND',
+                  },
+                },
+              },
+            },
+            '409': {
+              description: 'Conflict - non-zero balance or transition not allowed',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'Account balance must be zero before closing',
+                    code: 'ACCOUNT_BALANCE_NOT_ZERO',
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+      '/api/accounts/{id}/statement': {
+        get: {
+          tags: ['Accounts'],
+          summary: 'Get Account Statement',
+          description: 'Statement for a period with the opening balance, every movement with its running balance, and the closing balance. Lines come from the ledger; transfer lines name the counterparty account and customer. Use `format=csv` or `format=pdf` to download a file instead of JSON. **Requires the `accounts:read` permission.**',
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            {
+              name: 'id',
+              in: 'path',
+              required: true,
+              schema: {
+                type: 'integer',
+              },
+              description: 'ID of the account',
+              example: 1,
+            },
+            {
+              name: 'from',
+              in: 'query',
+              schema: {
+                type: 'string',
+                format: 'date-time',
+              },
+              description: 'Start of the period (inclusive). Omit to start at account opening',
+            },
+            {
+              name: 'to',
+              in: 'query',
+              schema: {
+                type: 'string',
+                format: 'date-time',
+              },
+              description: 'End of the period (inclusive). A date like 2026-01-31 covers the whole day. Defaults to now',
+            },
+            {
+              name: 'format',
+              in: 'query',
+              schema: {
+                type: 'string',
+                enum: ['json', 'csv', 'pdf'],
+                default: 'json',
+              },
+              description: 'Response format',
+            },
+          ],
+          responses: {
+            '200': {
+              description: 'Statement generated successfully',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Statement',
+                  },
+                },
+                'text/csv': {
+                  schema: {
+                    type: 'string',
+                  },
+                },
+                'application/pdf': {
+                  schema: {
+                    type: 'string',
+                    format: 'binary',
+                  },
+                },
+              },
+            },
+            '400': {
+              description: 'Bad request - invalid accountId, date or format',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'from cannot be after to',
+                    code: 'VALIDATION_ERROR',
+                  },
+                },
+              },
+            },
+            '401': {
+              description: 'Unauthorized - missing or invalid token',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/AuthError',
+                  },
+                },
+              },
+            },
+            '403': {
+              $ref: '#/components/responses/Forbidden',
+            },
+            '404': {
+              description: 'Account not found',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'Account not found',
+                    code: 'ACCOUNT_NOT_FOUND',
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+      '/api/scheduled-transfers': {
+        post: {
+          tags: ['Scheduled Transfers'],
+          summary: 'Schedule Transfer',
+          description: 'Schedule a one-off future transfer or a recurring one. Each due occurrence is run through the normal transfer rules; failed attempts are retried (`SCHEDULED_TRANSFER_MAX_ATTEMPTS`, `SCHEDULED_TRANSFER_RETRY_MINUTES`) and then marked failed. Monthly schedules keep the start day of the month, using the last day in shorter months. Amounts above TRANSFER_APPROVAL_THRESHOLD cannot be scheduled (APPROVAL_REQUIRED), since the scheduler runs transfers without a second employee. **Requires the `schedules:create` permission.**',
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            {
+              $ref: '#/components/parameters/IdempotencyKey',
+            },
+          ],
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/ScheduledTransferRequest',
+                },
+                example: {
+                  fromAccountId: 1,
+                  toAccountId: 2,
+                  amount: '850.00',
+                  frequency: 'MONTHLY',
+                  startAt: '2026-03-01T09:00:00.000Z',
+                  maxRuns: 12,
+                  description: 'Rent',
+                },
+              },
+            },
+          },
+          responses: {
+            '201': {
+              description: 'Scheduled transfer created',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/ScheduledTransfer',
+                  },
+                },
+              },
+            },
+            '400': {
+              description: 'Bad request - missing or invalid fields',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'startAt must be in the future',
+                    code: 'VALIDATION_ERROR',
+                  },
+                },
+              },
+            },
+            '401': {
+              description: 'Unauthorized - missing or invalid token',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/AuthError',
+                  },
+                },
+              },
+            },
+            '403': {
+              $ref: '#/components/responses/Forbidden',
+            },
+            '404': {
+              description: 'Account not found',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'Source account does not exist',
+                    code: 'ACCOUNT_NOT_FOUND',
+                  },
+                },
+              },
+            },
+            '409': {
+              $ref: '#/components/responses/IdempotencyConflict',
+            },
+            '422': {
+              $ref: '#/components/responses/IdempotencyKeyReused',
+            },
+          },
+        },
+        get: {
+          tags: ['Scheduled Transfers'],
+          summary: 'List Scheduled Transfers',
+          description: 'Newest first. **Requires the `schedules:read` permission.**',
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            {
+              name: 'status',
+              in: 'query',
+              schema: {
+                type: 'string',
+                enum: ['ACTIVE', 'PAUSED', 'COMPLETED', 'CANCELLED', 'FAILED'],
+              },
+              description: 'Only schedules with this status',
+            },
+            {
+              name: 'accountId',
+              in: 'query',
+              schema: {
+                type: 'integer',
+                minimum: 1,
+              },
+              description: 'Only schedules paying from or into this account',
+            },
+            {
+              name: 'limit',
+              in: 'query',
+              schema: {
+                type: 'integer',
+                minimum: 1,
+                default: 20,
+                maximum: 100,
+              },
+            },
+            {
+              name: 'offset',
+              in: 'query',
+              schema: {
+                type: 'integer',
+                minimum: 0,
+                default: 0,
+              },
+            },
+          ],
+          responses: {
+            '200': {
+              description: 'Scheduled transfers retrieved',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/ScheduledTransferPage',
+                  },
+                },
+              },
+            },
+            '400': {
+              description: 'Bad request - invalid filter',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'limit must be at least 1',
+                    code: 'VALIDATION_ERROR',
+                  },
+                },
+              },
+            },
+            '401': {
+              description: 'Unauthorized - missing or invalid token',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/AuthError',
+                  },
+                },
+              },
+            },
+            '403': {
+              $ref: '#/components/responses/Forbidden',
+            },
+          },
+        },
+      },
+      '/api/scheduled-transfers/{id}': {
+        get: {
+          tags: ['Scheduled Transfers'],
+          summary: 'Get Scheduled Transfer',
+          description: 'A schedule with its 50 most recent runs. **Requires the `schedules:read` permission.**',
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            {
+              name: 'id',
+              in: 'path',
+              required: true,
+              schema: {
+                type: 'integer',
+              },
+              description: 'ID of the scheduled transfer',
+              example: 1,
+            },
+          ],
+          responses: {
+            '200': {
+              description: 'Scheduled transfer retrieved',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/ScheduledTransfer',
+                  },
+                },
+              },
+            },
+            '400': {
+              description: 'Bad request - invalid id',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'id must be an integer',
+                    code: 'VALIDATION_ERROR',
+                  },
+                },
+              },
+            },
+            '401': {
+              description: 'Unauthorized - missing or invalid token',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/AuthError',
+                  },
+                },
+              },
+            },
+            '403': {
+              $ref: '#/components/responses/Forbidden',
+            },
+            '404': {
+              description: 'Scheduled transfer not found',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'Scheduled transfer not found',
+                    code: 'SCHEDULED_TRANSFER_NOT_FOUND',
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+      '/api/scheduled-transfers/{id}/pause': {
+        post: {
+          tags: ['Scheduled Transfers'],
+          summary: 'Pause Scheduled Transfer',
+          description: 'Stop running an ACTIVE schedule until it is resumed. **Requires the `schedules:manage` permission.**',
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            {
+              name: 'id',
+              in: 'path',
+              required: true,
+              schema: {
+                type: 'integer',
+              },
+              description: 'ID of the scheduled transfer',
+              example: 1,
+            },
+          ],
+          responses: {
+            '200': {
+              description: 'Schedule updated',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/ScheduledTransfer',
+                  },
+                },
+              },
+            },
+            '400': {
+              description: 'Bad request - invalid id',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'id must be an integer',
+                    code: 'VALIDATION_ERROR',
+                  },
+                },
+              },
+            },
+            '401': {
+              description: 'Unauthorized - missing or invalid token',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/AuthError',
+                  },
+                },
+              },
+            },
+            '403': {
+              $ref: '#/components/responses/Forbidden',
+            },
+            '404': {
+              description: 'Scheduled transfer not found',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'Scheduled transfer not found',
+                    code: 'SCHEDULED_TRANSFER_NOT_FOUND',
+                  },
+                },
+              },
+            },
+            '409': {
+              description: 'Conflict - not allowed from the current status',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'Cannot pause a CANCELLED scheduled transfer',
+                    code: 'INVALID_STATUS_TRANSITION',
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+      '/api/scheduled-transfers/{id}/resume': {
+        post: {
+          tags: ['Scheduled Transfers'],
+          summary: 'Resume Scheduled Transfer',
+          description: 'Resume a PAUSED schedule. Occurrences that fell due while paused are skipped. **Requires the `schedules:manage` permission.**',
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            {
+              name: 'id',
+              in: 'path',
+              required: true,
+              schema: {
+                type: 'integer',
+              },
+              description: 'ID of the scheduled transfer',
+              example: 1,
+            },
+          ],
+          responses: {
+            '200': {
+              description: 'Schedule updated',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/ScheduledTransfer',
+                  },
+                },
+              },
+            },
+            '400': {
+              description: 'Bad request - invalid id',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'id must be an integer',
+                    code: 'VALIDATION_ERROR',
+                  },
+                },
+              },
+            },
+            '401': {
+              description: 'Unauthorized - missing or invalid token',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/AuthError',
+                  },
+                },
+              },
+            },
+            '403': {
+              $ref: '#/components/responses/Forbidden',
+            },
+            '404': {
+              description: 'Scheduled transfer not found',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'Scheduled transfer not found',
+                    code: 'SCHEDULED_TRANSFER_NOT_FOUND',
+                  },
+                },
+              },
+            },
+            '409': {
+              description: 'Conflict - not allowed from the current status',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'Cannot resume a ACTIVE scheduled transfer',
+                    code: 'INVALID_STATUS_TRANSITION',
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+      '/api/scheduled-transfers/{id}/cancel': {
+        post: {
+          tags: ['Scheduled Transfers'],
+          summary: 'Cancel Scheduled Transfer',
+          description: 'Cancel an ACTIVE or PAUSED schedule for good. **Requires the `schedules:manage` permission.**',
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            {
+              name: 'id',
+              in: 'path',
+              required: true,
+              schema: {
+                type: 'integer',
+              },
+              description: 'ID of the scheduled transfer',
+              example: 1,
+            },
+          ],
+          responses: {
+            '200': {
+              description: 'Schedule updated',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/ScheduledTransfer',
+                  },
+                },
+              },
+            },
+            '400': {
+              description: 'Bad request - invalid id',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'id must be an integer',
+                    code: 'VALIDATION_ERROR',
+                  },
+                },
+              },
+            },
+            '401': {
+              description: 'Unauthorized - missing or invalid token',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/AuthError',
+                  },
+                },
+              },
+            },
+            '403': {
+              $ref: '#/components/responses/Forbidden',
+            },
+            '404': {
+              description: 'Scheduled transfer not found',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'Scheduled transfer not found',
+                    code: 'SCHEDULED_TRANSFER_NOT_FOUND',
+                  },
+                },
+              },
+            },
+            '409': {
+              description: 'Conflict - not allowed from the current status',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'Cannot cancel a COMPLETED scheduled transfer',
+                    code: 'INVALID_STATUS_TRANSITION',
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+      '/api/transfers/{id}/reversal': {
+        post: {
+          tags: ['Transfers'],
+          summary: 'Reverse Transfer',
+          description: 'Move the money of a transfer back with a new, linked transfer in the opposite direction. A transfer can be reversed only once and a reversal cannot be reversed. Fails without changing anything if the original destination no longer holds the amount. **Requires the `transfers:reverse` permission (managers by default).**',
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            {
+              name: 'id',
+              in: 'path',
+              required: true,
+              schema: {
+                type: 'integer',
+              },
+              description: 'ID of the transfer to reverse',
+              example: 1,
+            },
+            {
+              $ref: '#/components/parameters/IdempotencyKey',
+            },
+          ],
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/ReversalRequest',
+                },
+                example: {
+                  reason: 'Sent to the wrong account',
+                },
+              },
+            },
+          },
+          responses: {
+            '201': {
+              description: 'Transfer reversed successfully',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/ReversalResponse',
+                  },
+                },
+              },
+            },
+            '400': {
+              description: 'Bad request - missing reason, insufficient funds or account status',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'Insufficient funds in destination account to reverse transfer',
+                    code: 'INSUFFICIENT_FUNDS',
+                  },
+                },
+              },
+            },
+            '401': {
+              description: 'Unauthorized - missing or invalid token',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/AuthError',
+                  },
+                },
+              },
+            },
+            '403': {
+              $ref: '#/components/responses/Forbidden',
+            },
+            '404': {
+              description: 'Transfer not found',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'Transfer not found',
+                    code: 'TRANSFER_NOT_FOUND',
+                  },
+                },
+              },
+            },
+            '409': {
+              description: 'Conflict - already reversed, a reversal, or an in-progress idempotent retry',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'Transfer has already been reversed',
+                    code: 'TRANSFER_ALREADY_REVERSED',
+                  },
+                },
+              },
+            },
+            '422': {
+              $ref: '#/components/responses/IdempotencyKeyReused',
+            },
+          },
+        },
+      },
+      '/api/employees/me/password': {
+        put: {
+          tags: ['Employees'],
+          summary: 'Change Own Password',
+          description: 'Change the signed-in employee\'s password. The current password is required. Every other session of the employee is revoked; the current one stays signed in. **Requires authentication.**',
+          security: [{ bearerAuth: [] }],
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/ChangePasswordRequest',
+                },
+              },
+            },
+          },
+          responses: {
+            '204': {
+              description: 'Password changed',
+            },
+            '400': {
+              description: 'Missing fields, wrong current password or weak new password',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'Current password is incorrect',
+                    code: 'INVALID_CURRENT_PASSWORD',
+                  },
+                },
+              },
+            },
+            '401': {
+              description: 'Unauthorized - missing or invalid token',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/AuthError',
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+      '/api/employees': {
+        post: {
+          tags: ['Employees'],
+          summary: 'Create Employee',
+          description: 'Create an employee with an initial password. **Requires `employees:manage` (managers by default).**',
+          security: [{ bearerAuth: [] }],
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/CreateEmployeeRequest',
+                },
+              },
+            },
+          },
+          responses: {
+            '201': {
+              description: 'Employee created',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Employee',
+                  },
+                  example: {
+                    id: 3,
+                    username: 'jdoe',
+                    name: 'Jane Doe',
+                    role: 'teller',
+                    isActive: true,
+                    deactivatedAt: null,
+                    passwordChangedAt: null,
+                    createdAt: '2026-03-02T09:00:00.000Z',
+                    updatedAt: '2026-03-02T09:00:00.000Z',
+                  },
+                },
+              },
+            },
+            '400': {
+              description: 'Validation error',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'Password must be at least 8 characters',
+                    code: 'WEAK_PASSWORD',
+                  },
+                },
+              },
+            },
+            '401': {
+              description: 'Unauthorized - missing or invalid token',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/AuthError',
+                  },
+                },
+              },
+            },
+            '403': {
+              $ref: '#/components/responses/Forbidden',
+            },
+            '409': {
+              description: 'Username taken',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'An employee with this username already exists',
+                    code: 'USERNAME_TAKEN',
+                  },
+                },
+              },
+            },
+          },
+        },
+        get: {
+          tags: ['Employees'],
+          summary: 'List Employees',
+          description: 'Paginated employee list, ordered by username. Password hashes are never returned. **Requires `employees:manage` (managers by default).**',
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            {
+              name: 'role',
+              in: 'query',
+              schema: {
+                type: 'string',
+                enum: ['teller', 'manager'],
+              },
+            },
+            {
+              name: 'active',
+              in: 'query',
+              schema: {
+                type: 'boolean',
+              },
+              description: 'Only active (true) or deactivated (false) employees',
+            },
+            {
+              name: 'limit',
+              in: 'query',
+              schema: {
+                type: 'integer',
+                minimum: 1,
+                default: 20,
+                maximum: 100,
+              },
+            },
+            {
+              name: 'offset',
+              in: 'query',
+              schema: {
+                type: 'integer',
+                minimum: 0,
+                default: 0,
+              },
+            },
+          ],
+          responses: {
+            '200': {
+              description: 'Employees',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/EmployeeList',
+                  },
+                },
+              },
+            },
+            '400': {
+              description: 'Invalid query parameter',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'active must be true or false',
+                    code: 'VALIDATION_ERROR',
+                  },
+                },
+              },
+            },
+            '401': {
+              description: 'Unauthorized - missing or invalid token',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/AuthError',
+                  },
+                },
+              },
+            },
+            '403': {
+              $ref: '#/components/responses/Forbidden',
+            },
+          },
+        },
+      },
+      '/api/employees/{id}/deactivate': {
+        post: {
+          tags: ['Employees'],
+          summary: 'Deactivate Employee',
+          description: 'Deactivate an employee. They can no longer log in, every session is revoked and previously issued tokens are rejected. Managers cannot deactivate themselves. **Requires `employees:manage` (managers by default).**',
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            {
+              name: 'id',
+              in: 'path',
+              required: true,
+              schema: {
+                type: 'integer',
+              },
+              description: 'ID of the employee',
+              example: 1,
+            },
+          ],
+          responses: {
+            '200': {
+              description: 'Employee deactivated',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Employee',
+                  },
+                },
+              },
+            },
+            '400': {
+              description: 'Invalid ID or self-deactivation',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'Employees cannot deactivate themselves',
+                    code: 'SELF_DEACTIVATION',
+                  },
+                },
+              },
+            },
+            '401': {
+              description: 'Unauthorized - missing or invalid token',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/AuthError',
+                  },
+                },
+              },
+            },
+            '403': {
+              $ref: '#/components/responses/Forbidden',
+            },
+            '404': {
+              description: 'Employee not found',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'Employee not found',
+                    code: 'EMPLOYEE_NOT_FOUND',
+                  },
+                },
+              },
+            },
+            '409': {
+              description: 'Already deactivated',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'Employee is already deactivated',
+                    code: 'EMPLOYEE_ALREADY_DEACTIVATED',
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+      '/api/employees/{id}/role': {
+        put: {
+          tags: ['Employees'],
+          summary: 'Change Employee Role',
+          description: 'Change an employee\'s role. Takes effect on their next request. Managers cannot change their own role. **Requires `employees:manage` (managers by default).**',
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            {
+              name: 'id',
+              in: 'path',
+              required: true,
+              schema: {
+                type: 'integer',
+              },
+              description: 'ID of the employee',
+              example: 1,
+            },
+          ],
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/ChangeRoleRequest',
+                },
+              },
+            },
+          },
+          responses: {
+            '200': {
+              description: 'Role changed',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Employee',
+                  },
+                },
+              },
+            },
+            '400': {
+              description: 'Unknown role or own role',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'Role must be one of: teller, manager',
+                    code: 'VALIDATION_ERROR',
+                  },
+                },
+              },
+            },
+            '401': {
+              description: 'Unauthorized - missing or invalid token',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/AuthError',
+                  },
+                },
+              },
+            },
+            '403': {
+              $ref: '#/components/responses/Forbidden',
+            },
+            '404': {
+              description: 'Employee not found',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'Employee not found',
+                    code: 'EMPLOYEE_NOT_FOUND',
+                  },
+                },
+              },
+            },
+            '409': {
+              description: 'Employee is deactivated',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'Cannot change the role of a deactivated employee',
+                    code: 'EMPLOYEE_DEACTIVATED',
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+      '/api/employees/{id}/unlock': {
+        post: {
+          tags: ['Employees'],
+          summary: 'Unlock Employee Login',
+          description: 'Clear the failed login attempts recorded for the employee\'s username, lifting a lockout early. IP lockouts are not affected. **Requires `employees:manage` (managers by default).**',
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            {
+              name: 'id',
+              in: 'path',
+              required: true,
+              schema: {
+                type: 'integer',
+              },
+              description: 'ID of the employee',
+              example: 1,
+            },
+          ],
+          responses: {
+            '200': {
+              description: 'Lockout cleared',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/UnlockResult',
+                  },
+                },
+              },
+            },
+            '400': {
+              description: 'Invalid employee ID',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'id must be an integer',
+                    code: 'VALIDATION_ERROR',
+                  },
+                },
+              },
+            },
+            '401': {
+              description: 'Unauthorized - missing or invalid token',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/AuthError',
+                  },
+                },
+              },
+            },
+            '403': {
+              $ref: '#/components/responses/Forbidden',
+            },
+            '404': {
+              description: 'Employee not found',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'Employee not found',
+                    code: 'EMPLOYEE_NOT_FOUND',
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+      '/api/employees/{id}/sessions': {
+        delete: {
+          tags: ['Employees'],
+          summary: 'Revoke Employee Sessions',
+          description: 'Sign an employee out of every device. Their access tokens are rejected on the next request. **Requires `sessions:revoke` (managers by default).**',
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            {
+              name: 'id',
+              in: 'path',
+              required: true,
+              schema: {
+                type: 'integer',
+              },
+              description: 'ID of the employee',
+              example: 1,
+            },
+          ],
+          responses: {
+            '200': {
+              description: 'Sessions revoked',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/RevokedSessions',
+                  },
+                },
+              },
+            },
+            '400': {
+              description: 'Invalid employee ID',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'id must be an integer',
+                    code: 'VALIDATION_ERROR',
+                  },
+                },
+              },
+            },
+            '401': {
+              description: 'Unauthorized - missing or invalid token',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/AuthError',
+                  },
+                },
+              },
+            },
+            '403': {
+              $ref: '#/components/responses/Forbidden',
+            },
+            '404': {
+              description: 'Employee not found',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'Employee not found',
+                    code: 'EMPLOYEE_NOT_FOUND',
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+      '/health': {
+        get: {
+          tags: ['Health'],
+          summary: 'Liveness probe',
+          description: 'Answers as long as the process is running. Does not touch the database, so a database outage does not get healthy instances restarted.',
+          responses: {
+            '200': {
+              description: 'Process is alive',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Health',
+                  },
+                  example: {
+                    status: 'ok',
+                    uptimeSeconds: 3600,
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+      '/ready': {
+        get: {
+          tags: ['Health'],
+          summary: 'Readiness probe',
+          description: 'Checks the database connection and that every migration shipped with this build has been applied. Returns 503 while either fails and from the moment the server receives SIGTERM, so traffic is drained before shutdown.',
+          responses: {
+            '200': {
+              description: 'Ready to serve traffic',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Readiness',
+                  },
+                  example: {
+                    status: 'ready',
+                    checks: {
+                      database: {
+                        status: 'ok',
+                      },
+                      migrations: {
+                        status: 'ok',
+                        pending: [],
+                      },
+                    },
+                  },
+                },
+              },
+            },
+            '503': {
+              description: 'Not ready; `checks` shows which check failed',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Readiness',
+                  },
+                  example: {
+                    status: 'not_ready',
+                    checks: {
+                      database: {
+                        status: 'ok',
+                      },
+                      migrations: {
+                        status: 'error',
+                        pending: ['20260316090000_add_example'],
+                        error: '1 migration(s) not applied',
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+      '/metrics': {
+        get: {
+          tags: ['Metrics'],
+          summary: 'Prometheus metrics',
+          description: 'Counters and histograms in the Prometheus text exposition format (version 0.0.4):\n\n- `http_requests_total` and `http_request_duration_seconds` by `method`, `route` (pattern such as `/api/accounts/:id`, or `unmatched` for requests turned away before reaching a route, such as unknown paths and missing tokens) and `status`\n- `banking_transfers_total` and `banking_transfer_volume_cents_total` by `type` (`transfer`, `reversal`)\n- `banking_insufficient_funds_rejections_total` by `operation` (`transfer`, `reversal`, `cash_withdrawal`)\n- `banking_transfer_limit_rejections_total` by `limit` (`ACCOUNT_PER_TRANSACTION`, `ACCOUNT_DAILY`, `ACCOUNT_MONTHLY`, `ROLE_PER_TRANSACTION`, `ROLE_DAILY`)\n- `banking_logins_total` by `outcome` (`success`, `failure`, `locked`)\n- `banking_transfer_transaction_duration_seconds` by `operation` (`transfer`, `batch`, `reversal`) and `outcome` (`committed`, `rolled_back`)\n\nValues are kept in memory per process and start from zero on restart. Not authenticated: expose it only to the scraper.',
+          responses: {
+            '200': {
+              description: 'Current metric values',
+              content: {
+                'text/plain': {
+                  schema: {
+                    type: 'string',
+                  },
+                  example: '# HELP http_requests_total HTTP requests answered, by method, route pattern and status\n# TYPE http_requests_total counter\nhttp_requests_total{method="POST",route="/api/transfers",status="201"} 42\n# HELP banking_transfers_total Transfers executed (type is transfer or reversal)\n# TYPE banking_transfers_total counter\nbanking_transfers_total{type="transfer"} 42\n',
+                },
+              },
+            },
+          },
+        },
+      },
+      '/api/webhooks': {
+        post: {
+          tags: ['Webhooks'],
+          summary: 'Create Webhook Subscription',
+          description: 'Register a URL to receive events. Events are written to an outbox in the same database transaction as the change, then POSTed as JSON `{ id, type, createdAt, data }` by the webhook dispatcher.\n\n**Signature**: every request carries `X-Webhook-Timestamp` (Unix seconds) and `X-Webhook-Signature: sha256=<hex>`, the HMAC-SHA256 of `<timestamp>.<raw body>` keyed with the subscription `secret`. Verify it with a constant-time comparison and reject stale timestamps. `X-Webhook-Id` (the event id) and `X-Webhook-Event` identify the event; delivery is at least once, so deduplicate on `X-Webhook-Id`.\n\n**Retries**: any 2xx answer is success. Anything else (including redirects and timeouts) is retried with exponential backoff (`WEBHOOK_RETRY_BASE_SECONDS`, doubling, at most 6 hours apart) until `WEBHOOK_MAX_ATTEMPTS`, after which the delivery is dead-lettered (`DEAD`).\n\nThe `secret` is only returned in this response. **Requires the `webhooks:manage` permission.**',
+          security: [{ bearerAuth: [] }],
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/CreateWebhookSubscriptionRequest',
+                },
+                example: {
+                  url: 'https://ledger-sync.internal.example.com/hooks/banking',
+                  events: ['transfer.completed', 'account.frozen'],
+                  description: 'Ledger sync service',
+                },
+              },
+            },
+          },
+          responses: {
+            '201': {
+              description: 'Subscription created; includes the signing secret',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/WebhookSubscription',
+                  },
+                  example: {
+                    id: 1,
+                    url: 'https://ledger-sync.internal.example.com/hooks/banking',
+                    events: ['transfer.completed', 'account.frozen'],
+                    description: 'Ledger sync service',
+                    isActive: true,
+                    createdByEmployeeId: 2,
+                    createdAt: '2026-03-16T10:00:00.000Z',
+                    updatedAt: '2026-03-16T10:00:00.000Z',
+                    secret: 'whsec_3f9c2a…',
+                  },
+                },
+              },
+            },
+            '400': {
+              description: 'Bad request - invalid URL or unknown event type',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'Unknown event types: transfer.created',
+                    code: 'UNKNOWN_EVENT_TYPE',
+                  },
+                },
+              },
+            },
+            '401': {
+              description: 'Unauthorized - missing or invalid token',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/AuthError',
+                  },
+                },
+              },
+            },
+            '403': {
+              $ref: '#/components/responses/Forbidden',
+            },
+          },
+        },
+        get: {
+          tags: ['Webhooks'],
+          summary: 'List Webhook Subscriptions',
+          description: 'Newest first. Secrets are never included. **Requires the `webhooks:manage` permission.**',
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            {
+              name: 'limit',
+              in: 'query',
+              schema: {
+                type: 'integer',
+                minimum: 1,
+                default: 20,
+                maximum: 100,
+              },
+              description: 'Page size',
+            },
+            {
+              name: 'offset',
+              in: 'query',
+              schema: {
+                type: 'integer',
+                minimum: 0,
+                default: 0,
+              },
+            },
+          ],
+          responses: {
+            '200': {
+              description: 'Subscriptions retrieved',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/WebhookSubscriptionPage',
+                  },
+                },
+              },
+            },
+            '400': {
+              description: 'Bad request - invalid paging',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'limit must be at most 100',
+                    code: 'VALIDATION_ERROR',
+                  },
+                },
+              },
+            },
+            '401': {
+              description: 'Unauthorized - missing or invalid token',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/AuthError',
+                  },
+                },
+              },
+            },
+            '403': {
+              $ref: '#/components/responses/Forbidden',
+            },
+          },
+        },
+      },
+      '/api/webhooks/{id}': {
+        get: {
+          tags: ['Webhooks'],
+          summary: 'Get Webhook Subscription',
+          description: 'A subscription without its secret. **Requires the `webhooks:manage` permission.**',
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            {
+              name: 'id',
+              in: 'path',
+              required: true,
+              schema: {
+                type: 'integer',
+              },
+              description: 'ID of the webhook subscription',
+              example: 1,
+            },
+          ],
+          responses: {
+            '200': {
+              description: 'Subscription retrieved',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/WebhookSubscription',
+                  },
+                  example: {
+                    id: 1,
+                    url: 'https://ledger-sync.internal.example.com/hooks/banking',
+                    events: ['transfer.completed', 'account.frozen'],
+                    description: 'Ledger sync service',
+                    isActive: true,
+                    createdByEmployeeId: 2,
+                    createdAt: '2026-03-16T10:00:00.000Z',
+                    updatedAt: '2026-03-16T10:00:00.000Z',
+                  },
+                },
+              },
+            },
+            '400': {
+              description: 'Bad request - invalid id',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'id must be an integer',
+                    code: 'VALIDATION_ERROR',
+                  },
+                },
+              },
+            },
+            '401': {
+              description: 'Unauthorized - missing or invalid token',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/AuthError',
+                  },
+                },
+              },
+            },
+            '403': {
+              $ref: '#/components/responses/Forbidden',
+            },
+            '404': {
+              description: 'Webhook subscription not found',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'Webhook subscription not found',
+                    code: 'WEBHOOK_SUBSCRIPTION_NOT_FOUND',
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+      '/api/webhooks/{id}/disable': {
+        post: {
+          tags: ['Webhooks'],
+          summary: 'Disable Webhook Subscription',
+          description: 'Stop sending events to the subscription. Deliveries still waiting for a retry are dead-lettered. Disabled subscriptions cannot be re-enabled; create a new one instead. **Requires the `webhooks:manage` permission.**',
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            {
+              name: 'id',
+              in: 'path',
+              required: true,
+              schema: {
+                type: 'integer',
+              },
+              description: 'ID of the webhook subscription',
+              example: 1,
+            },
+          ],
+          responses: {
+            '200': {
+              description: 'Subscription disabled',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/WebhookSubscription',
+                  },
+                  example: {
+                    id: 1,
+                    url: 'https://ledger-sync.internal.example.com/hooks/banking',
+                    events: ['transfer.completed', 'account.frozen'],
+                    description: 'Ledger sync service',
+                    isActive: false,
+                    createdByEmployeeId: 2,
+                    createdAt: '2026-03-16T10:00:00.000Z',
+                    updatedAt: '2026-03-16T10:00:00.000Z',
+                  },
+                },
+              },
+            },
+            '400': {
+              description: 'Bad request - invalid id',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'id must be an integer',
+                    code: 'VALIDATION_ERROR',
+                  },
+                },
+              },
+            },
+            '401': {
+              description: 'Unauthorized - missing or invalid token',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/AuthError',
+                  },
+                },
+              },
+            },
+            '403': {
+              $ref: '#/components/responses/Forbidden',
+            },
+            '404': {
+              description: 'Webhook subscription not found',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'Webhook subscription not found',
+                    code: 'WEBHOOK_SUBSCRIPTION_NOT_FOUND',
+                  },
+                },
+              },
+            },
+            '409': {
+              description: 'Subscription is already disabled',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'Webhook subscription is already disabled',
+                    code: 'WEBHOOK_SUBSCRIPTION_DISABLED',
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+      '/api/webhooks/{id}/deliveries': {
+        get: {
+          tags: ['Webhooks'],
+          summary: 'List Webhook Deliveries',
+          description: 'Delivery attempts for one subscription, newest first. Filter by `DEAD` to find the dead-letter queue. **Requires the `webhooks:manage` permission.**',
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            {
+              name: 'id',
+              in: 'path',
+              required: true,
+              schema: {
+                type: 'integer',
+              },
+              description: 'ID of the webhook subscription',
+              example: 1,
+            },
+            {
+              name: 'status',
+              in: 'query',
+              schema: {
+                type: 'string',
+                enum: ['PENDING', 'DELIVERED', 'DEAD'],
+              },
+              description: 'Only deliveries with this status',
+            },
+            {
+              name: 'limit',
+              in: 'query',
+              schema: {
+                type: 'integer',
+                minimum: 1,
+                default: 20,
+                maximum: 100,
+              },
+              description: 'Page size',
+            },
+            {
+              name: 'offset',
+              in: 'query',
+              schema: {
+                type: 'integer',
+                minimum: 0,
+                default: 0,
+              },
+            },
+          ],
+          responses: {
+            '200': {
+              description: 'Deliveries retrieved',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/WebhookDeliveryPage',
+                  },
+                },
+              },
+            },
+            '400': {
+              description: 'Bad request - invalid id or filter',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'status must be one of: PENDING, DELIVERED, DEAD',
+                    code: 'VALIDATION_ERROR',
+                  },
+                },
+              },
+            },
+            '401': {
+              description: 'Unauthorized - missing or invalid token',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/AuthError',
+                  },
+                },
+              },
+            },
+            '403': {
+              $ref: '#/components/responses/Forbidden',
+            },
+            '404': {
+              description: 'Webhook subscription not found',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'Webhook subscription not found',
+                    code: 'WEBHOOK_SUBSCRIPTION_NOT_FOUND',
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+      '/api/webhooks/deliveries/{id}/redeliver': {
+        post: {
+          tags: ['Webhooks'],
+          summary: 'Redeliver Webhook',
+          description: 'Send a delivered or dead-lettered delivery again with a fresh set of attempts. The first attempt is made before responding, so the response shows its outcome; if it fails, the normal retry schedule takes over. The receiver sees the same event id as before. **Requires the `webhooks:manage` permission.**',
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            {
+              name: 'id',
+              in: 'path',
+              required: true,
+              schema: {
+                type: 'integer',
+              },
+              description: 'ID of the webhook delivery',
+              example: 1,
+            },
+          ],
+          responses: {
+            '200': {
+              description: 'Redelivery attempted; `status` is DELIVERED or PENDING (retrying)',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/WebhookDelivery',
+                  },
+                },
+              },
+            },
+            '400': {
+              description: 'Bad request - invalid id',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'id must be an integer',
+                    code: 'VALIDATION_ERROR',
+                  },
+                },
+              },
+            },
+            '401': {
+              description: 'Unauthorized - missing or invalid token',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/AuthError',
+                  },
+                },
+              },
+            },
+            '403': {
+              $ref: '#/components/responses/Forbidden',
+            },
+            '404': {
+              description: 'Webhook delivery not found',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'Webhook delivery not found',
+                    code: 'WEBHOOK_DELIVERY_NOT_FOUND',
+                  },
+                },
+              },
+            },
+            '409': {
+              description: 'Delivery is already waiting to be sent, or its subscription is disabled',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'Delivery is already waiting to be sent',
+                    code: 'WEBHOOK_DELIVERY_PENDING',
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+      '/api/transfers/batch': {
+        post: {
+          tags: ['Transfers'],
+          summary: 'Batch Transfer',
+          description: 'Execute up to 100 transfers in order. Each transfer follows the same existence, status and balance rules as POST /api/transfers, and several transfers may debit the same source account: each one is checked against the balance left by those before it. In ALL_OR_NOTHING mode the batch runs in one database transaction and the first failure rolls back every transfer (400 BATCH_ROLLED_BACK, with a result per transfer). In BEST_EFFORT mode each transfer commits on its own and the response reports which succeeded. Transfers above TRANSFER_APPROVAL_THRESHOLD need approval and fail with APPROVAL_REQUIRED; send them to POST /api/transfers instead. **Requires the `transfers:create` permission.**',
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            {
+              $ref: '#/components/parameters/IdempotencyKey',
+            },
+          ],
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/BatchTransferRequest',
+                },
+                example: {
+                  mode: 'ALL_OR_NOTHING',
+                  transfers: [
+                    {
+                      fromAccountId: 1,
+                      toAccountId: 2,
+                      amount: 250.0,
+                    },
+                    {
+                      fromAccountId: 1,
+                      toAccountId: 3,
+                      amount: 100.0,
+                    },
+                  ],
+                },
+              },
+            },
+          },
+          responses: {
+            '200': {
+              description: 'Batch processed. For BEST_EFFORT, check `status` and each result',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/BatchTransferResponse',
+                  },
+                  example: {
+                    mode: 'BEST_EFFORT',
+                    status: 'PARTIAL',
+                    total: 2,
+                    succeeded: 1,
+                    failed: 1,
+                    results: [
+                      {
+                        index: 0,
+                        status: 'SUCCEEDED',
+                        transfer: {
+                          id: 12,
+                          fromAccountId: 1,
+                          toAccountId: 2,
+                          amount: '250.00',
+                          executedByEmployeeId: 1,
+                          reversalOfId: null,
+                          reversalReason: null,
+                          timestamp: '2024-01-15T10:35:00.000Z',
+                        },
+                      },
+                      {
+                        index: 1,
+                        status: 'FAILED',
+                        code: 'INSUFFICIENT_FUNDS',
+                        errorMessage: 'Insufficient funds',
+                      },
+                    ],
+                  },
+                },
+              },
+            },
+            '400': {
+              description: 'Invalid batch (VALIDATION_ERROR, EMPTY_BATCH, BATCH_TOO_LARGE), or an ALL_OR_NOTHING batch rolled back because one transfer failed (BATCH_ROLLED_BACK)',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/BatchRolledBackError',
+                  },
+                  example: {
+                    errorMessage: 'Batch rolled back: transfer 1 failed: Insufficient funds',
+                    code: 'BATCH_ROLLED_BACK',
+                    failedIndex: 1,
+                    results: [
+                      {
+                        index: 0,
+                        status: 'ROLLED_BACK',
+                      },
+                      {
+                        index: 1,
+                        status: 'FAILED',
+                        code: 'INSUFFICIENT_FUNDS',
+                        errorMessage: 'Insufficient funds',
+                      },
+                      {
+                        index: 2,
+                        status: 'NOT_ATTEMPTED',
+                      },
+                    ],
+                  },
+                },
+              },
+            },
+            '401': {
+              description: 'Unauthorized - missing or invalid token',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/AuthError',
+                  },
+                },
+              },
+            },
+            '403': {
+              $ref: '#/components/responses/Forbidden',
+            },
+            '409': {
+              $ref: '#/components/responses/IdempotencyConflict',
+            },
+            '422': {
+              $ref: '#/components/responses/IdempotencyKeyReused',
+            },
+          },
+        },
+      },
+      '/api/accounts/{id}/limits': {
+        get: {
+          tags: ['Accounts'],
+          summary: 'Get Transfer Limits',
+          description: 'The outgoing limits that apply to an account, whether each is the default or an account override, and how much of the daily and monthly limits transfers and cash withdrawals have used. Tellers are also capped per transfer and per day by their role (see TRANSFER_LIMIT_EXCEEDED). **Requires the `accounts:read` permission.**',
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            {
+              name: 'id',
+              in: 'path',
+              required: true,
+              schema: {
+                type: 'integer',
+              },
+              description: 'ID of the account',
+              example: 1,
+            },
+          ],
+          responses: {
+            '200': {
+              description: 'Limits in force',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/AccountLimits',
+                  },
+                  example: {
+                    accountId: 1,
+                    perTransaction: {
+                      amount: '50000.00',
+                      source: 'OVERRIDE',
+                    },
+                    daily: {
+                      amount: '100000.00',
+                      source: 'OVERRIDE',
+                      used: '1250.00',
+                      remaining: '98750.00',
+                    },
+                    monthly: {
+                      amount: '250000.00',
+                      source: 'DEFAULT',
+                      used: '8300.00',
+                      remaining: '241700.00',
+                    },
+                    reason: 'Business account with payroll runs',
+                    updatedByEmployeeId: 2,
+                    updatedAt: '2024-01-15T10:35:00.000Z',
+                  },
+                },
+              },
+            },
+            '400': {
+              description: 'Bad request - invalid accountId or an internal account',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'id must be an integer',
+                    code: 'VALIDATION_ERROR',
+                  },
+                },
+              },
+            },
+            '401': {
+              description: 'Unauthorized - missing or invalid token',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/AuthError',
+                  },
+                },
+              },
+            },
+            '403': {
+              $ref: '#/components/responses/Forbidden',
+            },
+            '404': {
+              description: 'Account not found',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'Account not found',
+                    code: 'ACCOUNT_NOT_FOUND',
+                  },
+                },
+              },
+            },
+          },
+        },
+        put: {
+          tags: ['Accounts'],
+          summary: 'Set Transfer Limits',
+          description: 'Replace the account\'s limit overrides. Limits left out or set to null go back to the defaults. Audited as ACCOUNT_LIMITS_UPDATED. **Requires the `accounts:limits` permission (managers by default).**',
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            {
+              name: 'id',
+              in: 'path',
+              required: true,
+              schema: {
+                type: 'integer',
+              },
+              description: 'ID of the account',
+              example: 1,
+            },
+          ],
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/SetAccountLimitsRequest',
+                },
+                example: {
+                  perTransaction: '50000.00',
+                  daily: '100000.00',
+                  reason: 'Business account with payroll runs',
+                },
+              },
+            },
+          },
+          responses: {
+            '200': {
+              description: 'Overrides saved; the limits now in force',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/AccountLimits',
+                  },
+                  example: {
+                    accountId: 1,
+                    perTransaction: {
+                      amount: '50000.00',
+                      source: 'OVERRIDE',
+                    },
+                    daily: {
+                      amount: '100000.00',
+                      source: 'OVERRIDE',
+                      used: '1250.00',
+                      remaining: '98750.00',
+                    },
+                    monthly: {
+                      amount: '250000.00',
+                      source: 'DEFAULT',
+                      used: '8300.00',
+                      remaining: '241700.00',
+                    },
+                    reason: 'Business account with payroll runs',
+                    updatedByEmployeeId: 2,
+                    updatedAt: '2024-01-15T10:35:00.000Z',
+                  },
+                },
+              },
+            },
+            '400': {
+              description: 'Bad request - invalid amount or an internal account',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'daily must be greater than zero',
+                    code: 'INVALID_AMOUNT',
+                  },
+                },
+              },
+            },
+            '401': {
+              description: 'Unauthorized - missing or invalid token',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/AuthError',
+                  },
+                },
+              },
+            },
+            '403': {
+              $ref: '#/components/responses/Forbidden',
+            },
+            '404': {
+              description: 'Account not found',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'Account not found',
+                    code: 'ACCOUNT_NOT_FOUND',
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+      '/api/transfer-approvals': {
+        get: {
+          tags: ['Transfer Approvals'],
+          summary: 'List Transfer Approvals',
+          description: 'The approval queue, oldest first. Requests past their expiry are marked EXPIRED before the list is read. **Requires the `transfers:approve` permission (managers by default).**',
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            {
+              name: 'status',
+              in: 'query',
+              schema: {
+                type: 'string',
+                enum: ['PENDING', 'APPROVED', 'REJECTED', 'EXPIRED'],
+              },
+              description: 'Only requests with this status, e.g. PENDING for the open queue',
+            },
+            {
+              name: 'limit',
+              in: 'query',
+              schema: {
+                type: 'integer',
+                minimum: 1,
+                default: 20,
+                maximum: 100,
+              },
+              description: 'Page size',
+            },
+            {
+              name: 'offset',
+              in: 'query',
+              schema: {
+                type: 'integer',
+                minimum: 0,
+                default: 0,
+              },
+              description: 'Number of requests to skip',
+            },
+          ],
+          responses: {
+            '200': {
+              description: 'One page of approval requests',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/TransferApprovalPage',
+                  },
+                  example: {
+                    total: 1,
+                    limit: 20,
+                    offset: 0,
+                    items: [
+                      {
+                        id: 7,
+                        fromAccountId: 1,
+                        toAccountId: 2,
+                        amount: '12000.00',
+                        status: 'PENDING',
+                        requestedByEmployeeId: 1,
+                        reviewedByEmployeeId: null,
+                        reviewedAt: null,
+                        decisionReason: null,
+                        transferId: null,
+                        expiresAt: '2026-03-31T10:00:00.000Z',
+                        createdAt: '2026-03-30T10:00:00.000Z',
+                        updatedAt: '2026-03-30T10:00:00.000Z',
+                      },
+                    ],
+                  },
+                },
+              },
+            },
+            '400': {
+              description: 'Invalid query parameters',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'status must be one of: PENDING, APPROVED, REJECTED, EXPIRED',
+                    code: 'VALIDATION_ERROR',
+                  },
+                },
+              },
+            },
+            '401': {
+              description: 'Unauthorized - missing or invalid token',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/AuthError',
+                  },
+                },
+              },
+            },
+            '403': {
+              $ref: '#/components/responses/Forbidden',
+            },
+          },
+        },
+      },
+      '/api/transfer-approvals/{id}': {
+        get: {
+          tags: ['Transfer Approvals'],
+          summary: 'Get Transfer Approval',
+          description: 'One approval request, so the employee who asked for a large transfer can follow it. **Requires the `transfers:create` permission.**',
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            {
+              name: 'id',
+              in: 'path',
+              required: true,
+              schema: {
+                type: 'integer',
+              },
+              description: 'ID of the approval request',
+              example: 1,
+            },
+          ],
+          responses: {
+            '200': {
+              description: 'The approval request',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/TransferApproval',
+                  },
+                  example: {
+                    id: 7,
+                    fromAccountId: 1,
+                    toAccountId: 2,
+                    amount: '12000.00',
+                    status: 'PENDING',
+                    requestedByEmployeeId: 1,
+                    reviewedByEmployeeId: null,
+                    reviewedAt: null,
+                    decisionReason: null,
+                    transferId: null,
+                    expiresAt: '2026-03-31T10:00:00.000Z',
+                    createdAt: '2026-03-30T10:00:00.000Z',
+                    updatedAt: '2026-03-30T10:00:00.000Z',
+                  },
+                },
+              },
+            },
+            '400': {
+              description: 'Invalid id',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'id must be an integer',
+                    code: 'VALIDATION_ERROR',
+                  },
+                },
+              },
+            },
+            '401': {
+              description: 'Unauthorized - missing or invalid token',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/AuthError',
+                  },
+                },
+              },
+            },
+            '403': {
+              $ref: '#/components/responses/Forbidden',
+            },
+            '404': {
+              description: 'Approval request not found',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'Transfer approval not found',
+                    code: 'APPROVAL_NOT_FOUND',
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+      '/api/transfer-approvals/{id}/approve': {
+        post: {
+          tags: ['Transfer Approvals'],
+          summary: 'Approve Transfer',
+          description: 'Execute the queued transfer. It goes through the same checks as POST /api/transfers at this moment (balance, account status, limits), in the name of the employee who requested it; the approval is marked APPROVED in the same transaction. If a check fails the request stays PENDING and that error is returned. The approver must be a different employee from the requester. **Requires the `transfers:approve` permission (managers by default).**',
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            {
+              name: 'id',
+              in: 'path',
+              required: true,
+              schema: {
+                type: 'integer',
+              },
+              description: 'ID of the approval request',
+              example: 1,
+            },
+            {
+              $ref: '#/components/parameters/IdempotencyKey',
+            },
+          ],
+          requestBody: {
+            required: false,
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/ApproveTransferRequest',
+                },
+              },
+            },
+          },
+          responses: {
+            '200': {
+              description: 'Transfer executed',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/ApprovedTransferResponse',
+                  },
+                },
+              },
+            },
+            '400': {
+              description: 'The transfer failed a check, e.g. INSUFFICIENT_FUNDS or TRANSFER_LIMIT_EXCEEDED; the request stays pending',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'Insufficient funds',
+                    code: 'INSUFFICIENT_FUNDS',
+                  },
+                },
+              },
+            },
+            '401': {
+              description: 'Unauthorized - missing or invalid token',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/AuthError',
+                  },
+                },
+              },
+            },
+            '403': {
+              description: 'Missing permission, or the approval was requested by the same employee (SELF_APPROVAL_NOT_ALLOWED)',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'Transfers must be approved or rejected by a different employee than the one who requested them',
+                    code: 'SELF_APPROVAL_NOT_ALLOWED',
+                  },
+                },
+              },
+            },
+            '404': {
+              description: 'Approval request not found',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'Transfer approval not found',
+                    code: 'APPROVAL_NOT_FOUND',
+                  },
+                },
+              },
+            },
+            '409': {
+              description: 'The request is no longer pending (APPROVAL_NOT_PENDING) or has expired (APPROVAL_EXPIRED)',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'Transfer approval has expired',
+                    code: 'APPROVAL_EXPIRED',
+                  },
+                },
+              },
+            },
+            '422': {
+              $ref: '#/components/responses/IdempotencyKeyReused',
+            },
+          },
+        },
+      },
+      '/api/transfer-approvals/{id}/reject': {
+        post: {
+          tags: ['Transfer Approvals'],
+          summary: 'Reject Transfer',
+          description: 'Reject a queued transfer; no money moves. The rejecting employee must be different from the requester. **Requires the `transfers:approve` permission (managers by default).**',
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            {
+              name: 'id',
+              in: 'path',
+              required: true,
+              schema: {
+                type: 'integer',
+              },
+              description: 'ID of the approval request',
+              example: 1,
+            },
+          ],
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/RejectTransferRequest',
+                },
+                example: {
+                  reason: 'Customer did not confirm the payment',
+                },
+              },
+            },
+          },
+          responses: {
+            '200': {
+              description: 'Request rejected',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/TransferApproval',
+                  },
+                },
+              },
+            },
+            '400': {
+              description: 'Missing reason',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'Rejection reason is required',
+                    code: 'VALIDATION_ERROR',
+                  },
+                },
+              },
+            },
+            '401': {
+              description: 'Unauthorized - missing or invalid token',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/AuthError',
+                  },
+                },
+              },
+            },
+            '403': {
+              description: 'Missing permission, or the approval was requested by the same employee (SELF_APPROVAL_NOT_ALLOWED)',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'Transfers must be approved or rejected by a different employee than the one who requested them',
+                    code: 'SELF_APPROVAL_NOT_ALLOWED',
+                  },
+                },
+              },
+            },
+            '404': {
+              description: 'Approval request not found',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'Transfer approval not found',
+                    code: 'APPROVAL_NOT_FOUND',
+                  },
+                },
+              },
+            },
+            '409': {
+              description: 'The request is no longer pending (APPROVAL_NOT_PENDING) or has expired (APPROVAL_EXPIRED)',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'Transfer approval has expired',
+                    code: 'APPROVAL_EXPIRED',
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+      '/api/fraud/rules': {
+        get: {
+          tags: ['Fraud Screening'],
+          summary: 'List Fraud Rules',
+          description: 'Every screening rule with its current action and parameters. **Requires the `fraud:review` permission (managers by default).**',
+          security: [{ bearerAuth: [] }],
+          responses: {
+            '200': {
+              description: 'The screening rules',
+              content: {
+                'application/json': {
+                  example: {
+                    rules: [
+                      {
+                        code: 'VELOCITY',
+                        description: 'Many transfers out of one account within a few minutes',
+                        action: 'FLAG',
+                        params: {
+                          maxTransfers: 5,
+                          windowMinutes: 10,
+                        },
+                        source: 'DEFAULT',
+                        reason: null,
+                        updatedByEmployeeId: null,
+                        updatedAt: null,
+                      },
+                    ],
+                  },
+                },
+              },
+            },
+            '401': {
+              description: 'Unauthorized - missing or invalid token',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/AuthError',
+                  },
+                },
+              },
+            },
+            '403': {
+              $ref: '#/components/responses/Forbidden',
+            },
+          },
+        },
+      },
+      '/api/fraud/rules/{code}': {
+        put: {
+          tags: ['Fraud Screening'],
+          summary: 'Update Fraud Rule',
+          description: 'Set what a rule does when it fires and its parameters. The change applies to the next transfer; no restart is needed. **Requires the `fraud:rules` permission (managers by default).**',
+          security: [{ bearerAuth: [] }],
+          parameters: [
             {
-              name: 'id',
+              name: 'code',
               in: 'path',
               required: true,
               schema: {
-                type: 'integer',
+                type: 'string',
               },
-              description: 'ID of the account',
-              example: 1,
+              description: 'Rule code',
+              example: 'VELOCITY',
             },
           ],
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/UpdateFraudRuleRequest',
+                },
+                example: {
+                  action: 'BLOCK',
+                  params: {
+                    maxTransfers: 3,
+                  },
+                  reason: 'Card testing seen on several accounts',
+                },
+              },
+            },
+          },
           responses: {
             '200': {
-              description: 'Balance retrieved successfully',
+              description: 'Rule updated',
               content: {
                 'application/json': {
                   schema: {
-                    $ref: '#/components/schemas/BalanceResponse',
-                  },
-                  example: {
-                    accountId: 1,
-                    balance: 1000.00,
+                    $ref: '#/components/schemas/FraudRule',
                   },
                 },
               },
             },
             '400': {
-              description: 'Bad request - validation error',
+              description: 'Invalid action or parameters',
               content: {
                 'application/json': {
                   schema: {
                     $ref: '#/components/schemas/Error',
                   },
                   example: {
-                    errorMessage: 'accountId must be a valid number',
+                    errorMessage: 'Unknown parameter: maxAmount',
+                    code: 'UNKNOWN_RULE_PARAMETER',
+                  },
+                },
+              },
+            },
+            '401': {
+              description: 'Unauthorized - missing or invalid token',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/AuthError',
                   },
                 },
               },
             },
+            '403': {
+              $ref: '#/components/responses/Forbidden',
+            },
             '404': {
-              description: 'Account not found',
+              description: 'No rule with this code',
               content: {
                 'application/json': {
                   schema: {
                     $ref: '#/components/schemas/Error',
                   },
                   example: {
-                    errorMessage: 'Account not found',
+                    errorMessage: 'Fraud rule not found',
+                    code: 'RULE_NOT_FOUND',
                   },
                 },
               },
@@ -480,189 +6850,199 @@ const swaggerSpec = {
           },
         },
       },
-      '/api/accounts/{id}/transfers': {
+      '/api/fraud/flags': {
         get: {
-          tags: ['Accounts'],
-          summary: 'Get Transfer History',
-          description: 'Retrieve all transfers (both sent and received) for a given account, sorted by timestamp (newest first). **Requires authentication.**',
+          tags: ['Fraud Screening'],
+          summary: 'List Fraud Flags',
+          description: 'The review queue, one entry per rule that fired, oldest first: transfers that a FLAG rule let through, and attempts that a BLOCK rule stopped (these have no transfer; the attempt is on the flag). **Requires the `fraud:review` permission (managers by default).**',
           security: [{ bearerAuth: [] }],
           parameters: [
             {
-              name: 'id',
-              in: 'path',
-              required: true,
+              name: 'status',
+              in: 'query',
+              schema: {
+                type: 'string',
+                enum: ['OPEN', 'CLEARED', 'CONFIRMED'],
+              },
+              description: 'Only flags with this status, e.g. OPEN for the open queue',
+            },
+            {
+              name: 'rule',
+              in: 'query',
+              schema: {
+                type: 'string',
+                enum: ['VELOCITY', 'NEW_COUNTERPARTY', 'STRUCTURING', 'BALANCE_DRAIN'],
+              },
+              description: 'Only flags raised by this rule',
+            },
+            {
+              name: 'limit',
+              in: 'query',
               schema: {
                 type: 'integer',
+                minimum: 1,
+                default: 20,
+                maximum: 100,
               },
-              description: 'ID of the account',
-              example: 1,
+              description: 'Page size',
+            },
+            {
+              name: 'offset',
+              in: 'query',
+              schema: {
+                type: 'integer',
+                minimum: 0,
+                default: 0,
+              },
+              description: 'Number of flags to skip',
             },
           ],
           responses: {
             '200': {
-              description: 'Transfer history retrieved successfully',
+              description: 'One page of flags',
               content: {
                 'application/json': {
                   schema: {
-                    type: 'array',
-                    items: {
-                      $ref: '#/components/schemas/TransferHistoryItem',
-                    },
+                    $ref: '#/components/schemas/FraudFlagPage',
                   },
-                  example: [
-                    {
-                      id: 2,
-                      fromAccountId: 3,
-                      toAccountId: 1,
-                      amount: 500.00,
-                      timestamp: '2024-01-15T11:00:00.000Z',
-                      fromAccount: {
-                        id: 3,
-                        customer: {
-                          name: 'Rhonda Church',
-                        },
-                      },
-                      toAccount: {
-                        id: 1,
-                        customer: {
-                          name: 'Arisha Barron',
-                        },
-                      },
-                    },
-                    {
-                      id: 1,
-                      fromAccountId: 1,
-                      toAccountId: 2,
-                      amount: 250.00,
-                      timestamp: '2024-01-15T10:35:00.000Z',
-                      fromAccount: {
-                        id: 1,
-                        customer: {
-                          name: 'Arisha Barron',
-                        },
-                      },
-                      toAccount: {
-                        id: 2,
-                        customer: {
-                          name: 'Branden Gibson',
-                        },
-                      },
-                    },
-                  ],
                 },
               },
             },
             '400': {
-              description: 'Bad request - invalid accountId format',
+              description: 'Invalid query parameters',
               content: {
                 'application/json': {
                   schema: {
                     $ref: '#/components/schemas/Error',
                   },
                   example: {
-                    errorMessage: 'accountId must be a valid number',
+                    errorMessage: 'status must be one of: OPEN, CLEARED, CONFIRMED',
+                    code: 'VALIDATION_ERROR',
                   },
                 },
               },
             },
-            '404': {
-              description: 'Account not found',
+            '401': {
+              description: 'Unauthorized - missing or invalid token',
               content: {
                 'application/json': {
                   schema: {
-                    $ref: '#/components/schemas/Error',
-                  },
-                  example: {
-                    errorMessage: 'Account not found',
+                    $ref: '#/components/schemas/AuthError',
                   },
                 },
               },
             },
+            '403': {
+              $ref: '#/components/responses/Forbidden',
+            },
           },
         },
       },
-      '/api/transfers': {
+      '/api/fraud/flags/{id}/review': {
         post: {
-          tags: ['Transfers'],
-          summary: 'Transfer Funds',
-          description: 'Transfer funds between two accounts. The transfer is executed atomically using a database transaction. **Requires authentication.**',
+          tags: ['Fraud Screening'],
+          summary: 'Review Fraud Flag',
+          description: 'Close an open flag as CLEARED or CONFIRMED. The reviewer must be different from the employee who made the transfer. Reviewing does not move money; reverse a confirmed transfer through /api/transfers/{id}/reversal. **Requires the `fraud:review` permission (managers by default).**',
           security: [{ bearerAuth: [] }],
+          parameters: [
+            {
+              name: 'id',
+              in: 'path',
+              required: true,
+              schema: {
+                type: 'integer',
+              },
+              description: 'ID of the flag',
+              example: 1,
+            },
+          ],
           requestBody: {
             required: true,
             content: {
               'application/json': {
                 schema: {
-                  $ref: '#/components/schemas/TransferRequest',
+                  $ref: '#/components/schemas/ReviewFraudFlagRequest',
                 },
                 example: {
-                  fromAccountId: 1,
-                  toAccountId: 2,
-                  amount: 250.00,
+                  resolution: 'CLEARED',
+                  note: 'Customer confirmed the payment by phone',
                 },
               },
             },
           },
           responses: {
-            '201': {
-              description: 'Transfer completed successfully',
+            '200': {
+              description: 'Flag reviewed',
               content: {
                 'application/json': {
                   schema: {
-                    $ref: '#/components/schemas/TransferResponse',
+                    $ref: '#/components/schemas/FraudFlag',
                   },
                 },
               },
             },
             '400': {
-              description: 'Bad request - validation error or business logic error',
+              description: 'Invalid resolution',
               content: {
                 'application/json': {
                   schema: {
                     $ref: '#/components/schemas/Error',
                   },
-                  examples: {
-                    missingFields: {
-                      value: {
-                        errorMessage: 'fromAccountId, toAccountId, and amount are required fields',
-                      },
-                    },
-                    insufficientFunds: {
-                      value: {
-                        errorMessage: 'Insufficient funds',
-                      },
-                    },
-                    sameAccount: {
-                      value: {
-                        errorMessage: 'Cannot transfer to the same account',
-                      },
-                    },
-                    invalidAmount: {
-                      value: {
-                        errorMessage: 'Transfer amount must be positive and more than Zero',
-                      },
-                    },
+                  example: {
+                    errorMessage: 'resolution must be one of: CLEARED, CONFIRMED',
+                    code: 'VALIDATION_ERROR',
+                  },
+                },
+              },
+            },
+            '401': {
+              description: 'Unauthorized - missing or invalid token',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/AuthError',
+                  },
+                },
+              },
+            },
+            '403': {
+              description: 'Missing permission, or the reviewer made the transfer (SELF_REVIEW_NOT_ALLOWED)',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'Flags must be reviewed by a different employee than the one who made the transfer',
+                    code: 'SELF_REVIEW_NOT_ALLOWED',
                   },
                 },
               },
             },
             '404': {
-              description: 'Source or destination account not found',
+              description: 'Flag not found',
               content: {
                 'application/json': {
                   schema: {
                     $ref: '#/components/schemas/Error',
                   },
-                  examples: {
-                    sourceNotFound: {
-                      value: {
-                        errorMessage: 'Source account does not exist',
-                      },
-                    },
-                    destinationNotFound: {
-                      value: {
-                        errorMessage: 'Destination account does not exist',
-                      },
-                    },
+                  example: {
+                    errorMessage: 'Fraud flag not found',
+                    code: 'FLAG_NOT_FOUND',
+                  },
+                },
+              },
+            },
+            '409': {
+              description: 'Flag already reviewed',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/Error',
+                  },
+                  example: {
+                    errorMessage: 'Fraud flag is already cleared',
+                    code: 'FLAG_ALREADY_REVIEWED',
                   },
                 },
               },
@@ -0,0 +1,59 @@
+const scheduledTransferService = require('../services/scheduledTransferService')
+const logger = require('../utils/logger')
+
+let timer = null
+let running = null
+
+function intervalMs() {
+    const seconds = Number(process.env.SCHEDULER_INTERVAL_SECONDS)
+    return (Number.isFinite(seconds) && seconds > 0 ? seconds : 60) * 1000
+}
+
+// One pass over the due schedules. Passes never overlap: if the previous one
+// is still running when the timer fires, that tick is skipped.
+async function tick() {
+    if (running) { return }
+    running = runPass()
+    try {
+        await running
+    } finally {
+        running = null
+    }
+}
+
+async function runPass() {
+    try {
+        // Tags the transfer log lines of this pass, which have no request ID
+        const runs = await logger.runWithContext({ job: 'transferScheduler' }, () => scheduledTransferService.runDueTransfers())
+        if (runs.length > 0) {
+            logger.info('Scheduler processed scheduled transfer runs', {
+                runs: runs.length,
+                failed: runs.filter(run => run.status === scheduledTransferService.RUN_STATUSES.FAILED).length
+            })
+        }
+    } catch (error) {
+        logger.error('Scheduler pass failed', { error })
+    }
+}
+
+function startScheduler() {
+    if (timer) { return }
+    timer = setInterval(tick, intervalMs())
+    tick()
+}
+
+// Stops the timer and resolves once a pass that is already running has finished,
+// so shutdown does not cut a scheduled transfer off halfway
+async function stopScheduler() {
+    if (timer) {
+        clearInterval(timer)
+        timer = null
+    }
+    if (running) { await running }
+}
+
+module.exports = {
+    startScheduler,
+    stopScheduler,
+    tick
+}
\ No newline at end of file
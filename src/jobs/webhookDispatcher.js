@@ -0,0 +1,54 @@
+const webhookService = require('../services/webhookService')
+const logger = require('../utils/logger')
+
+let timer = null
+let running = null
+
+function intervalMs() {
+    const seconds = Number(process.env.WEBHOOK_DISPATCH_INTERVAL_SECONDS)
+    return (Number.isFinite(seconds) && seconds > 0 ? seconds : 5) * 1000
+}
+
+// One pass over the outbox and the due deliveries. Passes never overlap: if the
+// previous one is still waiting on a slow receiver, that tick is skipped.
+async function tick() {
+    if (running) { return }
+    running = runPass()
+    try {
+        await running
+    } finally {
+        running = null
+    }
+}
+
+async function runPass() {
+    try {
+        const { events, deliveries } = await logger.runWithContext({ job: 'webhookDispatcher' }, () => webhookService.processOutbox())
+        if (events > 0 || deliveries.length > 0) {
+            logger.debug('Webhook dispatcher pass finished', { events, deliveries: deliveries.length })
+        }
+    } catch (error) {
+        logger.error('Webhook dispatcher pass failed', { error })
+    }
+}
+
+function startWebhookDispatcher() {
+    if (timer) { return }
+    timer = setInterval(tick, intervalMs())
+    tick()
+}
+
+// Stops the timer and resolves once a pass that is already running has finished
+async function stopWebhookDispatcher() {
+    if (timer) {
+        clearInterval(timer)
+        timer = null
+    }
+    if (running) { await running }
+}
+
+module.exports = {
+    startWebhookDispatcher,
+    stopWebhookDispatcher,
+    tick
+}
\ No newline at end of file
@@ -1,22 +1,43 @@
 const jwt = require('jsonwebtoken')
+const authService = require('../services/authService')
+const { AuthenticationError } = require('../utils/errors')
 
-function authenticate(req, res, next){
+async function authenticate(req, res, next){
     
     const authHeader = req.headers.authorization;
 
     if (!authHeader || !authHeader.startsWith('Bearer ')){
-        return res.status(401).json({error: "Unauthorized - No token provided"})
+        return next(new AuthenticationError("Unauthorized - No token provided", "TOKEN_MISSING"))
     }
 
     const token = authHeader.split(' ')[1]
 
+    let decoded
     try {
-        const decoded = jwt.verify(token,process.env.JWT_SECRET)
-        req.employee = decoded
-        next()
+        decoded = jwt.verify(token,process.env.JWT_SECRET)
     } catch (error) {
-        return res.status(401).json({error: "Unauthorized - Invalid token"})
+        return next(new AuthenticationError("Unauthorized - Invalid token", "TOKEN_INVALID"))
     }
+
+    // A valid signature is not enough: the session may have been logged out or
+    // revoked, or the employee deactivated, since the token was issued
+    let session
+    try {
+        session = await authService.findActiveSession(decoded.sessionId, decoded.employeeId)
+    } catch (error) {
+        return next(error)
+    }
+
+    if (!session) {
+        return next(new AuthenticationError("Unauthorized - Session has been revoked", "SESSION_REVOKED"))
+    }
+    if (!session.employee.isActive) {
+        return next(new AuthenticationError("Unauthorized - Employee account is deactivated", "EMPLOYEE_DEACTIVATED"))
+    }
+
+    // Role comes from the database so role changes apply without signing in again
+    req.employee = { ...decoded, role: session.employee.role }
+    next()
 }
 
 module.exports =  authenticate
\ No newline at end of file
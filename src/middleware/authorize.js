@@ -0,0 +1,25 @@
+const permissionService = require('../services/permissionService')
+const { PermissionDeniedError } = require('../utils/errors')
+
+// Permission check for routes mounted behind `authenticate`, which sets req.employee.
+// Each route declares what it needs; the role's grants are read from RolePermission
+// on every request so mapping changes take effect immediately.
+function requirePermission(...permissions) {
+    return async function (req, res, next) {
+        try {
+            const allowed = req.employee && await permissionService.hasPermissions(req.employee.role, permissions)
+            if (!allowed) {
+                return next(new PermissionDeniedError(
+                    `Forbidden - requires permission: ${permissions.join(', ')}`,
+                    "PERMISSION_DENIED",
+                    { requiredPermissions: permissions }
+                ))
+            }
+            next()
+        } catch (error) {
+            next(error)
+        }
+    }
+}
+
+module.exports = { requirePermission }
\ No newline at end of file
@@ -0,0 +1,36 @@
+const { AppError, NotFoundError } = require('../utils/errors')
+const logger = require('../utils/logger')
+
+// Registered after every router so unknown paths get the same JSON shape as other errors
+function notFoundHandler(req, res, next) {
+    next(new NotFoundError(`No route for ${req.method} ${req.path}`, "ROUTE_NOT_FOUND"))
+}
+
+// Registered last: turns anything passed to next() or thrown by an
+// async handler into the shared error response { errorMessage, code, ...details }.
+// Express 5 forwards rejected handler promises here, so routes do not need try/catch.
+function errorHandler(error, req, res, next) {
+
+    if (res.headersSent) { return next(error) }
+
+    if (error instanceof AppError) {
+        if (error.details && error.details.retryAfterSeconds !== undefined) {
+            res.set('Retry-After', String(error.details.retryAfterSeconds))
+        }
+        return res.status(error.status).json(error.toJSON())
+    }
+
+    // Raised by express.json() before any route runs
+    if (error.type === 'entity.parse.failed') {
+        return res.status(400).json({ errorMessage: "Request body is not valid JSON", code: "MALFORMED_JSON" })
+    }
+    if (error.expose && error.status >= 400 && error.status < 500) {
+        return res.status(error.status).json({ errorMessage: error.message, code: "BAD_REQUEST" })
+    }
+
+    // Anything else is a bug: keep the details in the server log, not the response
+    logger.error('Unhandled error', { method: req.method, path: req.originalUrl, error })
+    return res.status(500).json({ errorMessage: "Internal server error", code: "INTERNAL_ERROR" })
+}
+
+module.exports = { notFoundHandler, errorHandler }
\ No newline at end of file
@@ -0,0 +1,29 @@
+const metrics = require('../utils/metrics')
+const { routeTemplate } = require('./requestLogger')
+
+// Requests turned away before reaching a route (unknown paths, router-level
+// authentication) share one label value, so scanners probing random paths
+// cannot create a new series per URL
+const UNMATCHED_ROUTE = 'unmatched'
+
+// Counts every response and records its latency, labelled by method, route
+// pattern and status. Registered right after requestLogger() in server.js.
+function httpMetrics() {
+    return function (req, res, next) {
+        const stopTimer = metrics.httpRequestDurationSeconds.startTimer()
+
+        res.on('finish', () => {
+            const labels = {
+                method: req.method,
+                route: routeTemplate(req) || UNMATCHED_ROUTE,
+                status: res.statusCode
+            }
+            metrics.httpRequestsTotal.inc(labels)
+            stopTimer(labels)
+        })
+
+        next()
+    }
+}
+
+module.exports = { httpMetrics, UNMATCHED_ROUTE }
\ No newline at end of file
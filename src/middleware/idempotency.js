@@ -0,0 +1,74 @@
+const idempotencyService = require('../services/idempotencyService')
+const { ValidationError } = require('../utils/errors')
+
+const MAX_KEY_LENGTH = 255
+
+// Honour an optional Idempotency-Key header on mutating routes.
+// The first request with a key runs normally and its response is stored; a retry with
+// the same key and body gets the stored response back without re-running the handler.
+// Keys are per employee, so this runs after authenticate.
+function idempotency() {
+    return async function (req, res, next) {
+        const key = req.get('Idempotency-Key')
+
+        if (key === undefined) { return next() }
+
+        if (key.trim() === '' || key.length > MAX_KEY_LENGTH) {
+            return next(new ValidationError(`Idempotency-Key must be between 1 and ${MAX_KEY_LENGTH} characters`))
+        }
+
+        const { employeeId } = req.employee
+        const fingerprint = idempotencyService.fingerprintRequest({
+            method: req.method,
+            path: req.baseUrl + req.path,
+            employeeId,
+            body: req.body
+        })
+
+        try {
+            const { outcome, record } = await idempotencyService.beginRequest(key, fingerprint, employeeId)
+
+            if (outcome === 'MISMATCH') {
+                return res.status(422).json({
+                    errorMessage: "Idempotency-Key has already been used for a different request",
+                    code: "IDEMPOTENCY_KEY_REUSED"
+                })
+            }
+            if (outcome === 'IN_PROGRESS') {
+                return res.status(409).json({
+                    errorMessage: "A request with this Idempotency-Key is still being processed",
+                    code: "IDEMPOTENCY_REQUEST_IN_PROGRESS"
+                })
+            }
+            if (outcome === 'REPLAY') {
+                res.set('Idempotent-Replayed', 'true')
+                return res.status(record.responseStatus).json(record.responseBody)
+            }
+        } catch (error) {
+            return next(error)
+        }
+
+        // Store the response before it goes out so an immediate retry sees it
+        let handled = false
+        const sendJson = res.json.bind(res)
+        res.json = function (body) {
+            handled = true
+            const store = res.statusCode >= 500
+                ? idempotencyService.releaseRequest(key, employeeId)
+                : idempotencyService.completeRequest(key, employeeId, res.statusCode, body)
+
+            store.catch(() => {}).then(() => sendJson(body))
+            return res
+        }
+
+        // Responses not sent through res.json (e.g. Express's default error page)
+        // are not stored; free the key so the client can retry
+        res.on('finish', () => {
+            if (!handled) { idempotencyService.releaseRequest(key, employeeId).catch(() => {}) }
+        })
+
+        next()
+    }
+}
+
+module.exports = idempotency
\ No newline at end of file
@@ -0,0 +1,64 @@
+const crypto = require('crypto')
+const logger = require('../utils/logger')
+
+const REQUEST_ID_HEADER = 'X-Request-Id'
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/
+// Orchestrator probes arrive every few seconds; successful ones are logged at debug
+const PROBE_ROUTES = ['/health', '/ready']
+
+// Keep a caller's request ID so logs can be joined across services; anything
+// missing or odd-looking is replaced rather than written into the logs
+function requestIdFor(req) {
+    const supplied = req.get(REQUEST_ID_HEADER)
+    return supplied && REQUEST_ID_PATTERN.test(supplied) ? supplied : crypto.randomUUID()
+}
+
+// Route pattern such as /api/accounts/:id, so log lines for one endpoint group together.
+// req.baseUrl is reset once a router hands an error to the app-level handler, so the
+// mount path is taken from the URL: everything before the segments the route matched.
+function routeTemplate(req) {
+    if (!req.route) { return null }
+
+    const routeSegments = req.route.path.split('/').filter(Boolean)
+    const urlSegments = req.originalUrl.split('?')[0].split('/').filter(Boolean)
+    const mountSegments = urlSegments.slice(0, urlSegments.length - routeSegments.length)
+
+    return '/' + [...mountSegments, ...routeSegments].join('/')
+}
+
+function accessLogLevel(status, route) {
+    if (status >= 500) { return 'error' }
+    if (status >= 400) { return 'warn' }
+    return PROBE_ROUTES.includes(route) ? 'debug' : 'info'
+}
+
+// Registered first in server.js: assigns the request ID, echoes it in the response,
+// runs the rest of the chain inside a logging context carrying it, and writes one
+// access log line when the response has been sent.
+function requestLogger() {
+    return function (req, res, next) {
+        const requestId = requestIdFor(req)
+        const startedAt = process.hrtime.bigint()
+
+        req.requestId = requestId
+        res.set(REQUEST_ID_HEADER, requestId)
+
+        res.on('finish', () => {
+            const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6
+            const route = routeTemplate(req)
+            logger[accessLogLevel(res.statusCode, route)]('Request completed', {
+                requestId,
+                method: req.method,
+                route,
+                path: req.originalUrl.split('?')[0],
+                status: res.statusCode,
+                durationMs: Math.round(durationMs * 10) / 10,
+                employeeId: req.employee ? req.employee.employeeId : null
+            })
+        })
+
+        logger.runWithContext({ requestId }, next)
+    }
+}
+
+module.exports = { requestLogger, routeTemplate, REQUEST_ID_HEADER }
\ No newline at end of file
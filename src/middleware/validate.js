@@ -0,0 +1,138 @@
+const swaggerSpec = require('../config/swagger')
+const { deref, validateSchema, coerceParameter } = require('../utils/schemaValidator')
+const { ValidationError } = require('../utils/errors')
+
+// Tests check every JSON response against the documented one so the docs cannot
+// drift from what the routes return. OPENAPI_VALIDATE_RESPONSES overrides the default.
+function shouldValidateResponses() {
+    if (process.env.OPENAPI_VALIDATE_RESPONSES !== undefined) {
+        return process.env.OPENAPI_VALIDATE_RESPONSES === 'true'
+    }
+    return process.env.NODE_ENV === 'test'
+}
+
+// Express route path (/api/accounts/:id) to OpenAPI path (/api/accounts/{id})
+function operationPath(req) {
+    return (req.baseUrl + req.route.path).replace(/:(\w+)/g, '{$1}').replace(/(.)\/$/, '$1')
+}
+
+function findOperation(method, path) {
+    const operation = swaggerSpec.paths[path] && swaggerSpec.paths[path][method.toLowerCase()]
+    if (!operation) {
+        throw new Error(`${method} ${path} is not documented in the OpenAPI spec`)
+    }
+    return operation
+}
+
+function parameterValue(req, parameter) {
+    switch (parameter.in) {
+        case 'path': return req.params[parameter.name]
+        case 'query': return req.query[parameter.name]
+        case 'header': return req.get(parameter.name)
+        default: return undefined
+    }
+}
+
+// Check params, query, headers and body. Returns the field errors and the
+// path and query values converted to their documented types.
+function checkRequest(req, operation) {
+    const errors = []
+    const coerced = { path: {}, query: {} }
+
+    for (const parameter of (operation.parameters || []).map(p => deref(swaggerSpec, p))) {
+        const raw = parameterValue(req, parameter)
+        if (raw === undefined) {
+            if (parameter.required) {
+                errors.push({ location: parameter.in, field: parameter.name, message: `${parameter.name} is required` })
+            }
+            continue
+        }
+
+        const value = coerceParameter(swaggerSpec, parameter.schema, raw)
+        const fieldErrors = validateSchema(swaggerSpec, parameter.schema, value, parameter.name)
+        errors.push(...fieldErrors.map(error => ({ location: parameter.in, ...error })))
+
+        if (fieldErrors.length === 0 && coerced[parameter.in]) {
+            coerced[parameter.in][parameter.name] = value
+        }
+    }
+
+    if (operation.requestBody) {
+        const requestBody = deref(swaggerSpec, operation.requestBody)
+        const schema = requestBody.content['application/json'].schema
+
+        if (req.body === undefined) {
+            if (requestBody.required) {
+                errors.push({ location: 'body', field: 'body', message: "Request body is required" })
+            }
+        } else {
+            errors.push(...validateSchema(swaggerSpec, schema, req.body).map(error => ({ location: 'body', ...error })))
+        }
+    }
+
+    return { errors, coerced }
+}
+
+function checkResponse(operation, status, body) {
+    const documented = operation.responses[status] || operation.responses.default
+    if (!documented) {
+        return [{ field: 'status', message: `status ${status} is not documented` }]
+    }
+
+    const content = deref(swaggerSpec, documented).content
+    const schema = content && content['application/json'] && content['application/json'].schema
+    if (!schema) { return [] }
+
+    // Compare what actually goes over the wire (dates as strings and so on)
+    return validateSchema(swaggerSpec, schema, JSON.parse(JSON.stringify(body)), 'response')
+}
+
+// Validate the request against the OpenAPI operation for the matched route and
+// reply 400 with every field error. Place it after authenticate/requirePermission.
+// On success, path params and query values hold their documented types
+// (e.g. req.params.id is a number).
+function validateRequest() {
+    return function (req, res, next) {
+        const path = operationPath(req)
+        let operation
+        try {
+            operation = findOperation(req.method, path)
+        } catch (error) {
+            return next(error)
+        }
+
+        if (shouldValidateResponses()) {
+            const sendJson = res.json.bind(res)
+            res.json = function (body) {
+                const errors = checkResponse(operation, res.statusCode, body)
+                if (errors.length > 0) {
+                    res.status(500)
+                    return sendJson({
+                        errorMessage: `Response does not match the API documentation for ${req.method} ${path}`,
+                        code: "RESPONSE_VALIDATION_FAILED",
+                        errors
+                    })
+                }
+                return sendJson(body)
+            }
+        }
+
+        const { errors, coerced } = checkRequest(req, operation)
+        if (errors.length > 0) {
+            return next(new ValidationError(errors.map(error => error.message).join('; '), "VALIDATION_ERROR", { errors }))
+        }
+
+        Object.assign(req.params, coerced.path)
+        // Express 5 re-parses req.query on every access, so shadow it on the request
+        Object.defineProperty(req, 'query', {
+            value: { ...req.query, ...coerced.query },
+            writable: true,
+            enumerable: true,
+            configurable: true
+        })
+
+        next()
+    }
+}
+
+module.exports = { validateRequest }
\ No newline at end of file
@@ -1,7 +1,16 @@
 const express = require('express')
 const accountService = require('../services/accountService')
 const transferService = require('../services/transferService')
+const ledgerService = require('../services/ledgerService')
+const cashService = require('../services/cashService')
+const transactionService = require('../services/transactionService')
+const statementService = require('../services/statementService')
+const transferLimitService = require('../services/transferLimitService')
 const authenticate = require('../middleware/authenticates')
+const { requirePermission } = require('../middleware/authorize')
+const idempotency = require('../middleware/idempotency')
+const { validateRequest } = require('../middleware/validate')
+const { PERMISSIONS } = require('../config/permissions')
 
 const router = express.Router()
 
@@ -9,68 +18,118 @@ const router = express.Router()
 router.use(authenticate)
 
 // POST /api/accounts - Create a new bank account
-router.post('/', async (req, res) => {
+router.post('/', requirePermission(PERMISSIONS.ACCOUNTS_CREATE), validateRequest(), idempotency(), async (req, res) => {
     const { customerId, initialDeposit } = req.body
 
-    if (!customerId || !initialDeposit) {
-        return res.status(400).json({ errorMessage: "CustomerID and Initial Deposit are required" })
-    }
+    const results = await accountService.createAccount(customerId, initialDeposit, req.employee.employeeId)
+    return res.status(201).json(results)
+})
 
-    try {
-        const results = await accountService.createAccount(customerId, initialDeposit)
-        return res.status(201).json(results)
-    } catch (error) {
-        if (error.message === "Customer not found") {
-            return res.status(404).json({ errorMessage: error.message })
-        }
-        return res.status(400).json({ errorMessage: error.message })
+// GET /api/accounts/:id - Get account balance
+router.get('/:id', requirePermission(PERMISSIONS.ACCOUNTS_READ), validateRequest(), async (req, res) => {
+    const results = await accountService.getBalance(req.params.id)
+    return res.status(200).json(results)
+})
+
+// GET /api/accounts/:id/transfers - Get transfer history for an account, newest first
+// Query: cursor, limit, from, to, minAmount, maxAmount, direction, counterpartyAccountId
+router.get('/:id/transfers', requirePermission(PERMISSIONS.ACCOUNTS_READ), validateRequest(), async (req, res) => {
+    const { cursor, limit, from, to, minAmount, maxAmount, direction, counterpartyAccountId } = req.query
+    const options = { cursor, limit, minAmount, maxAmount, direction, counterpartyAccountId }
+
+    for (const [name, value] of Object.entries({ from, to })) {
+        if (value !== undefined) { options[name] = new Date(value) }
     }
+
+    const results = await transferService.getTransferHistory(req.params.id, options)
+    return res.status(200).json(results)
 })
 
-// GET /api/accounts/:id - Get account balance
-router.get('/:id', async (req, res) => {
-    const { id } = req.params
+// GET /api/accounts/:id/ledger - Get the ledger postings that explain an account's balance
+router.get('/:id/ledger', requirePermission(PERMISSIONS.ACCOUNTS_READ), validateRequest(), async (req, res) => {
+    const results = await ledgerService.getAccountLedger(req.params.id)
+    return res.status(200).json(results)
+})
 
-    if (!id) {
-        return res.status(400).json({ errorMessage: "accountId is required" })
+// GET /api/accounts/:id/transactions - Combined feed of transfers and cash transactions, newest first
+// Query: cursor, limit
+router.get('/:id/transactions', requirePermission(PERMISSIONS.ACCOUNTS_READ), validateRequest(), async (req, res) => {
+    const { cursor, limit } = req.query
+    const results = await transactionService.getAccountTransactions(req.params.id, { cursor, limit })
+    return res.status(200).json(results)
+})
+
+// Shared handler for POST /:id/deposits and POST /:id/withdrawals
+function cashHandler(operation) {
+    return async (req, res) => {
+        const { amount, description } = req.body
+
+        const results = await operation(req.params.id, amount, req.employee.employeeId, description)
+        return res.status(201).json(results)
     }
+}
 
-    try {
-        const accountIdNum = parseInt(id)
-        if (isNaN(accountIdNum)) {
-            return res.status(400).json({ errorMessage: "accountId must be a valid number" })
-        }
-        const results = await accountService.getBalance(accountIdNum)
+// POST /api/accounts/:id/deposits - Record a cash deposit
+router.post('/:id/deposits', requirePermission(PERMISSIONS.CASH_DEPOSIT), validateRequest(), idempotency(), cashHandler(cashService.deposit))
+
+// POST /api/accounts/:id/withdrawals - Record a cash withdrawal
+router.post('/:id/withdrawals', requirePermission(PERMISSIONS.CASH_WITHDRAW), validateRequest(), idempotency(), cashHandler(cashService.withdraw))
+
+// Shared handler for the account status endpoints below
+function statusHandler(operation) {
+    return async (req, res) => {
+        const results = await operation(req.params.id, req.employee.employeeId, req.body?.reason)
         return res.status(200).json(results)
-    } catch (error) {
-        if (error.message === "Account not found") {
-            return res.status(404).json({ errorMessage: error.message })
-        }
-        return res.status(400).json({ errorMessage: error.message })
     }
+}
+
+// POST /api/accounts/:id/freeze - Block outgoing money (managers only)
+router.post('/:id/freeze', requirePermission(PERMISSIONS.ACCOUNTS_FREEZE), validateRequest(), statusHandler(accountService.freezeAccount))
+
+// POST /api/accounts/:id/unfreeze - Return a frozen account to ACTIVE (managers only)
+router.post('/:id/unfreeze', requirePermission(PERMISSIONS.ACCOUNTS_FREEZE), validateRequest(), statusHandler(accountService.unfreezeAccount))
+
+// POST /api/accounts/:id/close - Close a zero-balance account for good (managers only)
+router.post('/:id/close', requirePermission(PERMISSIONS.ACCOUNTS_CLOSE), validateRequest(), statusHandler(accountService.closeAccount))
+
+// GET /api/accounts/:id/limits - Outgoing transfer limits in force and how much is used
+router.get('/:id/limits', requirePermission(PERMISSIONS.ACCOUNTS_READ), validateRequest(), async (req, res) => {
+    const results = await transferLimitService.getAccountLimits(req.params.id)
+    return res.status(200).json(results)
 })
 
-// GET /api/accounts/:id/transfers - Get transfer history for an account
-router.get('/:id/transfers', async (req, res) => {
-    const { id } = req.params
+// PUT /api/accounts/:id/limits - Replace the account's limit overrides (managers only)
+router.put('/:id/limits', requirePermission(PERMISSIONS.ACCOUNTS_LIMITS_MANAGE), validateRequest(), async (req, res) => {
+    const results = await transferLimitService.setAccountLimits(req.params.id, req.body, req.employee.employeeId)
+    return res.status(200).json(results)
+})
 
-    if (!id) {
-        return res.status(400).json({ errorMessage: "accountId is required" })
+// GET /api/accounts/:id/statement - Statement with opening, running and closing balances
+// Query: from, to (a date-only `to` covers that whole day), format=json|csv|pdf
+router.get('/:id/statement', requirePermission(PERMISSIONS.ACCOUNTS_READ), validateRequest(), async (req, res) => {
+    const accountId = req.params.id
+    const { from, to, format = 'json' } = req.query
+    const period = {}
+    for (const [name, value] of Object.entries({ from, to })) {
+        if (value === undefined) { continue }
+        const parsed = new Date(value)
+        if (name === 'to' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+            parsed.setUTCHours(23, 59, 59, 999)
+        }
+        period[name] = parsed
     }
 
-    try {
-        const accountIdNum = parseInt(id)
-        if (isNaN(accountIdNum)) {
-            return res.status(400).json({ errorMessage: "accountId must be a valid number" })
-        }
-        const results = await transferService.getTransferHistory(accountIdNum)
-        return res.status(200).json(results)
-    } catch (error) {
-        if (error.message === "Account not found") {
-            return res.status(404).json({ errorMessage: error.message })
-        }
-        return res.status(400).json({ errorMessage: error.message })
+    const statement = await statementService.getStatement(accountId, period)
+    if (format === 'json') {
+        return res.status(200).json(statement)
+    }
+
+    const filename = `statement-${accountId}-${statement.to.toISOString().slice(0, 10)}.${format}`
+    res.attachment(filename)
+    if (format === 'csv') {
+        return res.status(200).type('text/csv').send(statementService.renderStatementCsv(statement))
     }
+    return res.status(200).type('application/pdf').send(statementService.renderStatementPdf(statement))
 })
 
 module.exports = router
\ No newline at end of file
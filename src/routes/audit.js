@@ -0,0 +1,32 @@
+const express = require('express')
+const auditService = require('../services/auditService')
+const authenticate = require('../middleware/authenticates')
+const { requirePermission } = require('../middleware/authorize')
+const { validateRequest } = require('../middleware/validate')
+const { PERMISSIONS } = require('../config/permissions')
+const { ValidationError } = require('../utils/errors')
+
+const router = express.Router()
+
+// Audit trail is restricted to roles holding audit:read (managers by default)
+router.use(authenticate)
+
+// GET /api/audit - List audit log entries, newest first
+// Filters: employeeId, action, entityType, entityId, from, to, limit, offset
+router.get('/', requirePermission(PERMISSIONS.AUDIT_READ), validateRequest(), async (req, res) => {
+    const { employeeId, action, entityType, entityId, from, to, limit, offset } = req.query
+    const filters = { action, entityType, employeeId, entityId, limit, offset }
+
+    for (const [name, value] of Object.entries({ from, to })) {
+        if (value !== undefined) { filters[name] = new Date(value) }
+    }
+
+    if (filters.action && !Object.values(auditService.AUDIT_ACTIONS).includes(filters.action)) {
+        throw new ValidationError(`action must be one of: ${Object.values(auditService.AUDIT_ACTIONS).join(', ')}`)
+    }
+
+    const results = await auditService.listAuditLogs(filters)
+    return res.status(200).json(results)
+})
+
+module.exports = router
\ No newline at end of file
@@ -1,22 +1,31 @@
 const express = require('express')
 const authService = require('../services/authService')
+const authenticate = require('../middleware/authenticates')
+const { validateRequest } = require('../middleware/validate')
 
 const router = express.Router()
 
-router.post('/login', async (req, res) => {
+router.post('/login', validateRequest(), async (req, res) => {
 
     const { username, password } = req.body;
 
-    if (!username || !password) {
-        return res.status(400).json({ error: "Username and Password are required" })
-    }
+    const results = await authService.login(username, password, req.ip)
+    return res.status(200).json(results)
+})
+
+// POST /api/auth/refresh - Exchange a refresh token for a new access/refresh pair
+router.post('/refresh', validateRequest(), async (req, res) => {
+
+    const { refreshToken } = req.body;
+
+    const results = await authService.refresh(refreshToken, req.ip)
+    return res.status(200).json(results)
+})
 
-    try {
-        const results = await authService.login(username, password)
-        return res.status(200).json(results)
-    } catch (error) {
-        return res.status(401).json({ error: error.message || 'Invalid Credentials' })
-    }
+// POST /api/auth/logout - Revoke the session behind the presented access token
+router.post('/logout', authenticate, validateRequest(), async (req, res) => {
+    await authService.logout(req.employee.sessionId, req.employee.employeeId, req.ip)
+    return res.status(204).send()
 })
 
 module.exports = router
\ No newline at end of file
@@ -0,0 +1,49 @@
+const express = require('express')
+const customerService = require('../services/customerService')
+const authenticate = require('../middleware/authenticates')
+const { requirePermission } = require('../middleware/authorize')
+const { validateRequest } = require('../middleware/validate')
+const { PERMISSIONS } = require('../config/permissions')
+
+const router = express.Router()
+
+// Apply authentication middleware to all customer routes
+router.use(authenticate)
+
+// POST /api/customers - Create a new customer
+router.post('/', requirePermission(PERMISSIONS.CUSTOMERS_CREATE), validateRequest(), async (req, res) => {
+    const { name, email, phone } = req.body
+
+    const results = await customerService.createCustomer({ name, email, phone }, req.employee.employeeId)
+    return res.status(201).json(results)
+})
+
+// GET /api/customers - List customers, optionally searching by name
+router.get('/', requirePermission(PERMISSIONS.CUSTOMERS_READ), validateRequest(), async (req, res) => {
+    const { search, limit, offset } = req.query
+
+    const results = await customerService.listCustomers({ search, limit, offset })
+    return res.status(200).json(results)
+})
+
+// GET /api/customers/:id - Get a single customer
+router.get('/:id', requirePermission(PERMISSIONS.CUSTOMERS_READ), validateRequest(), async (req, res) => {
+    const results = await customerService.getCustomer(req.params.id)
+    return res.status(200).json(results)
+})
+
+// PATCH /api/customers/:id - Update name, email or phone
+router.patch('/:id', requirePermission(PERMISSIONS.CUSTOMERS_UPDATE), validateRequest(), async (req, res) => {
+    const { name, email, phone } = req.body
+
+    const results = await customerService.updateCustomer(req.params.id, { name, email, phone }, req.employee.employeeId)
+    return res.status(200).json(results)
+})
+
+// GET /api/customers/:id/accounts - List a customer's accounts
+router.get('/:id/accounts', requirePermission(PERMISSIONS.CUSTOMERS_READ, PERMISSIONS.ACCOUNTS_READ), validateRequest(), async (req, res) => {
+    const results = await customerService.getCustomerAccounts(req.params.id)
+    return res.status(200).json(results)
+})
+
+module.exports = router
\ No newline at end of file
@@ -0,0 +1,67 @@
+const express = require('express')
+const authService = require('../services/authService')
+const employeeService = require('../services/employeeService')
+const authenticate = require('../middleware/authenticates')
+const { requirePermission } = require('../middleware/authorize')
+const { validateRequest } = require('../middleware/validate')
+const { PERMISSIONS } = require('../config/permissions')
+
+const router = express.Router()
+
+// Apply authentication middleware to all employee routes
+router.use(authenticate)
+
+// PUT /api/employees/me/password - Change your own password
+router.put('/me/password', validateRequest(), async (req, res) => {
+    const { currentPassword, newPassword } = req.body
+
+    await employeeService.changePassword(
+        req.employee.employeeId, currentPassword, newPassword, req.employee.sessionId
+    )
+    return res.status(204).send()
+})
+
+// POST /api/employees - Create an employee
+router.post('/', requirePermission(PERMISSIONS.EMPLOYEES_MANAGE), validateRequest(), async (req, res) => {
+    const { username, password, name, role } = req.body
+
+    const results = await employeeService.createEmployee({ username, password, name, role }, req.employee.employeeId)
+    return res.status(201).json(results)
+})
+
+// GET /api/employees - List employees
+// Filters: role, active, limit, offset
+router.get('/', requirePermission(PERMISSIONS.EMPLOYEES_MANAGE), validateRequest(), async (req, res) => {
+    const { role, active, limit, offset } = req.query
+
+    const results = await employeeService.listEmployees({ role, active, limit, offset })
+    return res.status(200).json(results)
+})
+
+// POST /api/employees/:id/deactivate - Deactivate an employee and sign them out
+router.post('/:id/deactivate', requirePermission(PERMISSIONS.EMPLOYEES_MANAGE), validateRequest(), async (req, res) => {
+    const results = await employeeService.deactivateEmployee(req.params.id, req.employee.employeeId)
+    return res.status(200).json(results)
+})
+
+// PUT /api/employees/:id/role - Change an employee's role
+router.put('/:id/role', requirePermission(PERMISSIONS.EMPLOYEES_MANAGE), validateRequest(), async (req, res) => {
+    const { role } = req.body
+
+    const results = await employeeService.changeEmployeeRole(req.params.id, role, req.employee.employeeId)
+    return res.status(200).json(results)
+})
+
+// POST /api/employees/:id/unlock - Clear a login lockout
+router.post('/:id/unlock', requirePermission(PERMISSIONS.EMPLOYEES_MANAGE), validateRequest(), async (req, res) => {
+    const results = await employeeService.unlockEmployee(req.params.id, req.employee.employeeId)
+    return res.status(200).json(results)
+})
+
+// DELETE /api/employees/:id/sessions - Revoke every open session of an employee
+router.delete('/:id/sessions', requirePermission(PERMISSIONS.SESSIONS_REVOKE), validateRequest(), async (req, res) => {
+    const results = await authService.revokeEmployeeSessions(req.params.id, req.employee.employeeId)
+    return res.status(200).json(results)
+})
+
+module.exports = router
\ No newline at end of file
@@ -0,0 +1,44 @@
+const express = require('express')
+const fraudService = require('../services/fraudService')
+const authenticate = require('../middleware/authenticates')
+const { requirePermission } = require('../middleware/authorize')
+const { validateRequest } = require('../middleware/validate')
+const { PERMISSIONS } = require('../config/permissions')
+
+const router = express.Router()
+
+// Apply authentication middleware to all fraud screening routes
+router.use(authenticate)
+
+// GET /api/fraud/rules - List the screening rules with their current action and parameters
+router.get('/rules', requirePermission(PERMISSIONS.FRAUD_REVIEW), validateRequest(), async (req, res) => {
+    const results = await fraudService.listRules()
+    return res.status(200).json({ rules: results })
+})
+
+// PUT /api/fraud/rules/:code - Set a rule's action and parameters; applies to the next transfer
+router.put('/rules/:code', requirePermission(PERMISSIONS.FRAUD_RULES_MANAGE), validateRequest(), async (req, res) => {
+    const { action, params, reason } = req.body
+
+    const results = await fraudService.updateRule(req.params.code, { action, params, reason }, req.employee.employeeId)
+    return res.status(200).json(results)
+})
+
+// GET /api/fraud/flags - Review queue of flagged transfers, oldest first
+// Query: status, rule, limit, offset
+router.get('/flags', requirePermission(PERMISSIONS.FRAUD_REVIEW), validateRequest(), async (req, res) => {
+    const { status, rule, limit, offset } = req.query
+
+    const results = await fraudService.listFlags({ status, rule, limit, offset })
+    return res.status(200).json(results)
+})
+
+// POST /api/fraud/flags/:id/review - Close a flag as CLEARED or CONFIRMED
+router.post('/flags/:id/review', requirePermission(PERMISSIONS.FRAUD_REVIEW), validateRequest(), async (req, res) => {
+    const { resolution, note } = req.body
+
+    const results = await fraudService.reviewFlag(req.params.id, { resolution, note }, req.employee.employeeId)
+    return res.status(200).json(results)
+})
+
+module.exports = router
\ No newline at end of file
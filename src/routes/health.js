@@ -0,0 +1,22 @@
+const express = require('express')
+const healthService = require('../services/healthService')
+const { validateRequest } = require('../middleware/validate')
+
+const router = express.Router()
+
+// Probes are public and unauthenticated; they reveal nothing beyond check status
+
+// GET /health - Liveness: the process is running
+router.get('/health', validateRequest(), (req, res) => {
+    res.set('Cache-Control', 'no-store')
+    return res.status(200).json(healthService.getHealth())
+})
+
+// GET /ready - Readiness: database reachable, migrations applied, not shutting down
+router.get('/ready', validateRequest(), async (req, res) => {
+    const results = await healthService.getReadiness()
+    res.set('Cache-Control', 'no-store')
+    return res.status(results.status === 'ready' ? 200 : 503).json(results)
+})
+
+module.exports = router
\ No newline at end of file
@@ -0,0 +1,15 @@
+const express = require('express')
+const { CONTENT_TYPE, renderMetrics } = require('../utils/metrics')
+const { validateRequest } = require('../middleware/validate')
+
+const router = express.Router()
+
+// Public like the probes: meant for a Prometheus scraper on the internal network
+
+// GET /metrics - Prometheus text exposition format
+router.get('/metrics', validateRequest(), (req, res) => {
+    res.set('Cache-Control', 'no-store')
+    return res.type(CONTENT_TYPE).send(renderMetrics())
+})
+
+module.exports = router
\ No newline at end of file
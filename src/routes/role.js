@@ -0,0 +1,31 @@
+const express = require('express')
+const permissionService = require('../services/permissionService')
+const authenticate = require('../middleware/authenticates')
+const { requirePermission } = require('../middleware/authorize')
+const { validateRequest } = require('../middleware/validate')
+const { PERMISSIONS } = require('../config/permissions')
+
+const router = express.Router()
+
+// Apply authentication middleware to all role routes
+router.use(authenticate)
+
+// GET /api/roles - List role-to-permission mappings
+router.get('/', requirePermission(PERMISSIONS.ROLES_MANAGE), validateRequest(), async (req, res) => {
+    const roles = await permissionService.listRolePermissions()
+    return res.status(200).json({
+        roles,
+        availablePermissions: Object.values(PERMISSIONS)
+    })
+})
+
+// PUT /api/roles/:role/permissions - Replace the permissions granted to a role
+router.put('/:role/permissions', requirePermission(PERMISSIONS.ROLES_MANAGE), validateRequest(), async (req, res) => {
+    const { role } = req.params
+    const { permissions } = req.body
+
+    const results = await permissionService.setRolePermissions(role, permissions, req.employee.employeeId)
+    return res.status(200).json(results)
+})
+
+module.exports = router
\ No newline at end of file
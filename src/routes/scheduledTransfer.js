@@ -0,0 +1,60 @@
+const express = require('express')
+const scheduledTransferService = require('../services/scheduledTransferService')
+const authenticate = require('../middleware/authenticates')
+const { requirePermission } = require('../middleware/authorize')
+const idempotency = require('../middleware/idempotency')
+const { validateRequest } = require('../middleware/validate')
+const { PERMISSIONS } = require('../config/permissions')
+
+const router = express.Router()
+
+// Apply authentication middleware to all scheduled transfer routes
+router.use(authenticate)
+
+// POST /api/scheduled-transfers - Schedule a one-off or recurring transfer
+router.post('/', requirePermission(PERMISSIONS.SCHEDULES_CREATE), validateRequest(), idempotency(), async (req, res) => {
+    const { fromAccountId, toAccountId, amount, frequency, startAt, endAt, maxRuns, description } = req.body
+
+    const results = await scheduledTransferService.createScheduledTransfer(
+        {
+            fromAccountId, toAccountId, amount, frequency, maxRuns, description,
+            startAt: new Date(startAt),
+            endAt: endAt === undefined ? undefined : new Date(endAt)
+        },
+        req.employee.employeeId
+    )
+    return res.status(201).json(results)
+})
+
+// GET /api/scheduled-transfers - List schedules, optionally by status or account
+router.get('/', requirePermission(PERMISSIONS.SCHEDULES_READ), validateRequest(), async (req, res) => {
+    const { status, accountId, limit, offset } = req.query
+
+    const results = await scheduledTransferService.listScheduledTransfers({ status, accountId, limit, offset })
+    return res.status(200).json(results)
+})
+
+// GET /api/scheduled-transfers/:id - Get a schedule with its most recent runs
+router.get('/:id', requirePermission(PERMISSIONS.SCHEDULES_READ), validateRequest(), async (req, res) => {
+    const results = await scheduledTransferService.getScheduledTransfer(req.params.id)
+    return res.status(200).json(results)
+})
+
+// Shared handler for the pause, resume and cancel endpoints below
+function statusHandler(operation) {
+    return async (req, res) => {
+        const results = await operation(req.params.id, req.employee.employeeId)
+        return res.status(200).json(results)
+    }
+}
+
+// POST /api/scheduled-transfers/:id/pause - Stop running until resumed
+router.post('/:id/pause', requirePermission(PERMISSIONS.SCHEDULES_MANAGE), validateRequest(), statusHandler(scheduledTransferService.pauseScheduledTransfer))
+
+// POST /api/scheduled-transfers/:id/resume - Resume from the next future occurrence
+router.post('/:id/resume', requirePermission(PERMISSIONS.SCHEDULES_MANAGE), validateRequest(), statusHandler(scheduledTransferService.resumeScheduledTransfer))
+
+// POST /api/scheduled-transfers/:id/cancel - Cancel for good
+router.post('/:id/cancel', requirePermission(PERMISSIONS.SCHEDULES_MANAGE), validateRequest(), statusHandler(scheduledTransferService.cancelScheduledTransfer))
+
+module.exports = router
\ No newline at end of file
@@ -1,6 +1,11 @@
 const express = require('express')
 const transferService = require('../services/transferService')
+const transferApprovalService = require('../services/transferApprovalService')
 const authenticate = require('../middleware/authenticates')
+const { requirePermission } = require('../middleware/authorize')
+const idempotency = require('../middleware/idempotency')
+const { validateRequest } = require('../middleware/validate')
+const { PERMISSIONS } = require('../config/permissions')
 
 const router = express.Router()
 
@@ -8,21 +13,31 @@ const router = express.Router()
 router.use(authenticate)
 
 // POST /api/transfers - Transfer funds between accounts
-router.post('/', async (req, res) => {
+// Amounts above the approval threshold are queued for a second employee instead (202)
+router.post('/', requirePermission(PERMISSIONS.TRANSFERS_CREATE), validateRequest(), idempotency(), async (req, res) => {
     const { fromAccountId, toAccountId, amount } = req.body
 
-    if (!fromAccountId || !toAccountId || !amount) {
-        return res.status(400).json({ errorMessage: "fromAccountId, toAccountId, and amount are required fields" })
-    }
-    try {
-        const results = await transferService.accountTransfer(fromAccountId, toAccountId, amount)
-        return res.status(201).json(results)
-    } catch (error) {
-        if (error.message === "Source account does not exist" || error.message === "Destination account does not exist") {
-            return res.status(404).json({ errorMessage: error.message })
-        }
-        return res.status(400).json({ errorMessage: error.message })
+    if (transferApprovalService.requiresApproval(amount)) {
+        const approval = await transferApprovalService.requestApproval(fromAccountId, toAccountId, amount, req.employee.employeeId)
+        return res.status(202).json({ approval })
     }
+
+    const results = await transferService.accountTransfer(fromAccountId, toAccountId, amount, req.employee.employeeId)
+    return res.status(201).json(results)
+})
+
+// POST /api/transfers/batch - Execute several transfers, all-or-nothing or best-effort, with a result per item
+router.post('/batch', requirePermission(PERMISSIONS.TRANSFERS_CREATE), validateRequest(), idempotency(), async (req, res) => {
+    const { mode, transfers } = req.body
+
+    const results = await transferService.batchTransfer(transfers, mode, req.employee.employeeId)
+    return res.status(200).json(results)
+})
+
+// POST /api/transfers/:id/reversal - Reverse a transfer with a linked compensating transfer (managers only)
+router.post('/:id/reversal', requirePermission(PERMISSIONS.TRANSFERS_REVERSE), validateRequest(), idempotency(), async (req, res) => {
+    const results = await transferService.reverseTransfer(req.params.id, req.body.reason, req.employee.employeeId)
+    return res.status(201).json(results)
 })
 
 module.exports = router
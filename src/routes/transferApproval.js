@@ -0,0 +1,41 @@
+const express = require('express')
+const transferApprovalService = require('../services/transferApprovalService')
+const authenticate = require('../middleware/authenticates')
+const { requirePermission } = require('../middleware/authorize')
+const idempotency = require('../middleware/idempotency')
+const { validateRequest } = require('../middleware/validate')
+const { PERMISSIONS } = require('../config/permissions')
+
+const router = express.Router()
+
+// Apply authentication middleware to all transfer approval routes
+router.use(authenticate)
+
+// GET /api/transfer-approvals - List approval requests, oldest first
+// Query: status, limit, offset
+router.get('/', requirePermission(PERMISSIONS.TRANSFERS_APPROVE), validateRequest(), async (req, res) => {
+    const { status, limit, offset } = req.query
+
+    const results = await transferApprovalService.listApprovals({ status, limit, offset })
+    return res.status(200).json(results)
+})
+
+// GET /api/transfer-approvals/:id - Get one approval request; requesters can follow their own
+router.get('/:id', requirePermission(PERMISSIONS.TRANSFERS_CREATE), validateRequest(), async (req, res) => {
+    const results = await transferApprovalService.getApproval(req.params.id)
+    return res.status(200).json(results)
+})
+
+// POST /api/transfer-approvals/:id/approve - Execute the transfer with fresh checks (another manager)
+router.post('/:id/approve', requirePermission(PERMISSIONS.TRANSFERS_APPROVE), validateRequest(), idempotency(), async (req, res) => {
+    const results = await transferApprovalService.approveTransfer(req.params.id, req.employee.employeeId, req.body?.reason)
+    return res.status(200).json(results)
+})
+
+// POST /api/transfer-approvals/:id/reject - Reject the transfer (another manager)
+router.post('/:id/reject', requirePermission(PERMISSIONS.TRANSFERS_APPROVE), validateRequest(), async (req, res) => {
+    const results = await transferApprovalService.rejectTransfer(req.params.id, req.employee.employeeId, req.body.reason)
+    return res.status(200).json(results)
+})
+
+module.exports = router
\ No newline at end of file
@@ -0,0 +1,55 @@
+const express = require('express')
+const webhookService = require('../services/webhookService')
+const authenticate = require('../middleware/authenticates')
+const { requirePermission } = require('../middleware/authorize')
+const { validateRequest } = require('../middleware/validate')
+const { PERMISSIONS } = require('../config/permissions')
+
+const router = express.Router()
+
+// Apply authentication middleware to all webhook routes
+router.use(authenticate)
+
+// POST /api/webhooks - Subscribe a URL to events; the response carries the signing secret
+router.post('/', requirePermission(PERMISSIONS.WEBHOOKS_MANAGE), validateRequest(), async (req, res) => {
+    const { url, events, description } = req.body
+
+    const results = await webhookService.createSubscription({ url, events, description }, req.employee.employeeId)
+    return res.status(201).json(results)
+})
+
+// GET /api/webhooks - List subscriptions
+router.get('/', requirePermission(PERMISSIONS.WEBHOOKS_MANAGE), validateRequest(), async (req, res) => {
+    const { limit, offset } = req.query
+
+    const results = await webhookService.listSubscriptions({ limit, offset })
+    return res.status(200).json(results)
+})
+
+// GET /api/webhooks/:id - Get a subscription
+router.get('/:id', requirePermission(PERMISSIONS.WEBHOOKS_MANAGE), validateRequest(), async (req, res) => {
+    const results = await webhookService.getSubscription(req.params.id)
+    return res.status(200).json(results)
+})
+
+// POST /api/webhooks/:id/disable - Stop sending events to a subscription
+router.post('/:id/disable', requirePermission(PERMISSIONS.WEBHOOKS_MANAGE), validateRequest(), async (req, res) => {
+    const results = await webhookService.disableSubscription(req.params.id, req.employee.employeeId)
+    return res.status(200).json(results)
+})
+
+// GET /api/webhooks/:id/deliveries - Delivery attempts for a subscription, optionally by status
+router.get('/:id/deliveries', requirePermission(PERMISSIONS.WEBHOOKS_MANAGE), validateRequest(), async (req, res) => {
+    const { status, limit, offset } = req.query
+
+    const results = await webhookService.listDeliveries(req.params.id, { status, limit, offset })
+    return res.status(200).json(results)
+})
+
+// POST /api/webhooks/deliveries/:id/redeliver - Send a delivered or dead-lettered event again
+router.post('/deliveries/:id/redeliver', requirePermission(PERMISSIONS.WEBHOOKS_MANAGE), validateRequest(), async (req, res) => {
+    const results = await webhookService.redeliver(req.params.id, req.employee.employeeId)
+    return res.status(200).json(results)
+})
+
+module.exports = router
\ No newline at end of file
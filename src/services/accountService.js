@@ -1,22 +1,84 @@
 const prisma = require('../db/client')
+const { AUDIT_ACTIONS, recordAudit } = require('./auditService')
+const { EVENT_TYPES, recordEvent } = require('./outboxService')
+const ledgerService = require('./ledgerService')
+const { toCents, formatCents } = require('../utils/money')
+const { formatAccount } = require('../utils/serializers')
+const logger = require('../utils/logger')
+const { BusinessRuleError, ConflictError, NotFoundError, ValidationError } = require('../utils/errors')
 
-async function createAccount (customerId, initialDeposit){
-    
-    const customer = await prisma.customer.findUnique({
-        where: {id: customerId}
-    })
+const ACCOUNT_STATUSES = {
+    ACTIVE: 'ACTIVE',
+    FROZEN: 'FROZEN',
+    CLOSED: 'CLOSED'
+}
 
-    if (!customer) { throw Error ('Customer not found')}
-    if (initialDeposit <= 0) { throw Error ('Initial Deposit must be greater Zero')}
+// Statuses an account may move to from each status. CLOSED is final, and a
+// frozen account has to be unfrozen before anything else happens to it.
+const STATUS_TRANSITIONS = {
+    ACTIVE: ['FROZEN', 'CLOSED'],
+    FROZEN: ['ACTIVE'],
+    CLOSED: []
+}
 
-    const account = await prisma.account.create({
-        data:{
-            customerId,
-            balance: initialDeposit
-        }
-    })
-    
-    return account
+async function createAccount (customerId, initialDeposit, employeeId){
+
+    try {
+        const customer = await prisma.customer.findUnique({
+            where: {id: customerId}
+        })
+
+        if (!customer) { throw new NotFoundError("Customer not found", "CUSTOMER_NOT_FOUND") }
+        const depositCents = toCents(initialDeposit)
+        if (depositCents <= 0) { throw new ValidationError("Initial Deposit must be greater Zero", "INVALID_AMOUNT") }
+
+        // Account row, opening deposit and audit entry are written together
+        const account = await prisma.$transaction(async (tx) => {
+            const created = await tx.account.create({
+                data:{
+                    customerId,
+                    createdByEmployeeId: employeeId || null
+                }
+            })
+
+            // The opening deposit is money entering the bank, so it is drawn
+            // from the funding account rather than appearing from nowhere
+            const fundingAccount = await ledgerService.getFundingAccount(tx)
+            await ledgerService.postJournalEntry(tx, {
+                type: ledgerService.ENTRY_TYPES.OPENING_DEPOSIT,
+                description: `Opening deposit for account #${created.id}`,
+                postings: [
+                    { accountId: fundingAccount.id, direction: ledgerService.DIRECTIONS.DEBIT, amountCents: depositCents },
+                    { accountId: created.id, direction: ledgerService.DIRECTIONS.CREDIT, amountCents: depositCents }
+                ]
+            })
+
+            await recordAudit({
+                employeeId,
+                action: AUDIT_ACTIONS.ACCOUNT_CREATED,
+                entityType: 'Account',
+                entityId: created.id,
+                details: { customerId, initialDeposit: formatCents(depositCents) }
+            }, tx)
+
+            const opened = await tx.account.findUnique({ where: { id: created.id } })
+            await recordEvent(EVENT_TYPES.ACCOUNT_CREATED, { account: formatAccount(opened) }, tx)
+            return opened
+        })
+
+        logger.info('Account created', { accountId: account.id, customerId, employeeId })
+        return formatAccount(account)
+    } catch (error) {
+        logger.failure('Account creation failed', error, { customerId, employeeId })
+        await recordAudit({
+            employeeId,
+            action: AUDIT_ACTIONS.ACCOUNT_CREATE_FAILED,
+            entityType: 'Customer',
+            entityId: typeof customerId === 'number' ? customerId : null,
+            details: { customerId, initialDeposit, reason: error.message }
+        })
+        throw error
+    }
 }
 
 async function getBalance(accountId) {
@@ -25,16 +87,103 @@ async function getBalance(accountId) {
         where: {id: accountId}
     })
 
-    if (!account){ throw new Error("Account not found");}
+    if (!account) { throw new NotFoundError("Account not found", "ACCOUNT_NOT_FOUND") }
 
     return {
         accountId: account.id,
-        balance: account.balance
+        status: account.status,
+        balance: formatCents(account.balanceCents)
     }
     
 }
 
+async function freezeAccount(accountId, employeeId, reason) {
+    return changeAccountStatus(accountId, ACCOUNT_STATUSES.FROZEN, employeeId, reason)
+}
+
+async function unfreezeAccount(accountId, employeeId, reason) {
+    return changeAccountStatus(accountId, ACCOUNT_STATUSES.ACTIVE, employeeId, reason)
+}
+
+async function closeAccount(accountId, employeeId, reason) {
+    return changeAccountStatus(accountId, ACCOUNT_STATUSES.CLOSED, employeeId, reason)
+}
+
+// Status changes published to webhook subscribers; dormancy is internal bookkeeping
+function statusChangeEvent(from, to) {
+    if (to === ACCOUNT_STATUSES.FROZEN) { return EVENT_TYPES.ACCOUNT_FROZEN }
+    if (to === ACCOUNT_STATUSES.CLOSED) { return EVENT_TYPES.ACCOUNT_CLOSED }
+    if (from === ACCOUNT_STATUSES.FROZEN) { return EVENT_TYPES.ACCOUNT_UNFROZEN }
+    return null
+}
+
+async function changeAccountStatus(accountId, status, employeeId, reason) {
+
+    if (reason !== undefined && reason !== null && typeof reason !== 'string') {
+        throw new ValidationError("reason must be a string")
+    }
+
+    // Read and update in one transaction so a transfer cannot slip in between
+    // the zero-balance check and closing the account
+    const account = await prisma.$transaction(async (tx) => {
+        const current = await tx.account.findUnique({
+            where: { id: accountId }
+        })
+
+        if (!current) {
+            throw new NotFoundError("Account not found", "ACCOUNT_NOT_FOUND")
+        }
+        if (current.kind !== 'CUSTOMER') {
+            throw new BusinessRuleError("Internal bank accounts cannot change status", "INTERNAL_ACCOUNT")
+        }
+        if (!STATUS_TRANSITIONS[current.status].includes(status)) {
+            throw new ConflictError(`Cannot change account status from ${current.status} to ${status}`, "INVALID_STATUS_TRANSITION")
+        }
+        if (status === ACCOUNT_STATUSES.CLOSED && current.balanceCents !== 0n) {
+            throw new ConflictError("Account balance must be zero before closing", "ACCOUNT_BALANCE_NOT_ZERO")
+        }
+
+        const updated = await tx.account.update({
+            where: { id: accountId },
+            data: {
+                status,
+                statusReason: reason || null,
+                statusChangedAt: new Date()
+            }
+        })
+
+        await recordAudit({
+            employeeId,
+            action: AUDIT_ACTIONS.ACCOUNT_STATUS_CHANGED,
+            entityType: 'Account',
+            entityId: accountId,
+            details: { from: current.status, to: status, reason: reason || null }
+        }, tx)
+
+        const eventType = statusChangeEvent(current.status, status)
+        if (eventType) {
+            await recordEvent(eventType, {
+                account: formatAccount(updated),
+                previousStatus: current.status,
+                reason: reason || null
+            }, tx)
+        }
+
+        return updated
+    })
+
+    logger.info('Account status changed', { accountId, status, employeeId })
+    return formatAccount(account)
+}
+
 
 module.exports = {
-    createAccount, getBalance
+    ACCOUNT_STATUSES,
+    STATUS_TRANSITIONS,
+    createAccount,
+    getBalance,
+    freezeAccount,
+    unfreezeAccount,
+    closeAccount,
+    changeAccountStatus
 }
\ No newline at end of file
@@ -0,0 +1,121 @@
+const prisma = require('../db/client')
+
+// Actions written to the audit trail. Stored as plain strings so new actions
+// can be added without a migration.
+const AUDIT_ACTIONS = {
+    LOGIN_SUCCEEDED: 'LOGIN_SUCCEEDED',
+    LOGIN_FAILED: 'LOGIN_FAILED',
+    LOGIN_LOCKED: 'LOGIN_LOCKED',
+    LOGIN_UNLOCKED: 'LOGIN_UNLOCKED',
+    LOGOUT: 'LOGOUT',
+    REFRESH_TOKEN_REUSED: 'REFRESH_TOKEN_REUSED',
+    SESSIONS_REVOKED: 'SESSIONS_REVOKED',
+    PASSWORD_CHANGED: 'PASSWORD_CHANGED',
+    EMPLOYEE_CREATED: 'EMPLOYEE_CREATED',
+    EMPLOYEE_DEACTIVATED: 'EMPLOYEE_DEACTIVATED',
+    EMPLOYEE_ROLE_CHANGED: 'EMPLOYEE_ROLE_CHANGED',
+    ACCOUNT_CREATED: 'ACCOUNT_CREATED',
+    ACCOUNT_CREATE_FAILED: 'ACCOUNT_CREATE_FAILED',
+    ACCOUNT_STATUS_CHANGED: 'ACCOUNT_STATUS_CHANGED',
+    ACCOUNT_LIMITS_UPDATED: 'ACCOUNT_LIMITS_UPDATED',
+    TRANSFER_COMPLETED: 'TRANSFER_COMPLETED',
+    TRANSFER_FAILED: 'TRANSFER_FAILED',
+    TRANSFER_REVERSED: 'TRANSFER_REVERSED',
+    TRANSFER_REVERSAL_FAILED: 'TRANSFER_REVERSAL_FAILED',
+    TRANSFER_APPROVAL_REQUESTED: 'TRANSFER_APPROVAL_REQUESTED',
+    TRANSFER_APPROVAL_APPROVED: 'TRANSFER_APPROVAL_APPROVED',
+    TRANSFER_APPROVAL_REJECTED: 'TRANSFER_APPROVAL_REJECTED',
+    FRAUD_RULE_UPDATED: 'FRAUD_RULE_UPDATED',
+    FRAUD_FLAG_REVIEWED: 'FRAUD_FLAG_REVIEWED',
+    ROLE_PERMISSIONS_UPDATED: 'ROLE_PERMISSIONS_UPDATED',
+    CUSTOMER_CREATED: 'CUSTOMER_CREATED',
+    CUSTOMER_UPDATED: 'CUSTOMER_UPDATED',
+    CASH_DEPOSIT_COMPLETED: 'CASH_DEPOSIT_COMPLETED',
+    CASH_WITHDRAWAL_COMPLETED: 'CASH_WITHDRAWAL_COMPLETED',
+    CASH_TRANSACTION_FAILED: 'CASH_TRANSACTION_FAILED',
+    SCHEDULED_TRANSFER_CREATED: 'SCHEDULED_TRANSFER_CREATED',
+    SCHEDULED_TRANSFER_PAUSED: 'SCHEDULED_TRANSFER_PAUSED',
+    SCHEDULED_TRANSFER_RESUMED: 'SCHEDULED_TRANSFER_RESUMED',
+    SCHEDULED_TRANSFER_CANCELLED: 'SCHEDULED_TRANSFER_CANCELLED',
+    WEBHOOK_SUBSCRIPTION_CREATED: 'WEBHOOK_SUBSCRIPTION_CREATED',
+    WEBHOOK_SUBSCRIPTION_DISABLED: 'WEBHOOK_SUBSCRIPTION_DISABLED',
+    WEBHOOK_REDELIVERY_REQUESTED: 'WEBHOOK_REDELIVERY_REQUESTED'
+}
+
+const DEFAULT_PAGE_SIZE = 50
+const MAX_PAGE_SIZE = 500
+
+// Append an entry to the audit trail.
+// Pass a transaction client as `client` so the entry commits (or rolls back)
+// together with the change it describes.
+async function recordAudit({ employeeId, action, entityType, entityId, details, ipAddress }, client = prisma) {
+
+    if (!Object.values(AUDIT_ACTIONS).includes(action)) {
+        throw new Error(`Unknown audit action: ${action}`)
+    }
+
+    return client.auditLog.create({
+        data: {
+            employeeId: employeeId || null,
+            action,
+            entityType: entityType || null,
+            entityId: entityId || null,
+            details: details ? JSON.stringify(details) : null,
+            ipAddress: ipAddress || null
+        }
+    })
+}
+
+async function listAuditLogs(filters = {}) {
+
+    const { employeeId, action, entityType, entityId, from, to } = filters
+    const limit = Math.min(filters.limit || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE)
+    const offset = filters.offset || 0
+
+    const where = {}
+    if (employeeId !== undefined) { where.employeeId = employeeId }
+    if (action) { where.action = action }
+    if (entityType) { where.entityType = entityType }
+    if (entityId !== undefined) { where.entityId = entityId }
+    if (from || to) {
+        where.createdAt = {}
+        if (from) { where.createdAt.gte = from }
+        if (to) { where.createdAt.lte = to }
+    }
+
+    const [total, entries] = await prisma.$transaction([
+        prisma.auditLog.count({ where }),
+        prisma.auditLog.findMany({
+            where,
+            orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+            skip: offset,
+            take: limit,
+            include: {
+                employee: {
+                    select: {
+                        id: true,
+                        username: true,
+                        name: true,
+                        role: true
+                    }
+                }
+            }
+        })
+    ])
+
+    return {
+        total,
+        limit,
+        offset,
+        items: entries.map(entry => ({
+            ...entry,
+            details: entry.details ? JSON.parse(entry.details) : null
+        }))
+    }
+}
+
+module.exports = {
+    AUDIT_ACTIONS,
+    recordAudit,
+    listAuditLogs
+}
@@ -1,40 +1,282 @@
+const crypto = require('crypto')
 const prisma = require('../db/client')
 const bcrypt = require('bcrypt')
 const jwt = require('jsonwebtoken')
+const { AUDIT_ACTIONS, recordAudit } = require('./auditService')
+const loginThrottleService = require('./loginThrottleService')
+const logger = require('../utils/logger')
+const metrics = require('../utils/metrics')
+const { AuthenticationError, NotFoundError } = require('../utils/errors')
 
-async function login(username, password) {
+// Compared against when the username is unknown, so a failed login takes as long
+// whether or not the employee exists
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString('hex'), 10)
 
-    // Finding employee with a unique username
-    const employee = await prisma.employee.findUnique({
-        where: { username }
-    })
-    if (!employee) { throw new Error("Invalid credentials") }
+function refreshTokenTtlMs() {
+    const days = Number(process.env.REFRESH_TOKEN_TTL_DAYS)
+    return (Number.isFinite(days) && days > 0 ? days : 7) * 24 * 60 * 60 * 1000
+}
 
-    //  Check if the provided password matches the crypted password in the database
-    const isValidPassword = await bcrypt.compare(password, employee.password)
-    if (!isValidPassword) { throw new Error("Invalid credentials") }
+// Refresh tokens are random strings; only their hash is stored
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex')
+}
 
-    //  Assuming user has valid credentials I will be generating token
-    const token = jwt.sign(
+function signAccessToken(employee, sessionId) {
+    return jwt.sign(
         {
             employeeId: employee.id,
             username: employee.username,
-            role: employee.role
+            role: employee.role,
+            sessionId
         },
-        process.env.JWT_SECRET, {expiresIn: process.env.JWT_EXPIRE_IN || '24h'}
+        process.env.JWT_SECRET, {expiresIn: process.env.JWT_EXPIRE_IN || '15m'}
     )
+}
+
+async function issueRefreshToken(client, sessionId) {
+    const refreshToken = crypto.randomBytes(32).toString('base64url')
+    const refreshTokenExpiresAt = new Date(Date.now() + refreshTokenTtlMs())
+
+    await client.refreshToken.create({
+        data: { sessionId, tokenHash: hashToken(refreshToken), expiresAt: refreshTokenExpiresAt }
+    })
 
+    return { refreshToken, refreshTokenExpiresAt }
+}
+
+function sessionResponse(employee, sessionId, refresh) {
     return {
-        token,
+        token: signAccessToken(employee, sessionId),
+        ...refresh,
         employee: {
             employeeId: employee.id,
             username: employee.username,
             role: employee.role
         }
     }
+}
+
+// Audit a failed login. The attempt was already counted towards the username and IP
+// lockouts when it was reserved; lockedScopes are the scopes that reservation locked.
+// Unknown usernames are counted the same way as real ones.
+async function recordLoginFailure(username, employee, ipAddress, lockedScopes) {
+
+    const employeeFields = employee
+        ? { employeeId: employee.id, entityType: 'Employee', entityId: employee.id }
+        : {}
+
+    await recordAudit({ ...employeeFields, action: AUDIT_ACTIONS.LOGIN_FAILED, details: { username }, ipAddress })
+    logger.warn('Login failed', { username, employeeId: employee ? employee.id : null, lockedScopes })
+    metrics.loginsTotal.inc({ outcome: 'failure' })
+
+    if (lockedScopes.length > 0) {
+        await recordAudit({
+            ...employeeFields,
+            action: AUDIT_ACTIONS.LOGIN_LOCKED,
+            details: { username, scopes: lockedScopes },
+            ipAddress
+        })
+    }
+}
+
+async function login(rawUsername, password, ipAddress) {
+
+    // Usernames are stored in lowercase, so every casing of a name is the same employee
+    const username = typeof rawUsername === 'string' ? rawUsername.trim().toLowerCase() : rawUsername
+
+    // Locked or throttled attempts are turned away before the password is checked.
+    // The attempt counts as a failure until the password is proven right, so parallel
+    // guesses cannot all slip past the throttle before any of them is counted.
+    let lockedScopes
+    try {
+        lockedScopes = await loginThrottleService.reserveLoginAttempt(username, ipAddress)
+    } catch (error) {
+        metrics.loginsTotal.inc({ outcome: 'locked' })
+        throw error
+    }
+
+    // Finding employee with a unique username
+    const employee = await prisma.employee.findUnique({
+        where: { username }
+    })
+
+    //  Check if the provided password matches the crypted password in the database.
+    //  Unknown usernames still pay for a compare, so timing does not reveal them
+    const isValidPassword = await bcrypt.compare(password, employee ? employee.password : DUMMY_PASSWORD_HASH)
+    if (!employee || !isValidPassword) {
+        await recordLoginFailure(username, employee, ipAddress, lockedScopes)
+        throw new AuthenticationError("Invalid credentials", "INVALID_CREDENTIALS")
+    }
+
+    if (!employee.isActive) {
+        await recordAudit({
+            employeeId: employee.id,
+            action: AUDIT_ACTIONS.LOGIN_FAILED,
+            entityType: 'Employee',
+            entityId: employee.id,
+            details: { username, reason: 'EMPLOYEE_DEACTIVATED' },
+            ipAddress
+        })
+        metrics.loginsTotal.inc({ outcome: 'failure' })
+        throw new AuthenticationError("Employee account is deactivated", "EMPLOYEE_DEACTIVATED")
+    }
+
+    //  Valid credentials: open a session and hand out its first token pair
+    const { sessionId, response } = await prisma.$transaction(async (tx) => {
+        await loginThrottleService.releaseLoginAttempt(username, ipAddress, tx)
+
+        const session = await tx.authSession.create({
+            data: { employeeId: employee.id, ipAddress: ipAddress || null }
+        })
+        const refresh = await issueRefreshToken(tx, session.id)
+
+        await recordAudit({
+            employeeId: employee.id,
+            action: AUDIT_ACTIONS.LOGIN_SUCCEEDED,
+            entityType: 'Employee',
+            entityId: employee.id,
+            details: { sessionId: session.id },
+            ipAddress
+        }, tx)
+
+        return { sessionId: session.id, response: sessionResponse(employee, session.id, refresh) }
+    })
+
+    logger.info('Login succeeded', { employeeId: employee.id, sessionId })
+    metrics.loginsTotal.inc({ outcome: 'success' })
+    return response
+
+}
+
+// Swap a refresh token for a new access token and a new refresh token.
+// Each refresh token works once; presenting a used one again means it was
+// copied, so the whole session is revoked.
+async function refresh(refreshToken, ipAddress) {
+
+    if (typeof refreshToken !== 'string' || refreshToken === '') {
+        throw new AuthenticationError("Invalid refresh token", "INVALID_REFRESH_TOKEN")
+    }
+
+    const stored = await prisma.refreshToken.findUnique({
+        where: { tokenHash: hashToken(refreshToken) },
+        include: { session: { include: { employee: true } } }
+    })
+
+    if (!stored || stored.session.revokedAt || stored.expiresAt <= new Date() || !stored.session.employee.isActive) {
+        throw new AuthenticationError("Invalid refresh token", "INVALID_REFRESH_TOKEN")
+    }
+
+    if (stored.usedAt) {
+        await prisma.authSession.update({
+            where: { id: stored.sessionId },
+            data: { revokedAt: new Date() }
+        })
+        await recordAudit({
+            employeeId: stored.session.employeeId,
+            action: AUDIT_ACTIONS.REFRESH_TOKEN_REUSED,
+            entityType: 'Employee',
+            entityId: stored.session.employeeId,
+            details: { sessionId: stored.sessionId },
+            ipAddress
+        })
+        logger.warn('Refresh token reused, session revoked', { employeeId: stored.session.employeeId, sessionId: stored.sessionId })
+        throw new AuthenticationError("Invalid refresh token", "INVALID_REFRESH_TOKEN")
+    }
+
+    return prisma.$transaction(async (tx) => {
+        // Only the first of two concurrent refreshes with the same token wins
+        const { count } = await tx.refreshToken.updateMany({
+            where: { id: stored.id, usedAt: null },
+            data: { usedAt: new Date() }
+        })
+        if (count === 0) {
+            throw new AuthenticationError("Invalid refresh token", "INVALID_REFRESH_TOKEN")
+        }
+
+        await tx.authSession.update({
+            where: { id: stored.sessionId },
+            data: { lastUsedAt: new Date() }
+        })
+        const next = await issueRefreshToken(tx, stored.sessionId)
+
+        return sessionResponse(stored.session.employee, stored.sessionId, next)
+    })
+}
+
+async function logout(sessionId, employeeId, ipAddress) {
+
+    await prisma.authSession.updateMany({
+        where: { id: sessionId, employeeId, revokedAt: null },
+        data: { revokedAt: new Date() }
+    })
+
+    await recordAudit({
+        employeeId,
+        action: AUDIT_ACTIONS.LOGOUT,
+        entityType: 'Employee',
+        entityId: employeeId,
+        details: { sessionId },
+        ipAddress
+    })
+}
+
+// Sign an employee out everywhere. Their access tokens stop working on the next
+// request because authenticate checks the session on every call.
+async function revokeEmployeeSessions(employeeId, revokedByEmployeeId) {
+
+    const employee = await prisma.employee.findUnique({
+        where: { id: employeeId }
+    })
+
+    if (!employee) {
+        throw new NotFoundError("Employee not found", "EMPLOYEE_NOT_FOUND")
+    }
+
+    const revokedSessions = await prisma.$transaction(async (tx) => {
+        const { count } = await tx.authSession.updateMany({
+            where: { employeeId, revokedAt: null },
+            data: { revokedAt: new Date() }
+        })
+
+        await recordAudit({
+            employeeId: revokedByEmployeeId,
+            action: AUDIT_ACTIONS.SESSIONS_REVOKED,
+            entityType: 'Employee',
+            entityId: employeeId,
+            details: { revokedSessions: count }
+        }, tx)
+
+        return count
+    })
+
+    return { employeeId, revokedSessions }
+}
+
+// The open session behind an access token, with its employee, or null when the
+// session was logged out, revoked or never existed
+async function findActiveSession(sessionId, employeeId) {
+
+    if (!Number.isInteger(sessionId)) {
+        return null
+    }
+
+    const session = await prisma.authSession.findUnique({
+        where: { id: sessionId },
+        include: { employee: true }
+    })
+
+    if (!session || session.revokedAt || session.employeeId !== employeeId) {
+        return null
+    }
 
+    return session
 }
 
 module.exports = {
-    login
+    login,
+    refresh,
+    logout,
+    revokeEmployeeSessions,
+    findActiveSession
 }
\ No newline at end of file
@@ -0,0 +1,149 @@
+const prisma = require('../db/client')
+const { AUDIT_ACTIONS, recordAudit } = require('./auditService')
+const ledgerService = require('./ledgerService')
+const transferLimitService = require('./transferLimitService')
+const { ACCOUNT_STATUSES } = require('./accountService')
+const { toCents, formatCents } = require('../utils/money')
+const { formatAccount, formatCashTransaction } = require('../utils/serializers')
+const logger = require('../utils/logger')
+const metrics = require('../utils/metrics')
+const { BusinessRuleError, InsufficientFundsError, NotFoundError, TransferLimitExceededError, ValidationError } = require('../utils/errors')
+
+const CASH_TYPES = {
+    DEPOSIT: 'DEPOSIT',
+    WITHDRAWAL: 'WITHDRAWAL'
+}
+
+async function deposit(accountId, amount, employeeId, description) {
+    return recordCashTransaction(CASH_TYPES.DEPOSIT, accountId, amount, employeeId, description)
+}
+
+async function withdraw(accountId, amount, employeeId, description) {
+    return recordCashTransaction(CASH_TYPES.WITHDRAWAL, accountId, amount, employeeId, description)
+}
+
+async function recordCashTransaction(type, accountId, amount, employeeId, description) {
+
+    try {
+        const result = await executeCashTransaction(type, accountId, amount, employeeId, description)
+        logger.info('Cash transaction completed', {
+            type,
+            cashTransactionId: result.transaction.id,
+            accountId,
+            amount: result.transaction.amount,
+            employeeId
+        })
+        return result
+    } catch (error) {
+        logger.failure('Cash transaction failed', error, { type, accountId, amount, employeeId })
+        if (error instanceof InsufficientFundsError) {
+            metrics.insufficientFundsTotal.inc({ operation: 'cash_withdrawal' })
+        }
+        if (error instanceof TransferLimitExceededError) {
+            metrics.transferLimitRejectionsTotal.inc({ limit: error.details.limit })
+        }
+        // The transaction has rolled back, so the failure is recorded on its own
+        await recordAudit({
+            employeeId,
+            action: AUDIT_ACTIONS.CASH_TRANSACTION_FAILED,
+            entityType: 'Account',
+            entityId: typeof accountId === 'number' ? accountId : null,
+            details: { type, accountId, amount, reason: error.message }
+        })
+        throw error
+    }
+}
+
+async function executeCashTransaction(type, accountId, amount, employeeId, description) {
+
+    const amountCents = toCents(amount)
+
+    if (amountCents <= 0) {
+        throw new ValidationError("Amount must be positive and more than Zero", "INVALID_AMOUNT")
+    }
+    if (description !== undefined && description !== null && typeof description !== 'string') {
+        throw new ValidationError("description must be a string")
+    }
+
+    // Same pattern as transfers: existence and balance checks happen inside the
+    // transaction so concurrent withdrawals cannot overdraw the account
+    return prisma.$transaction(async (tx) => {
+        const account = await tx.account.findUnique({
+            where: { id: accountId }
+        })
+
+        if (!account) {
+            throw new NotFoundError("Account not found", "ACCOUNT_NOT_FOUND")
+        }
+        if (account.kind !== 'CUSTOMER') {
+            throw new BusinessRuleError("Internal bank accounts cannot be used for cash transactions", "INTERNAL_ACCOUNT")
+        }
+        // Same rules as transfers: nothing moves in or out of a closed account,
+        // and a frozen account can be paid into but not drawn from
+        if (account.status === ACCOUNT_STATUSES.CLOSED) {
+            throw new BusinessRuleError("Account is closed", "ACCOUNT_CLOSED")
+        }
+        if (type === CASH_TYPES.WITHDRAWAL && account.status === ACCOUNT_STATUSES.FROZEN) {
+            throw new BusinessRuleError("Account is frozen", "ACCOUNT_FROZEN")
+        }
+        if (type === CASH_TYPES.WITHDRAWAL && account.balanceCents < amountCents) {
+            throw new InsufficientFundsError("Insufficient funds")
+        }
+        // Withdrawals count against the account's outgoing limits alongside transfers
+        if (type === CASH_TYPES.WITHDRAWAL) {
+            await transferLimitService.checkWithdrawalLimits(tx, { accountId, amountCents })
+        }
+
+        const cashTransaction = await tx.cashTransaction.create({
+            data: {
+                accountId,
+                type,
+                amountCents,
+                description: description || null,
+                executedByEmployeeId: employeeId || null
+            }
+        })
+
+        // Cash coming in is drawn from the bank funding account; cash paid out goes back to it
+        const fundingAccount = await ledgerService.getFundingAccount(tx)
+        const isDeposit = type === CASH_TYPES.DEPOSIT
+        await ledgerService.postJournalEntry(tx, {
+            type: isDeposit ? ledgerService.ENTRY_TYPES.CASH_DEPOSIT : ledgerService.ENTRY_TYPES.CASH_WITHDRAWAL,
+            description: `Cash ${isDeposit ? 'deposit' : 'withdrawal'} #${cashTransaction.id}`,
+            cashTransactionId: cashTransaction.id,
+            postings: [
+                {
+                    accountId: fundingAccount.id,
+                    direction: isDeposit ? ledgerService.DIRECTIONS.DEBIT : ledgerService.DIRECTIONS.CREDIT,
+                    amountCents
+                },
+                {
+                    accountId,
+                    direction: isDeposit ? ledgerService.DIRECTIONS.CREDIT : ledgerService.DIRECTIONS.DEBIT,
+                    amountCents
+                }
+            ]
+        })
+
+        await recordAudit({
+            employeeId,
+            action: isDeposit ? AUDIT_ACTIONS.CASH_DEPOSIT_COMPLETED : AUDIT_ACTIONS.CASH_WITHDRAWAL_COMPLETED,
+            entityType: 'CashTransaction',
+            entityId: cashTransaction.id,
+            details: { accountId, amount: formatCents(amountCents) }
+        }, tx)
+
+        const updatedAccount = await tx.account.findUnique({ where: { id: accountId } })
+
+        return {
+            transaction: formatCashTransaction(cashTransaction),
+            account: formatAccount(updatedAccount)
+        }
+    })
+}
+
+module.exports = {
+    CASH_TYPES,
+    deposit,
+    withdraw
+}
\ No newline at end of file
@@ -0,0 +1,182 @@
+const prisma = require('../db/client')
+const { AUDIT_ACTIONS, recordAudit } = require('./auditService')
+const { formatAccount } = require('../utils/serializers')
+const { ConflictError, NotFoundError, ValidationError } = require('../utils/errors')
+
+const DEFAULT_PAGE_SIZE = 20
+const MAX_PAGE_SIZE = 100
+const MAX_NAME_LENGTH = 100
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+const PHONE_PATTERN = /^\+?[0-9 ()-]{7,20}$/
+
+// Validate and normalise the editable customer fields.
+// With `partial` set, missing fields are left out instead of rejected (PATCH).
+function validateCustomerFields(input, { partial = false } = {}) {
+
+    const data = {}
+
+    if (input.name !== undefined || !partial) {
+        if (typeof input.name !== 'string' || input.name.trim() === '') {
+            throw new ValidationError("Customer name is required")
+        }
+        if (input.name.trim().length > MAX_NAME_LENGTH) {
+            throw new ValidationError(`Customer name must be at most ${MAX_NAME_LENGTH} characters`)
+        }
+        data.name = input.name.trim()
+    }
+
+    if (input.email !== undefined) {
+        if (input.email === null) {
+            data.email = null
+        } else if (typeof input.email !== 'string' || !EMAIL_PATTERN.test(input.email.trim())) {
+            throw new ValidationError("Invalid email address")
+        } else {
+            data.email = input.email.trim().toLowerCase()
+        }
+    }
+
+    if (input.phone !== undefined) {
+        if (input.phone === null) {
+            data.phone = null
+        } else if (typeof input.phone !== 'string' || !PHONE_PATTERN.test(input.phone.trim())) {
+            throw new ValidationError("Invalid phone number")
+        } else {
+            data.phone = input.phone.trim()
+        }
+    }
+
+    return data
+}
+
+function emailTakenError() {
+    return new ConflictError("A customer with this email already exists", "CUSTOMER_EMAIL_TAKEN")
+}
+
+async function ensureEmailAvailable(email, customerId) {
+
+    if (!email) { return }
+
+    const existing = await prisma.customer.findUnique({ where: { email } })
+    if (existing && existing.id !== customerId) {
+        throw emailTakenError()
+    }
+}
+
+// Another request saved the same email between the check above and the write
+function isEmailConflict(error) {
+    if (error.code !== 'P2002') { return false }
+    const target = error.meta && error.meta.target
+    return Array.isArray(target) ? target.includes('email') : String(target).includes('email')
+}
+
+async function createCustomer(input, employeeId) {
+
+    const data = validateCustomerFields(input)
+    await ensureEmailAvailable(data.email)
+
+    try {
+        return await prisma.$transaction(async (tx) => {
+            const customer = await tx.customer.create({ data })
+
+            await recordAudit({
+                employeeId,
+                action: AUDIT_ACTIONS.CUSTOMER_CREATED,
+                entityType: 'Customer',
+                entityId: customer.id,
+                details: data
+            }, tx)
+
+            return customer
+        })
+    } catch (error) {
+        if (isEmailConflict(error)) { throw emailTakenError() }
+        throw error
+    }
+}
+
+async function getCustomer(customerId) {
+
+    const customer = await prisma.customer.findUnique({
+        where: { id: customerId }
+    })
+
+    if (!customer) { throw new NotFoundError("Customer not found", "CUSTOMER_NOT_FOUND") }
+
+    return customer
+}
+
+async function updateCustomer(customerId, input, employeeId) {
+
+    const data = validateCustomerFields(input, { partial: true })
+    if (Object.keys(data).length === 0) {
+        throw new ValidationError("At least one of name, email or phone is required")
+    }
+
+    const existing = await getCustomer(customerId)
+    await ensureEmailAvailable(data.email, customerId)
+
+    try {
+        return await prisma.$transaction(async (tx) => {
+            const customer = await tx.customer.update({
+                where: { id: customerId },
+                data
+            })
+
+            await recordAudit({
+                employeeId,
+                action: AUDIT_ACTIONS.CUSTOMER_UPDATED,
+                entityType: 'Customer',
+                entityId: customerId,
+                details: {
+                    before: Object.fromEntries(Object.keys(data).map(field => [field, existing[field]])),
+                    after: data
+                }
+            }, tx)
+
+            return customer
+        })
+    } catch (error) {
+        if (isEmailConflict(error)) { throw emailTakenError() }
+        throw error
+    }
+}
+
+// Paginated customer list, optionally filtered by a name fragment
+async function listCustomers({ search, limit, offset } = {}) {
+
+    const take = Math.min(limit || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE)
+    const skip = offset || 0
+    const where = search ? { name: { contains: search.trim() } } : {}
+
+    const [total, items] = await prisma.$transaction([
+        prisma.customer.count({ where }),
+        prisma.customer.findMany({
+            where,
+            orderBy: [{ name: 'asc' }, { id: 'asc' }],
+            skip,
+            take
+        })
+    ])
+
+    return { total, limit: take, offset: skip, items }
+}
+
+async function getCustomerAccounts(customerId) {
+
+    await getCustomer(customerId)
+
+    const accounts = await prisma.account.findMany({
+        where: { customerId },
+        orderBy: { id: 'asc' }
+    })
+
+    return accounts.map(formatAccount)
+}
+
+module.exports = {
+    createCustomer,
+    getCustomer,
+    updateCustomer,
+    listCustomers,
+    getCustomerAccounts
+}
\ No newline at end of file
@@ -0,0 +1,275 @@
+const bcrypt = require('bcrypt')
+const prisma = require('../db/client')
+const { ROLES } = require('../config/permissions')
+const { AUDIT_ACTIONS, recordAudit } = require('./auditService')
+const loginThrottleService = require('./loginThrottleService')
+const { BusinessRuleError, ConflictError, NotFoundError, ValidationError } = require('../utils/errors')
+
+const DEFAULT_PAGE_SIZE = 20
+const MAX_PAGE_SIZE = 100
+const MAX_NAME_LENGTH = 100
+const MIN_PASSWORD_LENGTH = 8
+const USERNAME_PATTERN = /^[a-z0-9._-]{3,50}$/
+const SALT_ROUNDS = 10
+
+// Everything but the password hash
+const EMPLOYEE_FIELDS = {
+    id: true,
+    username: true,
+    name: true,
+    role: true,
+    isActive: true,
+    deactivatedAt: true,
+    passwordChangedAt: true,
+    createdAt: true,
+    updatedAt: true
+}
+
+function validatePassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        throw new ValidationError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`, "WEAK_PASSWORD")
+    }
+}
+
+function validateRole(role) {
+    if (!ROLES.includes(role)) {
+        throw new ValidationError(`Role must be one of: ${ROLES.join(', ')}`)
+    }
+}
+
+async function getEmployee(employeeId) {
+
+    const employee = await prisma.employee.findUnique({
+        where: { id: employeeId },
+        select: EMPLOYEE_FIELDS
+    })
+
+    if (!employee) { throw new NotFoundError("Employee not found", "EMPLOYEE_NOT_FOUND") }
+
+    return employee
+}
+
+async function createEmployee({ username, password, name, role = 'teller' }, createdByEmployeeId) {
+
+    const normalisedUsername = typeof username === 'string' ? username.trim().toLowerCase() : ''
+    if (!USERNAME_PATTERN.test(normalisedUsername)) {
+        throw new ValidationError("Username must be 3-50 characters of letters, numbers, dots, dashes or underscores")
+    }
+    if (typeof name !== 'string' || name.trim() === '') {
+        throw new ValidationError("Employee name is required")
+    }
+    if (name.trim().length > MAX_NAME_LENGTH) {
+        throw new ValidationError(`Employee name must be at most ${MAX_NAME_LENGTH} characters`)
+    }
+    validateRole(role)
+    validatePassword(password)
+
+    const existing = await prisma.employee.findUnique({ where: { username: normalisedUsername } })
+    if (existing) {
+        throw new ConflictError("An employee with this username already exists", "USERNAME_TAKEN")
+    }
+
+    const hashedPassword = await bcrypt.hash(password, SALT_ROUNDS)
+
+    try {
+        return await prisma.$transaction(async (tx) => {
+            const employee = await tx.employee.create({
+                data: {
+                    username: normalisedUsername,
+                    password: hashedPassword,
+                    name: name.trim(),
+                    role
+                },
+                select: EMPLOYEE_FIELDS
+            })
+
+            await recordAudit({
+                employeeId: createdByEmployeeId,
+                action: AUDIT_ACTIONS.EMPLOYEE_CREATED,
+                entityType: 'Employee',
+                entityId: employee.id,
+                details: { username: employee.username, role }
+            }, tx)
+
+            return employee
+        })
+    } catch (error) {
+        // Another request created the same username between the check and the insert
+        if (error.code === 'P2002') {
+            throw new ConflictError("An employee with this username already exists", "USERNAME_TAKEN")
+        }
+        throw error
+    }
+}
+
+// Paginated employee list, optionally filtered by role and active flag
+async function listEmployees({ role, active, limit, offset } = {}) {
+
+    const take = Math.min(limit || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE)
+    const skip = offset || 0
+
+    const where = {}
+    if (role) { where.role = role }
+    if (active !== undefined) { where.isActive = active }
+
+    const [total, items] = await prisma.$transaction([
+        prisma.employee.count({ where }),
+        prisma.employee.findMany({
+            where,
+            select: EMPLOYEE_FIELDS,
+            orderBy: [{ username: 'asc' }],
+            skip,
+            take
+        })
+    ])
+
+    return { total, limit: take, offset: skip, items }
+}
+
+// Deactivation keeps the employee's history and signs them out everywhere.
+// authenticate also checks the flag, so tokens issued earlier stop working too.
+async function deactivateEmployee(employeeId, deactivatedByEmployeeId) {
+
+    if (employeeId === deactivatedByEmployeeId) {
+        throw new BusinessRuleError("Employees cannot deactivate themselves", "SELF_DEACTIVATION")
+    }
+
+    const existing = await getEmployee(employeeId)
+    if (!existing.isActive) {
+        throw new ConflictError("Employee is already deactivated", "EMPLOYEE_ALREADY_DEACTIVATED")
+    }
+
+    return prisma.$transaction(async (tx) => {
+        const employee = await tx.employee.update({
+            where: { id: employeeId },
+            data: { isActive: false, deactivatedAt: new Date() },
+            select: EMPLOYEE_FIELDS
+        })
+
+        const { count } = await tx.authSession.updateMany({
+            where: { employeeId, revokedAt: null },
+            data: { revokedAt: new Date() }
+        })
+
+        await recordAudit({
+            employeeId: deactivatedByEmployeeId,
+            action: AUDIT_ACTIONS.EMPLOYEE_DEACTIVATED,
+            entityType: 'Employee',
+            entityId: employeeId,
+            details: { revokedSessions: count }
+        }, tx)
+
+        return employee
+    })
+}
+
+async function changeEmployeeRole(employeeId, role, changedByEmployeeId) {
+
+    validateRole(role)
+
+    // Stops the last manager from locking everyone out of administration
+    if (employeeId === changedByEmployeeId) {
+        throw new BusinessRuleError("Employees cannot change their own role", "SELF_ROLE_CHANGE")
+    }
+
+    const existing = await getEmployee(employeeId)
+    if (!existing.isActive) {
+        throw new ConflictError("Cannot change the role of a deactivated employee", "EMPLOYEE_DEACTIVATED")
+    }
+    if (existing.role === role) {
+        return existing
+    }
+
+    return prisma.$transaction(async (tx) => {
+        const employee = await tx.employee.update({
+            where: { id: employeeId },
+            data: { role },
+            select: EMPLOYEE_FIELDS
+        })
+
+        await recordAudit({
+            employeeId: changedByEmployeeId,
+            action: AUDIT_ACTIONS.EMPLOYEE_ROLE_CHANGED,
+            entityType: 'Employee',
+            entityId: employeeId,
+            details: { from: existing.role, to: role }
+        }, tx)
+
+        return employee
+    })
+}
+
+// Lift a login lockout early by clearing the employee's failed attempts
+async function unlockEmployee(employeeId, unlockedByEmployeeId) {
+
+    const employee = await getEmployee(employeeId)
+
+    const wasLocked = await prisma.$transaction(async (tx) => {
+        const cleared = await loginThrottleService.clearFailedLogins(employee.username, tx)
+
+        await recordAudit({
+            employeeId: unlockedByEmployeeId,
+            action: AUDIT_ACTIONS.LOGIN_UNLOCKED,
+            entityType: 'Employee',
+            entityId: employeeId,
+            details: { cleared }
+        }, tx)
+
+        return cleared
+    })
+
+    return { employeeId, username: employee.username, wasLocked }
+}
+
+// Self-service password change. Other sessions are signed out; the one making
+// the change (currentSessionId) stays signed in.
+async function changePassword(employeeId, currentPassword, newPassword, currentSessionId) {
+
+    const employee = await prisma.employee.findUnique({
+        where: { id: employeeId }
+    })
+    if (!employee) { throw new NotFoundError("Employee not found", "EMPLOYEE_NOT_FOUND") }
+
+    const isValidPassword = typeof currentPassword === 'string'
+        && await bcrypt.compare(currentPassword, employee.password)
+    if (!isValidPassword) {
+        throw new ValidationError("Current password is incorrect", "INVALID_CURRENT_PASSWORD")
+    }
+
+    validatePassword(newPassword)
+    if (newPassword === currentPassword) {
+        throw new ValidationError("New password must be different from the current password", "PASSWORD_REUSED")
+    }
+
+    const hashedPassword = await bcrypt.hash(newPassword, SALT_ROUNDS)
+
+    await prisma.$transaction(async (tx) => {
+        await tx.employee.update({
+            where: { id: employeeId },
+            data: { password: hashedPassword, passwordChangedAt: new Date() }
+        })
+
+        const { count } = await tx.authSession.updateMany({
+            where: { employeeId, revokedAt: null, id: { not: currentSessionId } },
+            data: { revokedAt: new Date() }
+        })
+
+        await recordAudit({
+            employeeId,
+            action: AUDIT_ACTIONS.PASSWORD_CHANGED,
+            entityType: 'Employee',
+            entityId: employeeId,
+            details: { revokedSessions: count }
+        }, tx)
+    })
+}
+
+module.exports = {
+    createEmployee,
+    getEmployee,
+    listEmployees,
+    deactivateEmployee,
+    changeEmployeeRole,
+    unlockEmployee,
+    changePassword
+}
\ No newline at end of file
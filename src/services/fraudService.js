@@ -0,0 +1,412 @@
+const prisma = require('../db/client')
+const { AUDIT_ACTIONS, recordAudit } = require('./auditService')
+const transferLimitService = require('./transferLimitService')
+const { toCents, formatCents } = require('../utils/money')
+const { formatFraudFlag } = require('../utils/serializers')
+const logger = require('../utils/logger')
+const metrics = require('../utils/metrics')
+const { ConflictError, NotFoundError, PermissionDeniedError, TransferBlockedError, ValidationError } = require('../utils/errors')
+
+// What happens when a rule fires. ALLOW switches a rule off.
+const RULE_ACTIONS = {
+    ALLOW: 'ALLOW',
+    FLAG: 'FLAG',
+    BLOCK: 'BLOCK'
+}
+
+const RULE_SOURCES = {
+    DEFAULT: 'DEFAULT',
+    OVERRIDE: 'OVERRIDE'
+}
+
+const FLAG_STATUSES = {
+    OPEN: 'OPEN',
+    CLEARED: 'CLEARED',
+    CONFIRMED: 'CONFIRMED'
+}
+
+const DEFAULT_PAGE_SIZE = 20
+const MAX_PAGE_SIZE = 100
+
+// The screening rules. Each one looks at a transfer before money moves and returns
+// null, or { reason, details } when it fires. `params` lists the parameters a manager
+// can change and their defaults; `amount` marks decimal amounts like the API's.
+// Adding a rule means adding an entry here: it starts with its default action.
+const RULES = {
+    VELOCITY: {
+        description: 'Many transfers out of one account within a few minutes',
+        action: RULE_ACTIONS.FLAG,
+        params: {
+            maxTransfers: { default: 5, integer: true },
+            windowMinutes: { default: 10, integer: true }
+        },
+        async evaluate(tx, { fromAccount, now }, params) {
+            const since = new Date(now.getTime() - params.windowMinutes * 60 * 1000)
+            const recent = await tx.transfer.count({
+                where: { fromAccountId: fromAccount.id, reversalOfId: null, timestamp: { gte: since } }
+            })
+            if (recent + 1 <= params.maxTransfers) { return null }
+            return {
+                reason: `More than ${params.maxTransfers} transfers from the account within ${params.windowMinutes} minutes`,
+                details: { recentTransfers: recent }
+            }
+        }
+    },
+    NEW_COUNTERPARTY: {
+        description: 'First transfer from an account to another one, above an amount',
+        action: RULE_ACTIONS.FLAG,
+        params: {
+            minAmount: { default: 1000, amount: true }
+        },
+        async evaluate(tx, { fromAccount, toAccount, amountCents }, params) {
+            const minCents = toCents(params.minAmount)
+            if (amountCents <= minCents) { return null }
+            const previous = await tx.transfer.findFirst({
+                where: { fromAccountId: fromAccount.id, toAccountId: toAccount.id, reversalOfId: null },
+                select: { id: true }
+            })
+            if (previous) { return null }
+            return { reason: `First transfer to account ${toAccount.id} is above ${formatCents(minCents)}` }
+        }
+    },
+    STRUCTURING: {
+        description: 'Round amount at or just under the approval threshold or the account\'s per-transaction limit',
+        action: RULE_ACTIONS.FLAG,
+        params: {
+            roundTo: { default: 100, amount: true },
+            marginPercent: { default: 10, max: 100 }
+        },
+        async evaluate(tx, { fromAccount, amountCents }, params) {
+            if (amountCents % toCents(params.roundTo) !== 0) { return null }
+            const thresholds = [
+                { threshold: 'APPROVAL_THRESHOLD', label: 'approval threshold', cents: transferLimitService.approvalThresholdCents() },
+                {
+                    threshold: 'ACCOUNT_PER_TRANSACTION',
+                    label: 'account\'s per-transaction limit',
+                    cents: await transferLimitService.perTransactionLimitCents(tx, fromAccount.id)
+                }
+            ]
+            const hit = thresholds.find(({ cents }) =>
+                amountCents <= cents && amountCents * 100 >= cents * (100 - params.marginPercent))
+            if (!hit) { return null }
+            return {
+                reason: `Round amount at or just under the ${hit.label} of ${formatCents(hit.cents)}`,
+                details: { threshold: hit.threshold, thresholdAmount: formatCents(hit.cents) }
+            }
+        }
+    },
+    BALANCE_DRAIN: {
+        description: 'Transfer takes most of the source account\'s balance',
+        action: RULE_ACTIONS.FLAG,
+        params: {
+            percent: { default: 90, max: 100 }
+        },
+        async evaluate(tx, { fromAccount, amountCents }, params) {
+            const balanceCents = Number(fromAccount.balanceCents)
+            if (amountCents * 100 <= balanceCents * params.percent) { return null }
+            return {
+                reason: `Transfer takes more than ${params.percent}% of the account's balance`,
+                details: { balance: formatCents(balanceCents) }
+            }
+        }
+    }
+}
+
+function defaultParams(rule) {
+    return Object.fromEntries(Object.entries(rule.params).map(([name, spec]) => [name, spec.default]))
+}
+
+// Every rule's action and parameters: the stored setting where there is one, the
+// built-in default otherwise. Read on each transfer, so changes apply immediately.
+async function loadRuleSettings(client) {
+
+    const rows = await client.fraudRule.findMany()
+    const stored = Object.fromEntries(rows.map(row => [row.code, row]))
+
+    return Object.fromEntries(Object.entries(RULES).map(([code, rule]) => {
+        const row = stored[code]
+        return [code, {
+            action: row ? row.action : rule.action,
+            params: { ...defaultParams(rule), ...(row ? JSON.parse(row.params) : {}) },
+            source: row ? RULE_SOURCES.OVERRIDE : RULE_SOURCES.DEFAULT,
+            row
+        }]
+    }))
+}
+
+// Runs every rule that is not set to ALLOW, on the transfer's own transaction client.
+// Throws TransferBlockedError if a BLOCK rule fires; otherwise returns the hits, which
+// flagTransfer stores once the transfer exists. Nothing is counted here: the transfer
+// may still roll back, so callers count hits with countHits once the outcome is known.
+async function screenTransfer(tx, { fromAccount, toAccount, amountCents, employeeId, now = new Date() }) {
+
+    const settings = await loadRuleSettings(tx)
+    const hits = []
+
+    for (const [code, rule] of Object.entries(RULES)) {
+        const { action, params } = settings[code]
+        if (action === RULE_ACTIONS.ALLOW) { continue }
+
+        const hit = await rule.evaluate(tx, { fromAccount, toAccount, amountCents, employeeId, now }, params)
+        if (!hit) { continue }
+
+        hits.push({ rule: code, action, reason: hit.reason, details: { params, ...hit.details } })
+    }
+
+    const blocked = hits.find(hit => hit.action === RULE_ACTIONS.BLOCK)
+    if (blocked) {
+        logger.info('Transfer blocked by screening rule', { rule: blocked.rule, fromAccountId: fromAccount.id, toAccountId: toAccount.id, employeeId })
+        const error = new TransferBlockedError(`Transfer blocked by rule ${blocked.rule}: ${blocked.reason}`, undefined, { rule: blocked.rule })
+        // Kept out of the response; recordBlockedTransfer stores it after the rollback
+        error.screening = { fromAccountId: fromAccount.id, toAccountId: toAccount.id, amountCents, employeeId, hits }
+        throw error
+    }
+    return hits
+}
+
+// Count screening hits whose transfer has committed or been blocked
+function countHits(hits) {
+    for (const hit of hits) {
+        metrics.fraudRuleHitsTotal.inc({ rule: hit.rule, action: hit.action.toLowerCase() })
+    }
+}
+
+// Stores one OPEN flag per FLAG hit for the review queue
+async function flagTransfer(tx, transferId, hits) {
+
+    const flags = hits.filter(hit => hit.action === RULE_ACTIONS.FLAG)
+    for (const hit of flags) {
+        await tx.fraudFlag.create({
+            data: {
+                transferId,
+                ruleCode: hit.rule,
+                action: hit.action,
+                reason: hit.reason,
+                details: JSON.stringify(hit.details)
+            }
+        })
+    }
+    if (flags.length > 0) {
+        logger.info('Transfer flagged for review', { transferId, rules: flags.map(hit => hit.rule) })
+    }
+}
+
+// Stores every hit of a blocked transfer for review, together with the attempt, and
+// counts them. The transfer's transaction has rolled back by now, so this is written
+// on its own, next to the TRANSFER_FAILED audit.
+async function recordBlockedTransfer(error) {
+
+    if (!error.screening) { return }
+    const { hits, fromAccountId, toAccountId, amountCents, employeeId } = error.screening
+
+    await prisma.$transaction(hits.map(hit => prisma.fraudFlag.create({
+        data: {
+            ruleCode: hit.rule,
+            action: hit.action,
+            reason: hit.reason,
+            details: JSON.stringify(hit.details),
+            fromAccountId,
+            toAccountId,
+            amountCents,
+            attemptedByEmployeeId: employeeId || null
+        }
+    })))
+
+    countHits(hits)
+    logger.info('Blocked transfer stored for review', { fromAccountId, toAccountId, employeeId, rules: hits.map(hit => hit.rule) })
+}
+
+function describeRule(code, setting) {
+    return {
+        code,
+        description: RULES[code].description,
+        action: setting.action,
+        params: setting.params,
+        source: setting.source,
+        reason: setting.row ? setting.row.reason : null,
+        updatedByEmployeeId: setting.row ? setting.row.updatedByEmployeeId : null,
+        updatedAt: setting.row ? setting.row.updatedAt : null
+    }
+}
+
+async function listRules() {
+
+    const settings = await loadRuleSettings(prisma)
+    return Object.keys(RULES).map(code => describeRule(code, settings[code]))
+}
+
+function checkParams(rule, params) {
+
+    if (params === undefined || params === null) { return {} }
+    if (typeof params !== 'object' || Array.isArray(params)) {
+        throw new ValidationError("params must be an object")
+    }
+
+    for (const [name, value] of Object.entries(params)) {
+        const spec = rule.params[name]
+        if (!spec) {
+            throw new ValidationError(`Unknown parameter: ${name}`, "UNKNOWN_RULE_PARAMETER")
+        }
+        if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+            throw new ValidationError(`${name} must be a number greater than zero`)
+        }
+        if (spec.integer && !Number.isInteger(value)) {
+            throw new ValidationError(`${name} must be a whole number`)
+        }
+        if (spec.max !== undefined && value > spec.max) {
+            throw new ValidationError(`${name} cannot be more than ${spec.max}`)
+        }
+        // Screening converts amounts to cents on every transfer, so a value that cannot
+        // be converted must never be stored
+        if (spec.amount) {
+            try {
+                toCents(value)
+            } catch (error) {
+                throw new ValidationError(`${name}: ${error.message}`, "INVALID_AMOUNT")
+            }
+        }
+    }
+    return params
+}
+
+// Replace a rule's setting. Parameters left out go back to their defaults.
+async function updateRule(code, { action, params, reason }, employeeId) {
+
+    const rule = RULES[code]
+    if (!rule) {
+        throw new NotFoundError("Fraud rule not found", "RULE_NOT_FOUND")
+    }
+    if (!Object.values(RULE_ACTIONS).includes(action)) {
+        throw new ValidationError(`action must be one of: ${Object.values(RULE_ACTIONS).join(', ')}`)
+    }
+
+    const data = {
+        action,
+        params: JSON.stringify(checkParams(rule, params)),
+        reason: typeof reason === 'string' && reason.trim() !== '' ? reason.trim() : null,
+        updatedByEmployeeId: employeeId || null
+    }
+
+    await prisma.$transaction(async (tx) => {
+        const previous = (await loadRuleSettings(tx))[code]
+
+        await tx.fraudRule.upsert({
+            where: { code },
+            create: { code, ...data },
+            update: data
+        })
+
+        await recordAudit({
+            employeeId,
+            action: AUDIT_ACTIONS.FRAUD_RULE_UPDATED,
+            entityType: 'FraudRule',
+            details: {
+                rule: code,
+                previous: { action: previous.action, params: previous.params },
+                current: { action, params: { ...defaultParams(rule), ...JSON.parse(data.params) } },
+                reason: data.reason
+            }
+        }, tx)
+    })
+
+    logger.info('Fraud rule updated', { rule: code, action, employeeId })
+    const settings = await loadRuleSettings(prisma)
+    return describeRule(code, settings[code])
+}
+
+// The review queue, oldest first, with the flagged transfer
+async function listFlags({ status, rule, limit, offset } = {}) {
+
+    if (status && !Object.values(FLAG_STATUSES).includes(status)) {
+        throw new ValidationError(`status must be one of: ${Object.values(FLAG_STATUSES).join(', ')}`)
+    }
+    if (rule && !RULES[rule]) {
+        throw new ValidationError(`rule must be one of: ${Object.keys(RULES).join(', ')}`)
+    }
+
+    const where = {}
+    if (status) { where.status = status }
+    if (rule) { where.ruleCode = rule }
+    const take = Math.min(limit || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE)
+    const skip = offset || 0
+
+    const [total, items] = await prisma.$transaction([
+        prisma.fraudFlag.count({ where }),
+        prisma.fraudFlag.findMany({
+            where,
+            orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+            skip,
+            take,
+            include: { transfer: true }
+        })
+    ])
+
+    return { total, limit: take, offset: skip, items: items.map(formatFraudFlag) }
+}
+
+async function findFlag(flagId) {
+
+    const flag = await prisma.fraudFlag.findUnique({ where: { id: flagId }, include: { transfer: true } })
+    if (!flag) {
+        throw new NotFoundError("Fraud flag not found", "FLAG_NOT_FOUND")
+    }
+    return flag
+}
+
+// Close an OPEN flag as CLEARED (legitimate) or CONFIRMED (fraud). The employee who
+// executed the transfer cannot review its flags.
+async function reviewFlag(flagId, { resolution, note }, employeeId) {
+
+    const resolutions = [FLAG_STATUSES.CLEARED, FLAG_STATUSES.CONFIRMED]
+    if (!resolutions.includes(resolution)) {
+        throw new ValidationError(`resolution must be one of: ${resolutions.join(', ')}`)
+    }
+
+    const flag = await findFlag(flagId)
+    if (flag.status !== FLAG_STATUSES.OPEN) {
+        throw new ConflictError(`Fraud flag is already ${flag.status.toLowerCase()}`, "FLAG_ALREADY_REVIEWED")
+    }
+    const madeBy = flag.transfer ? flag.transfer.executedByEmployeeId : flag.attemptedByEmployeeId
+    if (madeBy === employeeId) {
+        throw new PermissionDeniedError("Flags must be reviewed by a different employee than the one who made the transfer", "SELF_REVIEW_NOT_ALLOWED")
+    }
+
+    const reviewNote = typeof note === 'string' && note.trim() !== '' ? note.trim() : null
+
+    await prisma.$transaction(async (tx) => {
+        // Only if still open, so two reviewers cannot both close it
+        const { count } = await tx.fraudFlag.updateMany({
+            where: { id: flagId, status: FLAG_STATUSES.OPEN },
+            data: { status: resolution, reviewedByEmployeeId: employeeId, reviewedAt: new Date(), reviewNote }
+        })
+        if (count === 0) {
+            throw new ConflictError("Fraud flag has already been reviewed", "FLAG_ALREADY_REVIEWED")
+        }
+
+        await recordAudit({
+            employeeId,
+            action: AUDIT_ACTIONS.FRAUD_FLAG_REVIEWED,
+            entityType: 'FraudFlag',
+            entityId: flagId,
+            details: { transferId: flag.transferId, rule: flag.ruleCode, resolution, note: reviewNote }
+        }, tx)
+    })
+
+    logger.info('Fraud flag reviewed', { flagId, transferId: flag.transferId, resolution, employeeId })
+    return formatFraudFlag(await findFlag(flagId))
+}
+
+module.exports = {
+    RULES,
+    RULE_ACTIONS,
+    RULE_SOURCES,
+    FLAG_STATUSES,
+    screenTransfer,
+    countHits,
+    flagTransfer,
+    recordBlockedTransfer,
+    listRules,
+    updateRule,
+    listFlags,
+    reviewFlag
+}
\ No newline at end of file
@@ -0,0 +1,94 @@
+const fs = require('fs')
+const path = require('path')
+const prisma = require('../db/client')
+const logger = require('../utils/logger')
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', '..', 'prisma', 'migrations')
+
+const startedAt = new Date()
+let shuttingDown = false
+
+// Set when SIGTERM arrives so /ready starts failing and the orchestrator stops
+// routing new traffic here while in-flight requests drain (tests pass false to reset)
+function markShuttingDown(value = true) {
+    shuttingDown = value
+}
+
+function isShuttingDown() {
+    return shuttingDown
+}
+
+// Liveness: the process is up and able to answer. Deliberately touches nothing
+// else, so a database outage does not get healthy instances restarted.
+function getHealth(now = new Date()) {
+    return {
+        status: 'ok',
+        uptimeSeconds: Math.floor((now.getTime() - startedAt.getTime()) / 1000)
+    }
+}
+
+// Migration folders shipped with this build that the database has not finished applying
+async function findPendingMigrations(migrationsDir = MIGRATIONS_DIR) {
+
+    const shipped = fs.readdirSync(migrationsDir, { withFileTypes: true })
+        .filter(entry => entry.isDirectory() && fs.existsSync(path.join(migrationsDir, entry.name, 'migration.sql')))
+        .map(entry => entry.name)
+        .sort()
+
+    const applied = await prisma.$queryRaw`
+        SELECT migration_name FROM _prisma_migrations
+        WHERE finished_at IS NOT NULL AND rolled_back_at IS NULL
+    `
+    const appliedNames = new Set(applied.map(row => row.migration_name))
+
+    return shipped.filter(name => !appliedNames.has(name))
+}
+
+async function checkDatabase() {
+    try {
+        await prisma.$queryRaw`SELECT 1`
+        return { status: 'ok' }
+    } catch (error) {
+        // The probe response is public, so the details only go to the log
+        logger.warn('Readiness check failed: database', { error })
+        return { status: 'error', error: 'Database query failed' }
+    }
+}
+
+async function checkMigrations(migrationsDir) {
+    try {
+        const pending = await findPendingMigrations(migrationsDir)
+        return pending.length === 0
+            ? { status: 'ok', pending }
+            : { status: 'error', pending, error: `${pending.length} migration(s) not applied` }
+    } catch (error) {
+        logger.warn('Readiness check failed: migrations', { error })
+        return { status: 'error', pending: [], error: 'Could not read migration status' }
+    }
+}
+
+// Readiness: can this instance serve traffic right now? Needs a working database
+// connection whose schema matches this build, and not to be shutting down.
+async function getReadiness({ migrationsDir } = {}) {
+
+    const database = await checkDatabase()
+    const migrations = database.status === 'ok'
+        ? await checkMigrations(migrationsDir)
+        : { status: 'error', pending: [], error: 'Database unavailable' }
+
+    const checks = { database, migrations }
+    if (shuttingDown) {
+        checks.shutdown = { status: 'error', error: 'Server is shutting down' }
+    }
+
+    const ready = Object.values(checks).every(check => check.status === 'ok')
+    return { status: ready ? 'ready' : 'not_ready', checks }
+}
+
+module.exports = {
+    markShuttingDown,
+    isShuttingDown,
+    getHealth,
+    getReadiness,
+    findPendingMigrations
+}
\ No newline at end of file
@@ -0,0 +1,99 @@
+const crypto = require('crypto')
+const prisma = require('../db/client')
+
+const STATUS = {
+    IN_PROGRESS: 'IN_PROGRESS',
+    COMPLETED: 'COMPLETED'
+}
+
+function ttlMs() {
+    const hours = Number(process.env.IDEMPOTENCY_KEY_TTL_HOURS)
+    return (Number.isFinite(hours) && hours > 0 ? hours : 24) * 60 * 60 * 1000
+}
+
+// JSON with object keys sorted, so {a, b} and {b, a} fingerprint the same
+function canonicalJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`
+    }
+    if (value && typeof value === 'object') {
+        const entries = Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+        return `{${entries.join(',')}}`
+    }
+    return JSON.stringify(value === undefined ? null : value)
+}
+
+function fingerprintRequest({ method, path, employeeId, body }) {
+    return crypto
+        .createHash('sha256')
+        .update(canonicalJson({ method, path, employeeId: employeeId || null, body: body || {} }))
+        .digest('hex')
+}
+
+// Claim a key for a new request, or report what happened to an earlier one. Keys belong
+// to the employee who sent them, so two employees can use the same key independently.
+// Returns { outcome: 'NEW' | 'REPLAY' | 'MISMATCH' | 'IN_PROGRESS', record }
+async function beginRequest(key, fingerprint, employeeId) {
+
+    const now = new Date()
+
+    // Expired keys behave as if they were never used
+    await prisma.idempotencyKey.deleteMany({
+        where: { expiresAt: { lt: now } }
+    })
+
+    const existing = await prisma.idempotencyKey.findUnique({ where: { employeeId_key: { employeeId, key } } })
+
+    if (existing) {
+        if (existing.fingerprint !== fingerprint) { return { outcome: 'MISMATCH', record: existing } }
+        if (existing.status !== STATUS.COMPLETED) { return { outcome: 'IN_PROGRESS', record: existing } }
+        return {
+            outcome: 'REPLAY',
+            record: { ...existing, responseBody: JSON.parse(existing.responseBody) }
+        }
+    }
+
+    try {
+        const record = await prisma.idempotencyKey.create({
+            data: {
+                key,
+                fingerprint,
+                employeeId,
+                status: STATUS.IN_PROGRESS,
+                expiresAt: new Date(now.getTime() + ttlMs())
+            }
+        })
+        return { outcome: 'NEW', record }
+    } catch (error) {
+        // Another request claimed the key between our read and insert
+        if (error.code === 'P2002') {
+            return { outcome: 'IN_PROGRESS', record: null }
+        }
+        throw error
+    }
+}
+
+async function completeRequest(key, employeeId, responseStatus, responseBody) {
+
+    return prisma.idempotencyKey.update({
+        where: { employeeId_key: { employeeId, key } },
+        data: {
+            status: STATUS.COMPLETED,
+            responseStatus,
+            responseBody: JSON.stringify(responseBody)
+        }
+    })
+}
+
+// Forget a key whose request failed unexpectedly, so the client may retry it
+async function releaseRequest(key, employeeId) {
+
+    await prisma.idempotencyKey.deleteMany({ where: { employeeId, key } })
+}
+
+module.exports = {
+    fingerprintRequest,
+    beginRequest,
+    completeRequest,
+    releaseRequest
+}
\ No newline at end of file
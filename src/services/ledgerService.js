@@ -0,0 +1,145 @@
+const prisma = require('../db/client')
+const { formatCents } = require('../utils/money')
+const { NotFoundError } = require('../utils/errors')
+
+const DIRECTIONS = {
+    DEBIT: 'DEBIT',
+    CREDIT: 'CREDIT'
+}
+
+const ENTRY_TYPES = {
+    OPENING_DEPOSIT: 'OPENING_DEPOSIT',
+    TRANSFER: 'TRANSFER',
+    TRANSFER_REVERSAL: 'TRANSFER_REVERSAL',
+    CASH_DEPOSIT: 'CASH_DEPOSIT',
+    CASH_WITHDRAWAL: 'CASH_WITHDRAWAL'
+}
+
+const FUNDING_ACCOUNT_CODE = 'BANK_FUNDING'
+
+// The internal account representing the bank's own cash: opening deposits and
+// cash deposits are drawn from it, withdrawals are paid back into it. Created on first use.
+async function getFundingAccount(client = prisma) {
+
+    const existing = await client.account.findUnique({
+        where: { systemCode: FUNDING_ACCOUNT_CODE }
+    })
+    if (existing) { return existing }
+
+    return client.account.create({
+        data: {
+            kind: 'FUNDING',
+            systemCode: FUNDING_ACCOUNT_CODE
+        }
+    })
+}
+
+// Write a balanced journal entry and apply its postings to the cached balances.
+// Must be called with a transaction client so the entry, postings and balance
+// updates commit together with the caller's other writes.
+async function postJournalEntry(tx, { type, description, transferId, cashTransactionId, postings }) {
+
+    if (!Array.isArray(postings) || postings.length < 2) {
+        throw new Error("A journal entry needs at least two postings")
+    }
+
+    let debits = 0
+    let credits = 0
+    for (const posting of postings) {
+        if (!Number.isSafeInteger(posting.amountCents) || posting.amountCents <= 0) {
+            throw new Error("Posting amounts must be positive integer cents")
+        }
+        if (posting.direction === DIRECTIONS.DEBIT) {
+            debits += posting.amountCents
+        } else if (posting.direction === DIRECTIONS.CREDIT) {
+            credits += posting.amountCents
+        } else {
+            throw new Error(`Unknown posting direction: ${posting.direction}`)
+        }
+    }
+    if (debits !== credits) {
+        throw new Error("Journal entry is not balanced")
+    }
+
+    const entry = await tx.journalEntry.create({
+        data: {
+            type,
+            description,
+            transferId,
+            cashTransactionId,
+            postings: {
+                create: postings.map(({ accountId, direction, amountCents }) => ({ accountId, direction, amountCents }))
+            }
+        },
+        include: { postings: true }
+    })
+
+    for (const { accountId, direction, amountCents } of postings) {
+        await tx.account.update({
+            where: { id: accountId },
+            data: {
+                balanceCents: direction === DIRECTIONS.CREDIT
+                    ? { increment: amountCents }
+                    : { decrement: amountCents }
+            }
+        })
+    }
+
+    return entry
+}
+
+// Every posting for an account, oldest first, with the balance after each line.
+// derivedBalance is recomputed from the postings; it always matches the stored
+// balance unless something has written to Account.balanceCents directly.
+async function getAccountLedger(accountId) {
+
+    const account = await prisma.account.findUnique({
+        where: { id: accountId }
+    })
+
+    if (!account) { throw new NotFoundError("Account not found", "ACCOUNT_NOT_FOUND") }
+
+    const postings = await prisma.posting.findMany({
+        where: { accountId },
+        orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+        include: {
+            journalEntry: {
+                select: { id: true, type: true, description: true, transferId: true, cashTransactionId: true }
+            }
+        }
+    })
+
+    let running = 0n
+    const lines = postings.map(posting => {
+        running += posting.direction === DIRECTIONS.CREDIT ? posting.amountCents : -posting.amountCents
+        return {
+            id: posting.id,
+            journalEntryId: posting.journalEntryId,
+            type: posting.journalEntry.type,
+            description: posting.journalEntry.description,
+            transferId: posting.journalEntry.transferId,
+            cashTransactionId: posting.journalEntry.cashTransactionId,
+            direction: posting.direction,
+            amount: formatCents(posting.amountCents),
+            balanceAfter: formatCents(running),
+            createdAt: posting.createdAt
+        }
+    })
+
+    return {
+        accountId: account.id,
+        balance: formatCents(account.balanceCents),
+        derivedBalance: formatCents(running),
+        inSync: running === BigInt(account.balanceCents),
+        postings: lines
+    }
+}
+
+module.exports = {
+    DIRECTIONS,
+    ENTRY_TYPES,
+    FUNDING_ACCOUNT_CODE,
+    getFundingAccount,
+    postJournalEntry,
+    getAccountLedger
+}
\ No newline at end of file
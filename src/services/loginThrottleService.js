@@ -0,0 +1,185 @@
+const prisma = require('../db/client')
+const { RateLimitError } = require('../utils/errors')
+
+const THROTTLE_SCOPES = {
+    USERNAME: 'USERNAME',
+    IP: 'IP'
+}
+
+const MAX_DELAY_SECONDS = 60
+
+function maxUsernameAttempts() {
+    const attempts = Number(process.env.LOGIN_MAX_ATTEMPTS)
+    return Number.isInteger(attempts) && attempts > 0 ? attempts : 5
+}
+
+function maxIpAttempts() {
+    const attempts = Number(process.env.LOGIN_IP_MAX_ATTEMPTS)
+    return Number.isInteger(attempts) && attempts > 0 ? attempts : 20
+}
+
+function lockoutMs() {
+    const minutes = Number(process.env.LOGIN_LOCKOUT_MINUTES)
+    return (Number.isFinite(minutes) && minutes > 0 ? minutes : 15) * 60 * 1000
+}
+
+function delayBaseSeconds() {
+    const seconds = Number(process.env.LOGIN_DELAY_BASE_SECONDS)
+    return Number.isFinite(seconds) && seconds >= 0 ? seconds : 1
+}
+
+// The first failure is free, then each one doubles the wait: 1s, 2s, 4s, ...
+function delayMs(failedAttempts) {
+    if (failedAttempts < 2) { return 0 }
+    return Math.min(delayBaseSeconds() * 2 ** (failedAttempts - 2), MAX_DELAY_SECONDS) * 1000
+}
+
+function throttleKeys(username, ipAddress) {
+    const keys = [{ scope: THROTTLE_SCOPES.USERNAME, key: String(username).trim().toLowerCase() }]
+    if (ipAddress) {
+        keys.push({ scope: THROTTLE_SCOPES.IP, key: ipAddress })
+    }
+    return keys
+}
+
+function throttleError(message, code, retryAt, now) {
+    const retryAfterSeconds = Math.max(1, Math.ceil((retryAt.getTime() - now.getTime()) / 1000))
+    return new RateLimitError(message, code, { retryAfterSeconds })
+}
+
+function latest(dates) {
+    return new Date(Math.max(...dates.map(date => date.getTime())))
+}
+
+// Throws when any of the rows is locked or its previous failure was too recent
+function checkThrottles(throttles, now) {
+
+    const locks = throttles.filter(t => t.lockedUntil && t.lockedUntil > now).map(t => t.lockedUntil)
+    if (locks.length > 0) {
+        throw throttleError("Too many failed login attempts - try again later", "LOGIN_LOCKED", latest(locks), now)
+    }
+
+    const delays = throttles.filter(t => t.nextAttemptAt && t.nextAttemptAt > now).map(t => t.nextAttemptAt)
+    if (delays.length > 0) {
+        throw throttleError("Too many login attempts - slow down", "LOGIN_THROTTLED", latest(delays), now)
+    }
+}
+
+// Throws when the username or the client IP is locked, or when the previous
+// failure was too recent.
+async function assertLoginAllowed(username, ipAddress, now = new Date()) {
+
+    const throttles = await prisma.loginThrottle.findMany({
+        where: { OR: throttleKeys(username, ipAddress) }
+    })
+    checkThrottles(throttles, now)
+}
+
+// Count a failed attempt against the username and the IP on the given transaction.
+// Returns the scopes this failure locked, so the caller can audit them.
+async function countFailure(tx, username, ipAddress, now) {
+
+    const limits = {
+        [THROTTLE_SCOPES.USERNAME]: maxUsernameAttempts(),
+        [THROTTLE_SCOPES.IP]: maxIpAttempts()
+    }
+    const quietSince = new Date(now.getTime() - lockoutMs())
+    const lockedScopes = []
+
+    for (const { scope, key } of throttleKeys(username, ipAddress)) {
+        const existing = await tx.loginThrottle.findUnique({
+            where: { scope_key: { scope, key } }
+        })
+
+        // Counting starts over once a lock has expired or after a quiet period
+        const startOver = !existing
+            || (existing.lockedUntil && existing.lockedUntil <= now)
+            || !existing.lastFailedAt
+            || existing.lastFailedAt <= quietSince
+        const failedAttempts = (startOver ? 0 : existing.failedAttempts) + 1
+        const locked = failedAttempts >= limits[scope]
+
+        const data = {
+            failedAttempts,
+            lastFailedAt: now,
+            nextAttemptAt: locked ? null : new Date(now.getTime() + delayMs(failedAttempts)),
+            lockedUntil: locked ? new Date(now.getTime() + lockoutMs()) : null
+        }
+
+        await tx.loginThrottle.upsert({
+            where: { scope_key: { scope, key } },
+            create: { scope, key, ...data },
+            update: data
+        })
+
+        if (locked) { lockedScopes.push(scope) }
+    }
+
+    return lockedScopes
+}
+
+// Count a failed attempt against the username and the IP.
+// Returns the scopes this failure locked, so the caller can audit them.
+async function recordFailedLogin(username, ipAddress, now = new Date()) {
+    return prisma.$transaction((tx) => countFailure(tx, username, ipAddress, now))
+}
+
+// Check the throttle and count the attempt as a failure in one transaction, before the
+// password is checked. Parallel guesses each take their turn in the counters, so they
+// are delayed and locked out like one after another. A successful login gives its
+// attempt back with releaseLoginAttempt. Returns the scopes this attempt locked.
+async function reserveLoginAttempt(username, ipAddress, now = new Date()) {
+
+    return prisma.$transaction(async (tx) => {
+        const throttles = await tx.loginThrottle.findMany({
+            where: { OR: throttleKeys(username, ipAddress) }
+        })
+        checkThrottles(throttles, now)
+
+        return countFailure(tx, username, ipAddress, now)
+    })
+}
+
+// After a successful login: forget the username's failures, and take the reserved
+// attempt back off the IP counter, so logins from a shared office IP do not add up
+// to a lockout. Only a lock that this attempt caused is lifted.
+async function releaseLoginAttempt(username, ipAddress, client = prisma) {
+
+    await clearFailedLogins(username, client)
+    if (!ipAddress) { return }
+
+    const existing = await client.loginThrottle.findUnique({
+        where: { scope_key: { scope: THROTTLE_SCOPES.IP, key: ipAddress } }
+    })
+    if (!existing || existing.failedAttempts === 0) { return }
+
+    const failedAttempts = existing.failedAttempts - 1
+    await client.loginThrottle.update({
+        where: { id: existing.id },
+        data: {
+            failedAttempts,
+            nextAttemptAt: null,
+            ...(failedAttempts < maxIpAttempts() && { lockedUntil: null })
+        }
+    })
+}
+
+// Forget failed attempts for a username: after a successful login, or when a
+// manager unlocks the employee. IP counters are left to expire on their own.
+async function clearFailedLogins(username, client = prisma) {
+
+    const { count } = await client.loginThrottle.deleteMany({
+        where: { scope: THROTTLE_SCOPES.USERNAME, key: String(username).trim().toLowerCase() }
+    })
+
+    return count > 0
+}
+
+module.exports = {
+    THROTTLE_SCOPES,
+    assertLoginAllowed,
+    recordFailedLogin,
+    reserveLoginAttempt,
+    releaseLoginAttempt,
+    clearFailedLogins
+}
\ No newline at end of file
@@ -0,0 +1,34 @@
+const prisma = require('../db/client')
+
+// Events published to webhook subscribers. Stored as plain strings like the audit
+// actions, so new event types can be added without a migration.
+const EVENT_TYPES = {
+    TRANSFER_COMPLETED: 'transfer.completed',
+    TRANSFER_REVERSED: 'transfer.reversed',
+    ACCOUNT_CREATED: 'account.created',
+    ACCOUNT_FROZEN: 'account.frozen',
+    ACCOUNT_UNFROZEN: 'account.unfrozen',
+    ACCOUNT_CLOSED: 'account.closed'
+}
+
+// Add an event to the outbox. Pass the transaction client that writes the change
+// the event describes: the event then exists exactly when the change committed,
+// and the webhook dispatcher picks it up afterwards.
+async function recordEvent(type, data, client = prisma) {
+
+    if (!Object.values(EVENT_TYPES).includes(type)) {
+        throw new Error(`Unknown event type: ${type}`)
+    }
+
+    return client.outboxEvent.create({
+        data: {
+            type,
+            payload: JSON.stringify(data)
+        }
+    })
+}
+
+module.exports = {
+    EVENT_TYPES,
+    recordEvent
+}
\ No newline at end of file
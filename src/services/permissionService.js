@@ -0,0 +1,84 @@
+const prisma = require('../db/client')
+const { PERMISSIONS, ROLES } = require('../config/permissions')
+const { AUDIT_ACTIONS, recordAudit } = require('./auditService')
+const { BusinessRuleError, NotFoundError, ValidationError } = require('../utils/errors')
+
+async function getPermissionsForRole(role) {
+
+    const rows = await prisma.rolePermission.findMany({
+        where: { role },
+        select: { permission: true }
+    })
+
+    return rows.map(row => row.permission)
+}
+
+async function hasPermissions(role, required) {
+
+    const granted = await getPermissionsForRole(role)
+    return required.every(permission => granted.includes(permission))
+}
+
+async function listRolePermissions() {
+
+    const rows = await prisma.rolePermission.findMany({
+        orderBy: [{ role: 'asc' }, { permission: 'asc' }]
+    })
+
+    const mappings = Object.fromEntries(ROLES.map(role => [role, []]))
+    for (const row of rows) {
+        if (!mappings[row.role]) { mappings[row.role] = [] }
+        mappings[row.role].push(row.permission)
+    }
+
+    return mappings
+}
+
+// Replace the full permission set for a role
+async function setRolePermissions(role, permissions, employeeId) {
+
+    if (!ROLES.includes(role)) { throw new NotFoundError("Role not found", "ROLE_NOT_FOUND") }
+    if (!Array.isArray(permissions)) { throw new ValidationError("permissions must be an array") }
+
+    const known = Object.values(PERMISSIONS)
+    const unknown = permissions.filter(permission => !known.includes(permission))
+    if (unknown.length > 0) {
+        throw new ValidationError(`Unknown permissions: ${unknown.join(', ')}`, "UNKNOWN_PERMISSION")
+    }
+
+    // Managers must always be able to undo a bad change
+    if (role === 'manager' && !permissions.includes(PERMISSIONS.ROLES_MANAGE)) {
+        throw new BusinessRuleError(`The manager role must keep the ${PERMISSIONS.ROLES_MANAGE} permission`, "MANAGER_PERMISSION_REQUIRED")
+    }
+
+    const unique = [...new Set(permissions)]
+
+    await prisma.$transaction(async (tx) => {
+        const previous = await tx.rolePermission.findMany({ where: { role } })
+
+        await tx.rolePermission.deleteMany({ where: { role } })
+        for (const permission of unique) {
+            await tx.rolePermission.create({ data: { role, permission } })
+        }
+
+        await recordAudit({
+            employeeId,
+            action: AUDIT_ACTIONS.ROLE_PERMISSIONS_UPDATED,
+            entityType: 'Role',
+            details: {
+                role,
+                previous: previous.map(row => row.permission).sort(),
+                current: [...unique].sort()
+            }
+        }, tx)
+    })
+
+    return { role, permissions: unique.sort() }
+}
+
+module.exports = {
+    getPermissionsForRole,
+    hasPermissions,
+    listRolePermissions,
+    setRolePermissions
+}
\ No newline at end of file
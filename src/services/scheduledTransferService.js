@@ -0,0 +1,418 @@
+const prisma = require('../db/client')
+const { AUDIT_ACTIONS, recordAudit } = require('./auditService')
+const transferService = require('./transferService')
+const { ACCOUNT_STATUSES } = require('./accountService')
+const { toCents, formatCents } = require('../utils/money')
+const { formatScheduledTransfer } = require('../utils/serializers')
+const logger = require('../utils/logger')
+const { BusinessRuleError, ConflictError, NotFoundError, ValidationError } = require('../utils/errors')
+
+const FREQUENCIES = {
+    ONCE: 'ONCE',
+    DAILY: 'DAILY',
+    WEEKLY: 'WEEKLY',
+    MONTHLY: 'MONTHLY'
+}
+
+const SCHEDULE_STATUSES = {
+    ACTIVE: 'ACTIVE',
+    PAUSED: 'PAUSED',
+    COMPLETED: 'COMPLETED',
+    CANCELLED: 'CANCELLED',
+    FAILED: 'FAILED'
+}
+
+const RUN_STATUSES = {
+    SUCCEEDED: 'SUCCEEDED',
+    FAILED: 'FAILED'
+}
+
+const DEFAULT_PAGE_SIZE = 20
+const MAX_PAGE_SIZE = 100
+const RECENT_RUNS = 50
+const RUN_BATCH_SIZE = 100
+// How long a claimed schedule is kept out of other passes. If the pass dies mid-run,
+// the occurrence becomes due again when the lease runs out
+const CLAIM_LEASE_MS = 5 * 60 * 1000
+
+function maxAttempts() {
+    const attempts = Number(process.env.SCHEDULED_TRANSFER_MAX_ATTEMPTS)
+    return Number.isInteger(attempts) && attempts > 0 ? attempts : 3
+}
+
+function retryDelayMs() {
+    const minutes = Number(process.env.SCHEDULED_TRANSFER_RETRY_MINUTES)
+    return (Number.isFinite(minutes) && minutes > 0 ? minutes : 30) * 60 * 1000
+}
+
+// Date of the nth occurrence (0-based), or null when there is none.
+// Always computed from startAt so monthly schedules keep their day of the month:
+// one starting on Jan 31 runs on Feb 28 and then Mar 31, not Mar 28.
+function occurrenceAt(startAt, frequency, index) {
+    const date = new Date(startAt)
+    switch (frequency) {
+        case FREQUENCIES.DAILY:
+            date.setUTCDate(date.getUTCDate() + index)
+            return date
+        case FREQUENCIES.WEEKLY:
+            date.setUTCDate(date.getUTCDate() + 7 * index)
+            return date
+        case FREQUENCIES.MONTHLY: {
+            date.setUTCDate(1)
+            date.setUTCMonth(date.getUTCMonth() + index)
+            const lastDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate()
+            date.setUTCDate(Math.min(startAt.getUTCDate(), lastDay))
+            return date
+        }
+        default:
+            return index === 0 ? date : null
+    }
+}
+
+// Schedule fields once occurrence `index` is the next one due
+function scheduleFrom(schedule, index, successfulRuns) {
+    const next = occurrenceAt(schedule.startAt, schedule.frequency, index)
+    const finished = !next ||
+        (schedule.endAt && next > schedule.endAt) ||
+        (schedule.maxRuns && successfulRuns >= schedule.maxRuns)
+
+    return {
+        occurrenceIndex: index,
+        failedAttempts: 0,
+        ...(finished ? { status: SCHEDULE_STATUSES.COMPLETED, nextRunAt: null } : { nextRunAt: next })
+    }
+}
+
+async function createScheduledTransfer(input, employeeId) {
+
+    const { fromAccountId, toAccountId, amount, startAt, endAt, maxRuns, description } = input
+    const frequency = input.frequency || FREQUENCIES.ONCE
+
+    if (!Object.values(FREQUENCIES).includes(frequency)) {
+        throw new ValidationError(`frequency must be one of: ${Object.values(FREQUENCIES).join(', ')}`)
+    }
+    const amountCents = toCents(amount)
+    if (amountCents <= 0) {
+        throw new ValidationError("Transfer amount must be positive and more than Zero", "INVALID_AMOUNT")
+    }
+    if (fromAccountId === toAccountId) {
+        throw new BusinessRuleError("Cannot transfer to the same account", "SAME_ACCOUNT_TRANSFER")
+    }
+    // The scheduler runs transfers without a second employee, so large ones go through
+    // POST /api/transfers and the approval queue instead
+    transferService.checkBelowApprovalThreshold(amountCents, 'scheduled')
+    if (!(startAt instanceof Date) || startAt <= new Date()) {
+        throw new ValidationError("startAt must be in the future")
+    }
+    if (frequency === FREQUENCIES.ONCE && (endAt || maxRuns)) {
+        throw new ValidationError("endAt and maxRuns only apply to recurring schedules")
+    }
+    if (endAt && endAt < startAt) {
+        throw new ValidationError("endAt cannot be before startAt")
+    }
+    if (maxRuns !== undefined && maxRuns !== null && (!Number.isInteger(maxRuns) || maxRuns < 1)) {
+        throw new ValidationError("maxRuns must be a positive integer")
+    }
+    if (description !== undefined && description !== null && typeof description !== 'string') {
+        throw new ValidationError("description must be a string")
+    }
+
+    const schedule = await prisma.$transaction(async (tx) => {
+        const fromAccount = await tx.account.findUnique({ where: { id: fromAccountId } })
+        if (!fromAccount) {
+            throw new NotFoundError("Source account does not exist", "ACCOUNT_NOT_FOUND")
+        }
+        const toAccount = await tx.account.findUnique({ where: { id: toAccountId } })
+        if (!toAccount) {
+            throw new NotFoundError("Destination account does not exist", "ACCOUNT_NOT_FOUND")
+        }
+        if (fromAccount.kind !== 'CUSTOMER' || toAccount.kind !== 'CUSTOMER') {
+            throw new BusinessRuleError("Internal bank accounts cannot be used for transfers", "INTERNAL_ACCOUNT")
+        }
+        // Frozen accounts may be unfrozen before the first run, closed ones never reopen
+        if (fromAccount.status === ACCOUNT_STATUSES.CLOSED) {
+            throw new BusinessRuleError("Source account is closed", "ACCOUNT_CLOSED")
+        }
+        if (toAccount.status === ACCOUNT_STATUSES.CLOSED) {
+            throw new BusinessRuleError("Destination account is closed", "ACCOUNT_CLOSED")
+        }
+
+        const created = await tx.scheduledTransfer.create({
+            data: {
+                fromAccountId,
+                toAccountId,
+                amountCents,
+                description: description || null,
+                frequency,
+                startAt,
+                endAt: endAt || null,
+                maxRuns: maxRuns || null,
+                nextRunAt: startAt,
+                createdByEmployeeId: employeeId || null
+            }
+        })
+
+        await recordAudit({
+            employeeId,
+            action: AUDIT_ACTIONS.SCHEDULED_TRANSFER_CREATED,
+            entityType: 'ScheduledTransfer',
+            entityId: created.id,
+            details: { fromAccountId, toAccountId, amount: formatCents(amountCents), frequency, startAt }
+        }, tx)
+
+        return created
+    })
+
+    return formatScheduledTransfer(schedule)
+}
+
+async function listScheduledTransfers({ status, accountId, limit, offset } = {}) {
+
+    if (status && !Object.values(SCHEDULE_STATUSES).includes(status)) {
+        throw new ValidationError(`status must be one of: ${Object.values(SCHEDULE_STATUSES).join(', ')}`)
+    }
+
+    const take = Math.min(limit || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE)
+    const skip = offset || 0
+    const where = {}
+    if (status) { where.status = status }
+    if (accountId !== undefined) {
+        where.OR = [{ fromAccountId: accountId }, { toAccountId: accountId }]
+    }
+
+    const [total, items] = await prisma.$transaction([
+        prisma.scheduledTransfer.count({ where }),
+        prisma.scheduledTransfer.findMany({
+            where,
+            orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+            skip,
+            take
+        })
+    ])
+
+    return { total, limit: take, offset: skip, items: items.map(formatScheduledTransfer) }
+}
+
+async function getScheduledTransfer(scheduledTransferId) {
+
+    const schedule = await prisma.scheduledTransfer.findUnique({
+        where: { id: scheduledTransferId },
+        include: {
+            runs: {
+                orderBy: [{ executedAt: 'desc' }, { id: 'desc' }],
+                take: RECENT_RUNS
+            }
+        }
+    })
+
+    if (!schedule) {
+        throw new NotFoundError("Scheduled transfer not found", "SCHEDULED_TRANSFER_NOT_FOUND")
+    }
+
+    return formatScheduledTransfer(schedule)
+}
+
+async function pauseScheduledTransfer(scheduledTransferId, employeeId) {
+    return changeScheduleStatus(scheduledTransferId, 'pause', employeeId)
+}
+
+async function resumeScheduledTransfer(scheduledTransferId, employeeId) {
+    return changeScheduleStatus(scheduledTransferId, 'resume', employeeId)
+}
+
+async function cancelScheduledTransfer(scheduledTransferId, employeeId) {
+    return changeScheduleStatus(scheduledTransferId, 'cancel', employeeId)
+}
+
+const STATUS_ACTIONS = {
+    pause: { from: [SCHEDULE_STATUSES.ACTIVE], audit: AUDIT_ACTIONS.SCHEDULED_TRANSFER_PAUSED },
+    resume: { from: [SCHEDULE_STATUSES.PAUSED], audit: AUDIT_ACTIONS.SCHEDULED_TRANSFER_RESUMED },
+    cancel: { from: [SCHEDULE_STATUSES.ACTIVE, SCHEDULE_STATUSES.PAUSED], audit: AUDIT_ACTIONS.SCHEDULED_TRANSFER_CANCELLED }
+}
+
+async function changeScheduleStatus(scheduledTransferId, action, employeeId) {
+
+    const schedule = await prisma.$transaction(async (tx) => {
+        const current = await tx.scheduledTransfer.findUnique({
+            where: { id: scheduledTransferId }
+        })
+
+        if (!current) {
+            throw new NotFoundError("Scheduled transfer not found", "SCHEDULED_TRANSFER_NOT_FOUND")
+        }
+        if (!STATUS_ACTIONS[action].from.includes(current.status)) {
+            throw new ConflictError(`Cannot ${action} a ${current.status} scheduled transfer`, "INVALID_STATUS_TRANSITION")
+        }
+
+        let data
+        if (action === 'pause') {
+            data = { status: SCHEDULE_STATUSES.PAUSED }
+        } else if (action === 'cancel') {
+            data = { status: SCHEDULE_STATUSES.CANCELLED, nextRunAt: null }
+        } else {
+            // Occurrences that fell due while paused are skipped, not paid late
+            const now = new Date()
+            let index = current.occurrenceIndex
+            let next = occurrenceAt(current.startAt, current.frequency, index)
+            while (next && next < now && current.frequency !== FREQUENCIES.ONCE) {
+                index += 1
+                next = occurrenceAt(current.startAt, current.frequency, index)
+            }
+            data = { status: SCHEDULE_STATUSES.ACTIVE, ...scheduleFrom(current, index, current.successfulRuns) }
+        }
+
+        const updated = await tx.scheduledTransfer.update({
+            where: { id: scheduledTransferId },
+            data
+        })
+
+        await recordAudit({
+            employeeId,
+            action: STATUS_ACTIONS[action].audit,
+            entityType: 'ScheduledTransfer',
+            entityId: scheduledTransferId,
+            details: { from: current.status, to: updated.status }
+        }, tx)
+
+        return updated
+    })
+
+    return formatScheduledTransfer(schedule)
+}
+
+// Attempt every ACTIVE schedule whose nextRunAt has passed. Called by the
+// in-process scheduler (src/jobs/transferScheduler.js) and by tests with a fixed `now`.
+async function runDueTransfers(now = new Date()) {
+
+    const due = await prisma.scheduledTransfer.findMany({
+        where: { status: SCHEDULE_STATUSES.ACTIVE, nextRunAt: { lte: now } },
+        orderBy: [{ nextRunAt: 'asc' }, { id: 'asc' }],
+        take: RUN_BATCH_SIZE
+    })
+
+    const results = []
+    for (const schedule of due) {
+        const claimedUntil = await claimSchedule(schedule, now)
+        if (!claimedUntil) { continue }
+
+        const run = await runScheduledTransfer(schedule, claimedUntil, now)
+        if (run) { results.push(run) }
+    }
+    return results
+}
+
+// The list above is a snapshot. Moving nextRunAt past the lease only while the schedule
+// is still ACTIVE and due at the time that was read skips schedules paused or cancelled
+// since, and ones another scheduler has already claimed. Returns the lease end, or null.
+async function claimSchedule(schedule, now) {
+
+    const claimedUntil = new Date(now.getTime() + CLAIM_LEASE_MS)
+    const { count } = await prisma.scheduledTransfer.updateMany({
+        where: { id: schedule.id, status: SCHEDULE_STATUSES.ACTIVE, nextRunAt: schedule.nextRunAt },
+        data: { nextRunAt: claimedUntil }
+    })
+    return count === 1 ? claimedUntil : null
+}
+
+async function runScheduledTransfer(schedule, claimedUntil, now) {
+
+    const occurrence = occurrenceAt(schedule.startAt, schedule.frequency, schedule.occurrenceIndex)
+    const attempt = schedule.failedAttempts + 1
+    let run = null
+    let errorMessage = null
+
+    // The run row and the schedule's next occurrence are written on the given client,
+    // so a successful run is recorded in the same transaction that moves the money.
+    // A schedule paused or cancelled while it ran no longer holds the claim and is left
+    // alone; for a successful run that also rolls the transfer back.
+    async function recordRun(client, transferId, data) {
+        const { count } = await client.scheduledTransfer.updateMany({
+            where: { id: schedule.id, status: SCHEDULE_STATUSES.ACTIVE, nextRunAt: claimedUntil },
+            data
+        })
+        if (count === 0) {
+            throw new ConflictError("Scheduled transfer is no longer active", "SCHEDULE_NOT_ACTIVE")
+        }
+        return client.scheduledTransferRun.create({
+            data: {
+                scheduledTransferId: schedule.id,
+                occurrenceAt: occurrence,
+                attempt,
+                status: transferId ? RUN_STATUSES.SUCCEEDED : RUN_STATUSES.FAILED,
+                transferId,
+                errorMessage
+            }
+        })
+    }
+
+    // accountTransfer applies every normal rule (balance, frozen/closed accounts)
+    // and audits the outcome under the employee who set up the schedule.
+    // The threshold is checked again in case it was lowered after the schedule was created.
+    // If the run cannot be recorded, the transfer rolls back with it, so the occurrence
+    // can never be paid without moving the schedule on.
+    try {
+        transferService.checkBelowApprovalThreshold(Number(schedule.amountCents), 'scheduled')
+        await transferService.accountTransfer(
+            schedule.fromAccountId,
+            schedule.toAccountId,
+            formatCents(schedule.amountCents),
+            schedule.createdByEmployeeId,
+            {
+                withinTransaction: async (tx, { transfer }) => {
+                    const successfulRuns = schedule.successfulRuns + 1
+                    run = await recordRun(tx, transfer.id, {
+                        successfulRuns,
+                        lastError: null,
+                        ...scheduleFrom(schedule, schedule.occurrenceIndex + 1, successfulRuns)
+                    })
+                }
+            }
+        )
+    } catch (error) {
+        errorMessage = error.message
+        run = null
+    }
+
+    if (!run) {
+        let data
+        if (attempt < maxAttempts()) {
+            data = { failedAttempts: attempt, lastError: errorMessage, nextRunAt: new Date(now.getTime() + retryDelayMs()) }
+        } else if (schedule.frequency === FREQUENCIES.ONCE) {
+            data = { failedAttempts: attempt, lastError: errorMessage, status: SCHEDULE_STATUSES.FAILED, nextRunAt: null }
+        } else {
+            // Out of retries for this occurrence; recurring schedules move on to the next one
+            data = { lastError: errorMessage, ...scheduleFrom(schedule, schedule.occurrenceIndex + 1, schedule.successfulRuns) }
+        }
+        try {
+            run = await prisma.$transaction((tx) => recordRun(tx, null, data))
+        } catch (error) {
+            if (!(error instanceof ConflictError)) { throw error }
+            logger.info('Scheduled transfer changed during its run; run not recorded', { scheduledTransferId: schedule.id })
+            return null
+        }
+    }
+
+    logger[run.transferId ? 'info' : 'warn']('Scheduled transfer run finished', {
+        scheduledTransferId: schedule.id,
+        attempt,
+        status: run.status,
+        transferId: run.transferId,
+        errorMessage
+    })
+
+    return run
+}
+
+module.exports = {
+    FREQUENCIES,
+    SCHEDULE_STATUSES,
+    RUN_STATUSES,
+    occurrenceAt,
+    createScheduledTransfer,
+    listScheduledTransfers,
+    getScheduledTransfer,
+    pauseScheduledTransfer,
+    resumeScheduledTransfer,
+    cancelScheduledTransfer,
+    runDueTransfers
+}
\ No newline at end of file
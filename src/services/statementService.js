@@ -0,0 +1,183 @@
+const prisma = require('../db/client')
+const { DIRECTIONS } = require('./ledgerService')
+const { formatCents } = require('../utils/money')
+const { toCsv } = require('../utils/csv')
+const { renderTextPdf } = require('../utils/pdf')
+const { NotFoundError, ValidationError } = require('../utils/errors')
+
+const counterpartySelect = {
+    select: {
+        id: true,
+        customer: {
+            select: {
+                name: true
+            }
+        }
+    }
+}
+
+// Net effect of a set of postings on an account's balance, in cents
+function netCents(sums) {
+    let net = 0n
+    for (const row of sums) {
+        const amount = BigInt(row._sum.amountCents || 0)
+        net += row.direction === DIRECTIONS.CREDIT ? amount : -amount
+    }
+    return net
+}
+
+// Statement for an account between two optional dates (both inclusive).
+// Lines come from the account's ledger postings, so the running balance always
+// agrees with the journal; transfers add the other account and its customer name.
+async function getStatement(accountId, { from, to } = {}) {
+
+    if (from && to && from > to) {
+        throw new ValidationError("from cannot be after to")
+    }
+
+    const account = await prisma.account.findUnique({
+        where: { id: accountId },
+        include: { customer: { select: { id: true, name: true } } }
+    })
+
+    if (!account) {
+        throw new NotFoundError("Account not found", "ACCOUNT_NOT_FOUND")
+    }
+
+    const periodEnd = to || new Date()
+    const createdAt = { lte: periodEnd, ...(from && { gte: from }) }
+
+    // Everything before the period is folded into the opening balance
+    const [postings, openingSums] = await prisma.$transaction([
+        prisma.posting.findMany({
+            where: { accountId, createdAt },
+            orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+            include: {
+                journalEntry: {
+                    include: {
+                        transfer: {
+                            include: {
+                                fromAccount: counterpartySelect,
+                                toAccount: counterpartySelect
+                            }
+                        },
+                        cashTransaction: true
+                    }
+                }
+            }
+        }),
+        ...(from ? [prisma.posting.groupBy({
+            by: ['direction'],
+            where: { accountId, createdAt: { lt: from } },
+            _sum: { amountCents: true }
+        })] : [])
+    ])
+
+    const openingCents = openingSums ? netCents(openingSums) : 0n
+    let running = openingCents
+    let totalInCents = 0n
+    let totalOutCents = 0n
+
+    const lines = postings.map(posting => {
+        const { journalEntry } = posting
+        const isCredit = posting.direction === DIRECTIONS.CREDIT
+        const amountCents = BigInt(posting.amountCents)
+        running += isCredit ? amountCents : -amountCents
+        if (isCredit) { totalInCents += amountCents } else { totalOutCents += amountCents }
+
+        let counterparty = null
+        if (journalEntry.transfer) {
+            const other = journalEntry.transfer.fromAccountId === accountId
+                ? journalEntry.transfer.toAccount
+                : journalEntry.transfer.fromAccount
+            counterparty = { accountId: other.id, customerName: other.customer?.name || null }
+        }
+
+        return {
+            date: posting.createdAt,
+            type: journalEntry.type,
+            description: journalEntry.cashTransaction?.description || journalEntry.description,
+            transferId: journalEntry.transferId,
+            cashTransactionId: journalEntry.cashTransactionId,
+            counterparty,
+            direction: isCredit ? 'IN' : 'OUT',
+            amount: formatCents(amountCents),
+            balance: formatCents(running)
+        }
+    })
+
+    return {
+        accountId: account.id,
+        customer: account.customer,
+        from: from || null,
+        to: periodEnd,
+        openingBalance: formatCents(openingCents),
+        totalIn: formatCents(totalInCents),
+        totalOut: formatCents(totalOutCents),
+        closingBalance: formatCents(running),
+        lines
+    }
+}
+
+// Human-readable "Details" column shared by the CSV and PDF exports
+function describeLine(line) {
+    if (line.counterparty) {
+        const name = line.counterparty.customerName ? ` ${line.counterparty.customerName}` : ''
+        return `Transfer ${line.direction === 'IN' ? 'from' : 'to'} #${line.counterparty.accountId}${name}`
+    }
+    return line.description || line.type
+}
+
+function renderStatementCsv(statement) {
+    const rows = [
+        ['Date', 'Type', 'Details', 'Counterparty Account', 'Money In', 'Money Out', 'Balance'],
+        [statement.from ? statement.from.toISOString() : '', 'OPENING_BALANCE', 'Opening balance', '', '', '', statement.openingBalance],
+        ...statement.lines.map(line => [
+            line.date.toISOString(),
+            line.type,
+            describeLine(line),
+            line.counterparty ? line.counterparty.accountId : '',
+            line.direction === 'IN' ? line.amount : '',
+            line.direction === 'OUT' ? line.amount : '',
+            line.balance
+        ]),
+        [statement.to.toISOString(), 'CLOSING_BALANCE', 'Closing balance', '', statement.totalIn, statement.totalOut, statement.closingBalance]
+    ]
+    return toCsv(rows)
+}
+
+function renderStatementPdf(statement) {
+    const day = date => date.toISOString().slice(0, 10)
+    const fit = (text, width) => text.length > width ? `${text.slice(0, width - 2)}..` : text.padEnd(width)
+    const money = value => value.padStart(13)
+    const row = (date, details, moneyIn, moneyOut, balance) =>
+        `${fit(date, 10)}  ${fit(details, 38)} ${money(moneyIn)} ${money(moneyOut)} ${money(balance)}`
+
+    const lines = [
+        'ACCOUNT STATEMENT',
+        '',
+        `Account:  #${statement.accountId}`,
+        `Customer: ${statement.customer ? statement.customer.name : '-'}`,
+        `Period:   ${statement.from ? day(statement.from) : 'Account opening'} to ${day(statement.to)}`,
+        '',
+        row('Date', 'Details', 'Money In', 'Money Out', 'Balance'),
+        '-'.repeat(94),
+        row('', 'Opening balance', '', '', statement.openingBalance),
+        ...statement.lines.map(line => row(
+            day(line.date),
+            describeLine(line),
+            line.direction === 'IN' ? line.amount : '',
+            line.direction === 'OUT' ? line.amount : '',
+            line.balance
+        )),
+        '-'.repeat(94),
+        row('', 'Closing balance', statement.totalIn, statement.totalOut, statement.closingBalance)
+    ]
+    return renderTextPdf(lines)
+}
+
+module.exports = {
+    getStatement,
+    renderStatementCsv,
+    renderStatementPdf
+}
\ No newline at end of file
@@ -0,0 +1,156 @@
+const prisma = require('../db/client')
+const { formatCents } = require('../utils/money')
+const { encodeCursor, decodeCursor } = require('../utils/cursor')
+const { NotFoundError, ValidationError } = require('../utils/errors')
+
+const counterpartySelect = {
+    select: {
+        id: true,
+        customer: {
+            select: {
+                name: true
+            }
+        }
+    }
+}
+
+const DEFAULT_PAGE_SIZE = 20
+const MAX_PAGE_SIZE = 100
+
+// The feed is ordered by (timestamp, source, id), newest first. Transfer and cash ids
+// can collide, so the source keeps rows of the two tables apart at equal timestamps.
+const SOURCE_RANKS = {
+    TRANSFER: 0,
+    CASH: 1
+}
+
+function compareItems(a, b) {
+    return (a.timestamp - b.timestamp) || (SOURCE_RANKS[a.source] - SOURCE_RANKS[b.source]) || (a.id - b.id)
+}
+
+// Rows of one source strictly older (next page) or newer (previous page) than the cursor
+function afterCursor(page, source) {
+    if (!page) { return {} }
+
+    const op = page.direction === 'next' ? 'lt' : 'gt'
+    const { timestamp, id } = page
+    const rank = SOURCE_RANKS[source]
+    const pageRank = SOURCE_RANKS[page.source]
+
+    const conditions = [{ timestamp: { [op]: timestamp } }]
+    if (rank === pageRank) {
+        conditions.push({ timestamp, id: { [op]: id } })
+    } else if (op === 'lt' ? rank < pageRank : rank > pageRank) {
+        conditions.push({ timestamp })
+    }
+    return { OR: conditions }
+}
+
+function transferItem(transfer, accountId) {
+    const outgoing = transfer.fromAccountId === accountId
+    const counterparty = outgoing ? transfer.toAccount : transfer.fromAccount
+    return {
+        type: 'TRANSFER',
+        id: transfer.id,
+        direction: outgoing ? 'OUT' : 'IN',
+        amount: formatCents(transfer.amountCents),
+        counterparty: {
+            accountId: counterparty.id,
+            customerName: counterparty.customer ? counterparty.customer.name : null
+        },
+        description: null,
+        executedByEmployeeId: transfer.executedByEmployeeId,
+        timestamp: transfer.timestamp
+    }
+}
+
+function cashItem(cash) {
+    return {
+        type: cash.type,
+        id: cash.id,
+        direction: cash.type === 'DEPOSIT' ? 'IN' : 'OUT',
+        amount: formatCents(cash.amountCents),
+        counterparty: null,
+        description: cash.description,
+        executedByEmployeeId: cash.executedByEmployeeId,
+        timestamp: cash.timestamp
+    }
+}
+
+// One page of the combined feed of transfers and cash transactions on an account,
+// newest first. Each item says which way the money moved from this account's point
+// of view. Pages use the same keyset cursors as the transfer history.
+async function getAccountTransactions(accountId, options = {}) {
+
+    const { cursor } = options
+    const limit = Math.min(options.limit || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE)
+    const page = cursor ? decodeCursor(cursor) : null
+    if (page && !(page.source in SOURCE_RANKS)) {
+        throw new ValidationError("Invalid cursor", "INVALID_CURSOR")
+    }
+
+    const account = await prisma.account.findUnique({
+        where: { id: accountId }
+    })
+
+    if (!account) {
+        throw new NotFoundError("Account not found", "ACCOUNT_NOT_FOUND")
+    }
+
+    const transferWhere = {
+        OR: [
+            { fromAccountId: accountId },
+            { toAccountId: accountId }
+        ]
+    }
+    const cashWhere = { accountId }
+
+    // Each source is read up to one row past the page; the page is the first rows of
+    // both merged, and the extra row tells us whether there is anything beyond it.
+    // Going backwards means reading oldest-first from the cursor, then flipping the page.
+    const order = page?.direction === 'prev' ? 'asc' : 'desc'
+    const orderBy = [{ timestamp: order }, { id: order }]
+    const [transferCount, cashCount, transfers, cashTransactions] = await prisma.$transaction([
+        prisma.transfer.count({ where: transferWhere }),
+        prisma.cashTransaction.count({ where: cashWhere }),
+        prisma.transfer.findMany({
+            where: { AND: [transferWhere, afterCursor(page, 'TRANSFER')] },
+            orderBy,
+            take: limit + 1,
+            include: {
+                fromAccount: counterpartySelect,
+                toAccount: counterpartySelect
+            }
+        }),
+        prisma.cashTransaction.findMany({
+            where: { AND: [cashWhere, afterCursor(page, 'CASH')] },
+            orderBy,
+            take: limit + 1
+        })
+    ])
+
+    const rows = [
+        ...transfers.map(transfer => ({ source: 'TRANSFER', ...transferItem(transfer, accountId) })),
+        ...cashTransactions.map(cash => ({ source: 'CASH', ...cashItem(cash) }))
+    ].sort(order === 'asc' ? compareItems : (a, b) => compareItems(b, a))
+
+    const hasMore = rows.length > limit
+    const items = rows.slice(0, limit)
+    if (order === 'asc') { items.reverse() }
+
+    // Whichever way we moved, the page we came from is still on the other side
+    const hasNext = page?.direction === 'prev' ? true : hasMore
+    const hasPrev = page?.direction === 'next' ? true : page ? hasMore : false
+
+    return {
+        total: transferCount + cashCount,
+        limit,
+        nextCursor: hasNext && items.length ? encodeCursor(items[items.length - 1], 'next') : null,
+        prevCursor: hasPrev && items.length ? encodeCursor(items[0], 'prev') : null,
+        items: items.map(({ source, ...item }) => item)
+    }
+}
+
+module.exports = {
+    getAccountTransactions
+}
\ No newline at end of file
@@ -0,0 +1,241 @@
+const prisma = require('../db/client')
+const { AUDIT_ACTIONS, recordAudit } = require('./auditService')
+const transferService = require('./transferService')
+const { approvalThresholdCents, checkTransferLimits } = require('./transferLimitService')
+const { toCents, formatCents } = require('../utils/money')
+const { formatTransferApproval } = require('../utils/serializers')
+const logger = require('../utils/logger')
+const { ConflictError, InsufficientFundsError, NotFoundError, PermissionDeniedError, ValidationError } = require('../utils/errors')
+
+const APPROVAL_STATUSES = {
+    PENDING: 'PENDING',
+    APPROVED: 'APPROVED',
+    REJECTED: 'REJECTED',
+    EXPIRED: 'EXPIRED'
+}
+
+const DEFAULT_PAGE_SIZE = 20
+const MAX_PAGE_SIZE = 100
+
+function approvalTtlMs() {
+    const hours = Number(process.env.TRANSFER_APPROVAL_TTL_HOURS)
+    return (Number.isFinite(hours) && hours > 0 ? hours : 24) * 60 * 60 * 1000
+}
+
+// Whether POST /api/transfers should queue this amount instead of executing it
+function requiresApproval(amount) {
+    return toCents(amount) > approvalThresholdCents()
+}
+
+// Pending approvals past their expiry are marked EXPIRED whenever the queue is read
+// or acted on, so nothing has to run on a timer
+async function expirePendingApprovals(now = new Date()) {
+
+    const { count } = await prisma.transferApproval.updateMany({
+        where: { status: APPROVAL_STATUSES.PENDING, expiresAt: { lte: now } },
+        data: { status: APPROVAL_STATUSES.EXPIRED }
+    })
+    if (count > 0) {
+        logger.info('Transfer approvals expired', { count })
+    }
+    return count
+}
+
+// Queue a transfer for approval. The balance and the limits, including the requester's
+// role caps (the transfer runs in their name), are checked now so a request that could
+// never be approved is refused straight away; they are checked again on approval.
+async function requestApproval(fromAccountId, toAccountId, amount, employeeId, now = new Date()) {
+
+    const amountCents = transferService.checkTransferRequest(fromAccountId, toAccountId, amount)
+
+    const [fromAccount, toAccount] = await Promise.all([
+        prisma.account.findUnique({ where: { id: fromAccountId } }),
+        prisma.account.findUnique({ where: { id: toAccountId } })
+    ])
+    if (!fromAccount) {
+        throw new NotFoundError("Source account does not exist", "ACCOUNT_NOT_FOUND")
+    }
+    if (!toAccount) {
+        throw new NotFoundError("Destination account does not exist", "ACCOUNT_NOT_FOUND")
+    }
+
+    if (fromAccount.balanceCents < amountCents) {
+        throw new InsufficientFundsError("Insufficient funds")
+    }
+
+    const approval = await prisma.$transaction(async (tx) => {
+        await checkTransferLimits(tx, { fromAccountId, amountCents, employeeId, now })
+
+        const created = await tx.transferApproval.create({
+            data: {
+                fromAccountId,
+                toAccountId,
+                amountCents,
+                requestedByEmployeeId: employeeId,
+                expiresAt: new Date(now.getTime() + approvalTtlMs())
+            }
+        })
+
+        await recordAudit({
+            employeeId,
+            action: AUDIT_ACTIONS.TRANSFER_APPROVAL_REQUESTED,
+            entityType: 'TransferApproval',
+            entityId: created.id,
+            details: { fromAccountId, toAccountId, amount: formatCents(amountCents), threshold: formatCents(approvalThresholdCents()) }
+        }, tx)
+
+        return created
+    })
+
+    logger.info('Transfer approval requested', { approvalId: approval.id, fromAccountId, toAccountId, amount: formatCents(amountCents), employeeId })
+    return formatTransferApproval(approval)
+}
+
+async function listApprovals({ status, limit, offset } = {}, now = new Date()) {
+
+    if (status && !Object.values(APPROVAL_STATUSES).includes(status)) {
+        throw new ValidationError(`status must be one of: ${Object.values(APPROVAL_STATUSES).join(', ')}`)
+    }
+
+    await expirePendingApprovals(now)
+
+    const where = status ? { status } : {}
+    const take = Math.min(limit || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE)
+    const skip = offset || 0
+
+    // Oldest first: this is a queue
+    const [total, items] = await prisma.$transaction([
+        prisma.transferApproval.count({ where }),
+        prisma.transferApproval.findMany({
+            where,
+            orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+            skip,
+            take
+        })
+    ])
+
+    return { total, limit: take, offset: skip, items: items.map(formatTransferApproval) }
+}
+
+async function getApproval(approvalId, now = new Date()) {
+
+    await expirePendingApprovals(now)
+    return formatTransferApproval(await findApproval(approvalId))
+}
+
+async function findApproval(approvalId) {
+
+    const approval = await prisma.transferApproval.findUnique({ where: { id: approvalId } })
+    if (!approval) {
+        throw new NotFoundError("Transfer approval not found", "APPROVAL_NOT_FOUND")
+    }
+    return approval
+}
+
+// Loads an approval that `employeeId` may decide on now
+async function findDecidableApproval(approvalId, employeeId, now) {
+
+    await expirePendingApprovals(now)
+    const approval = await findApproval(approvalId)
+
+    if (approval.status === APPROVAL_STATUSES.EXPIRED) {
+        throw new ConflictError("Transfer approval has expired", "APPROVAL_EXPIRED")
+    }
+    if (approval.status !== APPROVAL_STATUSES.PENDING) {
+        throw new ConflictError(`Transfer approval is already ${approval.status.toLowerCase()}`, "APPROVAL_NOT_PENDING")
+    }
+    if (approval.requestedByEmployeeId === employeeId) {
+        throw new PermissionDeniedError("Transfers must be approved or rejected by a different employee than the one who requested them", "SELF_APPROVAL_NOT_ALLOWED")
+    }
+    return approval
+}
+
+// Marks the approval decided, but only if it is still pending; a concurrent decision
+// or an expiry in the meantime leaves count at 0
+async function claimApproval(tx, approval, data) {
+
+    const { count } = await tx.transferApproval.updateMany({
+        where: { id: approval.id, status: APPROVAL_STATUSES.PENDING, expiresAt: { gt: data.reviewedAt } },
+        data
+    })
+    if (count === 0) {
+        throw new ConflictError("Transfer approval is no longer pending", "APPROVAL_NOT_PENDING")
+    }
+}
+
+// Run the transfer through accountTransfer, so balance, account status and limits are
+// checked again now. The transfer is executed in the requester's name, and the approval
+// is marked APPROVED in the same transaction. If the transfer fails, the approval stays
+// pending and the error (e.g. INSUFFICIENT_FUNDS) is returned to the approver.
+async function approveTransfer(approvalId, employeeId, reason, now = new Date()) {
+
+    const approval = await findDecidableApproval(approvalId, employeeId, now)
+    const decisionReason = typeof reason === 'string' && reason.trim() !== '' ? reason.trim() : null
+
+    const result = await transferService.accountTransfer(
+        approval.fromAccountId,
+        approval.toAccountId,
+        formatCents(approval.amountCents),
+        approval.requestedByEmployeeId,
+        {
+            withinTransaction: async (tx, { transfer }) => {
+                await claimApproval(tx, approval, {
+                    status: APPROVAL_STATUSES.APPROVED,
+                    reviewedByEmployeeId: employeeId,
+                    reviewedAt: now,
+                    decisionReason,
+                    transferId: transfer.id
+                })
+                await recordAudit({
+                    employeeId,
+                    action: AUDIT_ACTIONS.TRANSFER_APPROVAL_APPROVED,
+                    entityType: 'TransferApproval',
+                    entityId: approval.id,
+                    details: { transferId: transfer.id, requestedByEmployeeId: approval.requestedByEmployeeId, reason: decisionReason }
+                }, tx)
+            }
+        }
+    )
+
+    logger.info('Transfer approval approved', { approvalId, transferId: result.transfer.id, employeeId })
+    return { approval: formatTransferApproval(await findApproval(approvalId)), ...result }
+}
+
+async function rejectTransfer(approvalId, employeeId, reason, now = new Date()) {
+
+    if (typeof reason !== 'string' || reason.trim() === '') {
+        throw new ValidationError("Rejection reason is required")
+    }
+
+    const approval = await findDecidableApproval(approvalId, employeeId, now)
+
+    await prisma.$transaction(async (tx) => {
+        await claimApproval(tx, approval, {
+            status: APPROVAL_STATUSES.REJECTED,
+            reviewedByEmployeeId: employeeId,
+            reviewedAt: now,
+            decisionReason: reason.trim()
+        })
+        await recordAudit({
+            employeeId,
+            action: AUDIT_ACTIONS.TRANSFER_APPROVAL_REJECTED,
+            entityType: 'TransferApproval',
+            entityId: approval.id,
+            details: { requestedByEmployeeId: approval.requestedByEmployeeId, reason: reason.trim() }
+        }, tx)
+    })
+
+    logger.info('Transfer approval rejected', { approvalId, employeeId })
+    return formatTransferApproval(await findApproval(approvalId))
+}
+
+module.exports = {
+    APPROVAL_STATUSES,
+    requiresApproval,
+    expirePendingApprovals,
+    requestApproval,
+    listApprovals,
+    getApproval,
+    approveTransfer,
+    rejectTransfer
+}
\ No newline at end of file
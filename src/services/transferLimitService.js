@@ -0,0 +1,249 @@
+const prisma = require('../db/client')
+const { AUDIT_ACTIONS, recordAudit } = require('./auditService')
+const { toCents, formatCents } = require('../utils/money')
+const { BusinessRuleError, NotFoundError, TransferLimitExceededError, ValidationError } = require('../utils/errors')
+
+// Names reported in TRANSFER_LIMIT_EXCEEDED errors
+const LIMITS = {
+    ACCOUNT_PER_TRANSACTION: 'ACCOUNT_PER_TRANSACTION',
+    ACCOUNT_DAILY: 'ACCOUNT_DAILY',
+    ACCOUNT_MONTHLY: 'ACCOUNT_MONTHLY',
+    ROLE_PER_TRANSACTION: 'ROLE_PER_TRANSACTION',
+    ROLE_DAILY: 'ROLE_DAILY'
+}
+
+const LIMIT_SOURCES = {
+    DEFAULT: 'DEFAULT',
+    OVERRIDE: 'OVERRIDE'
+}
+
+// Limit settings are decimal amounts like the API's; returns cents
+function amountSetting(name, fallback) {
+    const amount = Number(process.env[name])
+    return Math.round((Number.isFinite(amount) && amount > 0 ? amount : fallback) * 100)
+}
+
+// Outgoing limits for every customer account that has no override. They cover
+// transfers and cash withdrawals; the role caps below cover transfers only.
+function defaultAccountLimits() {
+    return {
+        perTransactionCents: amountSetting('TRANSFER_LIMIT_PER_TRANSACTION', 25000),
+        dailyCents: amountSetting('TRANSFER_LIMIT_DAILY', 50000),
+        monthlyCents: amountSetting('TRANSFER_LIMIT_MONTHLY', 250000)
+    }
+}
+
+// What one employee may move per transfer and per day, across all accounts.
+// Roles without caps (managers) return null.
+function roleCaps(role) {
+    if (role !== 'teller') { return null }
+    return {
+        perTransactionCents: amountSetting('TELLER_TRANSFER_LIMIT_PER_TRANSACTION', 10000),
+        dailyCents: amountSetting('TELLER_TRANSFER_LIMIT_DAILY', 50000)
+    }
+}
+
+// Transfers above this amount wait for a second employee's approval
+// (see transferApprovalService) instead of executing straight away
+function approvalThresholdCents() {
+    return amountSetting('TRANSFER_APPROVAL_THRESHOLD', 5000)
+}
+
+// Days and months are calendar periods in UTC
+function startOfDay(now) {
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()))
+}
+
+function startOfMonth(now) {
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1))
+}
+
+// Total of the transfers matching `where` since `since`. Reversals move money back
+// rather than out, so they are not counted against anyone's limits.
+async function sumTransfers(client, where, since) {
+    const result = await client.transfer.aggregate({
+        _sum: { amountCents: true },
+        where: { ...where, reversalOfId: null, timestamp: { gte: since } }
+    })
+    return Number(result._sum.amountCents || 0)
+}
+
+// Everything that left an account since `since`: transfers out and cash withdrawals
+async function sumOutgoing(client, accountId, since) {
+    const withdrawals = await client.cashTransaction.aggregate({
+        _sum: { amountCents: true },
+        where: { accountId, type: 'WITHDRAWAL', timestamp: { gte: since } }
+    })
+    return await sumTransfers(client, { fromAccountId: accountId }, since) + Number(withdrawals._sum.amountCents || 0)
+}
+
+function effectiveLimits(override) {
+    const defaults = defaultAccountLimits()
+    const pick = (column, fallback) => (override && override[column] !== null
+        ? { cents: Number(override[column]), source: LIMIT_SOURCES.OVERRIDE }
+        : { cents: fallback, source: LIMIT_SOURCES.DEFAULT })
+    return {
+        perTransaction: pick('perTransactionCents', defaults.perTransactionCents),
+        daily: pick('dailyCents', defaults.dailyCents),
+        monthly: pick('monthlyCents', defaults.monthlyCents)
+    }
+}
+
+function enforce(limit, label, limitCents, usedCents, amountCents, subject = 'Transfer') {
+    if (usedCents + amountCents <= limitCents) { return }
+
+    const remaining = formatCents(Math.max(limitCents - usedCents, 0))
+    throw new TransferLimitExceededError(
+        `${subject} exceeds the ${label} of ${formatCents(limitCents)}; ${remaining} remaining`,
+        undefined,
+        { limit, limitAmount: formatCents(limitCents), remaining }
+    )
+}
+
+// The account's per-transaction, daily and monthly limits on money going out
+async function checkAccountLimits(tx, accountId, amountCents, now, subject) {
+
+    const override = await tx.accountTransferLimit.findUnique({ where: { accountId } })
+    const limits = effectiveLimits(override)
+
+    enforce(LIMITS.ACCOUNT_PER_TRANSACTION, "account's per-transaction limit", limits.perTransaction.cents, 0, amountCents, subject)
+    enforce(LIMITS.ACCOUNT_DAILY, "account's daily outgoing limit", limits.daily.cents,
+        await sumOutgoing(tx, accountId, startOfDay(now)), amountCents, subject)
+    enforce(LIMITS.ACCOUNT_MONTHLY, "account's monthly outgoing limit", limits.monthly.cents,
+        await sumOutgoing(tx, accountId, startOfMonth(now)), amountCents, subject)
+}
+
+// Throws TransferLimitExceededError for the first limit the transfer would break:
+// the source account's per-transaction, daily and monthly limits, then the caps on
+// the executing employee's role. Runs on the transfer's own transaction client, so
+// the totals include transfers made earlier in the same batch.
+async function checkTransferLimits(tx, { fromAccountId, amountCents, employeeId, now = new Date() }) {
+
+    await checkAccountLimits(tx, fromAccountId, amountCents, now, 'Transfer')
+
+    if (!employeeId) { return }
+    const employee = await tx.employee.findUnique({ where: { id: employeeId }, select: { role: true } })
+    const caps = employee && roleCaps(employee.role)
+    if (!caps) { return }
+
+    enforce(LIMITS.ROLE_PER_TRANSACTION, `${employee.role} per-transaction limit`, caps.perTransactionCents, 0, amountCents)
+    enforce(LIMITS.ROLE_DAILY, `${employee.role} daily limit`, caps.dailyCents,
+        await sumTransfers(tx, { executedByEmployeeId: employeeId }, startOfDay(now)), amountCents)
+}
+
+// The account limits for a cash withdrawal, counted together with transfers out.
+// Role caps do not apply: they limit what an employee transfers.
+async function checkWithdrawalLimits(tx, { accountId, amountCents, now = new Date() }) {
+    await checkAccountLimits(tx, accountId, amountCents, now, 'Withdrawal')
+}
+
+// The per-transaction limit on an account's outgoing transfers, override or default
+async function perTransactionLimitCents(client, accountId) {
+
+    const override = await client.accountTransferLimit.findUnique({ where: { accountId } })
+    return effectiveLimits(override).perTransaction.cents
+}
+
+async function findCustomerAccount(accountId) {
+
+    const account = await prisma.account.findUnique({ where: { id: accountId } })
+    if (!account) {
+        throw new NotFoundError("Account not found", "ACCOUNT_NOT_FOUND")
+    }
+    if (account.kind !== 'CUSTOMER') {
+        throw new BusinessRuleError("Internal bank accounts cannot be used for transfers", "INTERNAL_ACCOUNT")
+    }
+    return account
+}
+
+// The limits that apply to money leaving an account, where each one comes from, and
+// how much of the daily and monthly limits transfers and withdrawals have used
+async function getAccountLimits(accountId, now = new Date()) {
+
+    await findCustomerAccount(accountId)
+
+    const override = await prisma.accountTransferLimit.findUnique({ where: { accountId } })
+    const limits = effectiveLimits(override)
+    const used = {
+        daily: await sumOutgoing(prisma, accountId, startOfDay(now)),
+        monthly: await sumOutgoing(prisma, accountId, startOfMonth(now))
+    }
+
+    const describe = (name) => ({
+        amount: formatCents(limits[name].cents),
+        source: limits[name].source,
+        ...(used[name] !== undefined && {
+            used: formatCents(used[name]),
+            remaining: formatCents(Math.max(limits[name].cents - used[name], 0))
+        })
+    })
+
+    return {
+        accountId,
+        perTransaction: describe('perTransaction'),
+        daily: describe('daily'),
+        monthly: describe('monthly'),
+        reason: override ? override.reason : null,
+        updatedByEmployeeId: override ? override.updatedByEmployeeId : null,
+        updatedAt: override ? override.updatedAt : null
+    }
+}
+
+function overrideCents(name, value) {
+    if (value === undefined || value === null) { return null }
+    const cents = toCents(value)
+    if (cents <= 0) {
+        throw new ValidationError(`${name} must be greater than zero`, "INVALID_AMOUNT")
+    }
+    return cents
+}
+
+// Replace an account's overrides. A missing or null limit goes back to the default.
+async function setAccountLimits(accountId, { perTransaction, daily, monthly, reason }, employeeId) {
+
+    await findCustomerAccount(accountId)
+
+    const data = {
+        perTransactionCents: overrideCents('perTransaction', perTransaction),
+        dailyCents: overrideCents('daily', daily),
+        monthlyCents: overrideCents('monthly', monthly),
+        reason: typeof reason === 'string' && reason.trim() !== '' ? reason.trim() : null,
+        updatedByEmployeeId: employeeId || null
+    }
+
+    await prisma.$transaction(async (tx) => {
+        const previous = await tx.accountTransferLimit.findUnique({ where: { accountId } })
+
+        await tx.accountTransferLimit.upsert({
+            where: { accountId },
+            create: { accountId, ...data },
+            update: data
+        })
+
+        const overrides = (row) => ({
+            perTransaction: row && row.perTransactionCents !== null ? formatCents(row.perTransactionCents) : null,
+            daily: row && row.dailyCents !== null ? formatCents(row.dailyCents) : null,
+            monthly: row && row.monthlyCents !== null ? formatCents(row.monthlyCents) : null
+        })
+        await recordAudit({
+            employeeId,
+            action: AUDIT_ACTIONS.ACCOUNT_LIMITS_UPDATED,
+            entityType: 'Account',
+            entityId: accountId,
+            details: { previous: overrides(previous), current: overrides(data), reason: data.reason }
+        }, tx)
+    })
+
+    return getAccountLimits(accountId)
+}
+
+module.exports = {
+    LIMITS,
+    LIMIT_SOURCES,
+    approvalThresholdCents,
+    checkTransferLimits,
+    checkWithdrawalLimits,
+    perTransactionLimitCents,
+    getAccountLimits,
+    setAccountLimits
+}
\ No newline at end of file
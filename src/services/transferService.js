@@ -1,122 +1,655 @@
 const prisma = require('../db/client')
+const { AUDIT_ACTIONS, recordAudit } = require('./auditService')
+const { EVENT_TYPES, recordEvent } = require('./outboxService')
+const ledgerService = require('./ledgerService')
+const transferLimitService = require('./transferLimitService')
+const fraudService = require('./fraudService')
+const { ACCOUNT_STATUSES } = require('./accountService')
+const { toCents, formatCents } = require('../utils/money')
+const { formatAccount, formatTransfer } = require('../utils/serializers')
+const { encodeCursor, decodeCursor } = require('../utils/cursor')
+const logger = require('../utils/logger')
+const metrics = require('../utils/metrics')
+const { AppError, BusinessRuleError, ConflictError, InsufficientFundsError, NotFoundError, TransferBlockedError, TransferLimitExceededError, ValidationError } = require('../utils/errors')
 
-async function accountTransfer(fromAccountId, toAccountId, amount) {
-    
-    if (amount <= 0) { 
-        throw new Error("Transfer amount must be positive and more than Zero")
+// options.withinTransaction(tx, result) runs inside the transfer's transaction after the
+// money has moved, so callers can commit or roll back their own changes with it
+async function accountTransfer(fromAccountId, toAccountId, amount, employeeId, options = {}) {
+
+    try {
+        const { screeningHits, ...result } = await executeTransfer(fromAccountId, toAccountId, amount, employeeId, options)
+        recordTransferMetrics('transfer', result.transfer.amount)
+        fraudService.countHits(screeningHits)
+        logger.info('Transfer completed', {
+            transferId: result.transfer.id,
+            fromAccountId,
+            toAccountId,
+            amount: result.transfer.amount,
+            employeeId
+        })
+        return result
+    } catch (error) {
+        logger.failure('Transfer failed', error, { fromAccountId, toAccountId, amount, employeeId })
+        recordRejectionMetrics(error)
+        // The transaction has rolled back, so the failure is recorded on its own
+        await recordAudit({
+            employeeId,
+            action: AUDIT_ACTIONS.TRANSFER_FAILED,
+            entityType: 'Account',
+            entityId: typeof fromAccountId === 'number' ? fromAccountId : null,
+            details: { fromAccountId, toAccountId, amount, reason: error.message }
+        })
+        if (error instanceof TransferBlockedError) {
+            await fraudService.recordBlockedTransfer(error)
+        }
+        throw error
     }
+}
 
-    // Prevent transferring to the same account
-    if (fromAccountId === toAccountId) {
-        throw new Error("Cannot transfer to the same account")
+function recordTransferMetrics(type, amount) {
+    metrics.transfersTotal.inc({ type })
+    metrics.transferVolumeCentsTotal.inc({ type }, toCents(amount))
+}
+
+function recordRejectionMetrics(error) {
+    if (error instanceof InsufficientFundsError) {
+        metrics.insufficientFundsTotal.inc({ operation: 'transfer' })
     }
+    if (error instanceof TransferLimitExceededError) {
+        metrics.transferLimitRejectionsTotal.inc({ limit: error.details.limit })
+    }
+}
+
+// prisma.$transaction, timed for the transaction duration histogram and
+// labelled by whether it committed or rolled back
+async function timedTransaction(operation, fn) {
+    const stopTimer = metrics.transferTransactionDurationSeconds.startTimer({ operation })
+    try {
+        const result = await prisma.$transaction(fn)
+        stopTimer({ outcome: 'committed' })
+        return result
+    } catch (error) {
+        stopTimer({ outcome: 'rolled_back' })
+        throw error
+    }
+}
+
+async function executeTransfer(fromAccountId, toAccountId, amount, employeeId, { withinTransaction } = {}) {
+
+    const amountCents = checkTransferRequest(fromAccountId, toAccountId, amount)
 
     // Use Prisma transaction to ensure atomicity
     // All account existence checks and balance validation happen INSIDE the transaction
     // to prevent race conditions where concurrent transfers could cause overdrafts
-    const result = await prisma.$transaction(async (tx) => {
-        // Check if source account exists and fetch current balance within transaction
-        const fromAccount = await tx.account.findUnique({
-            where: { id: fromAccountId }
-        })
-        
-        if (!fromAccount) { 
-            throw new Error("Source account does not exist")
+    return timedTransaction('transfer', async (tx) => {
+        const result = await applyTransfer(tx, fromAccountId, toAccountId, amountCents, employeeId)
+        if (withinTransaction) {
+            await withinTransaction(tx, result)
         }
+        return result
+    })
+}
 
-        // Check if destination account exists within transaction
-        const toAccount = await tx.account.findUnique({
-            where: { id: toAccountId }
-        })
-        
-        if (!toAccount) { 
-            throw new Error("Destination account does not exist")
-        }
+// The checks that need no database; returns the amount in integer cents
+function checkTransferRequest(fromAccountId, toAccountId, amount) {
+
+    // All arithmetic below is on integer cents
+    const amountCents = toCents(amount)
+
+    if (amountCents <= 0) { 
+        throw new ValidationError("Transfer amount must be positive and more than Zero", "INVALID_AMOUNT")
+    }
 
-        // Check balance INSIDE transaction to prevent race conditions
-        // This ensures the balance check and update are atomic
-        if (fromAccount.balance < amount) { 
-            throw new Error("Insufficient funds")
+    // Prevent transferring to the same account
+    if (fromAccountId === toAccountId) {
+        throw new BusinessRuleError("Cannot transfer to the same account", "SAME_ACCOUNT_TRANSFER")
+    }
+
+    return amountCents
+}
+
+// Existence, status and balance checks and the ledger posting for one transfer,
+// on the caller's transaction client. Balances are read through `tx`, so inside a
+// batch each transfer sees the debits made by the ones before it. Also returns the
+// screening hits, for the caller to count once the transaction has committed.
+async function applyTransfer(tx, fromAccountId, toAccountId, amountCents, employeeId) {
+    // Check if source account exists and fetch current balance within transaction
+    const fromAccount = await tx.account.findUnique({
+        where: { id: fromAccountId }
+    })
+    
+    if (!fromAccount) { 
+        throw new NotFoundError("Source account does not exist", "ACCOUNT_NOT_FOUND")
+    }
+    if (fromAccount.kind !== 'CUSTOMER') {
+        throw new BusinessRuleError("Internal bank accounts cannot be used for transfers", "INTERNAL_ACCOUNT")
+    }
+    if (fromAccount.status === ACCOUNT_STATUSES.FROZEN) {
+        throw new BusinessRuleError("Source account is frozen", "ACCOUNT_FROZEN")
+    }
+    if (fromAccount.status === ACCOUNT_STATUSES.CLOSED) {
+        throw new BusinessRuleError("Source account is closed", "ACCOUNT_CLOSED")
+    }
+
+    // Check if destination account exists within transaction
+    const toAccount = await tx.account.findUnique({
+        where: { id: toAccountId }
+    })
+    
+    if (!toAccount) { 
+        throw new NotFoundError("Destination account does not exist", "ACCOUNT_NOT_FOUND")
+    }
+    if (toAccount.kind !== 'CUSTOMER') {
+        throw new BusinessRuleError("Internal bank accounts cannot be used for transfers", "INTERNAL_ACCOUNT")
+    }
+    // Frozen accounts may still receive money; only closed ones are refused
+    if (toAccount.status === ACCOUNT_STATUSES.CLOSED) {
+        throw new BusinessRuleError("Destination account is closed", "ACCOUNT_CLOSED")
+    }
+
+    // Check balance INSIDE transaction to prevent race conditions
+    // This ensures the balance check and update are atomic
+    if (fromAccount.balanceCents < amountCents) { 
+        throw new InsufficientFundsError("Insufficient funds")
+    }
+
+    // Account and role limits, counted on this transaction so they see any
+    // transfers made earlier in the same batch
+    await transferLimitService.checkTransferLimits(tx, { fromAccountId, amountCents, employeeId })
+
+    // Fraud and velocity screening: BLOCK rules throw here, FLAG hits are stored
+    // against the transfer below for review
+    const screeningHits = await fraudService.screenTransfer(tx, { fromAccount, toAccount, amountCents, employeeId })
+
+    // Create transfer record
+    const transfer = await tx.transfer.create({
+        data: {
+            fromAccountId,
+            toAccountId,
+            amountCents,
+            executedByEmployeeId: employeeId || null
         }
-        // Update source account balance
-        const updatedFromAccount = await tx.account.update({
-            where: { id: fromAccountId },
-            data: { balance: { decrement: amount } }
+    })
+
+    await fraudService.flagTransfer(tx, transfer.id, screeningHits)
+
+    // Move the money through the ledger: debit the source, credit the destination.
+    // This also updates both cached balances.
+    await ledgerService.postJournalEntry(tx, {
+        type: ledgerService.ENTRY_TYPES.TRANSFER,
+        description: `Transfer #${transfer.id}`,
+        transferId: transfer.id,
+        postings: [
+            { accountId: fromAccountId, direction: ledgerService.DIRECTIONS.DEBIT, amountCents },
+            { accountId: toAccountId, direction: ledgerService.DIRECTIONS.CREDIT, amountCents }
+        ]
+    })
+
+    const updatedFromAccount = await tx.account.findUnique({ where: { id: fromAccountId } })
+    const updatedToAccount = await tx.account.findUnique({ where: { id: toAccountId } })
+
+    await recordAudit({
+        employeeId,
+        action: AUDIT_ACTIONS.TRANSFER_COMPLETED,
+        entityType: 'Transfer',
+        entityId: transfer.id,
+        details: { fromAccountId, toAccountId, amount: formatCents(amountCents) }
+    }, tx)
+
+    const formattedTransfer = formatTransfer(transfer)
+    await recordEvent(EVENT_TYPES.TRANSFER_COMPLETED, { transfer: formattedTransfer }, tx)
+
+    return {
+        transfer: formattedTransfer,
+        fromAccount: formatAccount(updatedFromAccount),
+        toAccount: formatAccount(updatedToAccount),
+        screeningHits
+    }
+}
+
+const BATCH_MODES = {
+    ALL_OR_NOTHING: 'ALL_OR_NOTHING',
+    BEST_EFFORT: 'BEST_EFFORT'
+}
+
+// Per-item outcome in a batch response
+const BATCH_ITEM_STATUSES = {
+    SUCCEEDED: 'SUCCEEDED',
+    FAILED: 'FAILED',
+    ROLLED_BACK: 'ROLLED_BACK',
+    NOT_ATTEMPTED: 'NOT_ATTEMPTED'
+}
+
+const MAX_BATCH_SIZE = 100
+
+// Run a list of { fromAccountId, toAccountId, amount } transfers in order.
+// ALL_OR_NOTHING commits every transfer or none; BEST_EFFORT commits each one on its own
+// and carries on past failures. Either way items run one after another, so several
+// debits against the same source are checked against its balance as it falls.
+async function batchTransfer(transfers, mode, employeeId) {
+
+    if (!Object.values(BATCH_MODES).includes(mode)) {
+        throw new ValidationError(`mode must be one of: ${Object.values(BATCH_MODES).join(', ')}`)
+    }
+    if (!Array.isArray(transfers) || transfers.length === 0) {
+        throw new ValidationError("A batch must contain at least one transfer", "EMPTY_BATCH")
+    }
+    if (transfers.length > MAX_BATCH_SIZE) {
+        throw new ValidationError(`A batch can contain at most ${MAX_BATCH_SIZE} transfers`, "BATCH_TOO_LARGE")
+    }
+
+    if (mode === BATCH_MODES.ALL_OR_NOTHING) {
+        return executeAtomicBatch(transfers, employeeId)
+    }
+    return executeBestEffortBatch(transfers, employeeId)
+}
+
+// One transaction for the whole batch. The first failing item rolls everything back
+// and is reported with its own error; the others are marked rolled back or not attempted.
+async function executeAtomicBatch(transfers, employeeId) {
+
+    let failedIndex = null
+    try {
+        const results = await timedTransaction('batch', async (tx) => {
+            const completed = []
+            for (const [index, item] of transfers.entries()) {
+                failedIndex = index
+                const amountCents = checkTransferRequest(item.fromAccountId, item.toAccountId, item.amount)
+                checkBelowApprovalThreshold(amountCents, 'batched')
+                const { transfer, screeningHits } = await applyTransfer(tx, item.fromAccountId, item.toAccountId, amountCents, employeeId)
+                completed.push({ index, status: BATCH_ITEM_STATUSES.SUCCEEDED, transfer, screeningHits })
+            }
+            failedIndex = null
+            return completed
         })
 
-        // Update destination account balance
-        const updatedToAccount = await tx.account.update({
-            where: { id: toAccountId },
-            data: { balance: { increment: amount } }
+        results.forEach(result => {
+            recordTransferMetrics('transfer', result.transfer.amount)
+            fraudService.countHits(result.screeningHits)
+        })
+        logger.info('Transfer batch completed', {
+            mode: BATCH_MODES.ALL_OR_NOTHING,
+            count: results.length,
+            transferIds: results.map(result => result.transfer.id),
+            employeeId
         })
+        return batchSummary(BATCH_MODES.ALL_OR_NOTHING, results.map(({ screeningHits, ...result }) => result))
+    } catch (error) {
+        // A failure outside any item (e.g. at commit) is passed on unchanged
+        if (failedIndex === null) { throw error }
 
-        // Create transfer record
-        const transfer = await tx.transfer.create({
-            data: {
-                fromAccountId,
-                toAccountId,
-                amount
+        const failed = transfers[failedIndex]
+        logger.failure('Transfer batch rolled back', error, { failedIndex, count: transfers.length, employeeId })
+        recordRejectionMetrics(error)
+        await recordAudit({
+            employeeId,
+            action: AUDIT_ACTIONS.TRANSFER_FAILED,
+            entityType: 'Account',
+            entityId: typeof failed.fromAccountId === 'number' ? failed.fromAccountId : null,
+            details: {
+                fromAccountId: failed.fromAccountId,
+                toAccountId: failed.toAccountId,
+                amount: failed.amount,
+                reason: error.message,
+                batch: { mode: BATCH_MODES.ALL_OR_NOTHING, index: failedIndex, count: transfers.length }
             }
         })
+        if (error instanceof TransferBlockedError) {
+            await fraudService.recordBlockedTransfer(error)
+        }
+        if (!(error instanceof AppError)) { throw error }
 
-        return {
-            transfer,
-            fromAccount: updatedFromAccount,
-            toAccount: updatedToAccount
+        const results = transfers.map((item, index) => {
+            if (index < failedIndex) { return { index, status: BATCH_ITEM_STATUSES.ROLLED_BACK } }
+            if (index > failedIndex) { return { index, status: BATCH_ITEM_STATUSES.NOT_ATTEMPTED } }
+            return { index, status: BATCH_ITEM_STATUSES.FAILED, code: error.code, errorMessage: error.message }
+        })
+        throw new BusinessRuleError(
+            `Batch rolled back: transfer ${failedIndex} failed: ${error.message}`,
+            "BATCH_ROLLED_BACK",
+            { failedIndex, results }
+        )
+    }
+}
+
+// Each item goes through accountTransfer in its own transaction, with the same
+// logging, metrics and failure audit as a single transfer
+async function executeBestEffortBatch(transfers, employeeId) {
+
+    const results = []
+    for (const [index, item] of transfers.entries()) {
+        try {
+            checkBelowApprovalThreshold(toCents(item.amount), 'batched')
+            const { transfer } = await accountTransfer(item.fromAccountId, item.toAccountId, item.amount, employeeId)
+            results.push({ index, status: BATCH_ITEM_STATUSES.SUCCEEDED, transfer })
+        } catch (error) {
+            // Unexpected errors are already in the server log; keep their details out of the response
+            results.push(error instanceof AppError
+                ? { index, status: BATCH_ITEM_STATUSES.FAILED, code: error.code, errorMessage: error.message }
+                : { index, status: BATCH_ITEM_STATUSES.FAILED, code: "INTERNAL_ERROR", errorMessage: "Internal server error" })
         }
+    }
+
+    const summary = batchSummary(BATCH_MODES.BEST_EFFORT, results)
+    logger.info('Transfer batch processed', {
+        mode: BATCH_MODES.BEST_EFFORT,
+        count: summary.total,
+        succeeded: summary.succeeded,
+        failed: summary.failed,
+        employeeId
     })
+    return summary
+}
 
-    return result
+// Transfers above the approval threshold need a second employee (POST /api/transfers
+// queues them), so batches and schedules must not be a way around that.
+// `usage` completes the message: "batched", "scheduled"
+function checkBelowApprovalThreshold(amountCents, usage) {
+    const thresholdCents = transferLimitService.approvalThresholdCents()
+    if (amountCents > thresholdCents) {
+        throw new BusinessRuleError(
+            `Transfers above ${formatCents(thresholdCents)} need approval and cannot be ${usage}`,
+            "APPROVAL_REQUIRED"
+        )
+    }
 }
 
-async function getTransferHistory(accountId) {
-    
+function batchSummary(mode, results) {
+    const succeeded = results.filter(result => result.status === BATCH_ITEM_STATUSES.SUCCEEDED).length
+    const failed = results.length - succeeded
+    let status = 'COMPLETED'
+    if (succeeded === 0) {
+        status = 'FAILED'
+    } else if (failed > 0) {
+        status = 'PARTIAL'
+    }
+    return { mode, status, total: results.length, succeeded, failed, results }
+}
+
+async function reverseTransfer(transferId, reason, employeeId) {
+
+    try {
+        const result = await executeReversal(transferId, reason, employeeId)
+        recordTransferMetrics('reversal', result.transfer.amount)
+        logger.info('Transfer reversed', {
+            transferId,
+            reversalTransferId: result.transfer.id,
+            amount: result.transfer.amount,
+            employeeId
+        })
+        return result
+    } catch (error) {
+        logger.failure('Transfer reversal failed', error, { transferId, employeeId })
+        if (error instanceof InsufficientFundsError) {
+            metrics.insufficientFundsTotal.inc({ operation: 'reversal' })
+        }
+        await recordAudit({
+            employeeId,
+            action: AUDIT_ACTIONS.TRANSFER_REVERSAL_FAILED,
+            entityType: 'Transfer',
+            entityId: typeof transferId === 'number' ? transferId : null,
+            details: { reason, failure: error.message }
+        })
+        throw error
+    }
+}
+
+// A reversal is a new transfer in the opposite direction, linked to the original
+// through reversalOfId. The column is unique, so a transfer can only be reversed once
+// even if two managers try at the same moment.
+async function executeReversal(transferId, reason, employeeId) {
+
+    if (typeof reason !== 'string' || reason.trim() === '') {
+        throw new ValidationError("Reversal reason is required")
+    }
+
+    try {
+        return await timedTransaction('reversal', async (tx) => {
+            const original = await tx.transfer.findUnique({
+                where: { id: transferId },
+                include: { reversedBy: { select: { id: true } } }
+            })
+
+            if (!original) {
+                throw new NotFoundError("Transfer not found", "TRANSFER_NOT_FOUND")
+            }
+            if (original.reversalOfId) {
+                throw new ConflictError("A reversal cannot itself be reversed", "TRANSFER_NOT_REVERSIBLE")
+            }
+            if (original.reversedBy) {
+                throw new ConflictError("Transfer has already been reversed", "TRANSFER_ALREADY_REVERSED")
+            }
+
+            // Ledger postings take plain integer cents; the column reads back as BigInt
+            const amountCents = Number(original.amountCents)
+
+            // Money goes back from the original destination to the original source,
+            // under the same account status rules as any other transfer
+            const destination = await tx.account.findUnique({ where: { id: original.toAccountId } })
+            const source = await tx.account.findUnique({ where: { id: original.fromAccountId } })
+
+            if (destination.status === ACCOUNT_STATUSES.FROZEN) {
+                throw new BusinessRuleError("Destination account is frozen", "ACCOUNT_FROZEN")
+            }
+            if (destination.status === ACCOUNT_STATUSES.CLOSED) {
+                throw new BusinessRuleError("Destination account is closed", "ACCOUNT_CLOSED")
+            }
+            if (source.status === ACCOUNT_STATUSES.CLOSED) {
+                throw new BusinessRuleError("Source account is closed", "ACCOUNT_CLOSED")
+            }
+            if (destination.balanceCents < amountCents) {
+                throw new InsufficientFundsError("Insufficient funds in destination account to reverse transfer")
+            }
+
+            const reversal = await tx.transfer.create({
+                data: {
+                    fromAccountId: original.toAccountId,
+                    toAccountId: original.fromAccountId,
+                    amountCents,
+                    executedByEmployeeId: employeeId || null,
+                    reversalOfId: original.id,
+                    reversalReason: reason.trim()
+                }
+            })
+
+            await ledgerService.postJournalEntry(tx, {
+                type: ledgerService.ENTRY_TYPES.TRANSFER_REVERSAL,
+                description: `Reversal of transfer #${original.id}`,
+                transferId: reversal.id,
+                postings: [
+                    { accountId: original.toAccountId, direction: ledgerService.DIRECTIONS.DEBIT, amountCents },
+                    { accountId: original.fromAccountId, direction: ledgerService.DIRECTIONS.CREDIT, amountCents }
+                ]
+            })
+
+            await recordAudit({
+                employeeId,
+                action: AUDIT_ACTIONS.TRANSFER_REVERSED,
+                entityType: 'Transfer',
+                entityId: original.id,
+                details: { reversalTransferId: reversal.id, amount: formatCents(amountCents), reason: reason.trim() }
+            }, tx)
+
+            const updatedSource = await tx.account.findUnique({ where: { id: original.fromAccountId } })
+            const updatedDestination = await tx.account.findUnique({ where: { id: original.toAccountId } })
+
+            const formattedReversal = formatTransfer(reversal)
+            await recordEvent(EVENT_TYPES.TRANSFER_REVERSED, {
+                transfer: formattedReversal,
+                originalTransferId: original.id
+            }, tx)
+
+            return {
+                transfer: formattedReversal,
+                originalTransfer: formatTransfer(original),
+                fromAccount: formatAccount(updatedDestination),
+                toAccount: formatAccount(updatedSource)
+            }
+        })
+    } catch (error) {
+        if (error.code === 'P2002') {
+            throw new ConflictError("Transfer has already been reversed", "TRANSFER_ALREADY_REVERSED")
+        }
+        throw error
+    }
+}
+
+// Whether a history item was reversed, is itself a reversal, or neither
+function withReversalStatus(transfer) {
+    const { reversedBy, ...rest } = transfer
+    let reversalStatus = 'NONE'
+    if (rest.reversalOfId) {
+        reversalStatus = 'REVERSAL'
+    } else if (reversedBy) {
+        reversalStatus = 'REVERSED'
+    }
+    return { ...formatTransfer(rest), reversalStatus, reversedBy: reversedBy || null }
+}
+
+const DEFAULT_PAGE_SIZE = 20
+const MAX_PAGE_SIZE = 100
+const HISTORY_DIRECTIONS = ['incoming', 'outgoing']
+
+// One page of an account's transfers, newest first.
+// Pages are keyset-based: `cursor` is the nextCursor or prevCursor of an earlier page.
+// Filters: from, to (Dates), minAmount, maxAmount, direction, counterpartyAccountId
+async function getTransferHistory(accountId, options = {}) {
+
+    const { cursor, from, to, minAmount, maxAmount, direction, counterpartyAccountId } = options
+    const limit = Math.min(options.limit || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE)
+
+    if (direction !== undefined && !HISTORY_DIRECTIONS.includes(direction)) {
+        throw new ValidationError(`direction must be one of: ${HISTORY_DIRECTIONS.join(', ')}`)
+    }
+    const minCents = minAmount !== undefined ? toCents(minAmount) : undefined
+    const maxCents = maxAmount !== undefined ? toCents(maxAmount) : undefined
+    if (minCents !== undefined && maxCents !== undefined && minCents > maxCents) {
+        throw new ValidationError("minAmount cannot be greater than maxAmount")
+    }
+    const page = cursor ? decodeCursor(cursor) : null
+
     const account = await prisma.account.findUnique({
         where: { id: accountId }
     })
 
     if (!account) {
-        throw new Error("Account not found")
-    }
-
-    const transfers = await prisma.transfer.findMany({
-        where: {
-            OR: [
-                { fromAccountId: accountId },
-                { toAccountId: accountId }
-            ]
-        },
-        orderBy: {
-            timestamp: 'desc'
-        },
-        include: {
-            fromAccount: {
-                select: {
-                    id: true,
-                    customer: {
-                        select: {
-                            name: true
+        throw new NotFoundError("Account not found", "ACCOUNT_NOT_FOUND")
+    }
+
+    const incoming = { toAccountId: accountId }
+    const outgoing = { fromAccountId: accountId }
+    if (counterpartyAccountId !== undefined) {
+        incoming.fromAccountId = counterpartyAccountId
+        outgoing.toAccountId = counterpartyAccountId
+    }
+
+    const filters = [{
+        OR: direction === 'incoming' ? [incoming]
+            : direction === 'outgoing' ? [outgoing]
+            : [incoming, outgoing]
+    }]
+    if (from || to) {
+        filters.push({ timestamp: { ...(from && { gte: from }), ...(to && { lte: to }) } })
+    }
+    if (minCents !== undefined || maxCents !== undefined) {
+        filters.push({
+            amountCents: {
+                ...(minCents !== undefined && { gte: minCents }),
+                ...(maxCents !== undefined && { lte: maxCents })
+            }
+        })
+    }
+    const where = { AND: filters }
+
+    // Rows strictly older (next page) or newer (previous page) than the cursor position
+    let pageWhere = where
+    if (page) {
+        const op = page.direction === 'next' ? 'lt' : 'gt'
+        const { timestamp, id } = page
+        pageWhere = {
+            AND: [...filters, {
+                OR: [
+                    { timestamp: { [op]: timestamp } },
+                    { timestamp, id: { [op]: id } }
+                ]
+            }]
+        }
+    }
+
+    // Going backwards means reading oldest-first from the cursor, then flipping the page.
+    // One extra row tells us whether there is anything beyond this page.
+    const order = page?.direction === 'prev' ? 'asc' : 'desc'
+    const [total, rows] = await prisma.$transaction([
+        prisma.transfer.count({ where }),
+        prisma.transfer.findMany({
+            where: pageWhere,
+            orderBy: [{ timestamp: order }, { id: order }],
+            take: limit + 1,
+            include: {
+                fromAccount: {
+                    select: {
+                        id: true,
+                        customer: {
+                            select: {
+                                name: true
+                            }
                         }
                     }
-                }
-            },
-            toAccount: {
-                select: {
-                    id: true,
-                    customer: {
-                        select: {
-                            name: true
+                },
+                toAccount: {
+                    select: {
+                        id: true,
+                        customer: {
+                            select: {
+                                name: true
+                            }
                         }
                     }
+                },
+                executedByEmployee: {
+                    select: {
+                        id: true,
+                        username: true,
+                        name: true,
+                        role: true
+                    }
+                },
+                reversedBy: {
+                    select: {
+                        id: true,
+                        reversalReason: true,
+                        timestamp: true
+                    }
                 }
             }
-        }
-    })
+        })
+    ])
+
+    const hasMore = rows.length > limit
+    const transfers = rows.slice(0, limit)
+    if (order === 'asc') { transfers.reverse() }
 
-    return transfers
+    // Whichever way we moved, the page we came from is still on the other side
+    const hasNext = page?.direction === 'prev' ? true : hasMore
+    const hasPrev = page?.direction === 'next' ? true : page ? hasMore : false
+
+    return {
+        total,
+        limit,
+        nextCursor: hasNext && transfers.length ? encodeCursor(transfers[transfers.length - 1], 'next') : null,
+        prevCursor: hasPrev && transfers.length ? encodeCursor(transfers[0], 'prev') : null,
+        items: transfers.map(withReversalStatus)
+    }
 }
 
 module.exports = {
+    BATCH_MODES,
+    BATCH_ITEM_STATUSES,
+    MAX_BATCH_SIZE,
     accountTransfer,
+    batchTransfer,
+    checkTransferRequest,
+    checkBelowApprovalThreshold,
+    reverseTransfer,
     getTransferHistory
 }
\ No newline at end of file
@@ -0,0 +1,486 @@
+const crypto = require('crypto')
+const net = require('net')
+const prisma = require('../db/client')
+const { AUDIT_ACTIONS, recordAudit } = require('./auditService')
+const { EVENT_TYPES } = require('./outboxService')
+const logger = require('../utils/logger')
+const { ConflictError, NotFoundError, ValidationError } = require('../utils/errors')
+
+const DELIVERY_STATUSES = {
+    PENDING: 'PENDING',
+    DELIVERED: 'DELIVERED',
+    DEAD: 'DEAD'
+}
+
+const SIGNATURE_HEADER = 'X-Webhook-Signature'
+const TIMESTAMP_HEADER = 'X-Webhook-Timestamp'
+
+const DEFAULT_PAGE_SIZE = 20
+const MAX_PAGE_SIZE = 100
+const EVENT_BATCH_SIZE = 100
+const DELIVERY_BATCH_SIZE = 50
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000
+const MAX_ERROR_LENGTH = 500
+
+// Loopback, private, link-local and unspecified ranges. Deliveries come from inside the
+// bank's network, so a subscription must not be able to point them at internal services.
+const PRIVATE_NETWORKS = new net.BlockList()
+for (const [address, prefix, type] of [
+    ['0.0.0.0', 8, 'ipv4'],
+    ['10.0.0.0', 8, 'ipv4'],
+    ['100.64.0.0', 10, 'ipv4'],
+    ['127.0.0.0', 8, 'ipv4'],
+    ['169.254.0.0', 16, 'ipv4'],
+    ['172.16.0.0', 12, 'ipv4'],
+    ['192.168.0.0', 16, 'ipv4'],
+    ['::', 128, 'ipv6'],
+    ['::1', 128, 'ipv6'],
+    ['fc00::', 7, 'ipv6'],
+    ['fe80::', 10, 'ipv6']
+]) {
+    PRIVATE_NETWORKS.addSubnet(address, prefix, type)
+}
+
+function maxAttempts() {
+    const attempts = Number(process.env.WEBHOOK_MAX_ATTEMPTS)
+    return Number.isInteger(attempts) && attempts > 0 ? attempts : 8
+}
+
+function retryBaseMs() {
+    const seconds = Number(process.env.WEBHOOK_RETRY_BASE_SECONDS)
+    return (Number.isFinite(seconds) && seconds > 0 ? seconds : 30) * 1000
+}
+
+// Local development can point subscriptions at a receiver on this machine
+function allowPrivateUrls() {
+    return process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true'
+}
+
+function requestTimeoutMs() {
+    const seconds = Number(process.env.WEBHOOK_TIMEOUT_SECONDS)
+    return (Number.isFinite(seconds) && seconds > 0 ? seconds : 10) * 1000
+}
+
+// A delivery being sent has its nextAttemptAt pushed this far ahead, past the longest a
+// send can take, so other dispatchers skip it. If the sending process dies mid-send the
+// delivery becomes due again once the lease runs out.
+function claimLeaseMs() {
+    return requestTimeoutMs() + 60 * 1000
+}
+
+// Wait before the next attempt after `failedAttempts` failures: the base delay,
+// then double for each further failure, capped at six hours
+function retryDelayMs(failedAttempts) {
+    return Math.min(retryBaseMs() * 2 ** (failedAttempts - 1), MAX_RETRY_DELAY_MS)
+}
+
+// HMAC-SHA256 of "<timestamp>.<body>" keyed with the subscription secret, hex encoded.
+// Receivers recompute it over the raw body and the X-Webhook-Timestamp header, and
+// should refuse old timestamps so a captured request cannot be replayed later.
+function signPayload(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')
+}
+
+// The secret is only handed out once, when the subscription is created
+function formatSubscription(subscription, { includeSecret = false } = {}) {
+    const { secret, events, ...rest } = subscription
+    return { ...rest, events: events.split(','), ...(includeSecret ? { secret } : {}) }
+}
+
+function formatDelivery(delivery) {
+    const { event, ...rest } = delivery
+    return { ...rest, eventType: event.type }
+}
+
+// Only literal addresses and localhost names are checked; a public name is not resolved here
+function isPrivateHost(hostname) {
+
+    const host = hostname.replace(/^\[|\]$/g, '').toLowerCase()
+    if (host === 'localhost' || host.endsWith('.localhost')) { return true }
+
+    const type = net.isIP(host)
+    return type !== 0 && PRIVATE_NETWORKS.check(host, type === 4 ? 'ipv4' : 'ipv6')
+}
+
+function validateSubscriptionInput({ url, events, description }) {
+
+    let parsed
+    try {
+        parsed = new URL(url)
+    } catch (error) {
+        parsed = null
+    }
+    if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+        throw new ValidationError("url must be an absolute http or https URL", "INVALID_WEBHOOK_URL")
+    }
+    if (!allowPrivateUrls() && isPrivateHost(parsed.hostname)) {
+        throw new ValidationError("url must not point to a loopback or private network address", "INVALID_WEBHOOK_URL")
+    }
+
+    if (!Array.isArray(events) || events.length === 0) {
+        throw new ValidationError("events must list at least one event type")
+    }
+    const unknown = events.filter(type => !Object.values(EVENT_TYPES).includes(type))
+    if (unknown.length > 0) {
+        throw new ValidationError(`Unknown event types: ${unknown.join(', ')}`, "UNKNOWN_EVENT_TYPE")
+    }
+
+    if (description !== undefined && description !== null && typeof description !== 'string') {
+        throw new ValidationError("description must be a string")
+    }
+}
+
+async function createSubscription(input, employeeId) {
+
+    validateSubscriptionInput(input)
+    const { url, description } = input
+    const events = [...new Set(input.events)]
+
+    const subscription = await prisma.$transaction(async (tx) => {
+        const created = await tx.webhookSubscription.create({
+            data: {
+                url,
+                events: events.join(','),
+                secret: `whsec_${crypto.randomBytes(32).toString('hex')}`,
+                description: description || null,
+                createdByEmployeeId: employeeId || null
+            }
+        })
+
+        await recordAudit({
+            employeeId,
+            action: AUDIT_ACTIONS.WEBHOOK_SUBSCRIPTION_CREATED,
+            entityType: 'WebhookSubscription',
+            entityId: created.id,
+            details: { url, events }
+        }, tx)
+
+        return created
+    })
+
+    return formatSubscription(subscription, { includeSecret: true })
+}
+
+async function listSubscriptions({ limit, offset } = {}) {
+
+    const take = Math.min(limit || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE)
+    const skip = offset || 0
+
+    const [total, items] = await prisma.$transaction([
+        prisma.webhookSubscription.count(),
+        prisma.webhookSubscription.findMany({
+            orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+            skip,
+            take
+        })
+    ])
+
+    return { total, limit: take, offset: skip, items: items.map(subscription => formatSubscription(subscription)) }
+}
+
+async function getSubscription(subscriptionId) {
+
+    const subscription = await prisma.webhookSubscription.findUnique({
+        where: { id: subscriptionId }
+    })
+
+    if (!subscription) {
+        throw new NotFoundError("Webhook subscription not found", "WEBHOOK_SUBSCRIPTION_NOT_FOUND")
+    }
+
+    return formatSubscription(subscription)
+}
+
+// Stops new deliveries. Deliveries still waiting for a retry are dead-lettered so
+// nothing is left queued for an endpoint that no longer wants the events.
+async function disableSubscription(subscriptionId, employeeId) {
+
+    const subscription = await prisma.$transaction(async (tx) => {
+        const current = await tx.webhookSubscription.findUnique({
+            where: { id: subscriptionId }
+        })
+
+        if (!current) {
+            throw new NotFoundError("Webhook subscription not found", "WEBHOOK_SUBSCRIPTION_NOT_FOUND")
+        }
+        if (!current.isActive) {
+            throw new ConflictError("Webhook subscription is already disabled", "WEBHOOK_SUBSCRIPTION_DISABLED")
+        }
+
+        const updated = await tx.webhookSubscription.update({
+            where: { id: subscriptionId },
+            data: { isActive: false }
+        })
+        const { count } = await tx.webhookDelivery.updateMany({
+            where: { subscriptionId, status: DELIVERY_STATUSES.PENDING },
+            data: { status: DELIVERY_STATUSES.DEAD, nextAttemptAt: null, lastError: "Subscription disabled" }
+        })
+
+        await recordAudit({
+            employeeId,
+            action: AUDIT_ACTIONS.WEBHOOK_SUBSCRIPTION_DISABLED,
+            entityType: 'WebhookSubscription',
+            entityId: subscriptionId,
+            details: { pendingDeliveriesDropped: count }
+        }, tx)
+
+        return updated
+    })
+
+    return formatSubscription(subscription)
+}
+
+async function listDeliveries(subscriptionId, { status, limit, offset } = {}) {
+
+    if (status && !Object.values(DELIVERY_STATUSES).includes(status)) {
+        throw new ValidationError(`status must be one of: ${Object.values(DELIVERY_STATUSES).join(', ')}`)
+    }
+
+    // Confirms the subscription exists so an unknown id is a 404, not an empty page
+    await getSubscription(subscriptionId)
+
+    const take = Math.min(limit || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE)
+    const skip = offset || 0
+    const where = { subscriptionId }
+    if (status) { where.status = status }
+
+    const [total, items] = await prisma.$transaction([
+        prisma.webhookDelivery.count({ where }),
+        prisma.webhookDelivery.findMany({
+            where,
+            orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+            skip,
+            take,
+            include: { event: true }
+        })
+    ])
+
+    return { total, limit: take, offset: skip, items: items.map(formatDelivery) }
+}
+
+// Queue a delivered or dead-lettered delivery again with a fresh set of attempts,
+// and make the first one straight away. Receivers see the same event id again.
+async function redeliver(deliveryId, employeeId) {
+
+    const delivery = await prisma.$transaction(async (tx) => {
+        const current = await tx.webhookDelivery.findUnique({
+            where: { id: deliveryId },
+            include: { subscription: true }
+        })
+
+        if (!current) {
+            throw new NotFoundError("Webhook delivery not found", "WEBHOOK_DELIVERY_NOT_FOUND")
+        }
+        if (!current.subscription.isActive) {
+            throw new ConflictError("Webhook subscription is disabled", "WEBHOOK_SUBSCRIPTION_DISABLED")
+        }
+        if (current.status === DELIVERY_STATUSES.PENDING) {
+            throw new ConflictError("Delivery is already waiting to be sent", "WEBHOOK_DELIVERY_PENDING")
+        }
+
+        await recordAudit({
+            employeeId,
+            action: AUDIT_ACTIONS.WEBHOOK_REDELIVERY_REQUESTED,
+            entityType: 'WebhookDelivery',
+            entityId: deliveryId,
+            details: { subscriptionId: current.subscriptionId, eventId: current.eventId, previousStatus: current.status }
+        }, tx)
+
+        // Claimed for this request straight away, so a dispatcher does not send it as well
+        return tx.webhookDelivery.update({
+            where: { id: deliveryId },
+            data: {
+                status: DELIVERY_STATUSES.PENDING,
+                attempts: 0,
+                nextAttemptAt: new Date(Date.now() + claimLeaseMs()),
+                deliveredAt: null
+            },
+            include: { event: true, subscription: true }
+        })
+    })
+
+    return formatDelivery(await attemptDelivery(delivery))
+}
+
+// POST the event to the subscriber. Only the status code matters: any 2xx is
+// success; redirects are not followed and count as failures.
+async function send(subscription, event) {
+
+    const body = JSON.stringify({
+        id: event.id,
+        type: event.type,
+        createdAt: event.createdAt,
+        data: JSON.parse(event.payload)
+    })
+    const timestamp = Math.floor(Date.now() / 1000)
+
+    try {
+        const response = await fetch(subscription.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'banking-api-webhooks',
+                'X-Webhook-Id': String(event.id),
+                'X-Webhook-Event': event.type,
+                [TIMESTAMP_HEADER]: String(timestamp),
+                [SIGNATURE_HEADER]: `sha256=${signPayload(subscription.secret, timestamp, body)}`
+            },
+            body,
+            redirect: 'manual',
+            signal: AbortSignal.timeout(requestTimeoutMs())
+        })
+        if (response.body) {
+            await response.body.cancel()
+        }
+
+        if (response.status >= 200 && response.status < 300) {
+            return { ok: true, statusCode: response.status }
+        }
+        return { ok: false, statusCode: response.status, error: `Receiver answered HTTP ${response.status}` }
+    } catch (error) {
+        // fetch reports connection problems as "fetch failed" with the reason in `cause`
+        const reason = error.cause && error.cause.message ? `${error.message}: ${error.cause.message}` : error.message
+        return { ok: false, statusCode: null, error: reason.slice(0, MAX_ERROR_LENGTH) }
+    }
+}
+
+// One attempt at a PENDING delivery (loaded with its event and subscription).
+// Failures are retried with exponential backoff until WEBHOOK_MAX_ATTEMPTS, then dead-lettered.
+// Times come from the clock when the attempt ends, not from the pass that picked it up:
+// a pass sends its deliveries one after another, so its start time can be minutes old.
+async function attemptDelivery(delivery) {
+
+    const attempts = delivery.attempts + 1
+    const outcome = await send(delivery.subscription, delivery.event)
+    const now = new Date()
+    const attemptFields = { attempts, lastAttemptAt: now, lastStatusCode: outcome.statusCode }
+
+    let data
+    if (outcome.ok) {
+        data = { ...attemptFields, status: DELIVERY_STATUSES.DELIVERED, lastError: null, nextAttemptAt: null, deliveredAt: now }
+    } else if (attempts >= maxAttempts()) {
+        data = { ...attemptFields, status: DELIVERY_STATUSES.DEAD, lastError: outcome.error, nextAttemptAt: null }
+    } else {
+        data = { ...attemptFields, lastError: outcome.error, nextAttemptAt: new Date(now.getTime() + retryDelayMs(attempts)) }
+    }
+
+    const updated = await prisma.webhookDelivery.update({
+        where: { id: delivery.id },
+        data,
+        include: { event: true }
+    })
+
+    const fields = {
+        deliveryId: delivery.id,
+        subscriptionId: delivery.subscriptionId,
+        eventId: delivery.eventId,
+        eventType: delivery.event.type,
+        attempts,
+        statusCode: outcome.statusCode,
+        error: outcome.error
+    }
+    if (updated.status === DELIVERY_STATUSES.DELIVERED) {
+        logger.info('Webhook delivered', fields)
+    } else if (updated.status === DELIVERY_STATUSES.DEAD) {
+        logger.error('Webhook delivery dead-lettered', fields)
+    } else {
+        logger.warn('Webhook delivery failed, will retry', { ...fields, nextAttemptAt: updated.nextAttemptAt })
+    }
+
+    return updated
+}
+
+// Turn undispatched outbox events into one PENDING delivery per matching active
+// subscription. Each event is claimed inside its own transaction, so two
+// dispatchers never fan the same event out twice.
+async function dispatchEvents(now = new Date()) {
+
+    const events = await prisma.outboxEvent.findMany({
+        where: { dispatchedAt: null },
+        orderBy: { id: 'asc' },
+        take: EVENT_BATCH_SIZE
+    })
+    if (events.length === 0) { return 0 }
+
+    const subscriptions = await prisma.webhookSubscription.findMany({ where: { isActive: true } })
+
+    for (const event of events) {
+        const matching = subscriptions.filter(subscription => subscription.events.split(',').includes(event.type))
+
+        await prisma.$transaction(async (tx) => {
+            const claimed = await tx.outboxEvent.updateMany({
+                where: { id: event.id, dispatchedAt: null },
+                data: { dispatchedAt: now }
+            })
+            if (claimed.count === 0 || matching.length === 0) { return }
+
+            await tx.webhookDelivery.createMany({
+                data: matching.map(subscription => ({
+                    eventId: event.id,
+                    subscriptionId: subscription.id,
+                    nextAttemptAt: now
+                }))
+            })
+        })
+    }
+
+    return events.length
+}
+
+// Take a due delivery for this dispatcher. The update only matches while the delivery
+// still has the nextAttemptAt we read, so when two dispatchers pick the same delivery
+// only one of them sends it. The lease starts now, when the send is about to begin.
+async function claimDelivery(delivery) {
+
+    const { count } = await prisma.webhookDelivery.updateMany({
+        where: { id: delivery.id, status: DELIVERY_STATUSES.PENDING, nextAttemptAt: delivery.nextAttemptAt },
+        data: { nextAttemptAt: new Date(Date.now() + claimLeaseMs()) }
+    })
+    return count === 1
+}
+
+// Attempt every PENDING delivery that is due at `now` and that no other dispatcher
+// has claimed
+async function deliverDue(now = new Date()) {
+
+    const due = await prisma.webhookDelivery.findMany({
+        where: {
+            status: DELIVERY_STATUSES.PENDING,
+            nextAttemptAt: { lte: now },
+            subscription: { isActive: true }
+        },
+        orderBy: [{ nextAttemptAt: 'asc' }, { id: 'asc' }],
+        take: DELIVERY_BATCH_SIZE,
+        include: { event: true, subscription: true }
+    })
+
+    const results = []
+    for (const delivery of due) {
+        if (await claimDelivery(delivery)) {
+            results.push(await attemptDelivery(delivery))
+        }
+    }
+    return results
+}
+
+// One dispatcher pass. Called by src/jobs/webhookDispatcher.js and by tests with a fixed `now`,
+// which decides what is due; each attempt is timed with the real clock.
+async function processOutbox(now = new Date()) {
+    const events = await dispatchEvents(now)
+    const deliveries = await deliverDue(now)
+    return { events, deliveries }
+}
+
+module.exports = {
+    DELIVERY_STATUSES,
+    SIGNATURE_HEADER,
+    TIMESTAMP_HEADER,
+    signPayload,
+    createSubscription,
+    listSubscriptions,
+    getSubscription,
+    disableSubscription,
+    listDeliveries,
+    redeliver,
+    processOutbox
+}
\ No newline at end of file
@@ -0,0 +1,25 @@
+/**
+ * CSV Helpers
+ * RFC 4180 quoting, plus a guard against spreadsheet formula injection in text cells.
+ */
+
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = String(value);
+  // Spreadsheets run cells starting with these as formulas; numbers like -5 are left alone
+  if (/^[=+\-@\t\r]/.test(text) && isNaN(Number(text))) {
+    text = `'${text}`;
+  }
+  if (/[",\r\n]/.test(text)) {
+    text = `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+function toCsv(rows) {
+  return rows.map((row) => row.map(escapeCsvValue).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = { escapeCsvValue, toCsv };
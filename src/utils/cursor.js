@@ -0,0 +1,36 @@
+/**
+ * Pagination Cursors
+ * Opaque keyset cursors for lists ordered by (timestamp, id). A cursor names the row a
+ * page starts after and which way to read, so inserts between requests do not shift pages.
+ * Feeds that merge several tables also record which table the row came from (`source`).
+ */
+
+const { ValidationError } = require('./errors');
+
+const CURSOR_DIRECTIONS = ['next', 'prev'];
+
+function encodeCursor(row, direction) {
+  const payload = { t: row.timestamp.toISOString(), id: row.id, d: direction };
+  if (row.source) {
+    payload.s = row.source;
+  }
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    throw new ValidationError('Invalid cursor', 'INVALID_CURSOR');
+  }
+
+  const timestamp = new Date(payload?.t);
+  if (!Number.isInteger(payload?.id) || isNaN(timestamp.getTime()) || !CURSOR_DIRECTIONS.includes(payload.d) ||
+    (payload.s !== undefined && typeof payload.s !== 'string')) {
+    throw new ValidationError('Invalid cursor', 'INVALID_CURSOR');
+  }
+  return { timestamp, id: payload.id, direction: payload.d, source: payload.s };
+}
+
+module.exports = { encodeCursor, decodeCursor };
@@ -0,0 +1,93 @@
+/**
+ * Domain Errors
+ * Services throw these instead of plain Errors. Each class carries the HTTP status it
+ * maps to and every instance a machine-readable `code`, so the central error handler
+ * (src/middleware/errorHandler.js) can answer without comparing message text.
+ * Anything else that reaches the handler is treated as a bug and answered with a 500.
+ */
+
+class AppError extends Error {
+  static status = 500;
+  static defaultCode = 'INTERNAL_ERROR';
+
+  // `details` are extra response fields, e.g. { retryAfterSeconds } or { errors }
+  constructor(message, code, details) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code || this.constructor.defaultCode;
+    this.status = this.constructor.status;
+    this.details = details;
+  }
+
+  toJSON() {
+    return { errorMessage: this.message, code: this.code, ...this.details };
+  }
+}
+
+// Input that is malformed or out of range, whatever the state of the data
+class ValidationError extends AppError {
+  static status = 400;
+  static defaultCode = 'VALIDATION_ERROR';
+}
+
+// Well-formed request that the banking rules do not allow, e.g. moving money out of a frozen account
+class BusinessRuleError extends AppError {
+  static status = 400;
+  static defaultCode = 'BUSINESS_RULE_VIOLATION';
+}
+
+class InsufficientFundsError extends BusinessRuleError {
+  static defaultCode = 'INSUFFICIENT_FUNDS';
+}
+
+// `details` name the limit that was hit and what it still allows:
+// { limit, limitAmount, remaining }
+class TransferLimitExceededError extends BusinessRuleError {
+  static defaultCode = 'TRANSFER_LIMIT_EXCEEDED';
+}
+
+// A transfer screening rule set to BLOCK fired; `details` name it: { rule }
+class TransferBlockedError extends BusinessRuleError {
+  static defaultCode = 'TRANSFER_BLOCKED';
+}
+
+class AuthenticationError extends AppError {
+  static status = 401;
+  static defaultCode = 'UNAUTHENTICATED';
+}
+
+class PermissionDeniedError extends AppError {
+  static status = 403;
+  static defaultCode = 'PERMISSION_DENIED';
+}
+
+class NotFoundError extends AppError {
+  static status = 404;
+  static defaultCode = 'NOT_FOUND';
+}
+
+// The request clashes with the current state of the resource (duplicates, invalid status changes)
+class ConflictError extends AppError {
+  static status = 409;
+  static defaultCode = 'CONFLICT';
+}
+
+// Callers should wait `details.retryAfterSeconds` before trying again
+class RateLimitError extends AppError {
+  static status = 429;
+  static defaultCode = 'RATE_LIMITED';
+}
+
+module.exports = {
+  AppError,
+  ValidationError,
+  BusinessRuleError,
+  InsufficientFundsError,
+  TransferLimitExceededError,
+  TransferBlockedError,
+  AuthenticationError,
+  PermissionDeniedError,
+  NotFoundError,
+  ConflictError,
+  RateLimitError,
+};
@@ -0,0 +1,75 @@
+/**
+ * Structured Logger
+ * Writes one JSON object per line to stdout. Lines logged while a request is being
+ * handled carry its request ID automatically: the request logger middleware stores it
+ * in an AsyncLocalStorage context that follows the request through every await.
+ * LOG_LEVEL picks the lowest level written (debug, info, warn, error or silent).
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const { AppError } = require('./errors');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+const DEFAULT_LEVEL = 'info';
+
+const context = new AsyncLocalStorage();
+
+function currentLevel() {
+  const level = String(process.env.LOG_LEVEL || DEFAULT_LEVEL).toLowerCase();
+  return LEVELS[level] !== undefined ? LEVELS[level] : LEVELS[DEFAULT_LEVEL];
+}
+
+// Errors do not survive JSON.stringify, so keep the useful parts
+function serialize(value) {
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, code: value.code, stack: value.stack };
+  }
+  if (typeof value === 'bigint') {
+    return value.toString();
+  }
+  return value;
+}
+
+function write(level, message, fields = {}) {
+  if (LEVELS[level] < currentLevel()) {
+    return;
+  }
+
+  const entry = { time: new Date().toISOString(), level, message, ...context.getStore() };
+  for (const [key, value] of Object.entries(fields)) {
+    if (value !== undefined) {
+      entry[key] = serialize(value);
+    }
+  }
+  process.stdout.write(`${JSON.stringify(entry)}\n`);
+}
+
+// A failed operation: expected domain errors (bad input, business rules) are logged
+// at warn with their code, anything else at error with the stack
+function failure(message, error, fields = {}) {
+  if (error instanceof AppError) {
+    write('warn', message, { ...fields, code: error.code, reason: error.message });
+  } else {
+    write('error', message, { ...fields, error });
+  }
+}
+
+// Run `fn` with fields (e.g. { requestId }) added to every line it logs
+function runWithContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+function getContext() {
+  return context.getStore() || {};
+}
+
+module.exports = {
+  LEVELS,
+  debug: (message, fields) => write('debug', message, fields),
+  info: (message, fields) => write('info', message, fields),
+  warn: (message, fields) => write('warn', message, fields),
+  error: (message, fields) => write('error', message, fields),
+  failure,
+  runWithContext,
+  getContext,
+};
@@ -0,0 +1,227 @@
+/**
+ * Prometheus Metrics
+ * A small in-process registry of counters and histograms, rendered in the Prometheus
+ * text exposition format (version 0.0.4) by GET /metrics. Label values come from
+ * fixed sets (route patterns, outcomes, operations) so the number of series stays bounded.
+ */
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Seconds; covers a fast read through to a slow batch or export
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const registry = new Map();
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function escapeHelp(text) {
+  return text.replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value) {
+  if (value === Infinity) {
+    return '+Inf';
+  }
+  return String(value);
+}
+
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    if (registry.has(name)) {
+      throw new Error(`Metric ${name} is already registered`);
+    }
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+    registry.set(name, this);
+  }
+
+  // Every series carries the declared labels in declaration order; unknown ones are dropped
+  labelsFor(labels) {
+    const picked = {};
+    for (const labelName of this.labelNames) {
+      picked[labelName] = labels[labelName] === undefined ? '' : String(labels[labelName]);
+    }
+    return { key: JSON.stringify(Object.values(picked)), picked };
+  }
+
+  seriesFor(labels) {
+    const { key, picked } = this.labelsFor(labels);
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels: picked, ...this.emptySeries() });
+    }
+    return this.series.get(key);
+  }
+
+  // Current state of one series without creating it; used by tests
+  get(labels = {}) {
+    const series = this.series.get(this.labelsFor(labels).key) || this.emptySeries();
+    const { labels: _labels, ...values } = series;
+    return values;
+  }
+
+  render() {
+    return [`# HELP ${this.name} ${escapeHelp(this.help)}`, `# TYPE ${this.name} ${this.type}`, ...this.renderSeries()];
+  }
+
+  reset() {
+    this.series.clear();
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  inc(labels = {}, value = 1) {
+    if (!(value >= 0)) {
+      throw new Error(`Counter ${this.name} can only be increased`);
+    }
+    this.seriesFor(labels).value += value;
+  }
+
+  emptySeries() {
+    return { value: 0 };
+  }
+
+  renderSeries() {
+    return [...this.series.values()].map(series => `${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`);
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+    super('histogram', name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels = {}, value) {
+    const series = this.seriesFor(labels);
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.bucketCounts[index] += 1;
+      }
+    });
+    series.sum += value;
+    series.count += 1;
+  }
+
+  // Returns a function that records the seconds elapsed since the call; labels only
+  // known at the end (such as the outcome) can be passed to it
+  startTimer(labels = {}) {
+    const startedAt = process.hrtime.bigint();
+    return (endLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+      this.observe({ ...labels, ...endLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  emptySeries() {
+    return { bucketCounts: this.buckets.map(() => 0), sum: 0, count: 0 };
+  }
+
+  renderSeries() {
+    return [...this.series.values()].flatMap(series => [
+      ...this.buckets.map((bound, index) =>
+        `${this.name}_bucket${formatLabels({ ...series.labels, le: formatValue(bound) })} ${series.bucketCounts[index]}`),
+      `${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`,
+      `${this.name}_sum${formatLabels(series.labels)} ${formatValue(series.sum)}`,
+      `${this.name}_count${formatLabels(series.labels)} ${series.count}`
+    ]);
+  }
+}
+
+function renderMetrics() {
+  return [...registry.values()].flatMap(metric => metric.render()).join('\n') + '\n';
+}
+
+// Clears every recorded value; tests call it so counts start from zero
+function resetMetrics() {
+  for (const metric of registry.values()) {
+    metric.reset();
+  }
+}
+
+// ---- Application metrics ----
+
+const httpRequestsTotal = new Counter(
+  'http_requests_total',
+  'HTTP requests answered, by method, route pattern and status',
+  ['method', 'route', 'status']
+);
+
+const httpRequestDurationSeconds = new Histogram(
+  'http_request_duration_seconds',
+  'Time from receiving an HTTP request to finishing the response',
+  ['method', 'route', 'status']
+);
+
+const transfersTotal = new Counter(
+  'banking_transfers_total',
+  'Transfers executed (type is transfer or reversal)',
+  ['type']
+);
+
+const transferVolumeCentsTotal = new Counter(
+  'banking_transfer_volume_cents_total',
+  'Amount moved by executed transfers, in cents',
+  ['type']
+);
+
+const insufficientFundsTotal = new Counter(
+  'banking_insufficient_funds_rejections_total',
+  'Operations rejected because the paying account lacked the funds',
+  ['operation']
+);
+
+const transferLimitRejectionsTotal = new Counter(
+  'banking_transfer_limit_rejections_total',
+  'Transfers and cash withdrawals rejected by an account or role limit, by the limit that was hit',
+  ['limit']
+);
+
+const fraudRuleHitsTotal = new Counter(
+  'banking_fraud_rule_hits_total',
+  'Transfer screening rules that fired, by rule and the action taken (flag or block)',
+  ['rule', 'action']
+);
+
+const loginsTotal = new Counter(
+  'banking_logins_total',
+  'Login attempts by outcome (success, failure, or locked when throttled before the password check)',
+  ['outcome']
+);
+
+const transferTransactionDurationSeconds = new Histogram(
+  'banking_transfer_transaction_duration_seconds',
+  'Duration of the database transactions behind transfers, batch transfers and reversals',
+  ['operation', 'outcome']
+);
+
+module.exports = {
+  CONTENT_TYPE,
+  Counter,
+  Histogram,
+  renderMetrics,
+  resetMetrics,
+  httpRequestsTotal,
+  httpRequestDurationSeconds,
+  transfersTotal,
+  transferVolumeCentsTotal,
+  insufficientFundsTotal,
+  transferLimitRejectionsTotal,
+  fraudRuleHitsTotal,
+  loginsTotal,
+  transferTransactionDurationSeconds
+};
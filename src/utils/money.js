@@ -0,0 +1,50 @@
+/**
+ * Money Helpers
+ * Amounts are stored as integer cents (BigInt columns) and exchanged with clients as
+ * decimal strings such as "1250.50". Parsing goes through the decimal text rather than
+ * floating point arithmetic, so 0.1 + 0.2 style drift can never reach the database.
+ */
+
+const { ValidationError } = require('./errors');
+
+const DECIMAL_PATTERN = /^\d+(\.\d+)?$/;
+
+// Convert a client amount (number or numeric string) to integer cents.
+// Negative values are returned as negative cents so callers can apply their own
+// "must be positive" rules and messages.
+function toCents(value) {
+  if (typeof value !== 'number' && typeof value !== 'string') {
+    throw new ValidationError('Amount must be a valid number', 'INVALID_AMOUNT');
+  }
+
+  const text = String(value).trim();
+  const negative = text.startsWith('-');
+  const digits = negative ? text.slice(1) : text;
+
+  if (!DECIMAL_PATTERN.test(digits)) {
+    throw new ValidationError('Amount must be a valid number', 'INVALID_AMOUNT');
+  }
+
+  const [whole, fraction = ''] = digits.split('.');
+  if (fraction.length > 2) {
+    throw new ValidationError('Amount cannot have more than two decimal places', 'INVALID_AMOUNT');
+  }
+
+  const cents = Number(whole) * 100 + Number(fraction.padEnd(2, '0'));
+  if (!Number.isSafeInteger(cents)) {
+    throw new ValidationError('Amount is too large', 'INVALID_AMOUNT');
+  }
+
+  return negative ? -cents : cents;
+}
+
+// Format integer cents (number or BigInt) as an exact decimal string
+function formatCents(cents) {
+  const value = BigInt(cents);
+  const sign = value < 0n ? '-' : '';
+  const abs = value < 0n ? -value : value;
+
+  return `${sign}${abs / 100n}.${String(abs % 100n).padStart(2, '0')}`;
+}
+
+module.exports = { toCents, formatCents };
@@ -0,0 +1,92 @@
+/**
+ * Minimal PDF Writer
+ * Lays out lines of monospaced text on US Letter pages using the built-in Courier font.
+ * Statements are plain columns of text, so this is all the rendering they need.
+ */
+
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+const MARGIN = 40;
+const FONT_SIZE = 9;
+const LINE_HEIGHT = 12;
+const LINES_PER_PAGE = Math.floor((PAGE_HEIGHT - 2 * MARGIN) / LINE_HEIGHT);
+
+// WinAnsiEncoding matches Latin-1 except for 0x80-0x9F, where it has these characters
+const WIN_ANSI_EXTRAS = {
+  '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85, '†': 0x86, '‡': 0x87, 'ˆ': 0x88,
+  '‰': 0x89, 'Š': 0x8a, '‹': 0x8b, 'Œ': 0x8c, 'Ž': 0x8e, '‘': 0x91, '’': 0x92, '“': 0x93,
+  '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '˜': 0x98, '™': 0x99, 'š': 0x9a, '›': 0x9b,
+  'œ': 0x9c, 'ž': 0x9e, 'Ÿ': 0x9f,
+};
+
+function winAnsiCode(char) {
+  const codePoint = char.codePointAt(0);
+  if ((codePoint >= 0x20 && codePoint <= 0x7e) || (codePoint >= 0xa0 && codePoint <= 0xff)) {
+    return codePoint;
+  }
+  return WIN_ANSI_EXTRAS[char] ?? null;
+}
+
+// Non-ASCII characters are written as octal escapes of their WinAnsiEncoding code, so
+// names like "José" print correctly; characters the font cannot show become '?'
+function escapeText(text) {
+  return Array.from(String(text).normalize('NFC'), (char) => {
+    if (char === '\\' || char === '(' || char === ')') {
+      return `\\${char}`;
+    }
+    const code = winAnsiCode(char);
+    if (code === null) {
+      return '?';
+    }
+    return code < 0x80 ? char : `\\${code.toString(8)}`;
+  }).join('');
+}
+
+function renderTextPdf(lines) {
+  const pages = [];
+  for (let i = 0; i < lines.length; i += LINES_PER_PAGE) {
+    pages.push(lines.slice(i, i + LINES_PER_PAGE));
+  }
+  if (pages.length === 0) {
+    pages.push([]);
+  }
+
+  // Objects 1-3 are the catalog, page tree and font; each page then adds a page and a content stream
+  const pageIds = pages.map((_, i) => 4 + i * 2);
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>',
+  ];
+  pages.forEach((pageLines, i) => {
+    const content = [
+      'BT',
+      `/F1 ${FONT_SIZE} Tf`,
+      `${LINE_HEIGHT} TL`,
+      `${MARGIN} ${PAGE_HEIGHT - MARGIN} Td`,
+      ...pageLines.map((line) => `(${escapeText(line)}) '`),
+      'ET',
+    ].join('\n');
+    objects.push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+        `/Resources << /Font << /F1 3 0 R >> >> /Contents ${pageIds[i] + 1} 0 R >>`,
+      `<< /Length ${Buffer.byteLength(content)} >>\nstream\n${content}\nendstream`
+    );
+  });
+
+  let body = '%PDF-1.4\n';
+  const offsets = objects.map((object, i) => {
+    const offset = Buffer.byteLength(body);
+    body += `${i + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+
+  const xrefOffset = Buffer.byteLength(body);
+  body += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  body += offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  body += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(body, 'latin1');
+}
+
+module.exports = { renderTextPdf, escapeText, LINES_PER_PAGE };
@@ -0,0 +1,185 @@
+/**
+ * Schema Validator
+ * Checks values against the subset of OpenAPI 3.0 schema keywords used in config/swagger.js:
+ * type, nullable, enum, required, properties, items, $ref, oneOf, pattern, format,
+ * multipleOf, minimum/maximum and minLength/maxLength. Returns a list of field errors
+ * instead of throwing, so callers can report every problem at once.
+ */
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const TYPE_NAMES = {
+  integer: 'an integer',
+  number: 'a number',
+  string: 'a string',
+  boolean: 'a boolean',
+  object: 'an object',
+  array: 'an array',
+};
+
+// Resolve a local reference such as '#/components/schemas/Account'
+function resolveRef(spec, ref) {
+  const target = ref.replace(/^#\//, '').split('/').reduce((node, part) => node && node[part], spec);
+  if (!target) {
+    throw new Error(`Unresolvable $ref: ${ref}`);
+  }
+  return target;
+}
+
+function deref(spec, schema) {
+  let resolved = schema;
+  while (resolved && resolved.$ref) {
+    resolved = resolveRef(spec, resolved.$ref);
+  }
+  return resolved;
+}
+
+function matchesType(type, value) {
+  switch (type) {
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'string': return typeof value === 'string';
+    case 'boolean': return typeof value === 'boolean';
+    case 'array': return Array.isArray(value);
+    case 'object': return typeof value === 'object' && value !== null && !Array.isArray(value);
+    default: return true;
+  }
+}
+
+function matchesFormat(format, value) {
+  switch (format) {
+    case 'date-time': return !isNaN(new Date(value).getTime());
+    case 'date': return DATE_ONLY.test(value) && !isNaN(new Date(value).getTime());
+    case 'email': return EMAIL.test(value);
+    default: return true;
+  }
+}
+
+// Floating point safe: 10.1 is a multiple of 0.01 even though 10.1 % 0.01 is not 0
+function isMultipleOf(value, step) {
+  const quotient = value / step;
+  return Math.abs(quotient - Math.round(quotient)) < 1e-9;
+}
+
+function validateValue(spec, schema, value, field, errors) {
+  const resolved = deref(spec, schema);
+  if (!resolved) {
+    return;
+  }
+
+  if (value === null) {
+    if (!resolved.nullable) {
+      errors.push({ field, message: `${field} must not be null` });
+    }
+    return;
+  }
+
+  if (resolved.oneOf) {
+    const matches = resolved.oneOf.filter(option => validateSchema(spec, option, value, field).length === 0);
+    if (matches.length !== 1) {
+      errors.push({ field, message: `${field} ${resolved['x-invalid-message'] || 'does not match any allowed format'}` });
+    }
+    return;
+  }
+
+  if (resolved.type && !matchesType(resolved.type, value)) {
+    errors.push({ field, message: `${field} must be ${TYPE_NAMES[resolved.type] || resolved.type}` });
+    return;
+  }
+
+  if (resolved.enum && !resolved.enum.includes(value)) {
+    errors.push({ field, message: `${field} must be one of: ${resolved.enum.join(', ')}` });
+    return;
+  }
+
+  if (typeof value === 'string') {
+    if (resolved.format && !matchesFormat(resolved.format, value)) {
+      errors.push({ field, message: `${field} must be a valid ${resolved.format === 'email' ? 'email address' : 'date'}` });
+    }
+    if (resolved.pattern && !new RegExp(resolved.pattern).test(value)) {
+      errors.push({ field, message: `${field} ${resolved['x-invalid-message'] || `must match ${resolved.pattern}`}` });
+    }
+    if (resolved.minLength !== undefined && value.length < resolved.minLength) {
+      errors.push({ field, message: `${field} must be at least ${resolved.minLength} characters` });
+    }
+    if (resolved.maxLength !== undefined && value.length > resolved.maxLength) {
+      errors.push({ field, message: `${field} must be at most ${resolved.maxLength} characters` });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (resolved.minimum !== undefined && value < resolved.minimum) {
+      errors.push({ field, message: `${field} must be at least ${resolved.minimum}` });
+    }
+    if (resolved.maximum !== undefined && value > resolved.maximum) {
+      errors.push({ field, message: `${field} must be at most ${resolved.maximum}` });
+    }
+    if (resolved.multipleOf !== undefined && !isMultipleOf(value, resolved.multipleOf)) {
+      errors.push({ field, message: `${field} must be a multiple of ${resolved.multipleOf}` });
+    }
+  }
+
+  if (Array.isArray(value) && resolved.items) {
+    value.forEach((item, index) => validateValue(spec, resolved.items, item, `${field}[${index}]`, errors));
+  }
+
+  if (matchesType('object', value)) {
+    validateObject(spec, resolved, value, field, errors);
+  }
+}
+
+function validateObject(spec, schema, value, prefix, errors) {
+  const name = (property) => (prefix ? `${prefix}.${property}` : property);
+
+  for (const property of schema.required || []) {
+    if (value[property] === undefined) {
+      errors.push({ field: name(property), message: `${name(property)} is required` });
+    }
+  }
+
+  for (const [property, propertySchema] of Object.entries(schema.properties || {})) {
+    if (value[property] !== undefined) {
+      validateValue(spec, propertySchema, value[property], name(property), errors);
+    }
+  }
+}
+
+// Validate `value` against `schema`; `field` names the value in messages.
+// Leave it empty for a request body so its properties are reported by plain name.
+function validateSchema(spec, schema, value, field = '') {
+  const errors = [];
+  const resolved = deref(spec, schema);
+
+  if (field === '' && resolved && resolved.properties && matchesType('object', value)) {
+    validateObject(spec, resolved, value, '', errors);
+  } else {
+    validateValue(spec, schema, value, field || 'Request body', errors);
+  }
+
+  return errors;
+}
+
+// Query strings, path segments and headers arrive as strings; convert them to the
+// schema's type first. Values that cannot be converted are returned unchanged so
+// validation reports them.
+function coerceParameter(spec, schema, value) {
+  const resolved = deref(spec, schema) || {};
+
+  switch (resolved.type) {
+    case 'integer':
+    case 'number': {
+      if (typeof value !== 'string' || value.trim() === '') { return value; }
+      const parsed = Number(value);
+      return Number.isNaN(parsed) ? value : parsed;
+    }
+    case 'boolean':
+      if (value === 'true') { return true; }
+      if (value === 'false') { return false; }
+      return value;
+    default:
+      return value;
+  }
+}
+
+module.exports = { resolveRef, deref, validateSchema, coerceParameter };
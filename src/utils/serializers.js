@@ -0,0 +1,51 @@
+/**
+ * Response Serializers
+ * Convert database rows into API shapes: integer cent columns become decimal strings.
+ */
+
+const { formatCents } = require('./money');
+
+function formatAccount(account) {
+  const { balanceCents, ...rest } = account;
+  return { ...rest, balance: formatCents(balanceCents) };
+}
+
+function formatTransfer(transfer) {
+  const { amountCents, ...rest } = transfer;
+  return { ...rest, amount: formatCents(amountCents) };
+}
+
+function formatCashTransaction(cashTransaction) {
+  const { amountCents, ...rest } = cashTransaction;
+  return { ...rest, amount: formatCents(amountCents) };
+}
+
+function formatScheduledTransfer(scheduledTransfer) {
+  const { amountCents, ...rest } = scheduledTransfer;
+  return { ...rest, amount: formatCents(amountCents) };
+}
+
+function formatTransferApproval(approval) {
+  const { amountCents, ...rest } = approval;
+  return { ...rest, amount: formatCents(amountCents) };
+}
+
+// details is stored as JSON text
+function formatFraudFlag(flag) {
+  const { details, transfer, amountCents, ...rest } = flag;
+  return {
+    ...rest,
+    amount: amountCents !== null && amountCents !== undefined ? formatCents(amountCents) : null,
+    details: details ? JSON.parse(details) : null,
+    ...(transfer && { transfer: formatTransfer(transfer) })
+  };
+}
+
+module.exports = {
+  formatAccount,
+  formatTransfer,
+  formatCashTransaction,
+  formatScheduledTransfer,
+  formatTransferApproval,
+  formatFraudFlag
+};
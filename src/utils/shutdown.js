@@ -0,0 +1,48 @@
+/**
+ * Graceful Shutdown
+ * Stops the HTTP server from accepting connections, lets in-flight requests (and the
+ * database transactions inside them) finish, then runs the cleanup steps. If draining
+ * takes longer than the timeout, remaining connections are cut so the process can exit
+ * before the orchestrator kills it.
+ */
+
+const DEFAULT_TIMEOUT_SECONDS = 15;
+
+function shutdownTimeoutMs() {
+  const seconds = Number(process.env.SHUTDOWN_TIMEOUT_SECONDS);
+  return (Number.isFinite(seconds) && seconds > 0 ? seconds : DEFAULT_TIMEOUT_SECONDS) * 1000;
+}
+
+// Resolves once every open request has been answered and the listener is closed
+function closeServer(server) {
+  return new Promise((resolve, reject) => {
+    server.close(error => (error && error.code !== 'ERR_SERVER_NOT_RUNNING' ? reject(error) : resolve()));
+    // Keep-alive connections with no request in progress would otherwise hold close() open
+    server.closeIdleConnections();
+  });
+}
+
+// `drain` steps run alongside closing the listener (e.g. stop background jobs) and
+// `cleanup` steps once both are done (e.g. prisma.$disconnect()); cleanup runs on timeout too.
+// Resolves { timedOut } so the caller can pick the exit code.
+async function gracefulShutdown(server, { timeoutMs = shutdownTimeoutMs(), drain = [], cleanup = [] } = {}) {
+  let timer;
+  const deadline = new Promise(resolve => {
+    timer = setTimeout(() => resolve('timeout'), timeoutMs);
+  });
+  const drained = Promise.all([...drain.map(step => step()), closeServer(server)]).then(() => 'drained');
+
+  const outcome = await Promise.race([drained, deadline]);
+  clearTimeout(timer);
+
+  if (outcome === 'timeout') {
+    server.closeAllConnections();
+  }
+  for (const step of cleanup) {
+    await step();
+  }
+
+  return { timedOut: outcome === 'timeout' };
+}
+
+module.exports = { gracefulShutdown, shutdownTimeoutMs };
@@ -5,11 +5,13 @@ const transferRoutes = require('../../src/routes/transfer');
 const prisma = require('../../src/db/client');
 const accountService = require('../../src/services/accountService');
 const authService = require('../../src/services/authService');
+const { errorHandler } = require('../../src/middleware/errorHandler');
 
 const app = express();
 app.use(express.json());
 app.use('/api/accounts', accountRoutes);
 app.use('/api/transfers', transferRoutes);
+app.use(errorHandler);
 
 describe('Account Routes', () => {
   let customerId;
@@ -42,7 +44,7 @@ describe('Account Routes', () => {
         });
 
       expect(response.status).toBe(401);
-      expect(response.body.error).toBeDefined();
+      expect(response.body.code).toBe('TOKEN_MISSING');
     });
 
     test('should create account with valid data', async () => {
@@ -57,7 +59,8 @@ describe('Account Routes', () => {
       expect(response.status).toBe(201);
       expect(response.body.id).toBeDefined();
       expect(response.body.customerId).toBe(customerId);
-      expect(response.body.balance).toBe(1000);
+      expect(response.body.balance).toBe('1000.00');
+      expect(response.body.createdByEmployeeId).toBeDefined();
     });
 
     test('should return 400 when customerId is missing', async () => {
@@ -123,7 +126,7 @@ describe('Account Routes', () => {
 
       expect(response.status).toBe(200);
       expect(response.body.accountId).toBe(accountId);
-      expect(response.body.balance).toBe(500);
+      expect(response.body.balance).toBe('500.00');
     });
 
     test('should return 400 when accountId is invalid', async () => {
@@ -132,7 +135,7 @@ describe('Account Routes', () => {
         .set('Authorization', `Bearer ${authToken}`)
 
       expect(response.status).toBe(400);
-      expect(response.body.errorMessage).toContain('valid number');
+      expect(response.body.errorMessage).toBe('id must be an integer');
     });
 
     test('should return 404 when account does not exist', async () => {
@@ -168,7 +171,8 @@ describe('Account Routes', () => {
 
       expect(response.status).toBe(201);
       expect(response.body.transfer).toBeDefined();
-      expect(response.body.transfer.amount).toBe(250);
+      expect(response.body.transfer.amount).toBe('250.00');
+      expect(response.body.transfer.executedByEmployeeId).toBeDefined();
     });
 
     test('should return 400 when required fields are missing', async () => {
@@ -197,6 +201,24 @@ describe('Account Routes', () => {
       expect(response.status).toBe(404);
     });
 
+    test('should return 400 when amount has more than two decimal places', async () => {
+      const response = await request(app)
+        .post('/api/transfers')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          fromAccountId,
+          toAccountId,
+          amount: 10.123
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors).toEqual([{
+        location: 'body',
+        field: 'amount',
+        message: 'amount must be a number or decimal string with at most two decimal places'
+      }]);
+    });
+
     test('should return 400 when insufficient funds', async () => {
       const response = await request(app)
         .post('/api/transfers')
@@ -212,6 +234,110 @@ describe('Account Routes', () => {
     });
   });
 
+  describe('POST /api/transfers/batch', () => {
+    let fromAccountId;
+    let toAccountId;
+
+    beforeEach(async () => {
+      const account1 = await accountService.createAccount(customerId, 1000);
+      const account2 = await accountService.createAccount(customerId, 500);
+      fromAccountId = account1.id;
+      toAccountId = account2.id;
+    });
+
+    test('should execute an all-or-nothing batch', async () => {
+      const response = await request(app)
+        .post('/api/transfers/batch')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          mode: 'ALL_OR_NOTHING',
+          transfers: [
+            { fromAccountId, toAccountId, amount: 300 },
+            { fromAccountId, toAccountId, amount: 200 }
+          ]
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.status).toBe('COMPLETED');
+      expect(response.body.results[1].transfer.executedByEmployeeId).toBeDefined();
+      expect((await accountService.getBalance(fromAccountId)).balance).toBe('500.00');
+    });
+
+    test('should return 400 BATCH_ROLLED_BACK with a result per transfer', async () => {
+      const response = await request(app)
+        .post('/api/transfers/batch')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          mode: 'ALL_OR_NOTHING',
+          transfers: [
+            { fromAccountId, toAccountId, amount: 800 },
+            { fromAccountId, toAccountId, amount: 800 }
+          ]
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.code).toBe('BATCH_ROLLED_BACK');
+      expect(response.body.failedIndex).toBe(1);
+      expect(response.body.results.map(r => r.status)).toEqual(['ROLLED_BACK', 'FAILED']);
+      expect((await accountService.getBalance(fromAccountId)).balance).toBe('1000.00');
+    });
+
+    test('should report each transfer in a best-effort batch', async () => {
+      const response = await request(app)
+        .post('/api/transfers/batch')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          mode: 'BEST_EFFORT',
+          transfers: [
+            { fromAccountId, toAccountId: 99999, amount: 10 },
+            { fromAccountId, toAccountId, amount: 10 }
+          ]
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ status: 'PARTIAL', succeeded: 1, failed: 1 });
+      expect(response.body.results[0]).toEqual({
+        index: 0,
+        status: 'FAILED',
+        code: 'ACCOUNT_NOT_FOUND',
+        errorMessage: 'Destination account does not exist'
+      });
+    });
+
+    test('should return 400 for an invalid item before running any transfer', async () => {
+      const response = await request(app)
+        .post('/api/transfers/batch')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          mode: 'BEST_EFFORT',
+          transfers: [
+            { fromAccountId, toAccountId, amount: 10 },
+            { fromAccountId, toAccountId }
+          ]
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.code).toBe('VALIDATION_ERROR');
+      expect((await accountService.getBalance(fromAccountId)).balance).toBe('1000.00');
+    });
+
+    test('should replay the response for a repeated Idempotency-Key', async () => {
+      const send = () => request(app)
+        .post('/api/transfers/batch')
+        .set('Authorization', `Bearer ${authToken}`)
+        .set('Idempotency-Key', 'batch-payroll-1')
+        .send({ mode: 'BEST_EFFORT', transfers: [{ fromAccountId, toAccountId, amount: 100 }] });
+
+      const first = await send();
+      const second = await send();
+
+      expect(second.status).toBe(200);
+      expect(second.headers['idempotent-replayed']).toBe('true');
+      expect(second.body.results[0].transfer.id).toBe(first.body.results[0].transfer.id);
+      expect((await accountService.getBalance(fromAccountId)).balance).toBe('900.00');
+    });
+  });
+
   describe('GET /api/accounts/:id/transfers', () => {
     let accountId;
 
@@ -231,8 +357,45 @@ describe('Account Routes', () => {
         .set('Authorization', `Bearer ${authToken}`);
 
       expect(response.status).toBe(200);
-      expect(Array.isArray(response.body)).toBe(true);
-      expect(response.body.length).toBeGreaterThan(0);
+      expect(Array.isArray(response.body.items)).toBe(true);
+      expect(response.body.items.length).toBeGreaterThan(0);
+      expect(response.body.total).toBe(1);
+    });
+
+    test('should apply query filters and return cursors', async () => {
+      const account2 = await accountService.createAccount(customerId, 500);
+      const transferService = require('../../src/services/transferService');
+      await transferService.accountTransfer(accountId, account2.id, 100);
+      await transferService.accountTransfer(accountId, account2.id, 200);
+      await transferService.accountTransfer(account2.id, accountId, 50);
+
+      const response = await request(app)
+        .get(`/api/accounts/${accountId}/transfers`)
+        .query({ direction: 'outgoing', counterpartyAccountId: account2.id, minAmount: '100.00', limit: 1 })
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.total).toBe(2);
+      expect(response.body.items.map(t => t.amount)).toEqual(['200.00']);
+      expect(response.body.nextCursor).toEqual(expect.any(String));
+
+      const next = await request(app)
+        .get(`/api/accounts/${accountId}/transfers`)
+        .query({ direction: 'outgoing', counterpartyAccountId: account2.id, minAmount: '100.00', limit: 1, cursor: response.body.nextCursor })
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(next.body.items.map(t => t.amount)).toEqual(['100.00']);
+      expect(next.body.nextCursor).toBeNull();
+    });
+
+    test('should return 400 for invalid query parameters', async () => {
+      const response = await request(app)
+        .get(`/api/accounts/${accountId}/transfers`)
+        .query({ from: 'yesterday' })
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(400);
+      expect(response.body.errorMessage).toBe('from must be a valid date');
     });
 
     test('should return 400 when accountId is not a number', async () => {
@@ -241,7 +404,7 @@ describe('Account Routes', () => {
         .set('Authorization', `Bearer ${authToken}`);
 
       expect(response.status).toBe(400);
-      expect(response.body.errorMessage).toContain('valid number');
+      expect(response.body.errorMessage).toBe('id must be an integer');
     });
 
     test('should return 404 when account does not exist', async () => {
@@ -253,5 +416,381 @@ describe('Account Routes', () => {
       expect(response.body.errorMessage).toBe('Account not found');
     });
   });
-});
 
+  describe('GET /api/accounts/:id/ledger', () => {
+    test('should return postings with running balance', async () => {
+      const account = await accountService.createAccount(customerId, 1000);
+
+      const response = await request(app)
+        .get(`/api/accounts/${account.id}/ledger`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.postings).toHaveLength(1);
+      expect(response.body.postings[0].type).toBe('OPENING_DEPOSIT');
+      expect(response.body.postings[0].balanceAfter).toBe('1000.00');
+      expect(response.body.inSync).toBe(true);
+    });
+
+    test('should return 404 when account does not exist', async () => {
+      const response = await request(app)
+        .get('/api/accounts/99999/ledger')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(404);
+      expect(response.body.errorMessage).toBe('Account not found');
+    });
+  });
+
+  describe('POST /api/accounts/:id/deposits and /withdrawals', () => {
+    let accountId;
+
+    beforeEach(async () => {
+      const account = await accountService.createAccount(customerId, 100);
+      accountId = account.id;
+    });
+
+    test('should record a cash deposit', async () => {
+      const response = await request(app)
+        .post(`/api/accounts/${accountId}/deposits`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ amount: '40.50' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.transaction.type).toBe('DEPOSIT');
+      expect(response.body.account.balance).toBe('140.50');
+    });
+
+    test('should record a cash withdrawal', async () => {
+      const response = await request(app)
+        .post(`/api/accounts/${accountId}/withdrawals`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ amount: 60 });
+
+      expect(response.status).toBe(201);
+      expect(response.body.account.balance).toBe('40.00');
+    });
+
+    test('should return 400 when insufficient funds', async () => {
+      const response = await request(app)
+        .post(`/api/accounts/${accountId}/withdrawals`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ amount: 1000 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.errorMessage).toBe('Insufficient funds');
+    });
+
+    test('should return 400 when amount is missing', async () => {
+      const response = await request(app)
+        .post(`/api/accounts/${accountId}/deposits`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({});
+
+      expect(response.status).toBe(400);
+      expect(response.body.errorMessage).toContain('required');
+    });
+
+    test('should return 404 when account does not exist', async () => {
+      const response = await request(app)
+        .post('/api/accounts/99999/deposits')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ amount: 10 });
+
+      expect(response.status).toBe(404);
+    });
+
+    test('should list cash transactions in the combined feed', async () => {
+      await request(app)
+        .post(`/api/accounts/${accountId}/deposits`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ amount: 5 });
+
+      const response = await request(app)
+        .get(`/api/accounts/${accountId}/transactions`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.items[0].type).toBe('DEPOSIT');
+      expect(response.body.items[0].amount).toBe('5.00');
+      expect(response.body.limit).toBe(20);
+    });
+  });
+
+  describe('POST /api/accounts/:id/freeze, /unfreeze and /close', () => {
+    let managerToken;
+    let accountId;
+
+    beforeEach(async () => {
+      const account = await accountService.createAccount(customerId, 100);
+      accountId = account.id;
+      const loginResult = await authService.login('manager1', 'password123');
+      managerToken = loginResult.token;
+    });
+
+    test('should return 403 for tellers', async () => {
+      const response = await request(app)
+        .post(`/api/accounts/${accountId}/freeze`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ reason: 'Suspicious activity' });
+
+      expect(response.status).toBe(403);
+      expect(response.body.requiredPermissions).toEqual(['accounts:freeze']);
+    });
+
+    test('should freeze and unfreeze as a manager', async () => {
+      const frozen = await request(app)
+        .post(`/api/accounts/${accountId}/freeze`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ reason: 'Suspicious activity' });
+
+      expect(frozen.status).toBe(200);
+      expect(frozen.body.status).toBe('FROZEN');
+
+      const transfer = await request(app)
+        .post('/api/transfers')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ fromAccountId: accountId, toAccountId: (await accountService.createAccount(customerId, 1)).id, amount: 5 });
+      expect(transfer.status).toBe(400);
+      expect(transfer.body.errorMessage).toBe('Source account is frozen');
+
+      const unfrozen = await request(app)
+        .post(`/api/accounts/${accountId}/unfreeze`)
+        .set('Authorization', `Bearer ${managerToken}`);
+
+      expect(unfrozen.status).toBe(200);
+      expect(unfrozen.body.status).toBe('ACTIVE');
+    });
+
+    test('should return 409 when closing an account with a balance', async () => {
+      const response = await request(app)
+        .post(`/api/accounts/${accountId}/close`)
+        .set('Authorization', `Bearer ${managerToken}`);
+
+      expect(response.status).toBe(409);
+      expect(response.body.errorMessage).toBe('Account balance must be zero before closing');
+    });
+
+    test('should return 404 when account does not exist', async () => {
+      const response = await request(app)
+        .post('/api/accounts/99999/freeze')
+        .set('Authorization', `Bearer ${managerToken}`);
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('GET and PUT /api/accounts/:id/limits', () => {
+    let fromAccountId;
+    let toAccountId;
+
+    beforeEach(async () => {
+      fromAccountId = (await accountService.createAccount(customerId, 1000)).id;
+      toAccountId = (await accountService.createAccount(customerId, 500)).id;
+    });
+
+    test('should show the limits in force to tellers', async () => {
+      const response = await request(app)
+        .get(`/api/accounts/${fromAccountId}/limits`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.daily).toEqual({ amount: '50000.00', source: 'DEFAULT', used: '0.00', remaining: '50000.00' });
+    });
+
+    test('should let only managers set overrides', async () => {
+      const denied = await request(app)
+        .put(`/api/accounts/${fromAccountId}/limits`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ daily: 100 });
+      expect(denied.status).toBe(403);
+      expect(denied.body.requiredPermissions).toEqual(['accounts:limits']);
+
+      const { token } = await authService.login('manager1', 'password123');
+      const response = await request(app)
+        .put(`/api/accounts/${fromAccountId}/limits`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ daily: '100.00', reason: 'Customer request' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.daily).toMatchObject({ amount: '100.00', source: 'OVERRIDE' });
+      expect(response.body.reason).toBe('Customer request');
+    });
+
+    test('should return 400 TRANSFER_LIMIT_EXCEEDED with the remaining headroom', async () => {
+      const { token } = await authService.login('manager1', 'password123');
+      await request(app)
+        .put(`/api/accounts/${fromAccountId}/limits`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ daily: 100 });
+
+      await request(app)
+        .post('/api/transfers')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ fromAccountId, toAccountId, amount: 60 });
+      const response = await request(app)
+        .post('/api/transfers')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ fromAccountId, toAccountId, amount: 60 });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({
+        errorMessage: "Transfer exceeds the account's daily outgoing limit of 100.00; 40.00 remaining",
+        code: 'TRANSFER_LIMIT_EXCEEDED',
+        limit: 'ACCOUNT_DAILY',
+        limitAmount: '100.00',
+        remaining: '40.00'
+      });
+    });
+
+    test('should return 400 for an invalid amount and 404 for an unknown account', async () => {
+      const { token } = await authService.login('manager1', 'password123');
+
+      const invalid = await request(app)
+        .put(`/api/accounts/${fromAccountId}/limits`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ perTransaction: 10.001 });
+      expect(invalid.status).toBe(400);
+
+      const unknown = await request(app)
+        .get('/api/accounts/99999/limits')
+        .set('Authorization', `Bearer ${token}`);
+      expect(unknown.status).toBe(404);
+    });
+  });
+
+  describe('GET /api/accounts/:id/statement', () => {
+    let accountId;
+
+    beforeEach(async () => {
+      const account = await accountService.createAccount(customerId, 1000);
+      accountId = account.id;
+    });
+
+    test('should return the statement as JSON', async () => {
+      const response = await request(app)
+        .get(`/api/accounts/${accountId}/statement`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.openingBalance).toBe('0.00');
+      expect(response.body.closingBalance).toBe('1000.00');
+      expect(response.body.lines).toHaveLength(1);
+    });
+
+    test('should download the statement as CSV', async () => {
+      const response = await request(app)
+        .get(`/api/accounts/${accountId}/statement`)
+        .query({ format: 'csv' })
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toContain('text/csv');
+      expect(response.headers['content-disposition']).toContain(`statement-${accountId}-`);
+      expect(response.text).toContain('CLOSING_BALANCE');
+    });
+
+    test('should download the statement as PDF', async () => {
+      const response = await request(app)
+        .get(`/api/accounts/${accountId}/statement`)
+        .query({ format: 'pdf' })
+        .set('Authorization', `Bearer ${authToken}`)
+        .buffer(true)
+        .parse((res, callback) => {
+          const chunks = [];
+          res.on('data', chunk => chunks.push(chunk));
+          res.on('end', () => callback(null, Buffer.concat(chunks)));
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toBe('application/pdf');
+      expect(response.body.subarray(0, 5).toString()).toBe('%PDF-');
+    });
+
+    test('should treat a date-only end date as the whole day', async () => {
+      const today = new Date().toISOString().slice(0, 10);
+      const response = await request(app)
+        .get(`/api/accounts/${accountId}/statement`)
+        .query({ from: today, to: today })
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.lines).toHaveLength(1);
+    });
+
+    test('should return 400 for an unknown format', async () => {
+      const response = await request(app)
+        .get(`/api/accounts/${accountId}/statement`)
+        .query({ format: 'xlsx' })
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(400);
+      expect(response.body.errorMessage).toBe('format must be one of: json, csv, pdf');
+    });
+
+    test('should return 404 when account does not exist', async () => {
+      const response = await request(app)
+        .get('/api/accounts/99999/statement')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('POST /api/transfers/:id/reversal', () => {
+    let transferId;
+
+    beforeEach(async () => {
+      const transferService = require('../../src/services/transferService');
+      const account1 = await accountService.createAccount(customerId, 1000);
+      const account2 = await accountService.createAccount(customerId, 500);
+      const result = await transferService.accountTransfer(account1.id, account2.id, 100);
+      transferId = result.transfer.id;
+    });
+
+    test('should return 403 for tellers', async () => {
+      const response = await request(app)
+        .post(`/api/transfers/${transferId}/reversal`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ reason: 'Wrong account' });
+
+      expect(response.status).toBe(403);
+      expect(response.body.requiredPermissions).toEqual(['transfers:reverse']);
+    });
+
+    test('should reverse once and then return 409', async () => {
+      const { token } = await authService.login('manager1', 'password123');
+
+      const first = await request(app)
+        .post(`/api/transfers/${transferId}/reversal`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ reason: 'Wrong account' });
+
+      expect(first.status).toBe(201);
+      expect(first.body.transfer.reversalOfId).toBe(transferId);
+
+      const second = await request(app)
+        .post(`/api/transfers/${transferId}/reversal`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ reason: 'Wrong account' });
+
+      expect(second.status).toBe(409);
+    });
+
+    test('should return 400 without a reason and 404 for unknown transfers', async () => {
+      const { token } = await authService.login('manager1', 'password123');
+
+      const noReason = await request(app)
+        .post(`/api/transfers/${transferId}/reversal`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({});
+      expect(noReason.status).toBe(400);
+
+      const unknown = await request(app)
+        .post('/api/transfers/99999/reversal')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ reason: 'Wrong account' });
+      expect(unknown.status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,72 @@
+const request = require('supertest');
+const express = require('express');
+const auditRoutes = require('../../src/routes/audit');
+const accountService = require('../../src/services/accountService');
+const authService = require('../../src/services/authService');
+const prisma = require('../../src/db/client');
+const { errorHandler } = require('../../src/middleware/errorHandler');
+
+const app = express();
+app.use(express.json());
+app.use('/api/audit', auditRoutes);
+app.use(errorHandler);
+
+describe('Audit Routes', () => {
+  let tellerToken;
+  let managerToken;
+
+  beforeEach(async () => {
+    tellerToken = (await authService.login('employee1', 'password123')).token;
+    managerToken = (await authService.login('manager1', 'password123')).token;
+  });
+
+  describe('GET /api/audit', () => {
+    test('should return 401 when no authentication token provided', async () => {
+      const response = await request(app).get('/api/audit');
+
+      expect(response.status).toBe(401);
+    });
+
+    test('should return 403 for tellers', async () => {
+      const response = await request(app)
+        .get('/api/audit')
+        .set('Authorization', `Bearer ${tellerToken}`);
+
+      expect(response.status).toBe(403);
+    });
+
+    test('should return audit entries for managers', async () => {
+      const customer = await prisma.customer.findFirst();
+      const teller = await prisma.employee.findUnique({ where: { username: 'employee1' } });
+      await accountService.createAccount(customer.id, 100, teller.id);
+
+      const response = await request(app)
+        .get('/api/audit')
+        .query({ action: 'ACCOUNT_CREATED', employeeId: teller.id })
+        .set('Authorization', `Bearer ${managerToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.total).toBe(1);
+      expect(response.body.items[0].employee.username).toBe('employee1');
+    });
+
+    test('should return 400 for an invalid date filter', async () => {
+      const response = await request(app)
+        .get('/api/audit')
+        .query({ from: 'not-a-date' })
+        .set('Authorization', `Bearer ${managerToken}`);
+
+      expect(response.status).toBe(400);
+      expect(response.body.errorMessage).toContain('valid date');
+    });
+
+    test('should return 400 for an unknown action', async () => {
+      const response = await request(app)
+        .get('/api/audit')
+        .query({ action: 'DELETE_EVERYTHING' })
+        .set('Authorization', `Bearer ${managerToken}`);
+
+      expect(response.status).toBe(400);
+    });
+  });
+});
@@ -1,11 +1,24 @@
 const request = require('supertest');
 const express = require('express');
 const authRoutes = require('../../src/routes/auth');
+const employeeRoutes = require('../../src/routes/employee');
+const accountRoutes = require('../../src/routes/account');
 const prisma = require('../../src/db/client');
+const { errorHandler } = require('../../src/middleware/errorHandler');
 
 const app = express();
 app.use(express.json());
 app.use('/api/auth', authRoutes);
+app.use('/api/employees', employeeRoutes);
+app.use('/api/accounts', accountRoutes);
+app.use(errorHandler);
+
+async function loginAs(username) {
+  const response = await request(app)
+    .post('/api/auth/login')
+    .send({ username, password: 'password123' });
+  return response.body;
+}
 
 describe('Auth Routes', () => {
   describe('POST /api/auth/login', () => {
@@ -31,7 +44,7 @@ describe('Auth Routes', () => {
         });
 
       expect(response.status).toBe(400);
-      expect(response.body.error).toContain('required');
+      expect(response.body.errorMessage).toContain('required');
     });
 
     test('should return 400 when password is missing', async () => {
@@ -42,7 +55,7 @@ describe('Auth Routes', () => {
         });
 
       expect(response.status).toBe(400);
-      expect(response.body.error).toContain('required');
+      expect(response.body.errorMessage).toContain('required');
     });
 
     test('should return 401 with invalid username', async () => {
@@ -54,7 +67,7 @@ describe('Auth Routes', () => {
         });
 
       expect(response.status).toBe(401);
-      expect(response.body.error).toBeDefined();
+      expect(response.body.code).toBe('INVALID_CREDENTIALS');
     });
 
     test('should return 401 with invalid password', async () => {
@@ -66,7 +79,166 @@ describe('Auth Routes', () => {
         });
 
       expect(response.status).toBe(401);
-      expect(response.body.error).toBeDefined();
+      expect(response.body.code).toBe('INVALID_CREDENTIALS');
+    });
+  });
+
+  describe('login throttling', () => {
+    beforeEach(() => {
+      process.env.LOGIN_DELAY_BASE_SECONDS = '0';
+    });
+
+    afterEach(() => {
+      delete process.env.LOGIN_DELAY_BASE_SECONDS;
+    });
+
+    async function failLogins(username, times) {
+      for (let i = 0; i < times; i++) {
+        await request(app).post('/api/auth/login').send({ username, password: 'wrongpassword' });
+      }
+    }
+
+    test('should return 429 with LOGIN_LOCKED after too many failures', async () => {
+      await failLogins('employee1', 5);
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'employee1', password: 'password123' });
+
+      expect(response.status).toBe(429);
+      expect(response.body.code).toBe('LOGIN_LOCKED');
+      expect(Number(response.headers['retry-after'])).toBeGreaterThan(0);
+    });
+
+    test('should lock unknown usernames the same way', async () => {
+      await failLogins('employee1', 5);
+      await failLogins('ghost', 5);
+
+      const real = await request(app).post('/api/auth/login').send({ username: 'employee1', password: 'x' });
+      const unknown = await request(app).post('/api/auth/login').send({ username: 'ghost', password: 'x' });
+
+      expect(unknown.status).toBe(real.status);
+      expect(unknown.body.code).toBe(real.body.code);
+      expect(unknown.body.errorMessage).toBe(real.body.errorMessage);
+    });
+
+    test('should return 429 with LOGIN_THROTTLED when retrying too quickly', async () => {
+      delete process.env.LOGIN_DELAY_BASE_SECONDS;
+      await failLogins('employee1', 2);
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'employee1', password: 'password123' });
+
+      expect(response.status).toBe(429);
+      expect(response.body.code).toBe('LOGIN_THROTTLED');
+    });
+  });
+
+  describe('POST /api/auth/refresh', () => {
+    test('should return a new token pair', async () => {
+      const login = await loginAs('employee1');
+
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: login.refreshToken });
+
+      expect(response.status).toBe(200);
+      expect(response.body.token).toBeDefined();
+      expect(response.body.refreshToken).toBeDefined();
+      expect(response.body.refreshToken).not.toBe(login.refreshToken);
+    });
+
+    test('should return 400 when refresh token is missing', async () => {
+      const response = await request(app).post('/api/auth/refresh').send({});
+
+      expect(response.status).toBe(400);
+      expect(response.body.errorMessage).toContain('required');
+    });
+
+    test('should return 401 when a refresh token is reused and block the session', async () => {
+      const login = await loginAs('employee1');
+      await request(app).post('/api/auth/refresh').send({ refreshToken: login.refreshToken });
+
+      const reuse = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: login.refreshToken });
+      expect(reuse.status).toBe(401);
+      expect(reuse.body).toEqual({ errorMessage: 'Invalid refresh token', code: 'INVALID_REFRESH_TOKEN' });
+
+      const response = await request(app)
+        .get('/api/accounts/1')
+        .set('Authorization', `Bearer ${login.token}`);
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('POST /api/auth/logout', () => {
+    test('should revoke the session so its access token stops working', async () => {
+      const login = await loginAs('employee1');
+
+      const response = await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${login.token}`);
+      expect(response.status).toBe(204);
+
+      const after = await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${login.token}`);
+      expect(after.status).toBe(401);
+      expect(after.body.code).toBe('SESSION_REVOKED');
+
+      const refresh = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: login.refreshToken });
+      expect(refresh.status).toBe(401);
+    });
+
+    test('should return 401 without a token', async () => {
+      const response = await request(app).post('/api/auth/logout');
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('DELETE /api/employees/:id/sessions', () => {
+    test('should let a manager sign an employee out everywhere', async () => {
+      const teller = await loginAs('employee1');
+      const manager = await loginAs('manager1');
+
+      const response = await request(app)
+        .delete(`/api/employees/${teller.employee.employeeId}/sessions`)
+        .set('Authorization', `Bearer ${manager.token}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.revokedSessions).toBe(1);
+
+      const after = await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${teller.token}`);
+      expect(after.status).toBe(401);
+    });
+
+    test('should return 403 for tellers', async () => {
+      const teller = await loginAs('employee1');
+      const manager = await loginAs('manager1');
+
+      const response = await request(app)
+        .delete(`/api/employees/${manager.employee.employeeId}/sessions`)
+        .set('Authorization', `Bearer ${teller.token}`);
+
+      expect(response.status).toBe(403);
+      expect(response.body.requiredPermissions).toContain('sessions:revoke');
+    });
+
+    test('should return 404 for a missing employee', async () => {
+      const manager = await loginAs('manager1');
+
+      const response = await request(app)
+        .delete('/api/employees/999999/sessions')
+        .set('Authorization', `Bearer ${manager.token}`);
+
+      expect(response.status).toBe(404);
     });
   });
 });
@@ -0,0 +1,165 @@
+const request = require('supertest');
+const express = require('express');
+const customerRoutes = require('../../src/routes/customer');
+const accountService = require('../../src/services/accountService');
+const authService = require('../../src/services/authService');
+const prisma = require('../../src/db/client');
+const { errorHandler } = require('../../src/middleware/errorHandler');
+
+const app = express();
+app.use(express.json());
+app.use('/api/customers', customerRoutes);
+app.use(errorHandler);
+
+describe('Customer Routes', () => {
+  let authToken;
+
+  beforeEach(async () => {
+    authToken = (await authService.login('employee1', 'password123')).token;
+  });
+
+  describe('POST /api/customers', () => {
+    test('should return 401 when no authentication token provided', async () => {
+      const response = await request(app).post('/api/customers').send({ name: 'No Auth' });
+
+      expect(response.status).toBe(401);
+    });
+
+    test('should create customer with valid data', async () => {
+      const response = await request(app)
+        .post('/api/customers')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'Katherine Johnson', email: 'kj@example.com' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.id).toBeDefined();
+      expect(response.body.email).toBe('kj@example.com');
+    });
+
+    test('should return 400 when name is missing', async () => {
+      const response = await request(app)
+        .post('/api/customers')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ email: 'kj@example.com' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.errorMessage).toBe('name is required');
+    });
+
+    test('should return 409 for duplicate email', async () => {
+      const send = () => request(app)
+        .post('/api/customers')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'Twice', email: 'twice@example.com' });
+
+      await send();
+      const response = await send();
+
+      expect(response.status).toBe(409);
+    });
+  });
+
+  describe('GET /api/customers', () => {
+    test('should return a paginated list', async () => {
+      const response = await request(app)
+        .get('/api/customers')
+        .query({ limit: 2 })
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.total).toBe(4);
+      expect(response.body.items).toHaveLength(2);
+    });
+
+    test('should search by name', async () => {
+      const response = await request(app)
+        .get('/api/customers')
+        .query({ search: 'Church' })
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.items[0].name).toBe('Rhonda Church');
+    });
+
+    test('should return 400 for an invalid limit', async () => {
+      const response = await request(app)
+        .get('/api/customers')
+        .query({ limit: 0 })
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('GET /api/customers/:id', () => {
+    test('should return the customer', async () => {
+      const customer = await prisma.customer.findFirst();
+
+      const response = await request(app)
+        .get(`/api/customers/${customer.id}`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.name).toBe(customer.name);
+    });
+
+    test('should return 404 when customer does not exist', async () => {
+      const response = await request(app)
+        .get('/api/customers/99999')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(404);
+      expect(response.body.errorMessage).toBe('Customer not found');
+    });
+
+    test('should return 400 when customerId is not a number', async () => {
+      const response = await request(app)
+        .get('/api/customers/abc')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(400);
+      expect(response.body.errorMessage).toBe('id must be an integer');
+    });
+  });
+
+  describe('PATCH /api/customers/:id', () => {
+    test('should update the customer', async () => {
+      const customer = await prisma.customer.findFirst();
+
+      const response = await request(app)
+        .patch(`/api/customers/${customer.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ phone: '+44 20 7946 0000' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.phone).toBe('+44 20 7946 0000');
+    });
+
+    test('should return 400 for invalid email', async () => {
+      const customer = await prisma.customer.findFirst();
+
+      const response = await request(app)
+        .patch(`/api/customers/${customer.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ email: 'nope' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.errorMessage).toBe('email must be a valid email address');
+    });
+  });
+
+  describe('GET /api/customers/:id/accounts', () => {
+    test('should list the customer\'s accounts', async () => {
+      const customer = await prisma.customer.findFirst();
+      await accountService.createAccount(customer.id, 150);
+
+      const response = await request(app)
+        .get(`/api/customers/${customer.id}/accounts`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toHaveLength(1);
+      expect(response.body[0].balance).toBe('150.00');
+    });
+  });
+});
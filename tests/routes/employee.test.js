@@ -0,0 +1,209 @@
+const request = require('supertest');
+const express = require('express');
+const employeeRoutes = require('../../src/routes/employee');
+const authService = require('../../src/services/authService');
+const prisma = require('../../src/db/client');
+const { errorHandler } = require('../../src/middleware/errorHandler');
+
+const app = express();
+app.use(express.json());
+app.use('/api/employees', employeeRoutes);
+app.use(errorHandler);
+
+describe('Employee Routes', () => {
+  let tellerToken;
+  let managerToken;
+  let teller;
+
+  beforeEach(async () => {
+    tellerToken = (await authService.login('employee1', 'password123')).token;
+    managerToken = (await authService.login('manager1', 'password123')).token;
+    teller = await prisma.employee.findUnique({ where: { username: 'employee1' } });
+  });
+
+  describe('POST /api/employees', () => {
+    test('should create an employee as a manager', async () => {
+      const response = await request(app)
+        .post('/api/employees')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ username: 'jdoe', password: 'secret-pass', name: 'Jane Doe' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.username).toBe('jdoe');
+      expect(response.body.role).toBe('teller');
+      expect(response.body.password).toBeUndefined();
+    });
+
+    test('should return 403 for tellers', async () => {
+      const response = await request(app)
+        .post('/api/employees')
+        .set('Authorization', `Bearer ${tellerToken}`)
+        .send({ username: 'jdoe', password: 'secret-pass', name: 'Jane Doe' });
+
+      expect(response.status).toBe(403);
+      expect(response.body.requiredPermissions).toContain('employees:manage');
+    });
+
+    test('should return 409 for a taken username', async () => {
+      const response = await request(app)
+        .post('/api/employees')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ username: 'employee1', password: 'secret-pass', name: 'Copy' });
+
+      expect(response.status).toBe(409);
+    });
+
+    test('should return 400 when fields are missing', async () => {
+      const response = await request(app)
+        .post('/api/employees')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ username: 'jdoe' });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('GET /api/employees', () => {
+    test('should list employees', async () => {
+      const response = await request(app)
+        .get('/api/employees?role=teller')
+        .set('Authorization', `Bearer ${managerToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.total).toBe(1);
+      expect(response.body.items[0].username).toBe('employee1');
+    });
+
+    test('should return 400 for an invalid active filter', async () => {
+      const response = await request(app)
+        .get('/api/employees?active=maybe')
+        .set('Authorization', `Bearer ${managerToken}`);
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('POST /api/employees/:id/deactivate', () => {
+    test('should reject the deactivated employee\'s existing token', async () => {
+      const response = await request(app)
+        .post(`/api/employees/${teller.id}/deactivate`)
+        .set('Authorization', `Bearer ${managerToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.isActive).toBe(false);
+
+      const after = await request(app)
+        .put('/api/employees/me/password')
+        .set('Authorization', `Bearer ${tellerToken}`)
+        .send({ currentPassword: 'password123', newPassword: 'new-password-1' });
+      expect(after.status).toBe(401);
+    });
+
+    test('should return 409 when already deactivated', async () => {
+      await request(app)
+        .post(`/api/employees/${teller.id}/deactivate`)
+        .set('Authorization', `Bearer ${managerToken}`);
+
+      const response = await request(app)
+        .post(`/api/employees/${teller.id}/deactivate`)
+        .set('Authorization', `Bearer ${managerToken}`);
+
+      expect(response.status).toBe(409);
+    });
+
+    test('should reject a deactivated employee even if their session is still open', async () => {
+      await prisma.employee.update({ where: { id: teller.id }, data: { isActive: false } });
+
+      const response = await request(app)
+        .put('/api/employees/me/password')
+        .set('Authorization', `Bearer ${tellerToken}`)
+        .send({ currentPassword: 'password123', newPassword: 'new-password-1' });
+
+      expect(response.status).toBe(401);
+      expect(response.body.code).toBe('EMPLOYEE_DEACTIVATED');
+    });
+  });
+
+  describe('PUT /api/employees/:id/role', () => {
+    test('should apply the new role to the employee\'s next request', async () => {
+      const before = await request(app)
+        .get('/api/employees')
+        .set('Authorization', `Bearer ${tellerToken}`);
+      expect(before.status).toBe(403);
+
+      const response = await request(app)
+        .put(`/api/employees/${teller.id}/role`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ role: 'manager' });
+      expect(response.status).toBe(200);
+      expect(response.body.role).toBe('manager');
+
+      const after = await request(app)
+        .get('/api/employees')
+        .set('Authorization', `Bearer ${tellerToken}`);
+      expect(after.status).toBe(200);
+    });
+
+    test('should return 400 for an unknown role', async () => {
+      const response = await request(app)
+        .put(`/api/employees/${teller.id}/role`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ role: 'admin' });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('POST /api/employees/:id/unlock', () => {
+    test('should let a locked employee log in again', async () => {
+      process.env.LOGIN_DELAY_BASE_SECONDS = '0';
+      try {
+        for (let i = 0; i < 5; i++) {
+          await expect(authService.login('employee1', 'wrongpassword')).rejects.toThrow();
+        }
+      } finally {
+        delete process.env.LOGIN_DELAY_BASE_SECONDS;
+      }
+      await expect(authService.login('employee1', 'password123'))
+        .rejects.toThrow('Too many failed login attempts - try again later');
+
+      const response = await request(app)
+        .post(`/api/employees/${teller.id}/unlock`)
+        .set('Authorization', `Bearer ${managerToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.wasLocked).toBe(true);
+      await expect(authService.login('employee1', 'password123')).resolves.toBeDefined();
+    });
+
+    test('should return 403 for tellers', async () => {
+      const response = await request(app)
+        .post(`/api/employees/${teller.id}/unlock`)
+        .set('Authorization', `Bearer ${tellerToken}`);
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('PUT /api/employees/me/password', () => {
+    test('should change the password', async () => {
+      const response = await request(app)
+        .put('/api/employees/me/password')
+        .set('Authorization', `Bearer ${tellerToken}`)
+        .send({ currentPassword: 'password123', newPassword: 'new-password-1' });
+
+      expect(response.status).toBe(204);
+      await expect(authService.login('employee1', 'new-password-1')).resolves.toBeDefined();
+    });
+
+    test('should return 400 with a wrong current password', async () => {
+      const response = await request(app)
+        .put('/api/employees/me/password')
+        .set('Authorization', `Bearer ${tellerToken}`)
+        .send({ currentPassword: 'wrongpassword', newPassword: 'new-password-1' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.errorMessage).toBe('Current password is incorrect');
+    });
+  });
+});
@@ -0,0 +1,131 @@
+const request = require('supertest');
+const express = require('express');
+const accountRoutes = require('../../src/routes/account');
+const transferRoutes = require('../../src/routes/transfer');
+const accountService = require('../../src/services/accountService');
+const authService = require('../../src/services/authService');
+const prisma = require('../../src/db/client');
+const { notFoundHandler, errorHandler } = require('../../src/middleware/errorHandler');
+const { ConflictError, RateLimitError } = require('../../src/utils/errors');
+
+const app = express();
+app.use(express.json());
+app.use('/api/accounts', accountRoutes);
+app.use('/api/transfers', transferRoutes);
+app.use(notFoundHandler);
+app.use(errorHandler);
+
+describe('Error Handler', () => {
+  let authToken;
+  let customerId;
+
+  beforeEach(async () => {
+    authToken = (await authService.login('employee1', 'password123')).token;
+    customerId = (await prisma.customer.findFirst()).id;
+  });
+
+  test('should answer domain errors with their status and code', async () => {
+    const response = await request(app)
+      .get('/api/accounts/999999')
+      .set('Authorization', `Bearer ${authToken}`);
+
+    expect(response.status).toBe(404);
+    expect(response.body).toEqual({ errorMessage: 'Account not found', code: 'ACCOUNT_NOT_FOUND' });
+  });
+
+  test('should tell insufficient funds apart from other rule violations', async () => {
+    const from = await accountService.createAccount(customerId, 10);
+    const to = await accountService.createAccount(customerId, 10);
+
+    const response = await request(app)
+      .post('/api/transfers')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ fromAccountId: from.id, toAccountId: to.id, amount: 50 });
+
+    expect(response.status).toBe(400);
+    expect(response.body.code).toBe('INSUFFICIENT_FUNDS');
+
+    await prisma.account.update({ where: { id: from.id }, data: { status: 'FROZEN' } });
+    const frozen = await request(app)
+      .post('/api/transfers')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ fromAccountId: from.id, toAccountId: to.id, amount: 5 });
+
+    expect(frozen.status).toBe(400);
+    expect(frozen.body.code).toBe('ACCOUNT_FROZEN');
+  });
+
+  test('should give request validation failures the VALIDATION_ERROR code', async () => {
+    const response = await request(app)
+      .post('/api/transfers')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({});
+
+    expect(response.status).toBe(400);
+    expect(response.body.code).toBe('VALIDATION_ERROR');
+    expect(response.body.errors.length).toBe(3);
+  });
+
+  test('should use the same shape for authentication failures', async () => {
+    const response = await request(app).get('/api/accounts/1');
+
+    expect(response.status).toBe(401);
+    expect(response.body).toEqual({ errorMessage: 'Unauthorized - No token provided', code: 'TOKEN_MISSING' });
+  });
+
+  test('should reject malformed JSON bodies', async () => {
+    const response = await request(app)
+      .post('/api/transfers')
+      .set('Authorization', `Bearer ${authToken}`)
+      .set('Content-Type', 'application/json')
+      .send('{"amount": ');
+
+    expect(response.status).toBe(400);
+    expect(response.body.code).toBe('MALFORMED_JSON');
+  });
+
+  test('should answer unknown routes with ROUTE_NOT_FOUND', async () => {
+    const response = await request(app).get('/api/nowhere');
+
+    expect(response.status).toBe(404);
+    expect(response.body.code).toBe('ROUTE_NOT_FOUND');
+  });
+});
+
+describe('Error Handler with unexpected errors', () => {
+  const testApp = express();
+  testApp.get('/conflict', () => { throw new ConflictError('Already done', 'ALREADY_DONE'); });
+  testApp.get('/limited', () => { throw new RateLimitError('Slow down', 'SLOW_DOWN', { retryAfterSeconds: 7 }); });
+  testApp.get('/bug', async () => { throw new Error('secret database detail'); });
+  testApp.use(errorHandler);
+
+  test('should include details and set Retry-After for rate limits', async () => {
+    const response = await request(testApp).get('/limited');
+
+    expect(response.status).toBe(429);
+    expect(response.headers['retry-after']).toBe('7');
+    expect(response.body).toEqual({ errorMessage: 'Slow down', code: 'SLOW_DOWN', retryAfterSeconds: 7 });
+  });
+
+  test('should use the status of the error class', async () => {
+    const response = await request(testApp).get('/conflict');
+
+    expect(response.status).toBe(409);
+    expect(response.body.code).toBe('ALREADY_DONE');
+  });
+
+  test('should hide the details of errors that are not domain errors', async () => {
+    process.env.LOG_LEVEL = 'error';
+    const write = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+
+    const response = await request(testApp).get('/bug');
+    const [entry] = write.mock.calls.map(([line]) => JSON.parse(line));
+    write.mockRestore();
+    process.env.LOG_LEVEL = 'silent';
+
+    expect(response.status).toBe(500);
+    expect(response.body).toEqual({ errorMessage: 'Internal server error', code: 'INTERNAL_ERROR' });
+    expect(entry).toMatchObject({ level: 'error', message: 'Unhandled error', path: '/bug' });
+    expect(entry.error.message).toBe('secret database detail');
+  });
+});
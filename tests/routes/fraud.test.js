@@ -0,0 +1,143 @@
+const request = require('supertest');
+const express = require('express');
+const fraudRoutes = require('../../src/routes/fraud');
+const transferRoutes = require('../../src/routes/transfer');
+const prisma = require('../../src/db/client');
+const accountService = require('../../src/services/accountService');
+const authService = require('../../src/services/authService');
+const { errorHandler } = require('../../src/middleware/errorHandler');
+
+const app = express();
+app.use(express.json());
+app.use('/api/fraud', fraudRoutes);
+app.use('/api/transfers', transferRoutes);
+app.use(errorHandler);
+
+describe('Fraud Routes', () => {
+  let managerToken;
+  let tellerToken;
+  let sourceId;
+  let destinationId;
+
+  beforeEach(async () => {
+    managerToken = (await authService.login('manager1', 'password123')).token;
+    tellerToken = (await authService.login('employee1', 'password123')).token;
+
+    const customer = await prisma.customer.findFirst();
+    sourceId = (await accountService.createAccount(customer.id, 1000)).id;
+    destinationId = (await accountService.createAccount(customer.id, 100)).id;
+  });
+
+  function transfer(amount) {
+    return request(app)
+      .post('/api/transfers')
+      .set('Authorization', `Bearer ${tellerToken}`)
+      .send({ fromAccountId: sourceId, toAccountId: destinationId, amount });
+  }
+
+  function updateRule(code, body, token = managerToken) {
+    return request(app)
+      .put(`/api/fraud/rules/${code}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send(body);
+  }
+
+  describe('GET /api/fraud/rules', () => {
+    test('should list the rules for managers', async () => {
+      const response = await request(app)
+        .get('/api/fraud/rules')
+        .set('Authorization', `Bearer ${managerToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.rules).toHaveLength(4);
+      expect(response.body.rules.find(rule => rule.code === 'BALANCE_DRAIN')).toMatchObject({
+        action: 'FLAG',
+        params: { percent: 90 },
+        source: 'DEFAULT'
+      });
+    });
+
+    test('should not let tellers see the rules', async () => {
+      const response = await request(app)
+        .get('/api/fraud/rules')
+        .set('Authorization', `Bearer ${tellerToken}`);
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('PUT /api/fraud/rules/:code', () => {
+    test('should block transfers as soon as a rule is set to BLOCK', async () => {
+      const updated = await updateRule('BALANCE_DRAIN', { action: 'BLOCK', params: { percent: 50 } });
+      expect(updated.status).toBe(200);
+      expect(updated.body).toMatchObject({ action: 'BLOCK', params: { percent: 50 }, source: 'OVERRIDE' });
+
+      const response = await transfer(600);
+
+      expect(response.status).toBe(400);
+      expect(response.body).toMatchObject({ code: 'TRANSFER_BLOCKED', rule: 'BALANCE_DRAIN' });
+    });
+
+    test('should reject invalid settings', async () => {
+      const unknownRule = await updateRule('LUNAR_PHASE', { action: 'FLAG' });
+      expect(unknownRule.status).toBe(404);
+
+      const badParam = await updateRule('VELOCITY', { action: 'FLAG', params: { maxTransfers: 'many' } });
+      expect(badParam.status).toBe(400);
+
+      const teller = await updateRule('VELOCITY', { action: 'ALLOW' }, tellerToken);
+      expect(teller.status).toBe(403);
+    });
+  });
+
+  describe('GET /api/fraud/flags and POST /api/fraud/flags/:id/review', () => {
+    test('should queue flagged transfers and let a manager clear them', async () => {
+      const transferred = await transfer(950);
+      expect(transferred.status).toBe(201);
+
+      const queue = await request(app)
+        .get('/api/fraud/flags?status=OPEN&rule=BALANCE_DRAIN')
+        .set('Authorization', `Bearer ${managerToken}`);
+
+      expect(queue.status).toBe(200);
+      expect(queue.body.total).toBe(1);
+      expect(queue.body.items[0]).toMatchObject({
+        ruleCode: 'BALANCE_DRAIN',
+        transferId: transferred.body.transfer.id,
+        status: 'OPEN'
+      });
+
+      const reviewed = await request(app)
+        .post(`/api/fraud/flags/${queue.body.items[0].id}/review`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ resolution: 'CLEARED', note: 'Customer confirmed by phone' });
+
+      expect(reviewed.status).toBe(200);
+      expect(reviewed.body).toMatchObject({ status: 'CLEARED', reviewNote: 'Customer confirmed by phone' });
+
+      const again = await request(app)
+        .post(`/api/fraud/flags/${queue.body.items[0].id}/review`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ resolution: 'CONFIRMED' });
+      expect(again.status).toBe(409);
+    });
+
+    test('should not let tellers work the queue', async () => {
+      const response = await request(app)
+        .get('/api/fraud/flags')
+        .set('Authorization', `Bearer ${tellerToken}`);
+
+      expect(response.status).toBe(403);
+    });
+
+    test('should return 404 for unknown flags', async () => {
+      const response = await request(app)
+        .post('/api/fraud/flags/99999/review')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ resolution: 'CLEARED' });
+
+      expect(response.status).toBe(404);
+      expect(response.body.code).toBe('FLAG_NOT_FOUND');
+    });
+  });
+});
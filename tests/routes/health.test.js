@@ -0,0 +1,54 @@
+const request = require('supertest');
+const express = require('express');
+const healthRoutes = require('../../src/routes/health');
+const healthService = require('../../src/services/healthService');
+const { errorHandler } = require('../../src/middleware/errorHandler');
+
+const app = express();
+app.use(healthRoutes);
+app.use(errorHandler);
+
+describe('Health Routes', () => {
+  afterEach(() => {
+    healthService.markShuttingDown(false);
+  });
+
+  describe('GET /health', () => {
+    test('should answer without authentication', async () => {
+      const response = await request(app).get('/health');
+
+      expect(response.status).toBe(200);
+      expect(response.body.status).toBe('ok');
+      expect(response.headers['cache-control']).toBe('no-store');
+    });
+  });
+
+  describe('GET /ready', () => {
+    test('should return 200 when the database is reachable and migrated', async () => {
+      const response = await request(app).get('/ready');
+
+      expect(response.status).toBe(200);
+      expect(response.body.status).toBe('ready');
+      expect(response.body.checks.database.status).toBe('ok');
+      expect(response.body.checks.migrations.status).toBe('ok');
+    });
+
+    test('should return 503 while shutting down', async () => {
+      healthService.markShuttingDown();
+
+      const response = await request(app).get('/ready');
+
+      expect(response.status).toBe(503);
+      expect(response.body.status).toBe('not_ready');
+      expect(response.body.checks.shutdown.error).toBe('Server is shutting down');
+    });
+
+    test('should keep /health passing while shutting down', async () => {
+      healthService.markShuttingDown();
+
+      const response = await request(app).get('/health');
+
+      expect(response.status).toBe(200);
+    });
+  });
+});
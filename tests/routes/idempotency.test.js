@@ -0,0 +1,147 @@
+const request = require('supertest');
+const express = require('express');
+const accountRoutes = require('../../src/routes/account');
+const transferRoutes = require('../../src/routes/transfer');
+const accountService = require('../../src/services/accountService');
+const authService = require('../../src/services/authService');
+const prisma = require('../../src/db/client');
+const { errorHandler } = require('../../src/middleware/errorHandler');
+
+const app = express();
+app.use(express.json());
+app.use('/api/accounts', accountRoutes);
+app.use('/api/transfers', transferRoutes);
+app.use(errorHandler);
+
+describe('Idempotency-Key handling', () => {
+  let authToken;
+  let customerId;
+  let fromAccountId;
+  let toAccountId;
+
+  beforeEach(async () => {
+    authToken = (await authService.login('employee1', 'password123')).token;
+    customerId = (await prisma.customer.findFirst()).id;
+    fromAccountId = (await accountService.createAccount(customerId, 1000)).id;
+    toAccountId = (await accountService.createAccount(customerId, 500)).id;
+  });
+
+  function postTransfer(key, body) {
+    return request(app)
+      .post('/api/transfers')
+      .set('Authorization', `Bearer ${authToken}`)
+      .set('Idempotency-Key', key)
+      .send(body);
+  }
+
+  describe('POST /api/transfers', () => {
+    test('should replay the original response without moving money twice', async () => {
+      const body = { fromAccountId, toAccountId, amount: 100 };
+
+      const first = await postTransfer('transfer-key-1', body);
+      const retry = await postTransfer('transfer-key-1', body);
+
+      expect(first.status).toBe(201);
+      expect(retry.status).toBe(201);
+      expect(retry.headers['idempotent-replayed']).toBe('true');
+      expect(retry.body).toEqual(first.body);
+
+      const source = await accountService.getBalance(fromAccountId);
+      expect(source.balance).toBe('900.00');
+      expect(await prisma.transfer.count()).toBe(1);
+    });
+
+    test('should treat reordered body keys as the same request', async () => {
+      await postTransfer('transfer-key-2', { fromAccountId, toAccountId, amount: 100 });
+      const retry = await postTransfer('transfer-key-2', { amount: 100, toAccountId, fromAccountId });
+
+      expect(retry.status).toBe(201);
+      expect(retry.headers['idempotent-replayed']).toBe('true');
+    });
+
+    test('should return 422 when the key is reused with a different body', async () => {
+      await postTransfer('transfer-key-3', { fromAccountId, toAccountId, amount: 100 });
+      const response = await postTransfer('transfer-key-3', { fromAccountId, toAccountId, amount: 200 });
+
+      expect(response.status).toBe(422);
+      expect(response.body.code).toBe('IDEMPOTENCY_KEY_REUSED');
+      expect(await prisma.transfer.count()).toBe(1);
+    });
+
+    test('should let another employee use the same key for their own request', async () => {
+      const managerToken = (await authService.login('manager1', 'password123')).token;
+      await postTransfer('shared-key', { fromAccountId, toAccountId, amount: 100 });
+
+      const response = await request(app)
+        .post('/api/transfers')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .set('Idempotency-Key', 'shared-key')
+        .send({ fromAccountId, toAccountId, amount: 200 });
+
+      expect(response.status).toBe(201);
+      expect(response.headers['idempotent-replayed']).toBeUndefined();
+      expect(await prisma.transfer.count()).toBe(2);
+      expect(await prisma.idempotencyKey.count({ where: { key: 'shared-key' } })).toBe(2);
+    });
+
+    test('should replay stored failures too', async () => {
+      const body = { fromAccountId, toAccountId, amount: 5000 };
+
+      const first = await postTransfer('transfer-key-4', body);
+      const retry = await postTransfer('transfer-key-4', body);
+
+      expect(first.status).toBe(400);
+      expect(retry.status).toBe(400);
+      expect(retry.body.errorMessage).toBe('Insufficient funds');
+    });
+
+    test('should run the request again once the key has expired', async () => {
+      const body = { fromAccountId, toAccountId, amount: 100 };
+      await postTransfer('transfer-key-5', body);
+      await prisma.idempotencyKey.updateMany({ data: { expiresAt: new Date(Date.now() - 1000) } });
+
+      const retry = await postTransfer('transfer-key-5', body);
+
+      expect(retry.status).toBe(201);
+      expect(retry.headers['idempotent-replayed']).toBeUndefined();
+      expect(await prisma.transfer.count()).toBe(2);
+    });
+
+    test('should return 409 while the original request is still running', async () => {
+      const body = { fromAccountId, toAccountId, amount: 100 };
+      await postTransfer('transfer-key-6', body);
+      await prisma.idempotencyKey.updateMany({ data: { status: 'IN_PROGRESS' } });
+
+      const response = await postTransfer('transfer-key-6', body);
+
+      expect(response.status).toBe(409);
+      expect(response.body.code).toBe('IDEMPOTENCY_REQUEST_IN_PROGRESS');
+    });
+
+    test('should process requests without a key normally', async () => {
+      const body = { fromAccountId, toAccountId, amount: 100 };
+      const send = () => request(app).post('/api/transfers').set('Authorization', `Bearer ${authToken}`).send(body);
+
+      await send();
+      await send();
+
+      expect(await prisma.transfer.count()).toBe(2);
+    });
+  });
+
+  describe('POST /api/accounts', () => {
+    test('should create only one account for a retried request', async () => {
+      const send = () => request(app)
+        .post('/api/accounts')
+        .set('Authorization', `Bearer ${authToken}`)
+        .set('Idempotency-Key', 'account-key-1')
+        .send({ customerId, initialDeposit: 250 });
+
+      const first = await send();
+      const retry = await send();
+
+      expect(retry.body.id).toBe(first.body.id);
+      expect(await prisma.account.count({ where: { customerId } })).toBe(3);
+    });
+  });
+});
@@ -0,0 +1,118 @@
+const request = require('supertest');
+const express = require('express');
+const authRoutes = require('../../src/routes/auth');
+const accountRoutes = require('../../src/routes/account');
+const transferRoutes = require('../../src/routes/transfer');
+const metricsRoutes = require('../../src/routes/metrics');
+const accountService = require('../../src/services/accountService');
+const authService = require('../../src/services/authService');
+const metrics = require('../../src/utils/metrics');
+const prisma = require('../../src/db/client');
+const { httpMetrics } = require('../../src/middleware/httpMetrics');
+const { notFoundHandler, errorHandler } = require('../../src/middleware/errorHandler');
+
+const app = express();
+app.use(httpMetrics());
+app.use(express.json());
+app.use(metricsRoutes);
+app.use('/api/auth', authRoutes);
+app.use('/api/accounts', accountRoutes);
+app.use('/api/transfers', transferRoutes);
+app.use(notFoundHandler);
+app.use(errorHandler);
+
+describe('Metrics Routes', () => {
+  let authToken;
+  let fromAccountId;
+  let toAccountId;
+
+  beforeEach(async () => {
+    authToken = (await authService.login('employee1', 'password123')).token;
+    const customerId = (await prisma.customer.findFirst()).id;
+    fromAccountId = (await accountService.createAccount(customerId, 100)).id;
+    toAccountId = (await accountService.createAccount(customerId, 10)).id;
+    metrics.resetMetrics();
+  });
+
+  function transfer(amount) {
+    return request(app)
+      .post('/api/transfers')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ fromAccountId, toAccountId, amount });
+  }
+
+  async function scrape() {
+    const response = await request(app).get('/metrics');
+    expect(response.status).toBe(200);
+    return response.text;
+  }
+
+  test('should serve the Prometheus text format without authentication', async () => {
+    const response = await request(app).get('/metrics');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toMatch(/^text\/plain;/);
+    expect(response.headers['content-type']).toContain('version=0.0.4');
+    expect(response.text).toContain('# TYPE http_requests_total counter');
+    expect(response.text).toContain('# TYPE http_request_duration_seconds histogram');
+  });
+
+  test('should count requests and latency by route pattern and status', async () => {
+    await request(app)
+      .get(`/api/accounts/${fromAccountId}`)
+      .set('Authorization', `Bearer ${authToken}`);
+    await request(app)
+      .get('/api/accounts/not-a-number')
+      .set('Authorization', `Bearer ${authToken}`);
+
+    const text = await scrape();
+
+    expect(text).toContain('http_requests_total{method="GET",route="/api/accounts/:id",status="200"} 1');
+    expect(text).toContain('http_requests_total{method="GET",route="/api/accounts/:id",status="400"} 1');
+    expect(text).toContain('http_request_duration_seconds_count{method="GET",route="/api/accounts/:id",status="200"} 1');
+  });
+
+  test('should group requests turned away before reaching a route', async () => {
+    await request(app).get('/nothing/here/1');
+    await request(app).get('/nothing/here/2');
+    await request(app).get(`/api/accounts/${fromAccountId}`);
+
+    const text = await scrape();
+
+    expect(text).toContain('http_requests_total{method="GET",route="unmatched",status="404"} 2');
+    expect(text).toContain('http_requests_total{method="GET",route="unmatched",status="401"} 1');
+  });
+
+  test('should count executed transfers, their volume and transaction durations', async () => {
+    await transfer(25.5);
+    await transfer(4.5);
+
+    const text = await scrape();
+
+    expect(text).toContain('banking_transfers_total{type="transfer"} 2');
+    expect(text).toContain('banking_transfer_volume_cents_total{type="transfer"} 3000');
+    expect(text).toContain('banking_transfer_transaction_duration_seconds_count{operation="transfer",outcome="committed"} 2');
+  });
+
+  test('should count insufficient-funds rejections and rolled back transactions', async () => {
+    const response = await transfer(500);
+    expect(response.status).toBe(400);
+
+    const text = await scrape();
+
+    expect(text).toContain('banking_insufficient_funds_rejections_total{operation="transfer"} 1');
+    expect(text).toContain('banking_transfer_transaction_duration_seconds_count{operation="transfer",outcome="rolled_back"} 1');
+    expect(text).not.toContain('banking_transfers_total{');
+  });
+
+  test('should count login successes and failures', async () => {
+    await request(app).post('/api/auth/login').send({ username: 'employee1', password: 'password123' });
+    await request(app).post('/api/auth/login').send({ username: 'employee1', password: 'wrong-password' });
+    await request(app).post('/api/auth/login').send({ username: 'nobody', password: 'wrong-password' });
+
+    const text = await scrape();
+
+    expect(text).toContain('banking_logins_total{outcome="success"} 1');
+    expect(text).toContain('banking_logins_total{outcome="failure"} 2');
+  });
+});
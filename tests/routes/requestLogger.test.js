@@ -0,0 +1,126 @@
+const request = require('supertest');
+const express = require('express');
+const accountRoutes = require('../../src/routes/account');
+const transferRoutes = require('../../src/routes/transfer');
+const accountService = require('../../src/services/accountService');
+const authService = require('../../src/services/authService');
+const prisma = require('../../src/db/client');
+const { requestLogger } = require('../../src/middleware/requestLogger');
+const { notFoundHandler, errorHandler } = require('../../src/middleware/errorHandler');
+
+const app = express();
+app.use(requestLogger());
+app.use(express.json());
+app.use('/api/accounts', accountRoutes);
+app.use('/api/transfers', transferRoutes);
+app.use(notFoundHandler);
+app.use(errorHandler);
+
+describe('Request Logging', () => {
+  let authToken;
+  let employeeId;
+  let customerId;
+  let write;
+
+  function logLines() {
+    return write.mock.calls.map(([line]) => JSON.parse(line));
+  }
+
+  function accessLog() {
+    return logLines().find(entry => entry.message === 'Request completed');
+  }
+
+  beforeEach(async () => {
+    const login = await authService.login('employee1', 'password123');
+    authToken = login.token;
+    employeeId = login.employee.employeeId;
+    customerId = (await prisma.customer.findFirst()).id;
+
+    process.env.LOG_LEVEL = 'info';
+    write = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+  });
+
+  afterEach(() => {
+    write.mockRestore();
+    process.env.LOG_LEVEL = 'silent';
+  });
+
+  test('should generate a request ID and echo it in the response', async () => {
+    const response = await request(app).get('/api/accounts/1');
+
+    expect(response.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+  });
+
+  test('should keep a request ID sent by the client', async () => {
+    const response = await request(app)
+      .get('/api/accounts/1')
+      .set('X-Request-Id', 'client-trace.42');
+
+    expect(response.headers['x-request-id']).toBe('client-trace.42');
+  });
+
+  test('should replace request IDs that are not safe to log', async () => {
+    const response = await request(app)
+      .get('/api/accounts/1')
+      .set('X-Request-Id', 'bad id {"injected": true}');
+
+    expect(response.headers['x-request-id']).not.toContain('injected');
+  });
+
+  test('should write one access log line with the route pattern, status, latency and employee', async () => {
+    const account = await accountService.createAccount(customerId, 100);
+    write.mockClear();
+
+    const response = await request(app)
+      .get(`/api/accounts/${account.id}/ledger`)
+      .set('Authorization', `Bearer ${authToken}`);
+
+    const entries = logLines().filter(entry => entry.message === 'Request completed');
+    expect(entries.length).toBe(1);
+    expect(entries[0]).toMatchObject({
+      level: 'info',
+      requestId: response.headers['x-request-id'],
+      method: 'GET',
+      route: '/api/accounts/:id/ledger',
+      path: `/api/accounts/${account.id}/ledger`,
+      status: 200,
+      employeeId
+    });
+    expect(typeof entries[0].durationMs).toBe('number');
+  });
+
+  test('should keep the route pattern for requests that end in an error', async () => {
+    await request(app)
+      .get('/api/accounts/999999')
+      .set('Authorization', `Bearer ${authToken}`);
+
+    expect(accessLog()).toMatchObject({ level: 'warn', route: '/api/accounts/:id', status: 404 });
+  });
+
+  test('should log requests that match no route', async () => {
+    await request(app).get('/api/nowhere');
+
+    expect(accessLog()).toMatchObject({ route: null, path: '/api/nowhere', status: 404, employeeId: null });
+  });
+
+  test('should carry the request ID into service log lines', async () => {
+    const from = await accountService.createAccount(customerId, 100);
+    const to = await accountService.createAccount(customerId, 10);
+
+    await request(app)
+      .post('/api/transfers')
+      .set('Authorization', `Bearer ${authToken}`)
+      .set('X-Request-Id', 'transfer-trace-1')
+      .send({ fromAccountId: from.id, toAccountId: to.id, amount: 500 });
+
+    const failure = logLines().find(entry => entry.message === 'Transfer failed');
+    expect(failure).toMatchObject({
+      level: 'warn',
+      requestId: 'transfer-trace-1',
+      code: 'INSUFFICIENT_FUNDS',
+      fromAccountId: from.id,
+      employeeId
+    });
+    expect(accessLog().requestId).toBe('transfer-trace-1');
+  });
+});
@@ -0,0 +1,93 @@
+const request = require('supertest');
+const express = require('express');
+const roleRoutes = require('../../src/routes/role');
+const accountRoutes = require('../../src/routes/account');
+const authService = require('../../src/services/authService');
+const prisma = require('../../src/db/client');
+const { errorHandler } = require('../../src/middleware/errorHandler');
+
+const app = express();
+app.use(express.json());
+app.use('/api/roles', roleRoutes);
+app.use('/api/accounts', accountRoutes);
+app.use(errorHandler);
+
+describe('Role Routes', () => {
+  let tellerToken;
+  let managerToken;
+
+  beforeEach(async () => {
+    tellerToken = (await authService.login('employee1', 'password123')).token;
+    managerToken = (await authService.login('manager1', 'password123')).token;
+  });
+
+  describe('GET /api/roles', () => {
+    test('should list mappings for managers', async () => {
+      const response = await request(app)
+        .get('/api/roles')
+        .set('Authorization', `Bearer ${managerToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.roles.teller).toContain('transfers:create');
+      expect(response.body.roles.manager).toContain('roles:manage');
+    });
+
+    test('should return 403 with a stable code for tellers', async () => {
+      const response = await request(app)
+        .get('/api/roles')
+        .set('Authorization', `Bearer ${tellerToken}`);
+
+      expect(response.status).toBe(403);
+      expect(response.body.code).toBe('PERMISSION_DENIED');
+      expect(response.body.requiredPermissions).toEqual(['roles:manage']);
+    });
+  });
+
+  describe('PUT /api/roles/:role/permissions', () => {
+    test('should revoke access immediately', async () => {
+      const customer = await prisma.customer.findFirst();
+
+      const update = await request(app)
+        .put('/api/roles/teller/permissions')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ permissions: ['accounts:read'] });
+
+      expect(update.status).toBe(200);
+
+      const response = await request(app)
+        .post('/api/accounts')
+        .set('Authorization', `Bearer ${tellerToken}`)
+        .send({ customerId: customer.id, initialDeposit: 100 });
+
+      expect(response.status).toBe(403);
+      expect(response.body.code).toBe('PERMISSION_DENIED');
+    });
+
+    test('should return 404 for an unknown role', async () => {
+      const response = await request(app)
+        .put('/api/roles/intern/permissions')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ permissions: [] });
+
+      expect(response.status).toBe(404);
+    });
+
+    test('should return 400 when permissions is not an array', async () => {
+      const response = await request(app)
+        .put('/api/roles/teller/permissions')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ permissions: 'accounts:read' });
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should return 403 for tellers', async () => {
+      const response = await request(app)
+        .put('/api/roles/teller/permissions')
+        .set('Authorization', `Bearer ${tellerToken}`)
+        .send({ permissions: ['audit:read'] });
+
+      expect(response.status).toBe(403);
+    });
+  });
+});
@@ -0,0 +1,104 @@
+const request = require('supertest');
+const express = require('express');
+const scheduledTransferRoutes = require('../../src/routes/scheduledTransfer');
+const prisma = require('../../src/db/client');
+const accountService = require('../../src/services/accountService');
+const authService = require('../../src/services/authService');
+const { errorHandler } = require('../../src/middleware/errorHandler');
+
+const app = express();
+app.use(express.json());
+app.use('/api/scheduled-transfers', scheduledTransferRoutes);
+app.use(errorHandler);
+
+describe('Scheduled Transfer Routes', () => {
+  let authToken;
+  let fromAccountId;
+  let toAccountId;
+  const startAt = () => new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+
+  beforeEach(async () => {
+    const customer = await prisma.customer.findFirst();
+    fromAccountId = (await accountService.createAccount(customer.id, 1000)).id;
+    toAccountId = (await accountService.createAccount(customer.id, 500)).id;
+    const loginResult = await authService.login('employee1', 'password123');
+    authToken = loginResult.token;
+  });
+
+  test('should create, list, pause and cancel a schedule', async () => {
+    const created = await request(app)
+      .post('/api/scheduled-transfers')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ fromAccountId, toAccountId, amount: '850.00', frequency: 'MONTHLY', startAt: startAt(), maxRuns: 12, description: 'Rent' });
+
+    expect(created.status).toBe(201);
+    expect(created.body.amount).toBe('850.00');
+    expect(created.body.frequency).toBe('MONTHLY');
+
+    const list = await request(app)
+      .get('/api/scheduled-transfers')
+      .query({ accountId: fromAccountId })
+      .set('Authorization', `Bearer ${authToken}`);
+
+    expect(list.status).toBe(200);
+    expect(list.body.total).toBe(1);
+
+    const paused = await request(app)
+      .post(`/api/scheduled-transfers/${created.body.id}/pause`)
+      .set('Authorization', `Bearer ${authToken}`);
+    expect(paused.body.status).toBe('PAUSED');
+
+    const cancelled = await request(app)
+      .post(`/api/scheduled-transfers/${created.body.id}/cancel`)
+      .set('Authorization', `Bearer ${authToken}`);
+    expect(cancelled.body.status).toBe('CANCELLED');
+
+    const again = await request(app)
+      .post(`/api/scheduled-transfers/${created.body.id}/pause`)
+      .set('Authorization', `Bearer ${authToken}`);
+    expect(again.status).toBe(409);
+  });
+
+  test('should return the schedule with its runs', async () => {
+    const created = await request(app)
+      .post('/api/scheduled-transfers')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ fromAccountId, toAccountId, amount: 10, startAt: startAt() });
+
+    const response = await request(app)
+      .get(`/api/scheduled-transfers/${created.body.id}`)
+      .set('Authorization', `Bearer ${authToken}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.runs).toEqual([]);
+  });
+
+  test('should return 400 when required fields are missing or invalid', async () => {
+    const missing = await request(app)
+      .post('/api/scheduled-transfers')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ fromAccountId, toAccountId, amount: 10 });
+    expect(missing.status).toBe(400);
+    expect(missing.body.errorMessage).toContain('required');
+
+    const badDate = await request(app)
+      .post('/api/scheduled-transfers')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ fromAccountId, toAccountId, amount: 10, startAt: 'tomorrow' });
+    expect(badDate.status).toBe(400);
+    expect(badDate.body.errorMessage).toBe('startAt must be a valid date');
+  });
+
+  test('should return 404 for unknown accounts and schedules', async () => {
+    const unknownAccount = await request(app)
+      .post('/api/scheduled-transfers')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ fromAccountId: 99999, toAccountId, amount: 10, startAt: startAt() });
+    expect(unknownAccount.status).toBe(404);
+
+    const unknownSchedule = await request(app)
+      .get('/api/scheduled-transfers/99999')
+      .set('Authorization', `Bearer ${authToken}`);
+    expect(unknownSchedule.status).toBe(404);
+  });
+});
@@ -0,0 +1,166 @@
+const request = require('supertest');
+const express = require('express');
+const transferRoutes = require('../../src/routes/transfer');
+const transferApprovalRoutes = require('../../src/routes/transferApproval');
+const prisma = require('../../src/db/client');
+const accountService = require('../../src/services/accountService');
+const authService = require('../../src/services/authService');
+const { errorHandler } = require('../../src/middleware/errorHandler');
+
+const app = express();
+app.use(express.json());
+app.use('/api/transfers', transferRoutes);
+app.use('/api/transfer-approvals', transferApprovalRoutes);
+app.use(errorHandler);
+
+describe('Transfer Approval Routes', () => {
+  let managerToken;
+  let tellerToken;
+  let sourceId;
+  let destinationId;
+
+  beforeEach(async () => {
+    managerToken = (await authService.login('manager1', 'password123')).token;
+    tellerToken = (await authService.login('employee1', 'password123')).token;
+
+    const customer = await prisma.customer.findFirst();
+    sourceId = (await accountService.createAccount(customer.id, 20000)).id;
+    destinationId = (await accountService.createAccount(customer.id, 100)).id;
+  });
+
+  function requestTransfer(amount, token = tellerToken) {
+    return request(app)
+      .post('/api/transfers')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ fromAccountId: sourceId, toAccountId: destinationId, amount });
+  }
+
+  describe('POST /api/transfers', () => {
+    test('should queue transfers above the threshold with 202', async () => {
+      const response = await requestTransfer(7500);
+
+      expect(response.status).toBe(202);
+      expect(response.body.approval).toMatchObject({
+        fromAccountId: sourceId,
+        toAccountId: destinationId,
+        amount: '7500.00',
+        status: 'PENDING'
+      });
+
+      const balance = await accountService.getBalance(sourceId);
+      expect(balance.balance).toBe('20000.00');
+    });
+
+    test('should execute transfers at the threshold straight away', async () => {
+      const response = await requestTransfer(5000);
+
+      expect(response.status).toBe(201);
+      expect(response.body.transfer.amount).toBe('5000.00');
+    });
+  });
+
+  describe('GET /api/transfer-approvals', () => {
+    test('should list pending requests for managers', async () => {
+      const queued = await requestTransfer(7500);
+
+      const response = await request(app)
+        .get('/api/transfer-approvals?status=PENDING')
+        .set('Authorization', `Bearer ${managerToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.total).toBe(1);
+      expect(response.body.items[0].id).toBe(queued.body.approval.id);
+    });
+
+    test('should not let tellers see the queue', async () => {
+      const response = await request(app)
+        .get('/api/transfer-approvals')
+        .set('Authorization', `Bearer ${tellerToken}`);
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('GET /api/transfer-approvals/:id', () => {
+    test('should let the requester follow their request', async () => {
+      const queued = await requestTransfer(7500);
+
+      const response = await request(app)
+        .get(`/api/transfer-approvals/${queued.body.approval.id}`)
+        .set('Authorization', `Bearer ${tellerToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.status).toBe('PENDING');
+    });
+
+    test('should return 404 for unknown requests', async () => {
+      const response = await request(app)
+        .get('/api/transfer-approvals/99999')
+        .set('Authorization', `Bearer ${tellerToken}`);
+
+      expect(response.status).toBe(404);
+      expect(response.body.code).toBe('APPROVAL_NOT_FOUND');
+    });
+  });
+
+  describe('POST /api/transfer-approvals/:id/approve and /reject', () => {
+    test('should execute the transfer when a manager approves', async () => {
+      const queued = await requestTransfer(7500);
+
+      const response = await request(app)
+        .post(`/api/transfer-approvals/${queued.body.approval.id}/approve`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ reason: 'Verified with the customer' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.approval.status).toBe('APPROVED');
+      expect(response.body.transfer.amount).toBe('7500.00');
+      expect(response.body.fromAccount.balance).toBe('12500.00');
+    });
+
+    test('should refuse to approve a manager\'s own request', async () => {
+      const queued = await requestTransfer(7500, managerToken);
+
+      const response = await request(app)
+        .post(`/api/transfer-approvals/${queued.body.approval.id}/approve`)
+        .set('Authorization', `Bearer ${managerToken}`);
+
+      expect(response.status).toBe(403);
+      expect(response.body.code).toBe('SELF_APPROVAL_NOT_ALLOWED');
+    });
+
+    test('should not let tellers approve', async () => {
+      const queued = await requestTransfer(7500);
+
+      const response = await request(app)
+        .post(`/api/transfer-approvals/${queued.body.approval.id}/approve`)
+        .set('Authorization', `Bearer ${tellerToken}`);
+
+      expect(response.status).toBe(403);
+    });
+
+    test('should reject with a reason and refuse a later approval', async () => {
+      const queued = await requestTransfer(7500);
+      const id = queued.body.approval.id;
+
+      const missingReason = await request(app)
+        .post(`/api/transfer-approvals/${id}/reject`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({});
+      expect(missingReason.status).toBe(400);
+
+      const rejected = await request(app)
+        .post(`/api/transfer-approvals/${id}/reject`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ reason: 'Customer did not confirm' });
+      expect(rejected.status).toBe(200);
+      expect(rejected.body.status).toBe('REJECTED');
+
+      const approved = await request(app)
+        .post(`/api/transfer-approvals/${id}/approve`)
+        .set('Authorization', `Bearer ${managerToken}`);
+      expect(approved.status).toBe(409);
+      expect(approved.body.code).toBe('APPROVAL_NOT_PENDING');
+    });
+  });
+});
@@ -0,0 +1,122 @@
+const request = require('supertest');
+const express = require('express');
+const accountRoutes = require('../../src/routes/account');
+const transferRoutes = require('../../src/routes/transfer');
+const customerRoutes = require('../../src/routes/customer');
+const accountService = require('../../src/services/accountService');
+const authService = require('../../src/services/authService');
+const { validateRequest } = require('../../src/middleware/validate');
+const prisma = require('../../src/db/client');
+const { errorHandler } = require('../../src/middleware/errorHandler');
+
+const app = express();
+app.use(express.json());
+app.use('/api/accounts', accountRoutes);
+app.use('/api/transfers', transferRoutes);
+app.use('/api/customers', customerRoutes);
+app.use(errorHandler);
+
+describe('OpenAPI Request Validation', () => {
+  let authToken;
+  let customerId;
+
+  beforeEach(async () => {
+    authToken = (await authService.login('employee1', 'password123')).token;
+    customerId = (await prisma.customer.findFirst()).id;
+  });
+
+  test('should list every invalid field in one 400 response', async () => {
+    const response = await request(app)
+      .post('/api/transfers')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ fromAccountId: 'one', amount: 'abc' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.errors).toEqual([
+      { location: 'body', field: 'toAccountId', message: 'toAccountId is required' },
+      { location: 'body', field: 'fromAccountId', message: 'fromAccountId must be an integer' },
+      { location: 'body', field: 'amount', message: 'amount must be a number or decimal string with at most two decimal places' }
+    ]);
+    expect(response.body.errorMessage).toContain('toAccountId is required');
+  });
+
+  test('should pass a zero amount through to the business rules', async () => {
+    const response = await request(app)
+      .post('/api/accounts')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ customerId, initialDeposit: 0 });
+
+    expect(response.status).toBe(400);
+    expect(response.body.errors).toBeUndefined();
+    expect(response.body.errorMessage).toBe('Initial Deposit must be greater Zero');
+  });
+
+  test('should validate query strings against their documented types', async () => {
+    const account = await accountService.createAccount(customerId, 100);
+
+    const response = await request(app)
+      .get(`/api/accounts/${account.id}/transfers?limit=0&direction=sideways`)
+      .set('Authorization', `Bearer ${authToken}`);
+
+    expect(response.status).toBe(400);
+    expect(response.body.errors).toEqual([
+      { location: 'query', field: 'limit', message: 'limit must be at least 1' },
+      { location: 'query', field: 'direction', message: 'direction must be one of: incoming, outgoing' }
+    ]);
+  });
+
+  test('should hand converted query values to the route', async () => {
+    await prisma.customer.create({ data: { name: 'Zed Last' } });
+
+    const response = await request(app)
+      .get('/api/customers?limit=1&offset=1')
+      .set('Authorization', `Bearer ${authToken}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.limit).toBe(1);
+    expect(response.body.offset).toBe(1);
+  });
+
+  test('should check permissions before validating', async () => {
+    const response = await request(app)
+      .post('/api/accounts/abc/freeze')
+      .set('Authorization', `Bearer ${authToken}`);
+
+    expect(response.status).toBe(403);
+  });
+});
+
+describe('OpenAPI Response Validation', () => {
+  const testApp = express();
+  testApp.get('/api/accounts/:id', validateRequest(), (req, res) => {
+    res.json({ id: req.params.id, balance: 100 });
+  });
+  testApp.get('/api/not-documented', validateRequest(), (req, res) => res.json({}));
+  testApp.use((error, req, res, next) => res.status(500).json({ errorMessage: error.message }));
+
+  test('should fail responses that do not match the documentation in tests', async () => {
+    const response = await request(testApp).get('/api/accounts/1');
+
+    expect(response.status).toBe(500);
+    expect(response.body.errors).toEqual([
+      { field: 'response.balance', message: 'response.balance must be a string' }
+    ]);
+  });
+
+  test('should refuse routes that are missing from the documentation', async () => {
+    const response = await request(testApp).get('/api/not-documented');
+
+    expect(response.status).toBe(500);
+    expect(response.body.errorMessage).toBe('GET /api/not-documented is not documented in the OpenAPI spec');
+  });
+
+  test('should skip response checks when disabled', async () => {
+    process.env.OPENAPI_VALIDATE_RESPONSES = 'false';
+    try {
+      const response = await request(testApp).get('/api/accounts/1');
+      expect(response.status).toBe(200);
+    } finally {
+      delete process.env.OPENAPI_VALIDATE_RESPONSES;
+    }
+  });
+});
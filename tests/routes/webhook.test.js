@@ -0,0 +1,123 @@
+const request = require('supertest');
+const express = require('express');
+const webhookRoutes = require('../../src/routes/webhook');
+const authService = require('../../src/services/authService');
+const { errorHandler } = require('../../src/middleware/errorHandler');
+
+const app = express();
+app.use(express.json());
+app.use('/api/webhooks', webhookRoutes);
+app.use(errorHandler);
+
+describe('Webhook Routes', () => {
+  let managerToken;
+  let tellerToken;
+
+  beforeEach(async () => {
+    managerToken = (await authService.login('manager1', 'password123')).token;
+    tellerToken = (await authService.login('employee1', 'password123')).token;
+  });
+
+  function createSubscription(body, token = managerToken) {
+    return request(app)
+      .post('/api/webhooks')
+      .set('Authorization', `Bearer ${token}`)
+      .send(body);
+  }
+
+  describe('POST /api/webhooks', () => {
+    test('should create a subscription and return its secret', async () => {
+      const response = await createSubscription({
+        url: 'https://ledger-sync.example.com/hooks',
+        events: ['transfer.completed', 'account.created'],
+        description: 'Ledger sync'
+      });
+
+      expect(response.status).toBe(201);
+      expect(response.body).toMatchObject({
+        url: 'https://ledger-sync.example.com/hooks',
+        events: ['transfer.completed', 'account.created'],
+        isActive: true
+      });
+      expect(response.body.secret).toMatch(/^whsec_/);
+    });
+
+    test('should reject unknown event types', async () => {
+      const response = await createSubscription({ url: 'https://example.com/hooks', events: ['money.printed'] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.code).toBe('VALIDATION_ERROR');
+    });
+
+    test('should be limited to managers', async () => {
+      const response = await createSubscription({ url: 'https://example.com/hooks', events: ['account.created'] }, tellerToken);
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('GET /api/webhooks', () => {
+    test('should list subscriptions without their secrets', async () => {
+      await createSubscription({ url: 'https://example.com/hooks', events: ['account.created'] });
+
+      const response = await request(app)
+        .get('/api/webhooks')
+        .set('Authorization', `Bearer ${managerToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.total).toBe(1);
+      expect(response.body.items[0].secret).toBeUndefined();
+    });
+  });
+
+  describe('POST /api/webhooks/:id/disable', () => {
+    test('should disable a subscription once', async () => {
+      const { body: subscription } = await createSubscription({ url: 'https://example.com/hooks', events: ['account.created'] });
+
+      const first = await request(app)
+        .post(`/api/webhooks/${subscription.id}/disable`)
+        .set('Authorization', `Bearer ${managerToken}`);
+      const second = await request(app)
+        .post(`/api/webhooks/${subscription.id}/disable`)
+        .set('Authorization', `Bearer ${managerToken}`);
+
+      expect(first.status).toBe(200);
+      expect(first.body.isActive).toBe(false);
+      expect(second.status).toBe(409);
+      expect(second.body.code).toBe('WEBHOOK_SUBSCRIPTION_DISABLED');
+    });
+  });
+
+  describe('GET /api/webhooks/:id/deliveries', () => {
+    test('should return an empty page for a new subscription', async () => {
+      const { body: subscription } = await createSubscription({ url: 'https://example.com/hooks', events: ['account.created'] });
+
+      const response = await request(app)
+        .get(`/api/webhooks/${subscription.id}/deliveries?status=DEAD`)
+        .set('Authorization', `Bearer ${managerToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ total: 0, limit: 20, offset: 0, items: [] });
+    });
+
+    test('should return 404 for an unknown subscription', async () => {
+      const response = await request(app)
+        .get('/api/webhooks/999999/deliveries')
+        .set('Authorization', `Bearer ${managerToken}`);
+
+      expect(response.status).toBe(404);
+      expect(response.body.code).toBe('WEBHOOK_SUBSCRIPTION_NOT_FOUND');
+    });
+  });
+
+  describe('POST /api/webhooks/deliveries/:id/redeliver', () => {
+    test('should return 404 for an unknown delivery', async () => {
+      const response = await request(app)
+        .post('/api/webhooks/deliveries/999999/redeliver')
+        .set('Authorization', `Bearer ${managerToken}`);
+
+      expect(response.status).toBe(404);
+      expect(response.body.code).toBe('WEBHOOK_DELIVERY_NOT_FOUND');
+    });
+  });
+});
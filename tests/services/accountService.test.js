@@ -19,7 +19,21 @@ describe('Account Service', () => {
       expect(account).toBeDefined();
       expect(account.id).toBeDefined();
       expect(account.customerId).toBe(customerId);
-      expect(account.balance).toBe(initialDeposit);
+      expect(account.balance).toBe('0.10');
+    });
+
+    test('should accept decimal strings and store exact cents', async () => {
+      const account = await accountService.createAccount(customerId, '1234.56');
+
+      const stored = await prisma.account.findUnique({ where: { id: account.id } });
+      expect(Number(stored.balanceCents)).toBe(123456);
+      expect(account.balance).toBe('1234.56');
+    });
+
+    test('should throw error when initial deposit has more than two decimal places', async () => {
+      await expect(
+        accountService.createAccount(customerId, 10.005)
+      ).rejects.toThrow('Amount cannot have more than two decimal places');
     });
 
     test('should throw error when customer does not exist', async () => {
@@ -53,7 +67,7 @@ describe('Account Service', () => {
 
       expect(balance).toBeDefined();
       expect(balance.accountId).toBe(account.id);
-      expect(balance.balance).toBe(500);
+      expect(balance.balance).toBe('500.00');
     });
 
     test('should throw error when account does not exist', async () => {
@@ -64,5 +78,57 @@ describe('Account Service', () => {
       ).rejects.toThrow('Account not found');
     });
   });
-});
 
+  describe('account status', () => {
+    let accountId;
+
+    beforeEach(async () => {
+      const account = await accountService.createAccount(customerId, 100);
+      accountId = account.id;
+    });
+
+    test('should start new accounts as ACTIVE', async () => {
+      const balance = await accountService.getBalance(accountId);
+      expect(balance.status).toBe('ACTIVE');
+    });
+
+    test('should freeze and unfreeze an account', async () => {
+      const frozen = await accountService.freezeAccount(accountId, null, 'Suspicious activity');
+      expect(frozen.status).toBe('FROZEN');
+      expect(frozen.statusReason).toBe('Suspicious activity');
+
+      const active = await accountService.unfreezeAccount(accountId);
+      expect(active.status).toBe('ACTIVE');
+    });
+
+    test('should audit status changes', async () => {
+      await accountService.freezeAccount(accountId, null, 'Suspicious activity');
+
+      const entry = await prisma.auditLog.findFirst({ where: { action: 'ACCOUNT_STATUS_CHANGED', entityId: accountId } });
+      expect(JSON.parse(entry.details)).toEqual({ from: 'ACTIVE', to: 'FROZEN', reason: 'Suspicious activity' });
+    });
+
+    test('should reject transitions that are not allowed', async () => {
+      await expect(accountService.unfreezeAccount(accountId)).rejects.toThrow('Cannot change account status from ACTIVE to ACTIVE');
+
+      await accountService.freezeAccount(accountId);
+      await expect(accountService.closeAccount(accountId)).rejects.toThrow('Cannot change account status from FROZEN to CLOSED');
+    });
+
+    test('should refuse to close an account with a balance', async () => {
+      await expect(accountService.closeAccount(accountId)).rejects.toThrow('Account balance must be zero before closing');
+    });
+
+    test('should close a zero-balance account and keep it closed', async () => {
+      await prisma.account.update({ where: { id: accountId }, data: { balanceCents: 0 } });
+
+      const closed = await accountService.closeAccount(accountId);
+      expect(closed.status).toBe('CLOSED');
+      await expect(accountService.freezeAccount(accountId)).rejects.toThrow('Cannot change account status from CLOSED to FROZEN');
+    });
+
+    test('should throw error when account does not exist', async () => {
+      await expect(accountService.freezeAccount(99999)).rejects.toThrow('Account not found');
+    });
+  });
+});
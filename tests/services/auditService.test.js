@@ -0,0 +1,140 @@
+const auditService = require('../../src/services/auditService');
+const accountService = require('../../src/services/accountService');
+const transferService = require('../../src/services/transferService');
+const authService = require('../../src/services/authService');
+const prisma = require('../../src/db/client');
+
+const { AUDIT_ACTIONS } = auditService;
+
+describe('Audit Service', () => {
+  let customerId;
+  let employee;
+
+  beforeEach(async () => {
+    const customer = await prisma.customer.findFirst();
+    customerId = customer.id;
+    employee = await prisma.employee.findUnique({ where: { username: 'employee1' } });
+  });
+
+  describe('recordAudit', () => {
+    test('should store details as JSON', async () => {
+      const entry = await auditService.recordAudit({
+        employeeId: employee.id,
+        action: AUDIT_ACTIONS.LOGIN_SUCCEEDED,
+        details: { note: 'hello' }
+      });
+
+      expect(entry.id).toBeDefined();
+      expect(JSON.parse(entry.details)).toEqual({ note: 'hello' });
+    });
+
+    test('should reject unknown actions', async () => {
+      await expect(
+        auditService.recordAudit({ action: 'SOMETHING_ELSE' })
+      ).rejects.toThrow('Unknown audit action');
+    });
+
+    test('should refuse to update an existing entry', async () => {
+      const entry = await auditService.recordAudit({ action: AUDIT_ACTIONS.LOGIN_FAILED });
+
+      await expect(
+        prisma.auditLog.update({ where: { id: entry.id }, data: { action: AUDIT_ACTIONS.LOGIN_SUCCEEDED } })
+      ).rejects.toThrow();
+    });
+  });
+
+  describe('tracking mutating actions', () => {
+    test('should record the employee who created an account', async () => {
+      const account = await accountService.createAccount(customerId, 100, employee.id);
+
+      expect(account.createdByEmployeeId).toBe(employee.id);
+
+      const { items } = await auditService.listAuditLogs({ action: AUDIT_ACTIONS.ACCOUNT_CREATED });
+      expect(items).toHaveLength(1);
+      expect(items[0].employeeId).toBe(employee.id);
+      expect(items[0].entityId).toBe(account.id);
+      expect(items[0].details.initialDeposit).toBe('100.00');
+    });
+
+    test('should record failed account creation', async () => {
+      await expect(
+        accountService.createAccount(99999, 100, employee.id)
+      ).rejects.toThrow('Customer not found');
+
+      const { items } = await auditService.listAuditLogs({ action: AUDIT_ACTIONS.ACCOUNT_CREATE_FAILED });
+      expect(items).toHaveLength(1);
+      expect(items[0].details.reason).toBe('Customer not found');
+    });
+
+    test('should record the employee who executed a transfer', async () => {
+      const account1 = await accountService.createAccount(customerId, 1000, employee.id);
+      const account2 = await accountService.createAccount(customerId, 500, employee.id);
+
+      const { transfer } = await transferService.accountTransfer(account1.id, account2.id, 100, employee.id);
+
+      expect(transfer.executedByEmployeeId).toBe(employee.id);
+
+      const { items } = await auditService.listAuditLogs({ action: AUDIT_ACTIONS.TRANSFER_COMPLETED });
+      expect(items).toHaveLength(1);
+      expect(items[0].entityType).toBe('Transfer');
+      expect(items[0].entityId).toBe(transfer.id);
+    });
+
+    test('should record failed transfers even though the transaction rolls back', async () => {
+      const account1 = await accountService.createAccount(customerId, 100, employee.id);
+      const account2 = await accountService.createAccount(customerId, 100, employee.id);
+
+      await expect(
+        transferService.accountTransfer(account1.id, account2.id, 500, employee.id)
+      ).rejects.toThrow('Insufficient funds');
+
+      const { items } = await auditService.listAuditLogs({ action: AUDIT_ACTIONS.TRANSFER_FAILED });
+      expect(items).toHaveLength(1);
+      expect(items[0].employeeId).toBe(employee.id);
+      expect(items[0].details.reason).toBe('Insufficient funds');
+    });
+
+    test('should record successful and failed logins', async () => {
+      await authService.login('employee1', 'password123', '127.0.0.1');
+      await expect(authService.login('employee1', 'wrong')).rejects.toThrow('Invalid credentials');
+      await expect(authService.login('nobody', 'wrong')).rejects.toThrow('Invalid credentials');
+
+      const succeeded = await auditService.listAuditLogs({ action: AUDIT_ACTIONS.LOGIN_SUCCEEDED });
+      const failed = await auditService.listAuditLogs({ action: AUDIT_ACTIONS.LOGIN_FAILED });
+
+      expect(succeeded.total).toBe(1);
+      expect(succeeded.items[0].ipAddress).toBe('127.0.0.1');
+      expect(failed.total).toBe(2);
+    });
+  });
+
+  describe('listAuditLogs', () => {
+    test('should filter by employee, entity and date range', async () => {
+      const manager = await prisma.employee.findUnique({ where: { username: 'manager1' } });
+      const account = await accountService.createAccount(customerId, 100, employee.id);
+      await accountService.createAccount(customerId, 100, manager.id);
+
+      const byEmployee = await auditService.listAuditLogs({ employeeId: manager.id });
+      expect(byEmployee.total).toBe(1);
+      expect(byEmployee.items[0].employee.username).toBe('manager1');
+
+      const byEntity = await auditService.listAuditLogs({ entityType: 'Account', entityId: account.id });
+      expect(byEntity.total).toBe(1);
+
+      const future = await auditService.listAuditLogs({ from: new Date(Date.now() + 60000) });
+      expect(future.total).toBe(0);
+    });
+
+    test('should paginate results newest first', async () => {
+      for (let i = 0; i < 3; i++) {
+        await auditService.recordAudit({ action: AUDIT_ACTIONS.LOGIN_FAILED, details: { attempt: i } });
+      }
+
+      const page = await auditService.listAuditLogs({ limit: 2, offset: 0 });
+
+      expect(page.total).toBe(3);
+      expect(page.items).toHaveLength(2);
+      expect(page.items[0].details.attempt).toBe(2);
+    });
+  });
+});
@@ -30,6 +30,23 @@ describe('Auth Service', () => {
       ).rejects.toThrow('Invalid credentials');
     });
 
+    test('should find the employee whatever the casing of the username', async () => {
+      const result = await authService.login(' Employee1 ', 'password123');
+
+      expect(result.employee.employeeId).toBe(employee.id);
+      expect(result.employee.username).toBe('employee1');
+    });
+
+    test('should check a password even when the username is unknown', async () => {
+      const compare = jest.spyOn(bcrypt, 'compare');
+      try {
+        await expect(authService.login('invaliduser', 'password123')).rejects.toThrow('Invalid credentials');
+        expect(compare).toHaveBeenCalledTimes(1);
+      } finally {
+        compare.mockRestore();
+      }
+    });
+
     test('should throw error with invalid password', async () => {
       await expect(
         authService.login('employee1', 'wrongpassword')
@@ -45,6 +62,104 @@ describe('Auth Service', () => {
       expect(decoded.employeeId).toBe(employee.id);
       expect(decoded.username).toBe('employee1');
       expect(decoded.role).toBe('teller');
+      expect(decoded.sessionId).toEqual(expect.any(Number));
+    });
+
+    test('should open a session and store only the refresh token hash', async () => {
+      const result = await authService.login('employee1', 'password123');
+
+      expect(result.refreshToken).toEqual(expect.any(String));
+      expect(result.refreshTokenExpiresAt.getTime()).toBeGreaterThan(Date.now());
+
+      const stored = await prisma.refreshToken.findMany();
+      expect(stored).toHaveLength(1);
+      expect(stored[0].tokenHash).not.toBe(result.refreshToken);
+
+      const session = await prisma.authSession.findUnique({ where: { id: stored[0].sessionId } });
+      expect(session.employeeId).toBe(employee.id);
+      expect(session.revokedAt).toBeNull();
+    });
+  });
+
+  describe('refresh', () => {
+    test('should rotate the refresh token within the same session', async () => {
+      const jwt = require('jsonwebtoken');
+      const first = await authService.login('employee1', 'password123');
+      const second = await authService.refresh(first.refreshToken);
+
+      expect(second.refreshToken).not.toBe(first.refreshToken);
+      expect(jwt.decode(second.token).sessionId).toBe(jwt.decode(first.token).sessionId);
+      expect(second.employee.username).toBe('employee1');
+
+      const tokens = await prisma.refreshToken.findMany({ orderBy: { id: 'asc' } });
+      expect(tokens).toHaveLength(2);
+      expect(tokens[0].usedAt).not.toBeNull();
+      expect(tokens[1].usedAt).toBeNull();
+    });
+
+    test('should reject unknown and expired refresh tokens', async () => {
+      await expect(authService.refresh('not-a-token')).rejects.toThrow('Invalid refresh token');
+
+      const { refreshToken } = await authService.login('employee1', 'password123');
+      await prisma.refreshToken.updateMany({ data: { expiresAt: new Date(Date.now() - 1000) } });
+
+      await expect(authService.refresh(refreshToken)).rejects.toThrow('Invalid refresh token');
+    });
+
+    test('should revoke the session when a used refresh token is presented again', async () => {
+      const first = await authService.login('employee1', 'password123');
+      const second = await authService.refresh(first.refreshToken);
+
+      await expect(authService.refresh(first.refreshToken)).rejects.toThrow('Invalid refresh token');
+
+      // The legitimate holder is signed out too
+      await expect(authService.refresh(second.refreshToken)).rejects.toThrow('Invalid refresh token');
+
+      const sessions = await prisma.authSession.findMany();
+      expect(sessions[0].revokedAt).not.toBeNull();
+
+      const audit = await prisma.auditLog.findFirst({ where: { action: 'REFRESH_TOKEN_REUSED' } });
+      expect(audit.employeeId).toBe(employee.id);
+    });
+  });
+
+  describe('logout and revocation', () => {
+    test('should revoke only the current session on logout', async () => {
+      const jwt = require('jsonwebtoken');
+      const first = await authService.login('employee1', 'password123');
+      const second = await authService.login('employee1', 'password123');
+      const firstSessionId = jwt.decode(first.token).sessionId;
+      const secondSessionId = jwt.decode(second.token).sessionId;
+
+      await authService.logout(firstSessionId, employee.id);
+
+      expect(await authService.findActiveSession(firstSessionId, employee.id)).toBeNull();
+      expect(await authService.findActiveSession(secondSessionId, employee.id)).not.toBeNull();
+      await expect(authService.refresh(first.refreshToken)).rejects.toThrow('Invalid refresh token');
+    });
+
+    test('should revoke every open session of an employee', async () => {
+      const manager = await prisma.employee.findUnique({ where: { username: 'manager1' } });
+      await authService.login('employee1', 'password123');
+      await authService.login('employee1', 'password123');
+
+      const result = await authService.revokeEmployeeSessions(employee.id, manager.id);
+
+      expect(result).toEqual({ employeeId: employee.id, revokedSessions: 2 });
+      const open = await prisma.authSession.count({ where: { employeeId: employee.id, revokedAt: null } });
+      expect(open).toBe(0);
+
+      const audit = await prisma.auditLog.findFirst({ where: { action: 'SESSIONS_REVOKED' } });
+      expect(audit.employeeId).toBe(manager.id);
+      expect(audit.entityId).toBe(employee.id);
+    });
+
+    test('should throw when revoking sessions of a missing employee', async () => {
+      await expect(authService.revokeEmployeeSessions(999999, employee.id)).rejects.toThrow('Employee not found');
+    });
+
+    test('should treat tokens without a session as inactive', async () => {
+      expect(await authService.findActiveSession(undefined, employee.id)).toBeNull();
     });
   });
 });
@@ -0,0 +1,144 @@
+const cashService = require('../../src/services/cashService');
+const accountService = require('../../src/services/accountService');
+const transactionService = require('../../src/services/transactionService');
+const transferService = require('../../src/services/transferService');
+const ledgerService = require('../../src/services/ledgerService');
+const prisma = require('../../src/db/client');
+
+describe('Cash Service', () => {
+  let customerId;
+  let accountId;
+
+  beforeEach(async () => {
+    const customer = await prisma.customer.findFirst();
+    customerId = customer.id;
+    const account = await accountService.createAccount(customerId, 500);
+    accountId = account.id;
+  });
+
+  describe('deposit', () => {
+    test('should increase the balance and record the transaction', async () => {
+      const result = await cashService.deposit(accountId, 250.25, null, 'Counter deposit');
+
+      expect(result.transaction.type).toBe('DEPOSIT');
+      expect(result.transaction.amount).toBe('250.25');
+      expect(result.transaction.description).toBe('Counter deposit');
+      expect(result.account.balance).toBe('750.25');
+    });
+
+    test('should post against the bank funding account', async () => {
+      const { transaction } = await cashService.deposit(accountId, 100);
+
+      const entry = await prisma.journalEntry.findUnique({
+        where: { cashTransactionId: transaction.id },
+        include: { postings: true }
+      });
+      const funding = await ledgerService.getFundingAccount();
+
+      expect(entry.type).toBe('CASH_DEPOSIT');
+      expect(entry.postings.find(p => p.direction === 'DEBIT').accountId).toBe(funding.id);
+      expect(entry.postings.find(p => p.direction === 'CREDIT').accountId).toBe(accountId);
+    });
+
+    test('should throw error when account does not exist', async () => {
+      await expect(cashService.deposit(99999, 100)).rejects.toThrow('Account not found');
+    });
+
+    test('should throw error when amount is not positive', async () => {
+      await expect(cashService.deposit(accountId, 0)).rejects.toThrow('Amount must be positive and more than Zero');
+    });
+  });
+
+  describe('withdraw', () => {
+    test('should decrease the balance', async () => {
+      const result = await cashService.withdraw(accountId, 200);
+
+      expect(result.transaction.type).toBe('WITHDRAWAL');
+      expect(result.account.balance).toBe('300.00');
+    });
+
+    test('should throw error when insufficient funds', async () => {
+      await expect(cashService.withdraw(accountId, 500.01)).rejects.toThrow('Insufficient funds');
+
+      const balance = await accountService.getBalance(accountId);
+      expect(balance.balance).toBe('500.00');
+      expect(await prisma.cashTransaction.count()).toBe(0);
+    });
+
+    test('should audit failed withdrawals', async () => {
+      await expect(cashService.withdraw(accountId, 1000)).rejects.toThrow('Insufficient funds');
+
+      const entry = await prisma.auditLog.findFirst({ where: { action: 'CASH_TRANSACTION_FAILED' } });
+      expect(JSON.parse(entry.details).reason).toBe('Insufficient funds');
+    });
+  });
+
+  describe('account status', () => {
+    test('should accept deposits but refuse withdrawals on a frozen account', async () => {
+      await accountService.freezeAccount(accountId);
+
+      const result = await cashService.deposit(accountId, 10);
+      expect(result.account.balance).toBe('510.00');
+      await expect(cashService.withdraw(accountId, 10)).rejects.toThrow('Account is frozen');
+    });
+
+    test('should refuse cash transactions on a closed account', async () => {
+      await cashService.withdraw(accountId, 500);
+      await accountService.closeAccount(accountId);
+
+      await expect(cashService.deposit(accountId, 10)).rejects.toThrow('Account is closed');
+    });
+  });
+
+  describe('getAccountTransactions', () => {
+    test('should combine transfers and cash transactions newest first', async () => {
+      const other = await accountService.createAccount(customerId, 100);
+      await cashService.deposit(accountId, 50);
+      await new Promise(resolve => setTimeout(resolve, 10));
+      await transferService.accountTransfer(accountId, other.id, 25);
+      await new Promise(resolve => setTimeout(resolve, 10));
+      await cashService.withdraw(accountId, 10);
+
+      const feed = await transactionService.getAccountTransactions(accountId);
+
+      expect(feed.total).toBe(3);
+      expect(feed.items.map(item => [item.type, item.direction, item.amount])).toEqual([
+        ['WITHDRAWAL', 'OUT', '10.00'],
+        ['TRANSFER', 'OUT', '25.00'],
+        ['DEPOSIT', 'IN', '50.00']
+      ]);
+      expect(feed.items[1].counterparty.accountId).toBe(other.id);
+    });
+
+    test('should page through both sources with cursors, including equal timestamps', async () => {
+      const other = await accountService.createAccount(customerId, 100);
+      await cashService.deposit(accountId, 1);
+      await transferService.accountTransfer(accountId, other.id, 2);
+      await cashService.deposit(accountId, 3);
+      await transferService.accountTransfer(accountId, other.id, 4);
+      await cashService.withdraw(accountId, 5);
+      // A cash transaction and a transfer at the same instant
+      const cash = await prisma.cashTransaction.findFirst({ where: { accountId }, orderBy: { id: 'asc' } });
+      const transfer = await prisma.transfer.findFirst({ where: { fromAccountId: accountId }, orderBy: { id: 'desc' } });
+      await prisma.cashTransaction.update({ where: { id: cash.id }, data: { timestamp: transfer.timestamp } });
+
+      const all = (await transactionService.getAccountTransactions(accountId, { limit: 10 })).items;
+      const pages = [];
+      let page = await transactionService.getAccountTransactions(accountId, { limit: 2 });
+      pages.push(page);
+      while (page.nextCursor) {
+        page = await transactionService.getAccountTransactions(accountId, { limit: 2, cursor: page.nextCursor });
+        pages.push(page);
+      }
+
+      expect(pages.map(p => p.items.length)).toEqual([2, 2, 1]);
+      expect(pages.flatMap(p => p.items)).toEqual(all);
+      expect(pages[0].prevCursor).toBeNull();
+
+      const back = await transactionService.getAccountTransactions(accountId, { limit: 2, cursor: pages[2].prevCursor });
+      expect(back.items).toEqual(pages[1].items);
+      await expect(transactionService.getAccountTransactions(accountId, { cursor: 'nonsense' }))
+        .rejects.toMatchObject({ code: 'INVALID_CURSOR' });
+    });
+  });
+});
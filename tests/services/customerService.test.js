@@ -0,0 +1,133 @@
+const customerService = require('../../src/services/customerService');
+const accountService = require('../../src/services/accountService');
+const prisma = require('../../src/db/client');
+
+describe('Customer Service', () => {
+  describe('createCustomer', () => {
+    test('should create customer with normalised fields', async () => {
+      const customer = await customerService.createCustomer({
+        name: '  Ada Lovelace ',
+        email: 'Ada@Example.com',
+        phone: '+1 555 010 0000'
+      });
+
+      expect(customer.id).toBeDefined();
+      expect(customer.name).toBe('Ada Lovelace');
+      expect(customer.email).toBe('ada@example.com');
+    });
+
+    test('should throw error when name is missing', async () => {
+      await expect(
+        customerService.createCustomer({ email: 'x@example.com' })
+      ).rejects.toThrow('Customer name is required');
+    });
+
+    test('should throw error for invalid email', async () => {
+      await expect(
+        customerService.createCustomer({ name: 'Bad Email', email: 'not-an-email' })
+      ).rejects.toThrow('Invalid email address');
+    });
+
+    test('should throw error for invalid phone', async () => {
+      await expect(
+        customerService.createCustomer({ name: 'Bad Phone', phone: 'call me' })
+      ).rejects.toThrow('Invalid phone number');
+    });
+
+    test('should throw error for duplicate email', async () => {
+      await customerService.createCustomer({ name: 'First', email: 'dup@example.com' });
+
+      await expect(
+        customerService.createCustomer({ name: 'Second', email: 'DUP@example.com' })
+      ).rejects.toThrow('A customer with this email already exists');
+    });
+
+    test('should report an email taken by a concurrent request as a conflict', async () => {
+      // The email was free when checked, then the insert hit the unique index
+      const duplicate = Object.assign(new Error('Unique constraint failed on the fields: (`email`)'), {
+        code: 'P2002',
+        meta: { target: ['email'] }
+      });
+      const spy = jest.spyOn(prisma, '$transaction').mockRejectedValueOnce(duplicate);
+
+      try {
+        await expect(customerService.createCustomer({ name: 'Racer', email: 'race@example.com' }))
+          .rejects.toMatchObject({ status: 409, code: 'CUSTOMER_EMAIL_TAKEN' });
+      } finally {
+        spy.mockRestore();
+      }
+    });
+  });
+
+  describe('updateCustomer', () => {
+    test('should update only the provided fields', async () => {
+      const created = await customerService.createCustomer({ name: 'Grace Hopper', phone: '555-0100' });
+
+      const updated = await customerService.updateCustomer(created.id, { email: 'grace@example.com' });
+
+      expect(updated.name).toBe('Grace Hopper');
+      expect(updated.phone).toBe('555-0100');
+      expect(updated.email).toBe('grace@example.com');
+    });
+
+    test('should report an email taken by a concurrent request as a conflict', async () => {
+      const customer = await customerService.createCustomer({ name: 'Grace Hopper' });
+      const duplicate = Object.assign(new Error('Unique constraint failed on the fields: (`email`)'), {
+        code: 'P2002',
+        meta: { target: ['email'] }
+      });
+      const spy = jest.spyOn(prisma, '$transaction').mockRejectedValueOnce(duplicate);
+
+      try {
+        await expect(customerService.updateCustomer(customer.id, { email: 'race@example.com' }))
+          .rejects.toMatchObject({ status: 409, code: 'CUSTOMER_EMAIL_TAKEN' });
+      } finally {
+        spy.mockRestore();
+      }
+    });
+
+    test('should throw error when no fields are given', async () => {
+      const created = await customerService.createCustomer({ name: 'Nothing To Change' });
+
+      await expect(
+        customerService.updateCustomer(created.id, {})
+      ).rejects.toThrow('At least one of name, email or phone is required');
+    });
+
+    test('should throw error when customer does not exist', async () => {
+      await expect(
+        customerService.updateCustomer(99999, { name: 'Ghost' })
+      ).rejects.toThrow('Customer not found');
+    });
+  });
+
+  describe('listCustomers', () => {
+    test('should search by name fragment', async () => {
+      const result = await customerService.listCustomers({ search: 'bar' });
+
+      expect(result.total).toBe(1);
+      expect(result.items[0].name).toBe('Arisha Barron');
+    });
+
+    test('should paginate results ordered by name', async () => {
+      const page = await customerService.listCustomers({ limit: 2, offset: 1 });
+
+      expect(page.total).toBe(4);
+      expect(page.items.map(c => c.name)).toEqual(['Branden Gibson', 'Georgina Hazel']);
+    });
+  });
+
+  describe('getCustomerAccounts', () => {
+    test('should list only that customer\'s accounts', async () => {
+      const [first, second] = await prisma.customer.findMany({ orderBy: { id: 'asc' }, take: 2 });
+      await accountService.createAccount(first.id, 100);
+      await accountService.createAccount(first.id, 200);
+      await accountService.createAccount(second.id, 300);
+
+      const accounts = await customerService.getCustomerAccounts(first.id);
+
+      expect(accounts).toHaveLength(2);
+      expect(accounts.map(a => a.balance)).toEqual(['100.00', '200.00']);
+    });
+  });
+});
@@ -0,0 +1,150 @@
+const bcrypt = require('bcrypt');
+const jwt = require('jsonwebtoken');
+const employeeService = require('../../src/services/employeeService');
+const authService = require('../../src/services/authService');
+const prisma = require('../../src/db/client');
+
+describe('Employee Service', () => {
+  let teller;
+  let manager;
+
+  beforeEach(async () => {
+    teller = await prisma.employee.findUnique({ where: { username: 'employee1' } });
+    manager = await prisma.employee.findUnique({ where: { username: 'manager1' } });
+  });
+
+  describe('createEmployee', () => {
+    test('should create an employee with a hashed password', async () => {
+      const employee = await employeeService.createEmployee(
+        { username: ' JDoe ', password: 'secret-pass', name: 'Jane Doe' },
+        manager.id
+      );
+
+      expect(employee.username).toBe('jdoe');
+      expect(employee.role).toBe('teller');
+      expect(employee.isActive).toBe(true);
+      expect(employee.password).toBeUndefined();
+
+      const stored = await prisma.employee.findUnique({ where: { id: employee.id } });
+      expect(await bcrypt.compare('secret-pass', stored.password)).toBe(true);
+
+      const audit = await prisma.auditLog.findFirst({ where: { action: 'EMPLOYEE_CREATED' } });
+      expect(audit.employeeId).toBe(manager.id);
+      expect(audit.entityId).toBe(employee.id);
+
+      const login = await authService.login('jdoe', 'secret-pass');
+      expect(login.employee.username).toBe('jdoe');
+    });
+
+    test('should reject duplicate usernames, short passwords and unknown roles', async () => {
+      await expect(employeeService.createEmployee(
+        { username: 'employee1', password: 'secret-pass', name: 'Copy' }, manager.id
+      )).rejects.toThrow('An employee with this username already exists');
+
+      await expect(employeeService.createEmployee(
+        { username: 'shorty', password: 'short', name: 'Shorty' }, manager.id
+      )).rejects.toThrow('Password must be at least 8 characters');
+
+      await expect(employeeService.createEmployee(
+        { username: 'boss', password: 'secret-pass', name: 'Boss', role: 'admin' }, manager.id
+      )).rejects.toThrow('Role must be one of: teller, manager');
+
+      await expect(employeeService.createEmployee(
+        { username: 'no spaces', password: 'secret-pass', name: 'Spaces' }, manager.id
+      )).rejects.toThrow('Username must be');
+    });
+  });
+
+  describe('listEmployees', () => {
+    test('should filter by role and active flag without exposing passwords', async () => {
+      await employeeService.deactivateEmployee(teller.id, manager.id);
+
+      const active = await employeeService.listEmployees({ active: true });
+      expect(active.items.map(e => e.username)).toEqual(['manager1']);
+      expect(active.items[0].password).toBeUndefined();
+
+      const tellers = await employeeService.listEmployees({ role: 'teller' });
+      expect(tellers.total).toBe(1);
+      expect(tellers.items[0].isActive).toBe(false);
+    });
+  });
+
+  describe('deactivateEmployee', () => {
+    test('should deactivate, revoke sessions and block login', async () => {
+      await authService.login('employee1', 'password123');
+
+      const employee = await employeeService.deactivateEmployee(teller.id, manager.id);
+
+      expect(employee.isActive).toBe(false);
+      expect(employee.deactivatedAt).toBeInstanceOf(Date);
+      const open = await prisma.authSession.count({ where: { employeeId: teller.id, revokedAt: null } });
+      expect(open).toBe(0);
+
+      await expect(authService.login('employee1', 'password123'))
+        .rejects.toThrow('Employee account is deactivated');
+    });
+
+    test('should not let a manager deactivate themselves', async () => {
+      await expect(employeeService.deactivateEmployee(manager.id, manager.id))
+        .rejects.toThrow('Employees cannot deactivate themselves');
+    });
+
+    test('should reject deactivating twice', async () => {
+      await employeeService.deactivateEmployee(teller.id, manager.id);
+
+      await expect(employeeService.deactivateEmployee(teller.id, manager.id))
+        .rejects.toThrow('Employee is already deactivated');
+    });
+  });
+
+  describe('changeEmployeeRole', () => {
+    test('should change the role and audit the old and new values', async () => {
+      const employee = await employeeService.changeEmployeeRole(teller.id, 'manager', manager.id);
+
+      expect(employee.role).toBe('manager');
+      const audit = await prisma.auditLog.findFirst({ where: { action: 'EMPLOYEE_ROLE_CHANGED' } });
+      expect(JSON.parse(audit.details)).toEqual({ from: 'teller', to: 'manager' });
+    });
+
+    test('should not let an employee change their own role', async () => {
+      await expect(employeeService.changeEmployeeRole(manager.id, 'teller', manager.id))
+        .rejects.toThrow('Employees cannot change their own role');
+    });
+
+    test('should reject unknown roles and missing employees', async () => {
+      await expect(employeeService.changeEmployeeRole(teller.id, 'admin', manager.id))
+        .rejects.toThrow('Role must be one of');
+      await expect(employeeService.changeEmployeeRole(999999, 'manager', manager.id))
+        .rejects.toThrow('Employee not found');
+    });
+  });
+
+  describe('changePassword', () => {
+    test('should require the current password', async () => {
+      await expect(employeeService.changePassword(teller.id, 'wrongpassword', 'new-password-1'))
+        .rejects.toThrow('Current password is incorrect');
+    });
+
+    test('should reject a weak or unchanged new password', async () => {
+      await expect(employeeService.changePassword(teller.id, 'password123', 'short'))
+        .rejects.toThrow('Password must be at least 8 characters');
+      await expect(employeeService.changePassword(teller.id, 'password123', 'password123'))
+        .rejects.toThrow('New password must be different from the current password');
+    });
+
+    test('should change the password and revoke only the other sessions', async () => {
+      const current = await authService.login('employee1', 'password123');
+      const other = await authService.login('employee1', 'password123');
+      const currentSessionId = jwt.decode(current.token).sessionId;
+
+      await employeeService.changePassword(teller.id, 'password123', 'new-password-1', currentSessionId);
+
+      expect(await authService.findActiveSession(currentSessionId, teller.id)).not.toBeNull();
+      expect(await authService.findActiveSession(jwt.decode(other.token).sessionId, teller.id)).toBeNull();
+
+      await expect(authService.login('employee1', 'password123')).rejects.toThrow('Invalid credentials');
+      const login = await authService.login('employee1', 'new-password-1');
+      expect(login.token).toBeDefined();
+    });
+  });
+});
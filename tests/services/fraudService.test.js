@@ -0,0 +1,266 @@
+const fraudService = require('../../src/services/fraudService');
+const transferService = require('../../src/services/transferService');
+const accountService = require('../../src/services/accountService');
+const prisma = require('../../src/db/client');
+const metrics = require('../../src/utils/metrics');
+
+describe('Fraud Service', () => {
+  let customerId;
+  let sourceId;
+  let destinationId;
+  let tellerId;
+  let managerId;
+
+  beforeEach(async () => {
+    customerId = (await prisma.customer.findFirst()).id;
+    sourceId = (await accountService.createAccount(customerId, 20000)).id;
+    destinationId = (await accountService.createAccount(customerId, 100)).id;
+    tellerId = (await prisma.employee.findUnique({ where: { username: 'employee1' } })).id;
+    managerId = (await prisma.employee.findUnique({ where: { username: 'manager1' } })).id;
+    metrics.resetMetrics();
+  });
+
+  async function flagsFor(transferId) {
+    const flags = await prisma.fraudFlag.findMany({ where: { transferId }, orderBy: { id: 'asc' } });
+    return flags.map(flag => flag.ruleCode);
+  }
+
+  describe('screening', () => {
+    test('should let flagged transfers through and store the rule that fired', async () => {
+      const small = (await accountService.createAccount(customerId, 1000)).id;
+
+      const { transfer } = await transferService.accountTransfer(small, destinationId, 950, tellerId);
+
+      const flag = await prisma.fraudFlag.findFirst({ where: { transferId: transfer.id } });
+      expect(flag).toMatchObject({
+        ruleCode: 'BALANCE_DRAIN',
+        status: 'OPEN',
+        reason: 'Transfer takes more than 90% of the account\'s balance'
+      });
+      expect(JSON.parse(flag.details)).toEqual({ params: { percent: 90 }, balance: '1000.00' });
+      expect(metrics.fraudRuleHitsTotal.get({ rule: 'BALANCE_DRAIN', action: 'flag' }).value).toBe(1);
+    });
+
+    test('should not flag ordinary transfers', async () => {
+      const { transfer } = await transferService.accountTransfer(sourceId, destinationId, 120.5, tellerId);
+
+      expect(await flagsFor(transfer.id)).toEqual([]);
+    });
+
+    test('should block the transfer when a BLOCK rule fires', async () => {
+      await fraudService.updateRule('BALANCE_DRAIN', { action: 'BLOCK' }, managerId);
+      const small = (await accountService.createAccount(customerId, 1000)).id;
+
+      await expect(transferService.accountTransfer(small, destinationId, 950, tellerId))
+        .rejects.toMatchObject({
+          status: 400,
+          code: 'TRANSFER_BLOCKED',
+          message: 'Transfer blocked by rule BALANCE_DRAIN: Transfer takes more than 90% of the account\'s balance',
+          details: { rule: 'BALANCE_DRAIN' }
+        });
+
+      expect((await accountService.getBalance(small)).balance).toBe('1000.00');
+      expect(await prisma.transfer.count()).toBe(0);
+      const failure = await prisma.auditLog.findFirst({ where: { action: 'TRANSFER_FAILED' } });
+      expect(JSON.parse(failure.details).reason).toContain('BALANCE_DRAIN');
+      expect(metrics.fraudRuleHitsTotal.get({ rule: 'BALANCE_DRAIN', action: 'block' }).value).toBe(1);
+
+      // The rollback does not take the hit with it: it is stored with the attempt
+      const flag = await prisma.fraudFlag.findFirst();
+      expect(flag).toMatchObject({
+        transferId: null,
+        ruleCode: 'BALANCE_DRAIN',
+        action: 'BLOCK',
+        status: 'OPEN',
+        fromAccountId: small,
+        toAccountId: destinationId,
+        amountCents: 95000n,
+        attemptedByEmployeeId: tellerId
+      });
+      expect(JSON.parse(flag.details)).toEqual({ params: { percent: 90 }, balance: '1000.00' });
+    });
+
+    test('should skip rules set to ALLOW', async () => {
+      await fraudService.updateRule('BALANCE_DRAIN', { action: 'ALLOW' }, managerId);
+      const small = (await accountService.createAccount(customerId, 1000)).id;
+
+      const { transfer } = await transferService.accountTransfer(small, destinationId, 950, tellerId);
+
+      expect(await flagsFor(transfer.id)).toEqual([]);
+    });
+
+    test('should flag many transfers from one account in a short window', async () => {
+      await fraudService.updateRule('VELOCITY', { action: 'FLAG', params: { maxTransfers: 2 } }, managerId);
+
+      const first = await transferService.accountTransfer(sourceId, destinationId, 10, tellerId);
+      const second = await transferService.accountTransfer(sourceId, destinationId, 10, tellerId);
+      const third = await transferService.accountTransfer(sourceId, destinationId, 10, tellerId);
+
+      expect(await flagsFor(first.transfer.id)).toEqual([]);
+      expect(await flagsFor(second.transfer.id)).toEqual([]);
+      expect(await flagsFor(third.transfer.id)).toEqual(['VELOCITY']);
+    });
+
+    test('should flag only the first large transfer to a counterparty', async () => {
+      const first = await transferService.accountTransfer(sourceId, destinationId, 1500, tellerId);
+      const second = await transferService.accountTransfer(sourceId, destinationId, 1500, tellerId);
+
+      expect(await flagsFor(first.transfer.id)).toEqual(['NEW_COUNTERPARTY']);
+      expect(await flagsFor(second.transfer.id)).toEqual([]);
+    });
+
+    test('should flag round amounts just under the approval threshold', async () => {
+      await transferService.accountTransfer(sourceId, destinationId, 10, tellerId);
+
+      const round = await transferService.accountTransfer(sourceId, destinationId, 4800, tellerId);
+      const uneven = await transferService.accountTransfer(sourceId, destinationId, 4850.25, managerId);
+
+      expect(await flagsFor(round.transfer.id)).toEqual(['STRUCTURING']);
+      expect(await flagsFor(uneven.transfer.id)).toEqual([]);
+      const flag = await prisma.fraudFlag.findFirst({ where: { transferId: round.transfer.id } });
+      expect(JSON.parse(flag.details)).toMatchObject({ threshold: 'APPROVAL_THRESHOLD', thresholdAmount: '5000.00' });
+    });
+
+    test('should roll back an all-or-nothing batch when a rule blocks an item', async () => {
+      await fraudService.updateRule('VELOCITY', { action: 'BLOCK', params: { maxTransfers: 1 } }, managerId);
+
+      await expect(transferService.batchTransfer([
+        { fromAccountId: sourceId, toAccountId: destinationId, amount: 10 },
+        { fromAccountId: sourceId, toAccountId: destinationId, amount: 10 }
+      ], 'ALL_OR_NOTHING', tellerId)).rejects.toMatchObject({
+        code: 'BATCH_ROLLED_BACK',
+        details: { failedIndex: 1 }
+      });
+      expect(await prisma.transfer.count()).toBe(0);
+      expect(await prisma.fraudFlag.findMany()).toEqual([
+        expect.objectContaining({ transferId: null, ruleCode: 'VELOCITY', action: 'BLOCK', fromAccountId: sourceId })
+      ]);
+    });
+
+    test('should not count or store flags of transfers that rolled back', async () => {
+      await expect(transferService.batchTransfer([
+        { fromAccountId: sourceId, toAccountId: destinationId, amount: 1500 },
+        { fromAccountId: destinationId, toAccountId: sourceId, amount: 5000 }
+      ], 'ALL_OR_NOTHING', managerId)).rejects.toMatchObject({ code: 'BATCH_ROLLED_BACK' });
+
+      expect(await prisma.fraudFlag.count()).toBe(0);
+      expect(metrics.fraudRuleHitsTotal.get({ rule: 'NEW_COUNTERPARTY', action: 'flag' }).value).toBe(0);
+    });
+  });
+
+  describe('rules', () => {
+    test('should list every rule with its defaults', async () => {
+      const rules = await fraudService.listRules();
+
+      expect(rules.map(rule => rule.code)).toEqual(['VELOCITY', 'NEW_COUNTERPARTY', 'STRUCTURING', 'BALANCE_DRAIN']);
+      expect(rules[0]).toMatchObject({ action: 'FLAG', params: { maxTransfers: 5, windowMinutes: 10 }, source: 'DEFAULT' });
+    });
+
+    test('should store a change, fill in default parameters and audit it', async () => {
+      const rule = await fraudService.updateRule('VELOCITY', {
+        action: 'BLOCK',
+        params: { maxTransfers: 3 },
+        reason: ' Card testing '
+      }, managerId);
+
+      expect(rule).toMatchObject({
+        code: 'VELOCITY',
+        action: 'BLOCK',
+        params: { maxTransfers: 3, windowMinutes: 10 },
+        source: 'OVERRIDE',
+        reason: 'Card testing',
+        updatedByEmployeeId: managerId
+      });
+
+      const entry = await prisma.auditLog.findFirst({ where: { action: 'FRAUD_RULE_UPDATED' } });
+      expect(JSON.parse(entry.details)).toEqual({
+        rule: 'VELOCITY',
+        previous: { action: 'FLAG', params: { maxTransfers: 5, windowMinutes: 10 } },
+        current: { action: 'BLOCK', params: { maxTransfers: 3, windowMinutes: 10 } },
+        reason: 'Card testing'
+      });
+    });
+
+    test('should reject unknown rules, actions and parameters', async () => {
+      await expect(fraudService.updateRule('LUNAR_PHASE', { action: 'FLAG' }, managerId))
+        .rejects.toMatchObject({ status: 404, code: 'RULE_NOT_FOUND' });
+      await expect(fraudService.updateRule('VELOCITY', { action: 'IGNORE' }, managerId))
+        .rejects.toThrow('action must be one of: ALLOW, FLAG, BLOCK');
+      await expect(fraudService.updateRule('VELOCITY', { action: 'FLAG', params: { maxAmount: 5 } }, managerId))
+        .rejects.toMatchObject({ code: 'UNKNOWN_RULE_PARAMETER' });
+      await expect(fraudService.updateRule('VELOCITY', { action: 'FLAG', params: { maxTransfers: 2.5 } }, managerId))
+        .rejects.toThrow('maxTransfers must be a whole number');
+      await expect(fraudService.updateRule('BALANCE_DRAIN', { action: 'FLAG', params: { percent: 150 } }, managerId))
+        .rejects.toThrow('percent cannot be more than 100');
+      await expect(fraudService.updateRule('NEW_COUNTERPARTY', { action: 'FLAG', params: { minAmount: 0 } }, managerId))
+        .rejects.toThrow('minAmount must be a number greater than zero');
+      await expect(fraudService.updateRule('NEW_COUNTERPARTY', { action: 'FLAG', params: { minAmount: 0.001 } }, managerId))
+        .rejects.toMatchObject({ status: 400, code: 'INVALID_AMOUNT', message: 'minAmount: Amount cannot have more than two decimal places' });
+      await expect(fraudService.updateRule('STRUCTURING', { action: 'FLAG', params: { roundTo: 1e-7 } }, managerId))
+        .rejects.toMatchObject({ code: 'INVALID_AMOUNT' });
+      expect(await prisma.fraudRule.count()).toBe(0);
+    });
+  });
+
+  describe('review queue', () => {
+    let flaggedTransferId;
+
+    beforeEach(async () => {
+      flaggedTransferId = (await transferService.accountTransfer(sourceId, destinationId, 1500, tellerId)).transfer.id;
+    });
+
+    test('should list open flags with their transfer and filter by rule', async () => {
+      const page = await fraudService.listFlags({ status: 'OPEN' });
+
+      expect(page).toMatchObject({ total: 1, limit: 20, offset: 0 });
+      expect(page.items[0]).toMatchObject({
+        ruleCode: 'NEW_COUNTERPARTY',
+        transferId: flaggedTransferId,
+        details: { params: { minAmount: 1000 } },
+        transfer: { id: flaggedTransferId, amount: '1500.00' }
+      });
+
+      expect((await fraudService.listFlags({ rule: 'VELOCITY' })).total).toBe(0);
+      await expect(fraudService.listFlags({ status: 'NEW' })).rejects.toThrow('status must be one of');
+    });
+
+    test('should close a flag once, by someone other than the transfer\'s employee', async () => {
+      const [flag] = (await fraudService.listFlags()).items;
+
+      await expect(fraudService.reviewFlag(flag.id, { resolution: 'CLEARED' }, tellerId))
+        .rejects.toMatchObject({ status: 403, code: 'SELF_REVIEW_NOT_ALLOWED' });
+      await expect(fraudService.reviewFlag(flag.id, { resolution: 'IGNORED' }, managerId))
+        .rejects.toThrow('resolution must be one of: CLEARED, CONFIRMED');
+
+      const reviewed = await fraudService.reviewFlag(flag.id, { resolution: 'CONFIRMED', note: 'Customer reported it' }, managerId);
+
+      expect(reviewed).toMatchObject({
+        status: 'CONFIRMED',
+        reviewedByEmployeeId: managerId,
+        reviewNote: 'Customer reported it'
+      });
+      await expect(fraudService.reviewFlag(flag.id, { resolution: 'CLEARED' }, managerId))
+        .rejects.toMatchObject({ status: 409, code: 'FLAG_ALREADY_REVIEWED', message: 'Fraud flag is already confirmed' });
+      await expect(fraudService.reviewFlag(99999, { resolution: 'CLEARED' }, managerId))
+        .rejects.toMatchObject({ code: 'FLAG_NOT_FOUND' });
+
+      const entry = await prisma.auditLog.findFirst({ where: { action: 'FRAUD_FLAG_REVIEWED' } });
+      expect(JSON.parse(entry.details)).toMatchObject({ transferId: flaggedTransferId, rule: 'NEW_COUNTERPARTY', resolution: 'CONFIRMED' });
+    });
+
+    test('should list blocked attempts and keep their employee from reviewing them', async () => {
+      await fraudService.updateRule('BALANCE_DRAIN', { action: 'BLOCK' }, managerId);
+      const small = (await accountService.createAccount(customerId, 1000)).id;
+      await transferService.accountTransfer(small, destinationId, 950, tellerId).catch(() => {});
+
+      const blocked = (await fraudService.listFlags({ rule: 'BALANCE_DRAIN' })).items[0];
+      expect(blocked).toMatchObject({ transferId: null, action: 'BLOCK', amount: '950.00', attemptedByEmployeeId: tellerId });
+      expect(blocked.transfer).toBeUndefined();
+
+      await expect(fraudService.reviewFlag(blocked.id, { resolution: 'CONFIRMED' }, tellerId))
+        .rejects.toMatchObject({ code: 'SELF_REVIEW_NOT_ALLOWED' });
+      await expect(fraudService.reviewFlag(blocked.id, { resolution: 'CONFIRMED' }, managerId))
+        .resolves.toMatchObject({ status: 'CONFIRMED' });
+    });
+  });
+});
@@ -0,0 +1,99 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const healthService = require('../../src/services/healthService');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', '..', 'prisma', 'migrations');
+
+describe('Health Service', () => {
+  let tempDir;
+
+  afterEach(() => {
+    healthService.markShuttingDown(false);
+    if (tempDir) {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+      tempDir = null;
+    }
+  });
+
+  // Copy the shipped migrations and add one the test database has never seen
+  function migrationsWithExtra(name) {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+    fs.cpSync(MIGRATIONS_DIR, tempDir, { recursive: true });
+    fs.mkdirSync(path.join(tempDir, name));
+    fs.writeFileSync(path.join(tempDir, name, 'migration.sql'), 'SELECT 1;');
+    return tempDir;
+  }
+
+  describe('getHealth', () => {
+    test('should report ok with a non-negative uptime', () => {
+      const health = healthService.getHealth();
+
+      expect(health.status).toBe('ok');
+      expect(Number.isInteger(health.uptimeSeconds)).toBe(true);
+      expect(health.uptimeSeconds).toBeGreaterThanOrEqual(0);
+    });
+  });
+
+  describe('findPendingMigrations', () => {
+    test('should find nothing pending on the migrated test database', async () => {
+      await expect(healthService.findPendingMigrations()).resolves.toEqual([]);
+    });
+
+    test('should list shipped migrations that have not been applied', async () => {
+      const dir = migrationsWithExtra('99990101000000_not_applied');
+
+      await expect(healthService.findPendingMigrations(dir)).resolves.toEqual(['99990101000000_not_applied']);
+    });
+
+    test('should ignore folders without a migration.sql', async () => {
+      const dir = migrationsWithExtra('99990101000000_not_applied');
+      fs.rmSync(path.join(dir, '99990101000000_not_applied', 'migration.sql'));
+
+      await expect(healthService.findPendingMigrations(dir)).resolves.toEqual([]);
+    });
+  });
+
+  describe('getReadiness', () => {
+    test('should be ready when the database is up and migrated', async () => {
+      const readiness = await healthService.getReadiness();
+
+      expect(readiness).toEqual({
+        status: 'ready',
+        checks: {
+          database: { status: 'ok' },
+          migrations: { status: 'ok', pending: [] }
+        }
+      });
+    });
+
+    test('should not be ready while migrations are pending', async () => {
+      const readiness = await healthService.getReadiness({ migrationsDir: migrationsWithExtra('99990101000000_not_applied') });
+
+      expect(readiness.status).toBe('not_ready');
+      expect(readiness.checks.database.status).toBe('ok');
+      expect(readiness.checks.migrations).toEqual({
+        status: 'error',
+        pending: ['99990101000000_not_applied'],
+        error: '1 migration(s) not applied'
+      });
+    });
+
+    test('should report an unreadable migrations folder without throwing', async () => {
+      const readiness = await healthService.getReadiness({ migrationsDir: path.join(os.tmpdir(), 'does-not-exist') });
+
+      expect(readiness.status).toBe('not_ready');
+      expect(readiness.checks.migrations.error).toBe('Could not read migration status');
+    });
+
+    test('should not be ready once shutdown has started', async () => {
+      healthService.markShuttingDown();
+
+      const readiness = await healthService.getReadiness();
+
+      expect(healthService.isShuttingDown()).toBe(true);
+      expect(readiness.status).toBe('not_ready');
+      expect(readiness.checks.shutdown).toEqual({ status: 'error', error: 'Server is shutting down' });
+    });
+  });
+});
@@ -0,0 +1,111 @@
+const ledgerService = require('../../src/services/ledgerService');
+const accountService = require('../../src/services/accountService');
+const transferService = require('../../src/services/transferService');
+const prisma = require('../../src/db/client');
+
+const { DIRECTIONS } = ledgerService;
+
+describe('Ledger Service', () => {
+  let customerId;
+
+  beforeEach(async () => {
+    const customer = await prisma.customer.findFirst();
+    customerId = customer.id;
+  });
+
+  describe('opening deposits', () => {
+    test('should post the opening deposit against the bank funding account', async () => {
+      const account = await accountService.createAccount(customerId, 1000);
+
+      const entry = await prisma.journalEntry.findFirst({
+        where: { type: 'OPENING_DEPOSIT' },
+        include: { postings: true }
+      });
+      const funding = await ledgerService.getFundingAccount();
+
+      expect(entry.postings).toHaveLength(2);
+      const credit = entry.postings.find(p => p.direction === DIRECTIONS.CREDIT);
+      const debit = entry.postings.find(p => p.direction === DIRECTIONS.DEBIT);
+      expect(credit.accountId).toBe(account.id);
+      expect(debit.accountId).toBe(funding.id);
+      expect(Number(credit.amountCents)).toBe(100000);
+      expect(Number(debit.amountCents)).toBe(100000);
+    });
+  });
+
+  describe('transfers', () => {
+    test('should write one balanced entry linked to the transfer', async () => {
+      const from = await accountService.createAccount(customerId, 1000);
+      const to = await accountService.createAccount(customerId, 500);
+
+      const { transfer } = await transferService.accountTransfer(from.id, to.id, 250);
+
+      const entry = await prisma.journalEntry.findUnique({
+        where: { transferId: transfer.id },
+        include: { postings: true }
+      });
+      expect(entry.type).toBe('TRANSFER');
+      expect(entry.postings.find(p => p.direction === DIRECTIONS.DEBIT).accountId).toBe(from.id);
+      expect(entry.postings.find(p => p.direction === DIRECTIONS.CREDIT).accountId).toBe(to.id);
+    });
+
+    test('should refuse to move money out of the funding account', async () => {
+      const account = await accountService.createAccount(customerId, 100);
+      const funding = await ledgerService.getFundingAccount();
+
+      await expect(
+        transferService.accountTransfer(funding.id, account.id, 10)
+      ).rejects.toThrow('Internal bank accounts cannot be used for transfers');
+    });
+  });
+
+  describe('postJournalEntry', () => {
+    test('should reject unbalanced entries', async () => {
+      const account = await accountService.createAccount(customerId, 100);
+      const funding = await ledgerService.getFundingAccount();
+
+      await expect(
+        prisma.$transaction(tx => ledgerService.postJournalEntry(tx, {
+          type: 'TRANSFER',
+          postings: [
+            { accountId: funding.id, direction: DIRECTIONS.DEBIT, amountCents: 100 },
+            { accountId: account.id, direction: DIRECTIONS.CREDIT, amountCents: 90 }
+          ]
+        }))
+      ).rejects.toThrow('Journal entry is not balanced');
+    });
+  });
+
+  describe('getAccountLedger', () => {
+    test('should explain the balance line by line', async () => {
+      const from = await accountService.createAccount(customerId, 1000);
+      const to = await accountService.createAccount(customerId, 500);
+      await transferService.accountTransfer(from.id, to.id, 250.5);
+      await transferService.accountTransfer(to.id, from.id, 100);
+
+      const ledger = await ledgerService.getAccountLedger(from.id);
+
+      expect(ledger.postings.map(p => p.balanceAfter)).toEqual(['1000.00', '749.50', '849.50']);
+      expect(ledger.balance).toBe('849.50');
+      expect(ledger.derivedBalance).toBe('849.50');
+      expect(ledger.inSync).toBe(true);
+    });
+
+    test('should keep the whole ledger balanced across accounts', async () => {
+      const from = await accountService.createAccount(customerId, 1000);
+      const to = await accountService.createAccount(customerId, 500);
+      await transferService.accountTransfer(from.id, to.id, 75);
+
+      const postings = await prisma.posting.findMany();
+      const net = postings.reduce(
+        (sum, p) => sum + (p.direction === DIRECTIONS.CREDIT ? p.amountCents : -p.amountCents),
+        0n
+      );
+      expect(net).toBe(0n);
+    });
+
+    test('should throw error when account does not exist', async () => {
+      await expect(ledgerService.getAccountLedger(99999)).rejects.toThrow('Account not found');
+    });
+  });
+});
@@ -0,0 +1,178 @@
+const loginThrottleService = require('../../src/services/loginThrottleService');
+const authService = require('../../src/services/authService');
+const prisma = require('../../src/db/client');
+
+describe('Login Throttle Service', () => {
+  const start = new Date('2026-03-09T09:00:00.000Z');
+  const later = (seconds) => new Date(start.getTime() + seconds * 1000);
+
+  async function failTimes(username, ipAddress, times) {
+    let lockedScopes = [];
+    for (let i = 0; i < times; i++) {
+      lockedScopes = await loginThrottleService.recordFailedLogin(username, ipAddress, later(i * 120));
+    }
+    return lockedScopes;
+  }
+
+  describe('progressive delays', () => {
+    test('should let the first failure retry immediately', async () => {
+      await loginThrottleService.recordFailedLogin('employee1', '10.0.0.1', start);
+
+      await expect(loginThrottleService.assertLoginAllowed('employee1', '10.0.0.1', start)).resolves.toBeUndefined();
+    });
+
+    test('should double the wait after each further failure', async () => {
+      await loginThrottleService.recordFailedLogin('employee1', null, start);
+      await loginThrottleService.recordFailedLogin('employee1', null, start);
+
+      await expect(loginThrottleService.assertLoginAllowed('employee1', null, start))
+        .rejects.toMatchObject({ message: 'Too many login attempts - slow down', code: 'LOGIN_THROTTLED', details: { retryAfterSeconds: 1 } });
+      await expect(loginThrottleService.assertLoginAllowed('employee1', null, later(1))).resolves.toBeUndefined();
+
+      await loginThrottleService.recordFailedLogin('employee1', null, later(1));
+      await expect(loginThrottleService.assertLoginAllowed('employee1', null, later(2)))
+        .rejects.toMatchObject({ details: { retryAfterSeconds: 1 } });
+      await expect(loginThrottleService.assertLoginAllowed('employee1', null, later(3))).resolves.toBeUndefined();
+    });
+  });
+
+  describe('lockout', () => {
+    test('should lock a username after the maximum number of failures', async () => {
+      const lockedScopes = await failTimes('employee1', '10.0.0.1', 5);
+
+      expect(lockedScopes).toEqual(['USERNAME']);
+      await expect(loginThrottleService.assertLoginAllowed('employee1', '10.0.0.2', later(600)))
+        .rejects.toThrow('Too many failed login attempts - try again later');
+
+      // Other usernames from the same IP are unaffected
+      await expect(loginThrottleService.assertLoginAllowed('manager1', '10.0.0.1', later(600))).resolves.toBeUndefined();
+    });
+
+    test('should treat unknown usernames exactly like real ones', async () => {
+      await failTimes('nobody', null, 5);
+
+      await expect(loginThrottleService.assertLoginAllowed('nobody', null, later(600)))
+        .rejects.toThrow('Too many failed login attempts - try again later');
+    });
+
+    test('should lock an IP that fails across many usernames', async () => {
+      for (let i = 0; i < 20; i++) {
+        await loginThrottleService.recordFailedLogin(`user${i}`, '10.0.0.9', start);
+      }
+
+      await expect(loginThrottleService.assertLoginAllowed('manager1', '10.0.0.9', later(60)))
+        .rejects.toThrow('Too many failed login attempts - try again later');
+      await expect(loginThrottleService.assertLoginAllowed('manager1', '10.0.0.8', later(60))).resolves.toBeUndefined();
+    });
+
+    test('should expire the lock and start counting again', async () => {
+      await failTimes('employee1', null, 5);
+      const lockEnd = later(4 * 120 + 15 * 60);
+
+      await expect(loginThrottleService.assertLoginAllowed('employee1', null, lockEnd)).resolves.toBeUndefined();
+
+      const lockedScopes = await loginThrottleService.recordFailedLogin('employee1', null, lockEnd);
+      expect(lockedScopes).toEqual([]);
+      const throttle = await prisma.loginThrottle.findFirst({ where: { key: 'employee1' } });
+      expect(throttle.failedAttempts).toBe(1);
+    });
+
+    test('should keep counters in the database', async () => {
+      await loginThrottleService.recordFailedLogin('Employee1', '10.0.0.1', start);
+
+      const throttles = await prisma.loginThrottle.findMany({ orderBy: { scope: 'asc' } });
+      expect(throttles.map(t => [t.scope, t.key, t.failedAttempts])).toEqual([
+        ['IP', '10.0.0.1', 1],
+        ['USERNAME', 'employee1', 1]
+      ]);
+    });
+  });
+
+  describe('login integration', () => {
+    test('should reject the right password while locked', async () => {
+      for (let i = 0; i < 5; i++) {
+        await loginThrottleService.recordFailedLogin('employee1', null, new Date());
+      }
+
+      await expect(authService.login('employee1', 'password123'))
+        .rejects.toThrow('Too many failed login attempts - try again later');
+
+      expect(await prisma.authSession.count()).toBe(0);
+    });
+
+    test('should audit the failure that causes a lock', async () => {
+      process.env.LOGIN_DELAY_BASE_SECONDS = '0';
+      try {
+        for (let i = 0; i < 5; i++) {
+          await expect(authService.login('employee1', 'wrongpassword')).rejects.toThrow('Invalid credentials');
+        }
+      } finally {
+        delete process.env.LOGIN_DELAY_BASE_SECONDS;
+      }
+
+      const audit = await prisma.auditLog.findFirst({ where: { action: 'LOGIN_LOCKED' } });
+      expect(JSON.parse(audit.details)).toEqual({ username: 'employee1', scopes: ['USERNAME'] });
+    });
+
+    test('should count failures in any casing of a username against one lock', async () => {
+      process.env.LOGIN_DELAY_BASE_SECONDS = '0';
+      try {
+        for (const username of ['employee1', 'Employee1', 'EMPLOYEE1', 'employee1 ', 'eMployee1']) {
+          await expect(authService.login(username, 'wrongpassword')).rejects.toThrow('Invalid credentials');
+        }
+      } finally {
+        delete process.env.LOGIN_DELAY_BASE_SECONDS;
+      }
+
+      await expect(authService.login('employee1', 'password123'))
+        .rejects.toThrow('Too many failed login attempts - try again later');
+      const failures = await prisma.auditLog.findMany({ where: { action: 'LOGIN_FAILED' } });
+      expect(failures.map(audit => JSON.parse(audit.details).username)).toEqual(Array(5).fill('employee1'));
+      expect(failures.every(audit => audit.employeeId !== null)).toBe(true);
+    });
+
+    test('should count parallel bad logins before any password check finishes', async () => {
+      process.env.LOGIN_DELAY_BASE_SECONDS = '0';
+      let results;
+      try {
+        results = await Promise.allSettled(
+          Array.from({ length: 10 }, () => authService.login('employee1', 'wrongpassword', '10.0.0.5'))
+        );
+      } finally {
+        delete process.env.LOGIN_DELAY_BASE_SECONDS;
+      }
+
+      const codes = results.map(result => result.reason.code);
+      expect(codes.filter(code => code === 'INVALID_CREDENTIALS')).toHaveLength(5);
+      expect(codes.filter(code => code === 'LOGIN_LOCKED')).toHaveLength(5);
+      await expect(authService.login('employee1', 'password123'))
+        .rejects.toThrow('Too many failed login attempts - try again later');
+    });
+
+    test('should throttle parallel bad logins with the progressive delay', async () => {
+      const results = await Promise.allSettled(
+        Array.from({ length: 4 }, () => authService.login('employee1', 'wrongpassword'))
+      );
+
+      const codes = results.map(result => result.reason.code);
+      expect(codes.filter(code => code === 'INVALID_CREDENTIALS')).toHaveLength(2);
+      expect(codes.filter(code => code === 'LOGIN_THROTTLED')).toHaveLength(2);
+    });
+
+    test('should give the IP its attempt back after a successful login', async () => {
+      await authService.login('employee1', 'password123', '10.0.0.6');
+
+      const throttle = await prisma.loginThrottle.findUnique({ where: { scope_key: { scope: 'IP', key: '10.0.0.6' } } });
+      expect(throttle).toMatchObject({ failedAttempts: 0, nextAttemptAt: null, lockedUntil: null });
+      expect(await prisma.loginThrottle.count({ where: { scope: 'USERNAME' } })).toBe(0);
+    });
+
+    test('should clear the username counter after a successful login', async () => {
+      await loginThrottleService.recordFailedLogin('employee1', null, new Date());
+
+      await authService.login('employee1', 'password123');
+
+      expect(await prisma.loginThrottle.count({ where: { scope: 'USERNAME' } })).toBe(0);
+    });
+  });
+});
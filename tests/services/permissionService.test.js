@@ -0,0 +1,64 @@
+const permissionService = require('../../src/services/permissionService');
+const { PERMISSIONS } = require('../../src/config/permissions');
+const prisma = require('../../src/db/client');
+
+describe('Permission Service', () => {
+  describe('hasPermissions', () => {
+    test('should grant tellers the default teller permissions', async () => {
+      await expect(
+        permissionService.hasPermissions('teller', [PERMISSIONS.ACCOUNTS_CREATE, PERMISSIONS.TRANSFERS_CREATE])
+      ).resolves.toBe(true);
+    });
+
+    test('should deny tellers manager-only permissions', async () => {
+      await expect(
+        permissionService.hasPermissions('teller', [PERMISSIONS.AUDIT_READ])
+      ).resolves.toBe(false);
+    });
+
+    test('should deny unknown roles everything', async () => {
+      await expect(
+        permissionService.hasPermissions('intern', [PERMISSIONS.ACCOUNTS_READ])
+      ).resolves.toBe(false);
+    });
+  });
+
+  describe('setRolePermissions', () => {
+    test('should replace the permissions of a role', async () => {
+      const result = await permissionService.setRolePermissions('teller', [PERMISSIONS.ACCOUNTS_READ]);
+
+      expect(result.permissions).toEqual([PERMISSIONS.ACCOUNTS_READ]);
+      await expect(
+        permissionService.hasPermissions('teller', [PERMISSIONS.TRANSFERS_CREATE])
+      ).resolves.toBe(false);
+    });
+
+    test('should write an audit entry', async () => {
+      const manager = await prisma.employee.findUnique({ where: { username: 'manager1' } });
+
+      await permissionService.setRolePermissions('teller', [PERMISSIONS.ACCOUNTS_READ], manager.id);
+
+      const entry = await prisma.auditLog.findFirst({ where: { action: 'ROLE_PERMISSIONS_UPDATED' } });
+      expect(entry.employeeId).toBe(manager.id);
+      expect(JSON.parse(entry.details).current).toEqual([PERMISSIONS.ACCOUNTS_READ]);
+    });
+
+    test('should throw error for unknown role', async () => {
+      await expect(
+        permissionService.setRolePermissions('intern', [])
+      ).rejects.toThrow('Role not found');
+    });
+
+    test('should throw error for unknown permissions', async () => {
+      await expect(
+        permissionService.setRolePermissions('teller', ['vault:open'])
+      ).rejects.toThrow('Unknown permissions: vault:open');
+    });
+
+    test('should not let the manager role lose roles:manage', async () => {
+      await expect(
+        permissionService.setRolePermissions('manager', [PERMISSIONS.AUDIT_READ])
+      ).rejects.toThrow('must keep the roles:manage permission');
+    });
+  });
+});
@@ -0,0 +1,266 @@
+const scheduledTransferService = require('../../src/services/scheduledTransferService');
+const accountService = require('../../src/services/accountService');
+const prisma = require('../../src/db/client');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('Scheduled Transfer Service', () => {
+  let account1Id;
+  let account2Id;
+  let employeeId;
+
+  beforeEach(async () => {
+    const customer = await prisma.customer.findFirst();
+    const employee = await prisma.employee.findUnique({ where: { username: 'employee1' } });
+    employeeId = employee.id;
+    account1Id = (await accountService.createAccount(customer.id, 1000)).id;
+    account2Id = (await accountService.createAccount(customer.id, 500)).id;
+  });
+
+  function schedule(overrides = {}) {
+    return scheduledTransferService.createScheduledTransfer({
+      fromAccountId: account1Id,
+      toAccountId: account2Id,
+      amount: 100,
+      startAt: new Date(Date.now() + DAY),
+      ...overrides
+    }, employeeId);
+  }
+
+  describe('occurrenceAt', () => {
+    test('should keep the day of month for monthly schedules', () => {
+      const start = new Date('2026-01-31T09:00:00.000Z');
+      const dates = [0, 1, 2, 3].map(i => scheduledTransferService.occurrenceAt(start, 'MONTHLY', i).toISOString());
+
+      expect(dates).toEqual([
+        '2026-01-31T09:00:00.000Z',
+        '2026-02-28T09:00:00.000Z',
+        '2026-03-31T09:00:00.000Z',
+        '2026-04-30T09:00:00.000Z'
+      ]);
+    });
+
+    test('should step daily and weekly schedules', () => {
+      const start = new Date('2026-03-01T00:00:00.000Z');
+      expect(scheduledTransferService.occurrenceAt(start, 'DAILY', 2).toISOString()).toBe('2026-03-03T00:00:00.000Z');
+      expect(scheduledTransferService.occurrenceAt(start, 'WEEKLY', 2).toISOString()).toBe('2026-03-15T00:00:00.000Z');
+      expect(scheduledTransferService.occurrenceAt(start, 'ONCE', 1)).toBeNull();
+    });
+  });
+
+  describe('createScheduledTransfer', () => {
+    test('should create an active schedule due at its start date', async () => {
+      const created = await schedule({ frequency: 'MONTHLY', maxRuns: 12, description: 'Rent' });
+
+      expect(created.status).toBe('ACTIVE');
+      expect(created.amount).toBe('100.00');
+      expect(created.nextRunAt).toEqual(created.startAt);
+      expect(created.createdByEmployeeId).toBe(employeeId);
+
+      const audit = await prisma.auditLog.findFirst({ where: { action: 'SCHEDULED_TRANSFER_CREATED' } });
+      expect(audit.entityId).toBe(created.id);
+    });
+
+    test('should reject invalid schedules', async () => {
+      await expect(schedule({ startAt: new Date(Date.now() - 1000) })).rejects.toThrow('startAt must be in the future');
+      await expect(schedule({ frequency: 'YEARLY' })).rejects.toThrow('frequency must be one of: ONCE, DAILY, WEEKLY, MONTHLY');
+      await expect(schedule({ maxRuns: 3 })).rejects.toThrow('endAt and maxRuns only apply to recurring schedules');
+      await expect(schedule({ frequency: 'DAILY', endAt: new Date() })).rejects.toThrow('endAt cannot be before startAt');
+      await expect(schedule({ toAccountId: account1Id })).rejects.toThrow('Cannot transfer to the same account');
+      await expect(schedule({ toAccountId: 99999 })).rejects.toThrow('Destination account does not exist');
+    });
+
+    test('should refuse amounts that need approval', async () => {
+      await expect(schedule({ amount: 6000 })).rejects.toMatchObject({
+        code: 'APPROVAL_REQUIRED',
+        message: 'Transfers above 5000.00 need approval and cannot be scheduled'
+      });
+      expect(await prisma.scheduledTransfer.count()).toBe(0);
+    });
+  });
+
+  describe('runDueTransfers', () => {
+    test('should run a one-off schedule once and complete it', async () => {
+      const created = await schedule();
+
+      expect(await scheduledTransferService.runDueTransfers()).toEqual([]);
+
+      const runs = await scheduledTransferService.runDueTransfers(new Date(Date.now() + 2 * DAY));
+      expect(runs).toHaveLength(1);
+      expect(runs[0].status).toBe('SUCCEEDED');
+
+      const balance = await accountService.getBalance(account2Id);
+      expect(balance.balance).toBe('600.00');
+
+      const after = await scheduledTransferService.getScheduledTransfer(created.id);
+      expect(after.status).toBe('COMPLETED');
+      expect(after.successfulRuns).toBe(1);
+      expect(after.runs[0].transferId).toBe(runs[0].transferId);
+    });
+
+    test('should advance recurring schedules and stop after maxRuns', async () => {
+      const start = new Date(Date.now() + DAY);
+      const created = await schedule({ frequency: 'DAILY', startAt: start, maxRuns: 2 });
+
+      await scheduledTransferService.runDueTransfers(new Date(start.getTime() + 1000));
+      let current = await scheduledTransferService.getScheduledTransfer(created.id);
+      expect(current.nextRunAt).toEqual(new Date(start.getTime() + DAY));
+
+      await scheduledTransferService.runDueTransfers(new Date(start.getTime() + DAY + 1000));
+      current = await scheduledTransferService.getScheduledTransfer(created.id);
+      expect(current.status).toBe('COMPLETED');
+      expect(current.successfulRuns).toBe(2);
+      expect((await accountService.getBalance(account1Id)).balance).toBe('800.00');
+    });
+
+    test('should retry failures and then mark a one-off schedule failed', async () => {
+      const created = await schedule({ amount: 5000 });
+      let now = new Date(Date.now() + 2 * DAY);
+
+      for (let attempt = 1; attempt <= 3; attempt++) {
+        const [run] = await scheduledTransferService.runDueTransfers(now);
+        expect(run.status).toBe('FAILED');
+        expect(run.attempt).toBe(attempt);
+        expect(run.errorMessage).toBe('Insufficient funds');
+        now = new Date(now.getTime() + DAY);
+      }
+
+      const after = await scheduledTransferService.getScheduledTransfer(created.id);
+      expect(after.status).toBe('FAILED');
+      expect(after.lastError).toBe('Insufficient funds');
+      expect(after.runs).toHaveLength(3);
+      expect(await scheduledTransferService.runDueTransfers(now)).toEqual([]);
+    });
+
+    test('should not run a schedule above a threshold lowered after it was created', async () => {
+      await schedule({ amount: 600 });
+      process.env.TRANSFER_APPROVAL_THRESHOLD = '500';
+
+      try {
+        const [run] = await scheduledTransferService.runDueTransfers(new Date(Date.now() + 2 * DAY));
+
+        expect(run.status).toBe('FAILED');
+        expect(run.errorMessage).toBe('Transfers above 500.00 need approval and cannot be scheduled');
+        expect((await accountService.getBalance(account1Id)).balance).toBe('1000.00');
+      } finally {
+        delete process.env.TRANSFER_APPROVAL_THRESHOLD;
+      }
+    });
+
+    test('should roll the transfer back when the run cannot be recorded', async () => {
+      const created = await schedule();
+      const transaction = prisma.$transaction.bind(prisma);
+      // Only the transfer's own transaction fails to write the run row
+      const spy = jest.spyOn(prisma, '$transaction').mockImplementationOnce((fn) => transaction((tx) => fn(new Proxy(tx, {
+        get: (target, name) => name === 'scheduledTransferRun'
+          ? { create: () => Promise.reject(new Error('Disk full')) }
+          : target[name]
+      }))));
+
+      let run;
+      try {
+        [run] = await scheduledTransferService.runDueTransfers(new Date(Date.now() + 2 * DAY));
+      } finally {
+        spy.mockRestore();
+      }
+
+      expect(run).toMatchObject({ status: 'FAILED', transferId: null, errorMessage: 'Disk full' });
+      expect(await prisma.transfer.count({ where: { fromAccountId: account1Id } })).toBe(0);
+      expect((await accountService.getBalance(account1Id)).balance).toBe('1000.00');
+
+      const after = await scheduledTransferService.getScheduledTransfer(created.id);
+      expect(after.status).toBe('ACTIVE');
+      expect(after.successfulRuns).toBe(0);
+      expect(after.failedAttempts).toBe(1);
+    });
+
+    test('should not run paused or cancelled schedules', async () => {
+      const paused = await schedule();
+      const cancelled = await schedule();
+      await scheduledTransferService.pauseScheduledTransfer(paused.id, employeeId);
+      await scheduledTransferService.cancelScheduledTransfer(cancelled.id, employeeId);
+
+      expect(await scheduledTransferService.runDueTransfers(new Date(Date.now() + 2 * DAY))).toEqual([]);
+    });
+
+    test('should run an occurrence once when two passes run at the same time', async () => {
+      const created = await schedule();
+      const now = new Date(Date.now() + 2 * DAY);
+
+      const passes = await Promise.all([
+        scheduledTransferService.runDueTransfers(now),
+        scheduledTransferService.runDueTransfers(now)
+      ]);
+
+      expect(passes.flat()).toHaveLength(1);
+      expect((await accountService.getBalance(account1Id)).balance).toBe('900.00');
+      expect((await scheduledTransferService.getScheduledTransfer(created.id)).runs).toHaveLength(1);
+    });
+
+    test('should skip a schedule paused after the pass read it', async () => {
+      const created = await schedule();
+      const findMany = prisma.scheduledTransfer.findMany.bind(prisma.scheduledTransfer);
+      const spy = jest.spyOn(prisma.scheduledTransfer, 'findMany').mockImplementationOnce(async (args) => {
+        const due = await findMany(args);
+        await scheduledTransferService.pauseScheduledTransfer(created.id, employeeId);
+        return due;
+      });
+
+      try {
+        expect(await scheduledTransferService.runDueTransfers(new Date(Date.now() + 2 * DAY))).toEqual([]);
+      } finally {
+        spy.mockRestore();
+      }
+      expect((await accountService.getBalance(account1Id)).balance).toBe('1000.00');
+    });
+  });
+
+  describe('status changes', () => {
+    test('should pause, resume and cancel', async () => {
+      const created = await schedule({ frequency: 'WEEKLY' });
+
+      expect((await scheduledTransferService.pauseScheduledTransfer(created.id, employeeId)).status).toBe('PAUSED');
+      expect((await scheduledTransferService.resumeScheduledTransfer(created.id, employeeId)).status).toBe('ACTIVE');
+
+      const cancelled = await scheduledTransferService.cancelScheduledTransfer(created.id, employeeId);
+      expect(cancelled.status).toBe('CANCELLED');
+      expect(cancelled.nextRunAt).toBeNull();
+
+      await expect(scheduledTransferService.resumeScheduledTransfer(created.id, employeeId))
+        .rejects.toThrow('Cannot resume a CANCELLED scheduled transfer');
+    });
+
+    test('should skip occurrences missed while paused', async () => {
+      const created = await schedule({ frequency: 'DAILY' });
+      // Pretend the schedule started three and a half days ago and was paused since
+      const start = new Date(Date.now() - 3.5 * DAY);
+      await prisma.scheduledTransfer.update({
+        where: { id: created.id },
+        data: { startAt: start, nextRunAt: start, status: 'PAUSED' }
+      });
+
+      const resumed = await scheduledTransferService.resumeScheduledTransfer(created.id, employeeId);
+
+      expect(resumed.occurrenceIndex).toBe(4);
+      expect(resumed.nextRunAt).toEqual(new Date(start.getTime() + 4 * DAY));
+    });
+
+    test('should throw error when schedule does not exist', async () => {
+      await expect(scheduledTransferService.pauseScheduledTransfer(99999)).rejects.toThrow('Scheduled transfer not found');
+    });
+  });
+
+  describe('listScheduledTransfers', () => {
+    test('should filter by status and account', async () => {
+      await schedule();
+      const other = await schedule();
+      await scheduledTransferService.cancelScheduledTransfer(other.id, employeeId);
+
+      const active = await scheduledTransferService.listScheduledTransfers({ status: 'ACTIVE', accountId: account2Id });
+      expect(active.total).toBe(1);
+
+      const none = await scheduledTransferService.listScheduledTransfers({ accountId: 99999 });
+      expect(none.items).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,117 @@
+const statementService = require('../../src/services/statementService');
+const accountService = require('../../src/services/accountService');
+const transferService = require('../../src/services/transferService');
+const cashService = require('../../src/services/cashService');
+const prisma = require('../../src/db/client');
+
+describe('Statement Service', () => {
+  let customers;
+  let accountId;
+  let otherAccountId;
+
+  beforeEach(async () => {
+    customers = await prisma.customer.findMany({ orderBy: { id: 'asc' } });
+    const account = await accountService.createAccount(customers[0].id, 1000);
+    const other = await accountService.createAccount(customers[1].id, 500);
+    accountId = account.id;
+    otherAccountId = other.id;
+  });
+
+  describe('getStatement', () => {
+    test('should list every movement with a running balance', async () => {
+      await transferService.accountTransfer(accountId, otherAccountId, 200);
+      await transferService.accountTransfer(otherAccountId, accountId, 50.5);
+      await cashService.withdraw(accountId, 100, null, 'ATM');
+
+      const statement = await statementService.getStatement(accountId);
+
+      expect(statement.customer.name).toBe(customers[0].name);
+      expect(statement.openingBalance).toBe('0.00');
+      expect(statement.lines.map(line => [line.type, line.direction, line.amount, line.balance])).toEqual([
+        ['OPENING_DEPOSIT', 'IN', '1000.00', '1000.00'],
+        ['TRANSFER', 'OUT', '200.00', '800.00'],
+        ['TRANSFER', 'IN', '50.50', '850.50'],
+        ['CASH_WITHDRAWAL', 'OUT', '100.00', '750.50']
+      ]);
+      expect(statement.totalIn).toBe('1050.50');
+      expect(statement.totalOut).toBe('300.00');
+      expect(statement.closingBalance).toBe('750.50');
+      expect(statement.lines[3].description).toBe('ATM');
+    });
+
+    test('should name the counterparty customer on transfer lines', async () => {
+      await transferService.accountTransfer(accountId, otherAccountId, 10);
+
+      const statement = await statementService.getStatement(accountId);
+
+      expect(statement.lines[1].counterparty).toEqual({ accountId: otherAccountId, customerName: customers[1].name });
+    });
+
+    test('should fold earlier movements into the opening balance', async () => {
+      // Move the opening deposit a week into the past
+      await prisma.posting.updateMany({
+        where: { accountId },
+        data: { createdAt: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) }
+      });
+      await transferService.accountTransfer(accountId, otherAccountId, 300);
+
+      const statement = await statementService.getStatement(accountId, { from: new Date(Date.now() - 60 * 60 * 1000) });
+
+      expect(statement.openingBalance).toBe('1000.00');
+      expect(statement.lines).toHaveLength(1);
+      expect(statement.closingBalance).toBe('700.00');
+    });
+
+    test('should leave out movements after the end date', async () => {
+      const statement = await statementService.getStatement(accountId, { to: new Date(Date.now() - 60 * 60 * 1000) });
+
+      expect(statement.lines).toEqual([]);
+      expect(statement.closingBalance).toBe('0.00');
+    });
+
+    test('should throw error when from is after to', async () => {
+      await expect(
+        statementService.getStatement(accountId, { from: new Date('2026-02-01'), to: new Date('2026-01-01') })
+      ).rejects.toThrow('from cannot be after to');
+    });
+
+    test('should throw error when account does not exist', async () => {
+      await expect(statementService.getStatement(99999)).rejects.toThrow('Account not found');
+    });
+  });
+
+  describe('exports', () => {
+    test('should render CSV with opening and closing rows', async () => {
+      await transferService.accountTransfer(accountId, otherAccountId, 200);
+      const statement = await statementService.getStatement(accountId);
+
+      const rows = statementService.renderStatementCsv(statement).trim().split('\r\n');
+
+      expect(rows[0]).toBe('Date,Type,Details,Counterparty Account,Money In,Money Out,Balance');
+      expect(rows[1]).toContain('OPENING_BALANCE');
+      expect(rows[3]).toContain(`Transfer to #${otherAccountId} ${customers[1].name}`);
+      expect(rows[3]).toMatch(/,,200\.00,800\.00$/);
+      expect(rows[4]).toMatch(/CLOSING_BALANCE,Closing balance,,1000\.00,200\.00,800\.00$/);
+    });
+
+    test('should render a PDF document', async () => {
+      const statement = await statementService.getStatement(accountId);
+
+      const pdf = statementService.renderStatementPdf(statement);
+
+      expect(pdf.subarray(0, 8).toString()).toBe('%PDF-1.4');
+      expect(pdf.toString('latin1')).toContain('Closing balance');
+      expect(pdf.toString('latin1').trimEnd().endsWith('%%EOF')).toBe(true);
+    });
+
+    test('should keep accented customer names in the PDF', async () => {
+      await prisma.customer.update({ where: { id: customers[0].id }, data: { name: 'José Müller' } });
+      const statement = await statementService.getStatement(accountId);
+
+      const pdf = statementService.renderStatementPdf(statement).toString('latin1');
+
+      expect(pdf).toContain('Customer: Jos\\351 M\\374ller');
+      expect(pdf).not.toContain('Jos?');
+    });
+  });
+});
@@ -0,0 +1,214 @@
+const transferApprovalService = require('../../src/services/transferApprovalService');
+const transferService = require('../../src/services/transferService');
+const accountService = require('../../src/services/accountService');
+const prisma = require('../../src/db/client');
+
+describe('Transfer Approval Service', () => {
+  let sourceId;
+  let destinationId;
+  let tellerId;
+  let managerId;
+  let secondManagerId;
+
+  beforeEach(async () => {
+    const customer = await prisma.customer.findFirst();
+    sourceId = (await accountService.createAccount(customer.id, 20000)).id;
+    destinationId = (await accountService.createAccount(customer.id, 100)).id;
+    tellerId = (await prisma.employee.findUnique({ where: { username: 'employee1' } })).id;
+    managerId = (await prisma.employee.findUnique({ where: { username: 'manager1' } })).id;
+    secondManagerId = (await prisma.employee.create({
+      data: { username: 'manager2', password: 'not-used', name: 'Second Manager', role: 'manager' }
+    })).id;
+  });
+
+  afterEach(() => {
+    delete process.env.TRANSFER_APPROVAL_THRESHOLD;
+    delete process.env.TRANSFER_APPROVAL_TTL_HOURS;
+  });
+
+  describe('requiresApproval', () => {
+    test('should require approval only above the threshold', () => {
+      expect(transferApprovalService.requiresApproval(5000)).toBe(false);
+      expect(transferApprovalService.requiresApproval('5000.01')).toBe(true);
+
+      process.env.TRANSFER_APPROVAL_THRESHOLD = '100';
+      expect(transferApprovalService.requiresApproval(100.5)).toBe(true);
+    });
+  });
+
+  describe('requestApproval', () => {
+    test('should queue the transfer without moving money', async () => {
+      const now = new Date('2026-03-30T10:00:00.000Z');
+
+      const approval = await transferApprovalService.requestApproval(sourceId, destinationId, 8000, tellerId, now);
+
+      expect(approval).toMatchObject({
+        fromAccountId: sourceId,
+        toAccountId: destinationId,
+        amount: '8000.00',
+        status: 'PENDING',
+        requestedByEmployeeId: tellerId,
+        transferId: null
+      });
+      expect(approval.expiresAt).toEqual(new Date('2026-03-31T10:00:00.000Z'));
+      expect((await accountService.getBalance(sourceId)).balance).toBe('20000.00');
+
+      const entry = await prisma.auditLog.findFirst({ where: { action: 'TRANSFER_APPROVAL_REQUESTED' } });
+      expect(entry.entityId).toBe(approval.id);
+    });
+
+    test('should reject unknown accounts and same-account transfers up front', async () => {
+      await expect(transferApprovalService.requestApproval(99999, destinationId, 12000, tellerId))
+        .rejects.toMatchObject({ code: 'ACCOUNT_NOT_FOUND' });
+      await expect(transferApprovalService.requestApproval(sourceId, sourceId, 12000, tellerId))
+        .rejects.toMatchObject({ code: 'SAME_ACCOUNT_TRANSFER' });
+    });
+
+    test('should refuse requests that could never be approved', async () => {
+      await expect(transferApprovalService.requestApproval(sourceId, destinationId, 12000, tellerId))
+        .rejects.toMatchObject({ code: 'TRANSFER_LIMIT_EXCEEDED', details: { limit: 'ROLE_PER_TRANSACTION' } });
+      await expect(transferApprovalService.requestApproval(sourceId, destinationId, 25000, managerId))
+        .rejects.toMatchObject({ code: 'INSUFFICIENT_FUNDS' });
+      expect(await prisma.transferApproval.count()).toBe(0);
+    });
+  });
+
+  describe('approveTransfer', () => {
+    let approvalId;
+
+    beforeEach(async () => {
+      approvalId = (await transferApprovalService.requestApproval(sourceId, destinationId, 6000, tellerId)).id;
+    });
+
+    test('should execute the transfer in the requester\'s name and link it', async () => {
+      const result = await transferApprovalService.approveTransfer(approvalId, managerId, 'Confirmed by phone');
+
+      expect(result.approval).toMatchObject({
+        status: 'APPROVED',
+        reviewedByEmployeeId: managerId,
+        decisionReason: 'Confirmed by phone',
+        transferId: result.transfer.id
+      });
+      expect(result.transfer).toMatchObject({ amount: '6000.00', executedByEmployeeId: tellerId });
+      expect(result.fromAccount.balance).toBe('14000.00');
+
+      const entry = await prisma.auditLog.findFirst({ where: { action: 'TRANSFER_APPROVAL_APPROVED' } });
+      expect(JSON.parse(entry.details)).toMatchObject({ transferId: result.transfer.id, requestedByEmployeeId: tellerId });
+    });
+
+    test('should approve a manager\'s request above the teller cap', async () => {
+      const large = await transferApprovalService.requestApproval(sourceId, destinationId, 12000, managerId);
+
+      const result = await transferApprovalService.approveTransfer(large.id, secondManagerId);
+
+      expect(result.approval.status).toBe('APPROVED');
+      expect(result.transfer).toMatchObject({ amount: '12000.00', executedByEmployeeId: managerId });
+      expect(result.fromAccount.balance).toBe('8000.00');
+    });
+
+    test('should not let the requester approve their own transfer', async () => {
+      const own = await transferApprovalService.requestApproval(sourceId, destinationId, 6000, managerId);
+
+      await expect(transferApprovalService.approveTransfer(own.id, managerId))
+        .rejects.toMatchObject({ status: 403, code: 'SELF_APPROVAL_NOT_ALLOWED' });
+      await expect(transferApprovalService.approveTransfer(own.id, secondManagerId)).resolves.toBeDefined();
+    });
+
+    test('should check the balance again and leave the request pending when it fails', async () => {
+      await transferService.accountTransfer(sourceId, destinationId, 4800, managerId);
+      await transferService.accountTransfer(sourceId, destinationId, 4800, managerId);
+      await transferService.accountTransfer(sourceId, destinationId, 4800, managerId);
+
+      await expect(transferApprovalService.approveTransfer(approvalId, managerId))
+        .rejects.toMatchObject({ code: 'INSUFFICIENT_FUNDS' });
+      expect((await transferApprovalService.getApproval(approvalId)).status).toBe('PENDING');
+
+      await transferService.accountTransfer(destinationId, sourceId, 2000, managerId);
+      await expect(transferApprovalService.approveTransfer(approvalId, managerId)).resolves.toBeDefined();
+    });
+
+    test('should move the money once when two managers approve at the same time', async () => {
+      const results = await Promise.allSettled([
+        transferApprovalService.approveTransfer(approvalId, managerId),
+        transferApprovalService.approveTransfer(approvalId, secondManagerId)
+      ]);
+
+      expect(results.filter(r => r.status === 'fulfilled')).toHaveLength(1);
+      expect(results.find(r => r.status === 'rejected').reason.code).toBe('APPROVAL_NOT_PENDING');
+      expect((await accountService.getBalance(sourceId)).balance).toBe('14000.00');
+    });
+
+    test('should refuse requests that were already decided', async () => {
+      await transferApprovalService.rejectTransfer(approvalId, managerId, 'Not confirmed');
+
+      await expect(transferApprovalService.approveTransfer(approvalId, secondManagerId))
+        .rejects.toMatchObject({ status: 409, code: 'APPROVAL_NOT_PENDING', message: 'Transfer approval is already rejected' });
+      await expect(transferApprovalService.approveTransfer(99999, managerId))
+        .rejects.toMatchObject({ code: 'APPROVAL_NOT_FOUND' });
+    });
+  });
+
+  describe('rejectTransfer', () => {
+    test('should close the request without moving money and require a reason', async () => {
+      const { id } = await transferApprovalService.requestApproval(sourceId, destinationId, 6000, tellerId);
+
+      await expect(transferApprovalService.rejectTransfer(id, managerId, ' ')).rejects.toThrow('Rejection reason is required');
+      await expect(transferApprovalService.rejectTransfer(id, tellerId, 'Changed my mind'))
+        .rejects.toMatchObject({ code: 'SELF_APPROVAL_NOT_ALLOWED' });
+
+      const rejected = await transferApprovalService.rejectTransfer(id, managerId, 'Customer did not confirm');
+
+      expect(rejected).toMatchObject({ status: 'REJECTED', reviewedByEmployeeId: managerId, decisionReason: 'Customer did not confirm' });
+      expect((await accountService.getBalance(sourceId)).balance).toBe('20000.00');
+    });
+  });
+
+  describe('expiry', () => {
+    test('should expire pending requests after the configured time', async () => {
+      process.env.TRANSFER_APPROVAL_TTL_HOURS = '2';
+      const requestedAt = new Date('2026-03-30T10:00:00.000Z');
+      const { id } = await transferApprovalService.requestApproval(sourceId, destinationId, 6000, tellerId, requestedAt);
+
+      expect((await transferApprovalService.getApproval(id, new Date('2026-03-30T11:59:00.000Z'))).status).toBe('PENDING');
+
+      const late = new Date('2026-03-30T12:00:00.000Z');
+      await expect(transferApprovalService.approveTransfer(id, managerId, null, late))
+        .rejects.toMatchObject({ status: 409, code: 'APPROVAL_EXPIRED' });
+      expect((await transferApprovalService.getApproval(id)).status).toBe('EXPIRED');
+      expect((await accountService.getBalance(sourceId)).balance).toBe('20000.00');
+    });
+  });
+
+  describe('listApprovals', () => {
+    test('should list the queue oldest first and filter by status', async () => {
+      const first = await transferApprovalService.requestApproval(sourceId, destinationId, 6000, tellerId);
+      const second = await transferApprovalService.requestApproval(sourceId, destinationId, 7000, tellerId);
+      await transferApprovalService.rejectTransfer(second.id, managerId, 'Duplicate');
+
+      const all = await transferApprovalService.listApprovals();
+      expect(all.items.map(item => item.id)).toEqual([first.id, second.id]);
+
+      const pending = await transferApprovalService.listApprovals({ status: 'PENDING' });
+      expect(pending).toMatchObject({ total: 1, limit: 20, offset: 0 });
+      expect(pending.items[0].id).toBe(first.id);
+
+      await expect(transferApprovalService.listApprovals({ status: 'OPEN' })).rejects.toThrow('status must be one of');
+    });
+  });
+
+  describe('batch transfers', () => {
+    test('should not let a batch carry a transfer that needs approval', async () => {
+      const result = await transferService.batchTransfer([
+        { fromAccountId: sourceId, toAccountId: destinationId, amount: 100 },
+        { fromAccountId: sourceId, toAccountId: destinationId, amount: 6000 }
+      ], 'BEST_EFFORT', tellerId);
+
+      expect(result.results[1]).toEqual({
+        index: 1,
+        status: 'FAILED',
+        code: 'APPROVAL_REQUIRED',
+        errorMessage: 'Transfers above 5000.00 need approval and cannot be batched'
+      });
+    });
+  });
+});
@@ -0,0 +1,204 @@
+const transferLimitService = require('../../src/services/transferLimitService');
+const transferService = require('../../src/services/transferService');
+const accountService = require('../../src/services/accountService');
+const cashService = require('../../src/services/cashService');
+const prisma = require('../../src/db/client');
+const metrics = require('../../src/utils/metrics');
+const { TransferLimitExceededError } = require('../../src/utils/errors');
+
+describe('Transfer Limit Service', () => {
+  const LIMIT_SETTINGS = [
+    'TRANSFER_LIMIT_PER_TRANSACTION',
+    'TRANSFER_LIMIT_DAILY',
+    'TRANSFER_LIMIT_MONTHLY',
+    'TELLER_TRANSFER_LIMIT_PER_TRANSACTION',
+    'TELLER_TRANSFER_LIMIT_DAILY'
+  ];
+
+  let sourceId;
+  let destinationId;
+  let tellerId;
+  let managerId;
+
+  beforeEach(async () => {
+    const customer = await prisma.customer.findFirst();
+    sourceId = (await accountService.createAccount(customer.id, 5000)).id;
+    destinationId = (await accountService.createAccount(customer.id, 100)).id;
+    tellerId = (await prisma.employee.findUnique({ where: { username: 'employee1' } })).id;
+    managerId = (await prisma.employee.findUnique({ where: { username: 'manager1' } })).id;
+  });
+
+  afterEach(() => {
+    LIMIT_SETTINGS.forEach(name => delete process.env[name]);
+  });
+
+  describe('account limits', () => {
+    test('should reject a transfer above the per-transaction limit', async () => {
+      process.env.TRANSFER_LIMIT_PER_TRANSACTION = '500';
+      metrics.resetMetrics();
+
+      const error = await transferService.accountTransfer(sourceId, destinationId, 500.01).catch(e => e);
+
+      expect(error).toBeInstanceOf(TransferLimitExceededError);
+      expect(error.code).toBe('TRANSFER_LIMIT_EXCEEDED');
+      expect(error.message).toBe("Transfer exceeds the account's per-transaction limit of 500.00; 500.00 remaining");
+      expect(error.details).toEqual({ limit: 'ACCOUNT_PER_TRANSACTION', limitAmount: '500.00', remaining: '500.00' });
+      expect(metrics.transferLimitRejectionsTotal.get({ limit: 'ACCOUNT_PER_TRANSACTION' }).value).toBe(1);
+      await expect(transferService.accountTransfer(sourceId, destinationId, 500)).resolves.toBeDefined();
+    });
+
+    test('should count earlier transfers against the daily limit', async () => {
+      process.env.TRANSFER_LIMIT_DAILY = '1000';
+      await transferService.accountTransfer(sourceId, destinationId, 700);
+
+      await expect(transferService.accountTransfer(sourceId, destinationId, 400))
+        .rejects.toMatchObject({ details: { limit: 'ACCOUNT_DAILY', limitAmount: '1000.00', remaining: '300.00' } });
+      await expect(transferService.accountTransfer(sourceId, destinationId, 300)).resolves.toBeDefined();
+    });
+
+    test('should count the whole calendar month against the monthly limit', async () => {
+      process.env.TRANSFER_LIMIT_MONTHLY = '1000';
+      const { transfer } = await transferService.accountTransfer(sourceId, destinationId, 600);
+
+      // Move the earlier transfer back to yesterday (or the first of the month) so only the monthly total sees it
+      const now = new Date();
+      const earlier = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), Math.max(now.getUTCDate() - 1, 1)));
+      await prisma.transfer.update({ where: { id: transfer.id }, data: { timestamp: earlier } });
+
+      await expect(transferService.accountTransfer(sourceId, destinationId, 500))
+        .rejects.toMatchObject({ details: { limit: 'ACCOUNT_MONTHLY', remaining: '400.00' } });
+    });
+
+    test('should not count a reversal against the account it moves money out of', async () => {
+      process.env.TRANSFER_LIMIT_DAILY = '1000';
+      const { transfer } = await transferService.accountTransfer(destinationId, sourceId, 100);
+      await transferService.reverseTransfer(transfer.id, 'Wrong account', managerId);
+
+      // The reversal moved 100 out of sourceId, but the full daily limit is still available
+      await expect(transferService.accountTransfer(sourceId, destinationId, 1000)).resolves.toBeDefined();
+    });
+
+    test('should apply the daily limit across the items of a batch', async () => {
+      process.env.TRANSFER_LIMIT_DAILY = '1000';
+
+      const error = await transferService.batchTransfer([
+        { fromAccountId: sourceId, toAccountId: destinationId, amount: 600 },
+        { fromAccountId: sourceId, toAccountId: destinationId, amount: 600 }
+      ], 'ALL_OR_NOTHING', null).catch(e => e);
+
+      expect(error.code).toBe('BATCH_ROLLED_BACK');
+      expect(error.details.results[1]).toMatchObject({ status: 'FAILED', code: 'TRANSFER_LIMIT_EXCEEDED' });
+      expect(error.details.results[1].errorMessage).toContain('400.00 remaining');
+    });
+  });
+
+  describe('role caps', () => {
+    test('should cap what a teller moves in one transfer, but not a manager', async () => {
+      process.env.TELLER_TRANSFER_LIMIT_PER_TRANSACTION = '250';
+
+      await expect(transferService.accountTransfer(sourceId, destinationId, 300, tellerId))
+        .rejects.toMatchObject({
+          message: 'Transfer exceeds the teller per-transaction limit of 250.00; 250.00 remaining',
+          details: { limit: 'ROLE_PER_TRANSACTION' }
+        });
+      await expect(transferService.accountTransfer(sourceId, destinationId, 300, managerId)).resolves.toBeDefined();
+    });
+
+    test('should cap a teller\'s daily total across accounts', async () => {
+      process.env.TELLER_TRANSFER_LIMIT_DAILY = '1000';
+      const customer = await prisma.customer.findFirst();
+      const otherSourceId = (await accountService.createAccount(customer.id, 5000)).id;
+
+      await transferService.accountTransfer(sourceId, destinationId, 800, tellerId);
+
+      await expect(transferService.accountTransfer(otherSourceId, destinationId, 300, tellerId))
+        .rejects.toMatchObject({ details: { limit: 'ROLE_DAILY', limitAmount: '1000.00', remaining: '200.00' } });
+      await expect(transferService.accountTransfer(otherSourceId, destinationId, 300, managerId)).resolves.toBeDefined();
+    });
+  });
+
+  describe('cash withdrawals', () => {
+    test('should reject a withdrawal above the account limits, but not above a teller cap', async () => {
+      process.env.TRANSFER_LIMIT_PER_TRANSACTION = '500';
+      process.env.TELLER_TRANSFER_LIMIT_PER_TRANSACTION = '100';
+      metrics.resetMetrics();
+
+      await expect(cashService.withdraw(sourceId, 600, tellerId))
+        .rejects.toMatchObject({
+          code: 'TRANSFER_LIMIT_EXCEEDED',
+          message: "Withdrawal exceeds the account's per-transaction limit of 500.00; 500.00 remaining",
+          details: { limit: 'ACCOUNT_PER_TRANSACTION' }
+        });
+      expect(metrics.transferLimitRejectionsTotal.get({ limit: 'ACCOUNT_PER_TRANSACTION' }).value).toBe(1);
+      await expect(cashService.withdraw(sourceId, 500, tellerId)).resolves.toBeDefined();
+    });
+
+    test('should count withdrawals and transfers together against the daily limit', async () => {
+      process.env.TRANSFER_LIMIT_DAILY = '1000';
+      await cashService.withdraw(sourceId, 600, tellerId);
+
+      await expect(transferService.accountTransfer(sourceId, destinationId, 500))
+        .rejects.toMatchObject({ details: { limit: 'ACCOUNT_DAILY', remaining: '400.00' } });
+      await transferService.accountTransfer(sourceId, destinationId, 300);
+      await expect(cashService.withdraw(sourceId, 200, tellerId))
+        .rejects.toMatchObject({ details: { limit: 'ACCOUNT_DAILY', remaining: '100.00' } });
+
+      const limits = await transferLimitService.getAccountLimits(sourceId);
+      expect(limits.daily).toMatchObject({ used: '900.00', remaining: '100.00' });
+    });
+  });
+
+  describe('overrides', () => {
+    test('should report defaults and usage for an account without overrides', async () => {
+      process.env.TRANSFER_LIMIT_DAILY = '1000';
+      await transferService.accountTransfer(sourceId, destinationId, 150);
+
+      const limits = await transferLimitService.getAccountLimits(sourceId);
+
+      expect(limits).toMatchObject({
+        accountId: sourceId,
+        perTransaction: { amount: '25000.00', source: 'DEFAULT' },
+        daily: { amount: '1000.00', source: 'DEFAULT', used: '150.00', remaining: '850.00' },
+        monthly: { amount: '250000.00', source: 'DEFAULT', used: '150.00', remaining: '249850.00' },
+        reason: null,
+        updatedByEmployeeId: null
+      });
+    });
+
+    test('should let an override raise a limit and a null put it back to the default', async () => {
+      process.env.TRANSFER_LIMIT_PER_TRANSACTION = '500';
+
+      const limits = await transferLimitService.setAccountLimits(sourceId, { perTransaction: '2000', reason: 'Payroll account' }, managerId);
+      expect(limits.perTransaction).toEqual({ amount: '2000.00', source: 'OVERRIDE' });
+      expect(limits).toMatchObject({ reason: 'Payroll account', updatedByEmployeeId: managerId });
+      await expect(transferService.accountTransfer(sourceId, destinationId, 1500)).resolves.toBeDefined();
+
+      await transferLimitService.setAccountLimits(sourceId, { perTransaction: null }, managerId);
+      await expect(transferService.accountTransfer(sourceId, destinationId, 1500))
+        .rejects.toMatchObject({ details: { limit: 'ACCOUNT_PER_TRANSACTION', limitAmount: '500.00' } });
+    });
+
+    test('should audit the previous and new overrides', async () => {
+      await transferLimitService.setAccountLimits(sourceId, { daily: 100 }, managerId);
+      await transferLimitService.setAccountLimits(sourceId, { monthly: '300.50', reason: 'Dormant business' }, managerId);
+
+      const entry = await prisma.auditLog.findFirst({ where: { action: 'ACCOUNT_LIMITS_UPDATED' }, orderBy: { id: 'desc' } });
+      expect(entry.entityId).toBe(sourceId);
+      expect(JSON.parse(entry.details)).toEqual({
+        previous: { perTransaction: null, daily: '100.00', monthly: null },
+        current: { perTransaction: null, daily: null, monthly: '300.50' },
+        reason: 'Dormant business'
+      });
+    });
+
+    test('should reject non-positive limits and unknown or internal accounts', async () => {
+      await expect(transferLimitService.setAccountLimits(sourceId, { daily: 0 }, managerId))
+        .rejects.toMatchObject({ message: 'daily must be greater than zero', code: 'INVALID_AMOUNT' });
+      await expect(transferLimitService.getAccountLimits(99999)).rejects.toMatchObject({ code: 'ACCOUNT_NOT_FOUND' });
+
+      const funding = await prisma.account.findFirst({ where: { kind: 'FUNDING' } });
+      await expect(transferLimitService.setAccountLimits(funding.id, { daily: 10 }, managerId))
+        .rejects.toMatchObject({ code: 'INTERNAL_ACCOUNT' });
+    });
+  });
+});
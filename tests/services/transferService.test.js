@@ -1,6 +1,7 @@
 const transferService = require('../../src/services/transferService');
 const accountService = require('../../src/services/accountService');
 const prisma = require('../../src/db/client');
+const { InsufficientFundsError, ValidationError } = require('../../src/utils/errors');
 
 describe('Transfer Service', () => {
   let customerId;
@@ -30,13 +31,13 @@ describe('Transfer Service', () => {
 
       expect(result).toBeDefined();
       expect(result.transfer).toBeDefined();
-      expect(result.transfer.amount).toBe(amount);
+      expect(result.transfer.amount).toBe('250.00');
       expect(result.transfer.fromAccountId).toBe(account1Id);
       expect(result.transfer.toAccountId).toBe(account2Id);
       
       // Verify balances updated
-      expect(result.fromAccount.balance).toBe(750); // 1000 - 250
-      expect(result.toAccount.balance).toBe(750); // 500 + 250
+      expect(result.fromAccount.balance).toBe('750.00'); // 1000 - 250
+      expect(result.toAccount.balance).toBe('750.00'); // 500 + 250
     });
 
     test('should throw error when source account does not exist', async () => {
@@ -79,11 +80,75 @@ describe('Transfer Service', () => {
       ).rejects.toThrow('Insufficient funds');
     });
 
+    test('should throw typed errors with stable codes', async () => {
+      await expect(
+        transferService.accountTransfer(account1Id, account2Id, 2000)
+      ).rejects.toBeInstanceOf(InsufficientFundsError);
+      await expect(
+        transferService.accountTransfer(account1Id, account2Id, 'abc')
+      ).rejects.toMatchObject({ code: 'INVALID_AMOUNT', status: 400 });
+      await expect(
+        transferService.accountTransfer(account1Id, 999999, 10)
+      ).rejects.toMatchObject({ code: 'ACCOUNT_NOT_FOUND', status: 404 });
+      await expect(
+        transferService.accountTransfer(account1Id, account2Id, -1)
+      ).rejects.toBeInstanceOf(ValidationError);
+    });
+
+    test('should add decimal amounts without floating point drift', async () => {
+      const small = await accountService.createAccount(customerId, 0.1);
+
+      const result = await transferService.accountTransfer(account1Id, small.id, 0.2);
+
+      expect(result.toAccount.balance).toBe('0.30');
+      expect(result.fromAccount.balance).toBe('999.80');
+    });
+
+    test('should throw error when amount has more than two decimal places', async () => {
+      await expect(
+        transferService.accountTransfer(account1Id, account2Id, 1.001)
+      ).rejects.toThrow('Amount cannot have more than two decimal places');
+    });
+
+    test('should throw error when amount is not numeric', async () => {
+      await expect(
+        transferService.accountTransfer(account1Id, account2Id, 'abc')
+      ).rejects.toThrow('Amount must be a valid number');
+    });
+
+    test('should refuse to debit a frozen account', async () => {
+      await accountService.freezeAccount(account1Id);
+
+      await expect(
+        transferService.accountTransfer(account1Id, account2Id, 10)
+      ).rejects.toThrow('Source account is frozen');
+    });
+
+    test('should allow crediting a frozen account', async () => {
+      await accountService.freezeAccount(account2Id);
+
+      const result = await transferService.accountTransfer(account1Id, account2Id, 10);
+      expect(result.toAccount.balance).toBe('510.00');
+    });
+
+    test('should refuse to debit or credit a closed account', async () => {
+      const empty = await accountService.createAccount(customerId, 10);
+      await transferService.accountTransfer(empty.id, account1Id, 10);
+      await accountService.closeAccount(empty.id);
+
+      await expect(
+        transferService.accountTransfer(empty.id, account2Id, 1)
+      ).rejects.toThrow('Source account is closed');
+      await expect(
+        transferService.accountTransfer(account1Id, empty.id, 1)
+      ).rejects.toThrow('Destination account is closed');
+    });
+
     test('should maintain data integrity with concurrent transfers', async () => {
       // This test ensures the transaction prevents race conditions
       const amount = 100;
-      const initialBalance1 = (await prisma.account.findUnique({ where: { id: account1Id } })).balance;
-      const initialBalance2 = (await prisma.account.findUnique({ where: { id: account2Id } })).balance;
+      const initialBalance1 = Number((await prisma.account.findUnique({ where: { id: account1Id } })).balanceCents);
+      const initialBalance2 = Number((await prisma.account.findUnique({ where: { id: account2Id } })).balanceCents);
 
       // Make transfer
       await transferService.accountTransfer(account1Id, account2Id, amount);
@@ -92,8 +157,8 @@ describe('Transfer Service', () => {
       const finalAccount1 = await prisma.account.findUnique({ where: { id: account1Id } });
       const finalAccount2 = await prisma.account.findUnique({ where: { id: account2Id } });
 
-      expect(finalAccount1.balance).toBe(initialBalance1 - amount);
-      expect(finalAccount2.balance).toBe(initialBalance2 + amount);
+      expect(Number(finalAccount1.balanceCents)).toBe(initialBalance1 - amount * 100);
+      expect(Number(finalAccount2.balanceCents)).toBe(initialBalance2 + amount * 100);
     });
   });
 
@@ -106,21 +171,23 @@ describe('Transfer Service', () => {
       const history = await transferService.getTransferHistory(account1Id);
 
       expect(history).toBeDefined();
-      expect(Array.isArray(history)).toBe(true);
-      expect(history.length).toBeGreaterThan(0);
+      expect(Array.isArray(history.items)).toBe(true);
+      expect(history.total).toBe(2);
       
       // Should have both sent and received transfers
-      const sentTransfers = history.filter(t => t.fromAccountId === account1Id);
-      const receivedTransfers = history.filter(t => t.toAccountId === account1Id);
+      const sentTransfers = history.items.filter(t => t.fromAccountId === account1Id);
+      const receivedTransfers = history.items.filter(t => t.toAccountId === account1Id);
       
       expect(sentTransfers.length).toBeGreaterThan(0);
       expect(receivedTransfers.length).toBeGreaterThan(0);
     });
 
-    test('should return empty array for account with no transfers', async () => {
+    test('should return empty page for account with no transfers', async () => {
       const history = await transferService.getTransferHistory(account1Id);
-      expect(history).toBeDefined();
-      expect(Array.isArray(history)).toBe(true);
+      expect(history.items).toEqual([]);
+      expect(history.total).toBe(0);
+      expect(history.nextCursor).toBeNull();
+      expect(history.prevCursor).toBeNull();
     });
 
     test('should throw error when account does not exist', async () => {
@@ -138,11 +205,247 @@ describe('Transfer Service', () => {
 
       const history = await transferService.getTransferHistory(account1Id);
       
-      expect(history.length).toBeGreaterThan(1);
+      expect(history.items.length).toBeGreaterThan(1);
       // Newest first
-      expect(history[0].amount).toBe(20);
-      expect(history[1].amount).toBe(10);
+      expect(history.items[0].amount).toBe('20.00');
+      expect(history.items[1].amount).toBe('10.00');
+    });
+
+    describe('pagination and filters', () => {
+      let account3Id;
+
+      beforeEach(async () => {
+        const account3 = await accountService.createAccount(customerId, 500);
+        account3Id = account3.id;
+        // Five transfers on account1: 1, 2, 3 out to account2; 4 in from account3; 5 out to account3
+        await transferService.accountTransfer(account1Id, account2Id, 1);
+        await transferService.accountTransfer(account1Id, account2Id, 2);
+        await transferService.accountTransfer(account1Id, account2Id, 3);
+        await transferService.accountTransfer(account3Id, account1Id, 4);
+        await transferService.accountTransfer(account1Id, account3Id, 5);
+      });
+
+      test('should page forwards and backwards with cursors', async () => {
+        const first = await transferService.getTransferHistory(account1Id, { limit: 2 });
+        expect(first.total).toBe(5);
+        expect(first.items.map(t => t.amount)).toEqual(['5.00', '4.00']);
+        expect(first.prevCursor).toBeNull();
+
+        const second = await transferService.getTransferHistory(account1Id, { limit: 2, cursor: first.nextCursor });
+        expect(second.items.map(t => t.amount)).toEqual(['3.00', '2.00']);
+
+        const third = await transferService.getTransferHistory(account1Id, { limit: 2, cursor: second.nextCursor });
+        expect(third.items.map(t => t.amount)).toEqual(['1.00']);
+        expect(third.nextCursor).toBeNull();
+
+        const back = await transferService.getTransferHistory(account1Id, { limit: 2, cursor: third.prevCursor });
+        expect(back.items.map(t => t.amount)).toEqual(['3.00', '2.00']);
+
+        const start = await transferService.getTransferHistory(account1Id, { limit: 2, cursor: back.prevCursor });
+        expect(start.items.map(t => t.amount)).toEqual(['5.00', '4.00']);
+        expect(start.prevCursor).toBeNull();
+      });
+
+      test('should filter by direction', async () => {
+        const incoming = await transferService.getTransferHistory(account1Id, { direction: 'incoming' });
+        expect(incoming.items.map(t => t.amount)).toEqual(['4.00']);
+
+        const outgoing = await transferService.getTransferHistory(account1Id, { direction: 'outgoing' });
+        expect(outgoing.total).toBe(4);
+      });
+
+      test('should filter by counterparty account', async () => {
+        const history = await transferService.getTransferHistory(account1Id, { counterpartyAccountId: account3Id });
+        expect(history.items.map(t => t.amount)).toEqual(['5.00', '4.00']);
+      });
+
+      test('should filter by amount range', async () => {
+        const history = await transferService.getTransferHistory(account1Id, { minAmount: '2', maxAmount: 4 });
+        expect(history.items.map(t => t.amount)).toEqual(['4.00', '3.00', '2.00']);
+      });
+
+      test('should filter by date range', async () => {
+        const future = await transferService.getTransferHistory(account1Id, { from: new Date(Date.now() + 60000) });
+        expect(future.total).toBe(0);
+
+        const past = await transferService.getTransferHistory(account1Id, { to: new Date(Date.now() + 60000) });
+        expect(past.total).toBe(5);
+      });
+
+      test('should reject invalid options', async () => {
+        await expect(transferService.getTransferHistory(account1Id, { direction: 'sideways' }))
+          .rejects.toThrow('direction must be one of: incoming, outgoing');
+        await expect(transferService.getTransferHistory(account1Id, { minAmount: 5, maxAmount: 1 }))
+          .rejects.toThrow('minAmount cannot be greater than maxAmount');
+        await expect(transferService.getTransferHistory(account1Id, { cursor: 'not-a-cursor' }))
+          .rejects.toThrow('Invalid cursor');
+      });
     });
   });
-});
 
+  describe('batchTransfer', () => {
+    let account3Id;
+
+    beforeEach(async () => {
+      const account3 = await accountService.createAccount(customerId, 1);
+      account3Id = account3.id;
+    });
+
+    test('should commit every transfer in ALL_OR_NOTHING mode', async () => {
+      const result = await transferService.batchTransfer([
+        { fromAccountId: account1Id, toAccountId: account2Id, amount: 100 },
+        { fromAccountId: account1Id, toAccountId: account3Id, amount: '250.50' }
+      ], 'ALL_OR_NOTHING', null);
+
+      expect(result).toMatchObject({ mode: 'ALL_OR_NOTHING', status: 'COMPLETED', total: 2, succeeded: 2, failed: 0 });
+      expect(result.results.map(r => r.status)).toEqual(['SUCCEEDED', 'SUCCEEDED']);
+      expect(result.results[1].transfer.amount).toBe('250.50');
+      expect((await accountService.getBalance(account1Id)).balance).toBe('649.50');
+      expect((await accountService.getBalance(account3Id)).balance).toBe('251.50');
+    });
+
+    test('should roll back the whole batch when a later debit overdraws the same source', async () => {
+      const transfersBefore = await prisma.transfer.count();
+
+      const error = await transferService.batchTransfer([
+        { fromAccountId: account1Id, toAccountId: account2Id, amount: 600 },
+        { fromAccountId: account1Id, toAccountId: account3Id, amount: 600 },
+        { fromAccountId: account2Id, toAccountId: account3Id, amount: 10 }
+      ], 'ALL_OR_NOTHING', null).catch(e => e);
+
+      expect(error.code).toBe('BATCH_ROLLED_BACK');
+      expect(error.details.failedIndex).toBe(1);
+      expect(error.details.results).toEqual([
+        { index: 0, status: 'ROLLED_BACK' },
+        { index: 1, status: 'FAILED', code: 'INSUFFICIENT_FUNDS', errorMessage: 'Insufficient funds' },
+        { index: 2, status: 'NOT_ATTEMPTED' }
+      ]);
+      expect(await prisma.transfer.count()).toBe(transfersBefore);
+      expect((await accountService.getBalance(account1Id)).balance).toBe('1000.00');
+      expect((await accountService.getBalance(account2Id)).balance).toBe('500.00');
+
+      const failure = await prisma.auditLog.findFirst({ where: { action: 'TRANSFER_FAILED' }, orderBy: { id: 'desc' } });
+      expect(JSON.parse(failure.details).batch).toEqual({ mode: 'ALL_OR_NOTHING', index: 1, count: 3 });
+    });
+
+    test('should report the existence and status errors of a single transfer', async () => {
+      await accountService.freezeAccount(account2Id, null, 'Fraud review');
+
+      const error = await transferService.batchTransfer([
+        { fromAccountId: account1Id, toAccountId: 99999, amount: 10 }
+      ], 'ALL_OR_NOTHING', null).catch(e => e);
+      expect(error.details.results[0]).toMatchObject({ code: 'ACCOUNT_NOT_FOUND', errorMessage: 'Destination account does not exist' });
+
+      const frozen = await transferService.batchTransfer([
+        { fromAccountId: account1Id, toAccountId: account3Id, amount: 10 },
+        { fromAccountId: account2Id, toAccountId: account3Id, amount: 10 }
+      ], 'ALL_OR_NOTHING', null).catch(e => e);
+      expect(frozen.details.results[1]).toMatchObject({ status: 'FAILED', code: 'ACCOUNT_FROZEN' });
+    });
+
+    test('should commit what it can in BEST_EFFORT mode', async () => {
+      const result = await transferService.batchTransfer([
+        { fromAccountId: account1Id, toAccountId: account3Id, amount: 600 },
+        { fromAccountId: account1Id, toAccountId: account3Id, amount: 600 },
+        { fromAccountId: account1Id, toAccountId: account1Id, amount: 1 },
+        { fromAccountId: account1Id, toAccountId: account2Id, amount: 400 }
+      ], 'BEST_EFFORT', null);
+
+      expect(result).toMatchObject({ mode: 'BEST_EFFORT', status: 'PARTIAL', total: 4, succeeded: 2, failed: 2 });
+      expect(result.results[1]).toEqual({ index: 1, status: 'FAILED', code: 'INSUFFICIENT_FUNDS', errorMessage: 'Insufficient funds' });
+      expect(result.results[2]).toMatchObject({ status: 'FAILED', code: 'SAME_ACCOUNT_TRANSFER' });
+      expect(result.results[3].status).toBe('SUCCEEDED');
+      expect((await accountService.getBalance(account1Id)).balance).toBe('0.00');
+      expect((await accountService.getBalance(account3Id)).balance).toBe('601.00');
+    });
+
+    test('should report FAILED when no transfer in a BEST_EFFORT batch succeeds', async () => {
+      const result = await transferService.batchTransfer([
+        { fromAccountId: account3Id, toAccountId: account1Id, amount: 5 }
+      ], 'BEST_EFFORT', null);
+
+      expect(result).toMatchObject({ status: 'FAILED', succeeded: 0, failed: 1 });
+    });
+
+    test('should reject an unknown mode, an empty batch and an oversized batch', async () => {
+      const item = { fromAccountId: account1Id, toAccountId: account2Id, amount: 1 };
+
+      await expect(transferService.batchTransfer([item], 'SOMETIMES', null)).rejects.toThrow(ValidationError);
+      await expect(transferService.batchTransfer([], 'BEST_EFFORT', null)).rejects.toMatchObject({ code: 'EMPTY_BATCH' });
+      await expect(transferService.batchTransfer(new Array(transferService.MAX_BATCH_SIZE + 1).fill(item), 'BEST_EFFORT', null))
+        .rejects.toMatchObject({ code: 'BATCH_TOO_LARGE' });
+      expect((await accountService.getBalance(account1Id)).balance).toBe('1000.00');
+    });
+  });
+
+  describe('reverseTransfer', () => {
+    let transferId;
+
+    beforeEach(async () => {
+      const result = await transferService.accountTransfer(account1Id, account2Id, 300);
+      transferId = result.transfer.id;
+    });
+
+    test('should move the money back with a linked transfer', async () => {
+      const result = await transferService.reverseTransfer(transferId, 'Sent to the wrong account');
+
+      expect(result.transfer.reversalOfId).toBe(transferId);
+      expect(result.transfer.reversalReason).toBe('Sent to the wrong account');
+      expect(result.transfer.fromAccountId).toBe(account2Id);
+      expect(result.transfer.amount).toBe('300.00');
+      expect(result.toAccount.balance).toBe('1000.00');
+      expect(result.fromAccount.balance).toBe('500.00');
+
+      const entry = await prisma.journalEntry.findUnique({ where: { transferId: result.transfer.id } });
+      expect(entry.type).toBe('TRANSFER_REVERSAL');
+    });
+
+    test('should prevent reversing twice', async () => {
+      const result = await transferService.reverseTransfer(transferId, 'Wrong account');
+
+      await expect(transferService.reverseTransfer(transferId, 'Again')).rejects.toThrow('Transfer has already been reversed');
+      await expect(transferService.reverseTransfer(result.transfer.id, 'Undo')).rejects.toThrow('A reversal cannot itself be reversed');
+    });
+
+    test('should allow only one of two concurrent reversals', async () => {
+      const results = await Promise.allSettled([
+        transferService.reverseTransfer(transferId, 'First'),
+        transferService.reverseTransfer(transferId, 'Second')
+      ]);
+
+      expect(results.filter(r => r.status === 'fulfilled')).toHaveLength(1);
+      expect((await accountService.getBalance(account1Id)).balance).toBe('1000.00');
+    });
+
+    test('should fail cleanly when the destination no longer has the funds', async () => {
+      await transferService.accountTransfer(account2Id, account1Id, 700);
+
+      await expect(transferService.reverseTransfer(transferId, 'Wrong account'))
+        .rejects.toThrow('Insufficient funds in destination account to reverse transfer');
+
+      expect((await accountService.getBalance(account2Id)).balance).toBe('100.00');
+      const failure = await prisma.auditLog.findFirst({ where: { action: 'TRANSFER_REVERSAL_FAILED' } });
+      expect(failure.entityId).toBe(transferId);
+    });
+
+    test('should require a reason', async () => {
+      await expect(transferService.reverseTransfer(transferId, '  ')).rejects.toThrow('Reversal reason is required');
+    });
+
+    test('should throw error when transfer does not exist', async () => {
+      await expect(transferService.reverseTransfer(99999, 'Wrong account')).rejects.toThrow('Transfer not found');
+    });
+
+    test('should show reversal status in transfer history', async () => {
+      const result = await transferService.reverseTransfer(transferId, 'Wrong account');
+
+      const history = await transferService.getTransferHistory(account1Id);
+      const [reversal, original] = history.items;
+
+      expect(reversal.reversalStatus).toBe('REVERSAL');
+      expect(original.reversalStatus).toBe('REVERSED');
+      expect(original.reversedBy.id).toBe(result.transfer.id);
+      expect(original.reversedBy.reversalReason).toBe('Wrong account');
+    });
+  });
+});
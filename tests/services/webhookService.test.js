@@ -0,0 +1,326 @@
+const http = require('http');
+const crypto = require('crypto');
+const webhookService = require('../../src/services/webhookService');
+const accountService = require('../../src/services/accountService');
+const transferService = require('../../src/services/transferService');
+const { EVENT_TYPES } = require('../../src/services/outboxService');
+const prisma = require('../../src/db/client');
+
+describe('Webhook Service', () => {
+  let receiver;
+  let receiverUrl;
+  let received;
+  let answerStatus;
+  let employeeId;
+  let customerId;
+
+  beforeAll(async () => {
+    // Local HTTP receiver standing in for a subscriber
+    process.env.WEBHOOK_ALLOW_PRIVATE_URLS = 'true';
+    receiver = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.statusCode = answerStatus;
+        res.end();
+      });
+    });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    receiverUrl = `http://127.0.0.1:${receiver.address().port}/hooks`;
+  });
+
+  afterAll(async () => {
+    delete process.env.WEBHOOK_ALLOW_PRIVATE_URLS;
+    await new Promise(resolve => receiver.close(resolve));
+  });
+
+  beforeEach(async () => {
+    received = [];
+    answerStatus = 200;
+    employeeId = (await prisma.employee.findUnique({ where: { username: 'manager1' } })).id;
+    customerId = (await prisma.customer.findFirst()).id;
+  });
+
+  afterEach(() => {
+    delete process.env.WEBHOOK_MAX_ATTEMPTS;
+    delete process.env.WEBHOOK_RETRY_BASE_SECONDS;
+  });
+
+  function subscribe(events, url = receiverUrl) {
+    return webhookService.createSubscription({ url, events }, employeeId);
+  }
+
+  async function outboxTypes() {
+    const events = await prisma.outboxEvent.findMany({ orderBy: { id: 'asc' } });
+    return events.map(event => event.type);
+  }
+
+  describe('createSubscription', () => {
+    test('should return the signing secret only on creation', async () => {
+      const subscription = await subscribe(['transfer.completed', 'account.frozen']);
+
+      expect(subscription.secret).toMatch(/^whsec_[0-9a-f]{64}$/);
+      expect(subscription.events).toEqual(['transfer.completed', 'account.frozen']);
+      expect(subscription.isActive).toBe(true);
+
+      const fetched = await webhookService.getSubscription(subscription.id);
+      expect(fetched.secret).toBeUndefined();
+    });
+
+    test('should reject URLs that are not http or https', async () => {
+      await expect(subscribe(['transfer.completed'], 'ftp://example.com/hooks')).rejects.toMatchObject({ code: 'INVALID_WEBHOOK_URL' });
+      await expect(subscribe(['transfer.completed'], 'not a url')).rejects.toMatchObject({ code: 'INVALID_WEBHOOK_URL' });
+    });
+
+    test('should reject loopback and private network URLs', async () => {
+      delete process.env.WEBHOOK_ALLOW_PRIVATE_URLS;
+      try {
+        for (const url of [
+          'http://localhost:8080/hooks',
+          'http://127.0.0.1/hooks',
+          'http://2130706433/hooks',
+          'https://10.1.2.3/hooks',
+          'https://172.20.0.5/hooks',
+          'https://192.168.1.10/hooks',
+          'http://169.254.169.254/latest/meta-data',
+          'http://0.0.0.0/hooks',
+          'http://[::1]/hooks',
+          'http://[::ffff:127.0.0.1]/hooks',
+          'http://[fd00::1]/hooks',
+          'http://[fe80::1]/hooks'
+        ]) {
+          await expect(subscribe(['transfer.completed'], url)).rejects.toMatchObject({ code: 'INVALID_WEBHOOK_URL' });
+        }
+
+        await expect(subscribe(['transfer.completed'], 'https://172.32.0.1/hooks')).resolves.toMatchObject({ isActive: true });
+        expect(await prisma.webhookSubscription.count()).toBe(1);
+      } finally {
+        process.env.WEBHOOK_ALLOW_PRIVATE_URLS = 'true';
+      }
+    });
+
+    test('should reject unknown event types', async () => {
+      await expect(subscribe(['transfer.created'])).rejects.toMatchObject({ code: 'UNKNOWN_EVENT_TYPE' });
+      await expect(subscribe([])).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+    });
+  });
+
+  describe('outbox', () => {
+    test('should record events in the same transaction as the change', async () => {
+      const from = await accountService.createAccount(customerId, 100);
+      const to = await accountService.createAccount(customerId, 10);
+      await transferService.accountTransfer(from.id, to.id, 25, employeeId);
+      await accountService.freezeAccount(to.id, employeeId, 'Suspicious activity');
+
+      expect(await outboxTypes()).toEqual([
+        EVENT_TYPES.ACCOUNT_CREATED,
+        EVENT_TYPES.ACCOUNT_CREATED,
+        EVENT_TYPES.TRANSFER_COMPLETED,
+        EVENT_TYPES.ACCOUNT_FROZEN
+      ]);
+      const frozen = await prisma.outboxEvent.findFirst({ where: { type: EVENT_TYPES.ACCOUNT_FROZEN } });
+      expect(JSON.parse(frozen.payload)).toMatchObject({
+        account: { id: to.id, status: 'FROZEN' },
+        previousStatus: 'ACTIVE',
+        reason: 'Suspicious activity'
+      });
+    });
+
+    test('should not record an event when the transfer rolls back', async () => {
+      const from = await accountService.createAccount(customerId, 10);
+      const to = await accountService.createAccount(customerId, 10);
+      await prisma.outboxEvent.deleteMany();
+
+      await expect(transferService.accountTransfer(from.id, to.id, 500, employeeId)).rejects.toMatchObject({ code: 'INSUFFICIENT_FUNDS' });
+
+      expect(await outboxTypes()).toEqual([]);
+    });
+  });
+
+  describe('processOutbox', () => {
+    test('should deliver events to matching subscriptions with a valid signature', async () => {
+      const subscription = await subscribe(['transfer.completed']);
+      const other = await subscribe(['account.closed']);
+      const from = await accountService.createAccount(customerId, 100);
+      const to = await accountService.createAccount(customerId, 10);
+      const { transfer } = await transferService.accountTransfer(from.id, to.id, 25, employeeId);
+
+      const { deliveries } = await webhookService.processOutbox();
+
+      expect(deliveries).toHaveLength(1);
+      expect(deliveries[0]).toMatchObject({ subscriptionId: subscription.id, status: 'DELIVERED', attempts: 1, lastStatusCode: 200 });
+      expect(await prisma.webhookDelivery.count({ where: { subscriptionId: other.id } })).toBe(0);
+      expect(await prisma.outboxEvent.count({ where: { dispatchedAt: null } })).toBe(0);
+
+      expect(received).toHaveLength(1);
+      const { headers, body } = received[0];
+      const payload = JSON.parse(body);
+      expect(payload.type).toBe('transfer.completed');
+      expect(payload.data.transfer).toMatchObject({ id: transfer.id, amount: '25.00' });
+      expect(headers['x-webhook-id']).toBe(String(payload.id));
+      expect(headers['x-webhook-event']).toBe('transfer.completed');
+
+      const expected = crypto.createHmac('sha256', subscription.secret)
+        .update(`${headers['x-webhook-timestamp']}.${body}`)
+        .digest('hex');
+      expect(headers['x-webhook-signature']).toBe(`sha256=${expected}`);
+    });
+
+    test('should not fan the same event out twice', async () => {
+      await subscribe(['account.created']);
+      await accountService.createAccount(customerId, 10);
+
+      await webhookService.processOutbox();
+      await webhookService.processOutbox();
+
+      expect(await prisma.webhookDelivery.count()).toBe(1);
+      expect(received).toHaveLength(1);
+    });
+
+    test('should send a due delivery once when two dispatchers run at the same time', async () => {
+      await subscribe(['account.created']);
+      await accountService.createAccount(customerId, 10);
+      const now = new Date();
+
+      const passes = await Promise.all([webhookService.processOutbox(now), webhookService.processOutbox(now)]);
+
+      expect(passes.flatMap(pass => pass.deliveries)).toHaveLength(1);
+      expect(received).toHaveLength(1);
+      const [delivery] = await prisma.webhookDelivery.findMany();
+      expect(delivery).toMatchObject({ status: 'DELIVERED', attempts: 1 });
+    });
+
+    test('should retry failed deliveries with exponential backoff', async () => {
+      process.env.WEBHOOK_RETRY_BASE_SECONDS = '30';
+      await subscribe(['account.created']);
+      await accountService.createAccount(customerId, 10);
+      answerStatus = 503;
+      const now = new Date();
+
+      const [first] = (await webhookService.processOutbox(now)).deliveries;
+      expect(first).toMatchObject({ status: 'PENDING', attempts: 1, lastStatusCode: 503, lastError: 'Receiver answered HTTP 503' });
+      expect(first.nextAttemptAt.getTime()).toBe(first.lastAttemptAt.getTime() + 30 * 1000);
+
+      // Not due yet
+      expect((await webhookService.processOutbox(now)).deliveries).toHaveLength(0);
+
+      const [second] = (await webhookService.processOutbox(first.nextAttemptAt)).deliveries;
+      expect(second.attempts).toBe(2);
+      expect(second.nextAttemptAt.getTime()).toBe(second.lastAttemptAt.getTime() + 60 * 1000);
+
+      answerStatus = 204;
+      const [third] = (await webhookService.processOutbox(second.nextAttemptAt)).deliveries;
+      expect(third).toMatchObject({ status: 'DELIVERED', attempts: 3, lastError: null, nextAttemptAt: null });
+      expect(received).toHaveLength(3);
+    });
+
+    test('should time each attempt when it is made rather than when the pass started', async () => {
+      process.env.WEBHOOK_RETRY_BASE_SECONDS = '30';
+      await subscribe(['account.created']);
+      await accountService.createAccount(customerId, 10);
+      answerStatus = 503;
+      const passStartedAt = new Date(Date.now() - 5 * 60 * 1000);
+      const before = Date.now();
+
+      const [delivery] = (await webhookService.processOutbox(passStartedAt)).deliveries;
+
+      expect(delivery.lastAttemptAt.getTime()).toBeGreaterThanOrEqual(before);
+      expect(delivery.nextAttemptAt.getTime()).toBeGreaterThanOrEqual(before + 30 * 1000);
+    });
+
+    test('should dead-letter a delivery after the last attempt', async () => {
+      process.env.WEBHOOK_MAX_ATTEMPTS = '2';
+      await subscribe(['account.created']);
+      await accountService.createAccount(customerId, 10);
+      answerStatus = 500;
+
+      const [first] = (await webhookService.processOutbox()).deliveries;
+      const [second] = (await webhookService.processOutbox(first.nextAttemptAt)).deliveries;
+
+      expect(second).toMatchObject({ status: 'DEAD', attempts: 2, nextAttemptAt: null });
+      expect((await webhookService.processOutbox(new Date(Date.now() + 86400000))).deliveries).toHaveLength(0);
+    });
+
+    test('should record connection failures as the error', async () => {
+      // Nothing listens on this port once the probe server is closed
+      const probe = http.createServer();
+      await new Promise(resolve => probe.listen(0, '127.0.0.1', resolve));
+      const { port } = probe.address();
+      await new Promise(resolve => probe.close(resolve));
+      await subscribe(['account.created'], `http://127.0.0.1:${port}/gone`);
+      await accountService.createAccount(customerId, 10);
+
+      const [delivery] = (await webhookService.processOutbox()).deliveries;
+
+      expect(delivery).toMatchObject({ status: 'PENDING', lastStatusCode: null });
+      expect(delivery.lastError).toContain('ECONNREFUSED');
+    });
+  });
+
+  describe('redeliver', () => {
+    async function deadDelivery() {
+      process.env.WEBHOOK_MAX_ATTEMPTS = '1';
+      await subscribe(['account.created']);
+      await accountService.createAccount(customerId, 10);
+      answerStatus = 500;
+      const [delivery] = (await webhookService.processOutbox()).deliveries;
+      delete process.env.WEBHOOK_MAX_ATTEMPTS;
+      return delivery;
+    }
+
+    test('should send a dead-lettered delivery again with fresh attempts', async () => {
+      const dead = await deadDelivery();
+      expect(dead.status).toBe('DEAD');
+      answerStatus = 200;
+
+      const redelivered = await webhookService.redeliver(dead.id, employeeId);
+
+      expect(redelivered).toMatchObject({ id: dead.id, status: 'DELIVERED', attempts: 1, eventType: 'account.created' });
+      expect(received).toHaveLength(2);
+      expect(received[1].headers['x-webhook-id']).toBe(received[0].headers['x-webhook-id']);
+
+      const audit = await prisma.auditLog.findFirst({ where: { action: 'WEBHOOK_REDELIVERY_REQUESTED' } });
+      expect(audit.entityId).toBe(dead.id);
+    });
+
+    test('should refuse deliveries that are still pending', async () => {
+      await subscribe(['account.created']);
+      await accountService.createAccount(customerId, 10);
+      answerStatus = 500;
+      const [pending] = (await webhookService.processOutbox()).deliveries;
+
+      await expect(webhookService.redeliver(pending.id, employeeId)).rejects.toMatchObject({ code: 'WEBHOOK_DELIVERY_PENDING' });
+    });
+
+    test('should throw for an unknown delivery', async () => {
+      await expect(webhookService.redeliver(999999, employeeId)).rejects.toMatchObject({ code: 'WEBHOOK_DELIVERY_NOT_FOUND' });
+    });
+  });
+
+  describe('disableSubscription', () => {
+    test('should dead-letter pending deliveries and stop new ones', async () => {
+      const subscription = await subscribe(['account.created']);
+      await accountService.createAccount(customerId, 10);
+      answerStatus = 500;
+      const [pending] = (await webhookService.processOutbox()).deliveries;
+
+      const disabled = await webhookService.disableSubscription(subscription.id, employeeId);
+      await accountService.createAccount(customerId, 10);
+      await webhookService.processOutbox(new Date(Date.now() + 86400000));
+
+      expect(disabled.isActive).toBe(false);
+      const delivery = await prisma.webhookDelivery.findUnique({ where: { id: pending.id } });
+      expect(delivery).toMatchObject({ status: 'DEAD', lastError: 'Subscription disabled' });
+      expect(await prisma.webhookDelivery.count()).toBe(1);
+      await expect(webhookService.redeliver(pending.id, employeeId)).rejects.toMatchObject({ code: 'WEBHOOK_SUBSCRIPTION_DISABLED' });
+    });
+
+    test('should refuse to disable twice', async () => {
+      const subscription = await subscribe(['account.created']);
+      await webhookService.disableSubscription(subscription.id, employeeId);
+
+      await expect(webhookService.disableSubscription(subscription.id, employeeId)).rejects.toMatchObject({ code: 'WEBHOOK_SUBSCRIPTION_DISABLED' });
+    });
+  });
+});
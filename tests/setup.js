@@ -2,8 +2,11 @@
 process.env.DATABASE_URL = process.env.TEST_DATABASE_URL || 'file:./test.db';
 process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret-key';
 process.env.JWT_EXPIRE_IN = process.env.JWT_EXPIRE_IN || '24h';
+// Keep test output readable; logging tests raise the level themselves
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
 
 const { PrismaClient } = require('@prisma/client');
+const { DEFAULT_ROLE_PERMISSIONS } = require('../src/config/permissions');
 
 // Create a fresh Prisma client for tests
 const prisma = new PrismaClient();
@@ -31,10 +34,35 @@ afterAll(async () => {
 beforeEach(async () => {
   // Clean database before each test (order matters due to foreign keys)
   // Delete in correct order to respect foreign key constraints
+  await prisma.webhookDelivery.deleteMany();
+  await prisma.webhookSubscription.deleteMany();
+  await prisma.outboxEvent.deleteMany();
+  await prisma.posting.deleteMany();
+  await prisma.journalEntry.deleteMany();
+  await prisma.auditLog.deleteMany();
+  await prisma.idempotencyKey.deleteMany();
+  await prisma.scheduledTransferRun.deleteMany();
+  await prisma.scheduledTransfer.deleteMany();
+  await prisma.fraudFlag.deleteMany();
+  await prisma.fraudRule.deleteMany();
+  await prisma.transferApproval.deleteMany();
   await prisma.transfer.deleteMany();
+  await prisma.cashTransaction.deleteMany();
+  await prisma.accountTransferLimit.deleteMany();
   await prisma.account.deleteMany();
+  await prisma.refreshToken.deleteMany();
+  await prisma.authSession.deleteMany();
+  await prisma.loginThrottle.deleteMany();
   await prisma.employee.deleteMany();
   await prisma.customer.deleteMany();
+  await prisma.rolePermission.deleteMany();
+
+  // Restore default role-to-permission mappings
+  await prisma.rolePermission.createMany({
+    data: Object.entries(DEFAULT_ROLE_PERMISSIONS).flatMap(([role, permissions]) =>
+      permissions.map(permission => ({ role, permission }))
+    )
+  });
   
   // Seed test data - ensure customers are created first
   await prisma.customer.createMany({
@@ -69,6 +97,20 @@ beforeEach(async () => {
       role: 'teller'
     }
   });
+  await prisma.employee.upsert({
+    where: { username: 'manager1' },
+    update: {
+      password: hashedPassword,
+      name: 'Test Manager',
+      role: 'manager'
+    },
+    create: {
+      username: 'manager1',
+      password: hashedPassword,
+      name: 'Test Manager',
+      role: 'manager'
+    }
+  });
 });
 
 afterEach(async () => {
@@ -0,0 +1,20 @@
+const { escapeCsvValue, toCsv } = require('../../src/utils/csv');
+
+describe('CSV Helpers', () => {
+  test('should quote values containing separators, quotes or newlines', () => {
+    expect(escapeCsvValue('plain')).toBe('plain');
+    expect(escapeCsvValue('a,b')).toBe('"a,b"');
+    expect(escapeCsvValue('say "hi"')).toBe('"say ""hi"""');
+    expect(escapeCsvValue('two\nlines')).toBe('"two\nlines"');
+  });
+
+  test('should neutralise spreadsheet formulas but keep negative numbers', () => {
+    expect(escapeCsvValue('=SUM(A1:A2)')).toBe("'=SUM(A1:A2)");
+    expect(escapeCsvValue('@cmd')).toBe("'@cmd");
+    expect(escapeCsvValue('-12.50')).toBe('-12.50');
+  });
+
+  test('should render empty cells for null and undefined', () => {
+    expect(toCsv([['a', null, undefined, 0]])).toBe('a,,,0\r\n');
+  });
+});
@@ -0,0 +1,79 @@
+const logger = require('../../src/utils/logger');
+const { NotFoundError } = require('../../src/utils/errors');
+
+describe('Structured Logger', () => {
+  let write;
+
+  function lines() {
+    return write.mock.calls.map(([line]) => JSON.parse(line));
+  }
+
+  beforeEach(() => {
+    process.env.LOG_LEVEL = 'info';
+    write = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+  });
+
+  afterEach(() => {
+    write.mockRestore();
+    process.env.LOG_LEVEL = 'silent';
+  });
+
+  test('should write one JSON object per line', () => {
+    logger.info('Transfer completed', { transferId: 7, skipped: undefined });
+
+    expect(write.mock.calls[0][0].endsWith('\n')).toBe(true);
+    const [entry] = lines();
+    expect(entry).toMatchObject({ level: 'info', message: 'Transfer completed', transferId: 7 });
+    expect(entry).not.toHaveProperty('skipped');
+    expect(new Date(entry.time).toISOString()).toBe(entry.time);
+  });
+
+  test('should drop lines below the configured level', () => {
+    process.env.LOG_LEVEL = 'warn';
+
+    logger.debug('debug');
+    logger.info('info');
+    logger.warn('warn');
+    logger.error('error');
+
+    expect(lines().map(entry => entry.level)).toEqual(['warn', 'error']);
+  });
+
+  test('should fall back to info for an unknown level', () => {
+    process.env.LOG_LEVEL = 'chatty';
+
+    logger.debug('hidden');
+    logger.info('shown');
+
+    expect(lines().map(entry => entry.message)).toEqual(['shown']);
+  });
+
+  test('should add the context fields to every line logged inside it', async () => {
+    await logger.runWithContext({ requestId: 'req-1' }, async () => {
+      await Promise.resolve();
+      logger.info('inside');
+    });
+    logger.info('outside');
+
+    const [inside, outside] = lines();
+    expect(inside.requestId).toBe('req-1');
+    expect(outside).not.toHaveProperty('requestId');
+  });
+
+  test('should log domain failures at warn and unexpected ones at error', () => {
+    logger.failure('Transfer failed', new NotFoundError('Account not found', 'ACCOUNT_NOT_FOUND'), { amount: '5.00' });
+    logger.failure('Transfer failed', new Error('database is locked'));
+
+    const [expected, unexpected] = lines();
+    expect(expected).toMatchObject({ level: 'warn', code: 'ACCOUNT_NOT_FOUND', reason: 'Account not found', amount: '5.00' });
+    expect(unexpected.level).toBe('error');
+    expect(unexpected.error).toMatchObject({ name: 'Error', message: 'database is locked' });
+    expect(unexpected.error.stack).toContain('database is locked');
+  });
+
+  test('should write BigInt values as strings', () => {
+    logger.info('cents', { amountCents: 1250n });
+
+    expect(lines()[0].amountCents).toBe('1250');
+  });
+});
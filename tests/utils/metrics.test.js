@@ -0,0 +1,77 @@
+const { Counter, Histogram, renderMetrics, resetMetrics } = require('../../src/utils/metrics');
+
+describe('Metrics', () => {
+  const requests = new Counter('test_requests_total', 'Requests seen in a test', ['route']);
+  const durations = new Histogram('test_duration_seconds', 'Durations seen in a test', ['route'], [0.1, 1]);
+
+  beforeEach(() => {
+    resetMetrics();
+  });
+
+  test('should count per label set', () => {
+    requests.inc({ route: '/a' });
+    requests.inc({ route: '/a' }, 2);
+    requests.inc({ route: '/b' });
+
+    expect(requests.get({ route: '/a' }).value).toBe(3);
+    expect(requests.get({ route: '/b' }).value).toBe(1);
+    expect(requests.get({ route: '/c' }).value).toBe(0);
+  });
+
+  test('should refuse to decrease a counter', () => {
+    expect(() => requests.inc({ route: '/a' }, -1)).toThrow('can only be increased');
+  });
+
+  test('should refuse to register the same name twice', () => {
+    expect(() => new Counter('test_requests_total', 'Duplicate')).toThrow('already registered');
+  });
+
+  test('should render counters in the Prometheus text format', () => {
+    requests.inc({ route: '/a' });
+
+    const text = renderMetrics();
+
+    expect(text).toContain('# HELP test_requests_total Requests seen in a test\n# TYPE test_requests_total counter\ntest_requests_total{route="/a"} 1\n');
+    expect(text.endsWith('\n')).toBe(true);
+  });
+
+  test('should escape label values', () => {
+    requests.inc({ route: 'say "hi"\\\n' });
+
+    expect(renderMetrics()).toContain('test_requests_total{route="say \\"hi\\"\\\\\\n"} 1');
+  });
+
+  test('should render cumulative histogram buckets with sum and count', () => {
+    durations.observe({ route: '/a' }, 0.05);
+    durations.observe({ route: '/a' }, 0.5);
+    durations.observe({ route: '/a' }, 3);
+
+    const lines = renderMetrics().split('\n').filter(line => line.startsWith('test_duration_seconds'));
+
+    expect(lines).toEqual([
+      'test_duration_seconds_bucket{route="/a",le="0.1"} 1',
+      'test_duration_seconds_bucket{route="/a",le="1"} 2',
+      'test_duration_seconds_bucket{route="/a",le="+Inf"} 3',
+      'test_duration_seconds_sum{route="/a"} 3.55',
+      'test_duration_seconds_count{route="/a"} 3'
+    ]);
+  });
+
+  test('should time with labels added when the timer stops', () => {
+    const stop = durations.startTimer();
+
+    const seconds = stop({ route: '/timed' });
+
+    expect(seconds).toBeGreaterThanOrEqual(0);
+    expect(durations.get({ route: '/timed' }).count).toBe(1);
+  });
+
+  test('should start from zero after a reset', () => {
+    requests.inc({ route: '/a' });
+
+    resetMetrics();
+
+    expect(requests.get({ route: '/a' }).value).toBe(0);
+    expect(renderMetrics()).not.toContain('test_requests_total{');
+  });
+});
@@ -0,0 +1,42 @@
+const { toCents, formatCents } = require('../../src/utils/money');
+
+describe('Money Helpers', () => {
+  describe('toCents', () => {
+    test('should convert numbers and strings to integer cents', () => {
+      expect(toCents(1000)).toBe(100000);
+      expect(toCents(0.1)).toBe(10);
+      expect(toCents('19.99')).toBe(1999);
+      expect(toCents('5.5')).toBe(550);
+    });
+
+    test('should keep the sign of negative amounts', () => {
+      expect(toCents(-100)).toBe(-10000);
+    });
+
+    test('should reject more than two decimal places', () => {
+      expect(() => toCents(0.1 + 0.2)).toThrow('Amount cannot have more than two decimal places');
+      expect(() => toCents('1.005')).toThrow('Amount cannot have more than two decimal places');
+    });
+
+    test('should reject non-numeric input', () => {
+      expect(() => toCents('abc')).toThrow('Amount must be a valid number');
+      expect(() => toCents('')).toThrow('Amount must be a valid number');
+      expect(() => toCents(null)).toThrow('Amount must be a valid number');
+      expect(() => toCents(NaN)).toThrow('Amount must be a valid number');
+    });
+
+    test('should reject amounts beyond safe integer range', () => {
+      expect(() => toCents('999999999999999999')).toThrow('Amount is too large');
+    });
+  });
+
+  describe('formatCents', () => {
+    test('should format cents as exact decimal strings', () => {
+      expect(formatCents(0)).toBe('0.00');
+      expect(formatCents(7)).toBe('0.07');
+      expect(formatCents(123456)).toBe('1234.56');
+      expect(formatCents(-550)).toBe('-5.50');
+      expect(formatCents(100000n)).toBe('1000.00');
+    });
+  });
+});
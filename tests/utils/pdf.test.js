@@ -0,0 +1,17 @@
+const { escapeText } = require('../../src/utils/pdf');
+
+describe('PDF Helpers', () => {
+  test('should write accented Latin-1 characters as WinAnsi octal escapes', () => {
+    expect(escapeText('José Müller')).toBe('Jos\\351 M\\374ller');
+    expect(escapeText('José')).toBe('Jos\\351');
+  });
+
+  test('should map Windows-1252 punctuation and replace characters the font lacks', () => {
+    expect(escapeText('€5 – “ok”')).toBe('\\2005 \\226 \\223ok\\224');
+    expect(escapeText('Łódź 中')).toBe('?\\363d? ?');
+  });
+
+  test('should escape PDF string delimiters', () => {
+    expect(escapeText('a (b) \\ c')).toBe('a \\(b\\) \\\\ c');
+  });
+});
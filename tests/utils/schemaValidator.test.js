@@ -0,0 +1,102 @@
+const { validateSchema, coerceParameter } = require('../../src/utils/schemaValidator');
+
+const spec = {
+  components: {
+    schemas: {
+      Amount: {
+        oneOf: [
+          { type: 'number', multipleOf: 0.01 },
+          { type: 'string', pattern: '^\\d+(\\.\\d{1,2})?$' },
+        ],
+        'x-invalid-message': 'must be a valid amount',
+      },
+      Payment: {
+        type: 'object',
+        required: ['accountId', 'amount'],
+        properties: {
+          accountId: { type: 'integer', minimum: 1 },
+          amount: { $ref: '#/components/schemas/Amount' },
+          method: { type: 'string', enum: ['CASH', 'CARD'] },
+          note: { type: 'string', maxLength: 5, nullable: true },
+          tags: { type: 'array', items: { type: 'string' } },
+          when: { type: 'string', format: 'date-time' },
+        },
+      },
+    },
+  },
+};
+
+const payment = { $ref: '#/components/schemas/Payment' };
+
+describe('Schema Validator', () => {
+  describe('validateSchema', () => {
+    test('should accept a valid body, including a zero amount', () => {
+      expect(validateSchema(spec, payment, { accountId: 1, amount: 0 })).toEqual([]);
+      expect(validateSchema(spec, payment, { accountId: 1, amount: '10.50', note: null, tags: ['a'] })).toEqual([]);
+    });
+
+    test('should report every missing required field', () => {
+      expect(validateSchema(spec, payment, {})).toEqual([
+        { field: 'accountId', message: 'accountId is required' },
+        { field: 'amount', message: 'amount is required' },
+      ]);
+    });
+
+    test('should reject amounts that are not numbers or decimal strings', () => {
+      for (const amount of ['abc', '10.123', 10.123, true]) {
+        expect(validateSchema(spec, payment, { accountId: 1, amount })).toEqual([
+          { field: 'amount', message: 'amount must be a valid amount' },
+        ]);
+      }
+    });
+
+    test('should check types, enums, lengths, ranges, nulls and formats', () => {
+      const errors = validateSchema(spec, payment, {
+        accountId: 0,
+        amount: 5,
+        method: 'CHEQUE',
+        note: 'far too long',
+        tags: ['ok', 3],
+        when: 'yesterday',
+      });
+
+      expect(errors.map(e => e.message)).toEqual([
+        'accountId must be at least 1',
+        'method must be one of: CASH, CARD',
+        'note must be at most 5 characters',
+        'tags[1] must be a string',
+        'when must be a valid date',
+      ]);
+      expect(validateSchema(spec, payment, { accountId: '1', amount: null })).toEqual([
+        { field: 'accountId', message: 'accountId must be an integer' },
+        { field: 'amount', message: 'amount must not be null' },
+      ]);
+    });
+
+    test('should report a body of the wrong type', () => {
+      expect(validateSchema(spec, payment, ['not', 'an', 'object'])).toEqual([
+        { field: 'Request body', message: 'Request body must be an object' },
+      ]);
+    });
+
+    test('should prefix nested fields with the given name', () => {
+      expect(validateSchema(spec, payment, { accountId: 1 }, 'response')).toEqual([
+        { field: 'response.amount', message: 'response.amount is required' },
+      ]);
+    });
+  });
+
+  describe('coerceParameter', () => {
+    test('should convert numeric and boolean strings', () => {
+      expect(coerceParameter(spec, { type: 'integer' }, '42')).toBe(42);
+      expect(coerceParameter(spec, { type: 'boolean' }, 'false')).toBe(false);
+      expect(coerceParameter(spec, { type: 'string' }, '42')).toBe('42');
+    });
+
+    test('should leave values that cannot be converted for validation to reject', () => {
+      expect(coerceParameter(spec, { type: 'integer' }, 'abc')).toBe('abc');
+      expect(coerceParameter(spec, { type: 'integer' }, '')).toBe('');
+      expect(coerceParameter(spec, { type: 'boolean' }, 'yes')).toBe('yes');
+    });
+  });
+});
@@ -0,0 +1,95 @@
+const http = require('http');
+const express = require('express');
+const { gracefulShutdown, shutdownTimeoutMs } = require('../../src/utils/shutdown');
+
+describe('Graceful Shutdown', () => {
+  let server;
+  let port;
+  let releaseSlow;
+
+  beforeEach(async () => {
+    const app = express();
+    app.get('/slow', (req, res) => {
+      releaseSlow = () => res.json({ finished: true });
+    });
+    app.get('/hang', () => {});
+    server = http.createServer(app);
+    await new Promise(resolve => server.listen(0, resolve));
+    port = server.address().port;
+  });
+
+  afterEach(() => {
+    delete process.env.SHUTDOWN_TIMEOUT_SECONDS;
+    server.closeAllConnections();
+    server.close(() => {});
+  });
+
+  // Resolves with the parsed body, or the error if the connection was cut
+  function get(path) {
+    return new Promise(resolve => {
+      http.get({ port, path, agent: false }, res => {
+        let body = '';
+        res.on('data', chunk => { body += chunk; });
+        res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(body) }));
+      }).on('error', error => resolve({ error }));
+    });
+  }
+
+  function waitFor(condition) {
+    return new Promise(resolve => {
+      const poll = () => (condition() ? resolve() : setTimeout(poll, 5));
+      poll();
+    });
+  }
+
+  test('should let in-flight requests finish before cleaning up', async () => {
+    const order = [];
+    const inFlight = get('/slow');
+    await waitFor(() => releaseSlow);
+
+    const shutdown = gracefulShutdown(server, {
+      timeoutMs: 2000,
+      drain: [async () => { order.push('drain'); }],
+      cleanup: [async () => { order.push('cleanup'); }]
+    });
+    setTimeout(() => {
+      order.push('response');
+      releaseSlow();
+    }, 50);
+
+    await expect(shutdown).resolves.toEqual({ timedOut: false });
+    await expect(inFlight).resolves.toEqual({ status: 200, body: { finished: true } });
+    expect(order).toEqual(['drain', 'response', 'cleanup']);
+    expect(server.listening).toBe(false);
+  });
+
+  test('should stop accepting new connections', async () => {
+    await gracefulShutdown(server, { timeoutMs: 1000 });
+
+    const response = await get('/slow');
+
+    expect(response.error.code).toBe('ECONNREFUSED');
+  });
+
+  test('should cut remaining connections and still clean up after the timeout', async () => {
+    const cleanup = jest.fn();
+    const hanging = get('/hang');
+    await new Promise(resolve => server.once('request', resolve));
+
+    const result = await gracefulShutdown(server, { timeoutMs: 50, cleanup: [cleanup] });
+
+    expect(result).toEqual({ timedOut: true });
+    expect(cleanup).toHaveBeenCalledTimes(1);
+    expect((await hanging).error).toBeDefined();
+  });
+
+  test('should read the timeout from SHUTDOWN_TIMEOUT_SECONDS', () => {
+    expect(shutdownTimeoutMs()).toBe(15000);
+
+    process.env.SHUTDOWN_TIMEOUT_SECONDS = '30';
+    expect(shutdownTimeoutMs()).toBe(30000);
+
+    process.env.SHUTDOWN_TIMEOUT_SECONDS = 'soon';
+    expect(shutdownTimeoutMs()).toBe(15000);
+  });
+});